@@ -1,20 +1,62 @@
 // Module Manager - Unified management of all modules
-// Module Manager - Unified management of all modules
+// Module Manager - Dependency graph and init/dispose lifecycle for all modules
+//
+// Modules register themselves from their own script:
+//
+//   moduleManager.registerModule('SharksAndFish', SharksAndFish, {
+//       dependencies: ['SharkModel', 'ReefFishModel'],
+//       init: (moduleClass, manager) => { ... },      // optional, may return a promise
+//       dispose: (moduleClass, manager) => { ... }    // optional
+//   });
+//
+// Species plugins add a `species` descriptor (see SpeciesPluginSystem) and are
+// picked up by the app through onSpeciesReady().
+//
+// A module is initialized once all of its dependencies are, so script order in
+// index.html no longer matters. The application is ready when the application
+// module (OceanForest) and everything it depends on have been initialized.
 
 class ModuleManager {
     constructor() {
         this.modules = new Map();
+        this.entries = new Map();
         this.initialized = false;
         this.loadingCallbacks = [];
+        this.speciesCallbacks = [];
+        
+        this.applicationModule = 'OceanForest';
+        this.startTime = ModuleManager.now();
+    }
+    
+    static now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
     }
     
     // Register module
-    registerModule(name, moduleClass) {
+    registerModule(name, moduleClass, options = {}) {
+        if (this.entries.has(name)) {
+            console.warn(`Module registered twice, replacing: ${name}`);
+        }
+        
         this.modules.set(name, moduleClass);
+        this.entries.set(name, {
+            name,
+            moduleClass,
+            dependencies: options.dependencies || [],
+            init: options.init || null,
+            dispose: options.dispose || null,
+            species: options.species || null,
+            state: 'registered', // registered -> initializing -> ready | failed -> disposed
+            error: null,
+            timings: {
+                registered: ModuleManager.now() - this.startTime,
+                init: null,
+                ready: null
+            }
+        });
         console.log(`Module registered: ${name}`);
         
-        // Check if all modules are loaded
-        this.checkModulesReady();
+        this.initializeModules();
     }
     
     // Get module
@@ -22,39 +64,150 @@ class ModuleManager {
         return this.modules.get(name);
     }
     
-    // Check if all required modules are loaded
-    checkModulesReady() {
-        const requiredModules = [
-            'OceanForest',
-            'OceanEnvironment', 
-            'OctopusModel',
-            'MarineAnimals',
-            'SharkModel',
-            'ReefFishModel',
-            'SharksAndFish',
-            'EducationSystem',
-            'FloatingLabelsSystem',
-            'OceanAudio',
-            'RenderEngine'
-        ];
-        
-        // Optional advanced modules
-        const optionalModules = [
-            'CinematicAnimationSystem',
-            'AdvancedParticleSystem', 
-            'MarineLifeBehavior',
-            'CinematicCameraSystem'
-        ];
-        
-        const loadedModules = Array.from(this.modules.keys());
-        const missingModules = requiredModules.filter(name => !this.modules.has(name));
-        
-        console.log(`Loaded modules: [${loadedModules.join(', ')}]`);
-        if (missingModules.length > 0) {
-            console.log(`Missing modules: [${missingModules.join(', ')}]`);
+    // Initialize every module whose dependencies are ready, in dependency order
+    initializeModules() {
+        let progress = true;
+        while (progress) {
+            progress = false;
+            for (const name of this.getLoadOrder().order) {
+                const entry = this.entries.get(name);
+                if (entry.state === 'registered' && this.dependenciesReady(entry)) {
+                    this.initializeModule(entry);
+                    progress = true;
+                }
+            }
+        }
+        
+        this.checkModulesReady();
+    }
+    
+    initializeModule(entry) {
+        entry.state = 'initializing';
+        const start = ModuleManager.now();
+        
+        const finish = () => {
+            const end = ModuleManager.now();
+            entry.state = 'ready';
+            entry.timings.init = end - start;
+            entry.timings.ready = end - this.startTime;
+            if (entry.species) {
+                this.speciesCallbacks.forEach(callback => callback(entry.species, entry.name));
+            }
+        };
+        const fail = (error) => {
+            entry.state = 'failed';
+            entry.error = error && error.message ? error.message : String(error);
+            console.error(`Module initialization failed: ${entry.name}`, error);
+        };
+        
+        try {
+            const result = entry.init ? entry.init(entry.moduleClass, this) : null;
+            if (result && typeof result.then === 'function') {
+                // Async init: dependents are picked up once it settles
+                result.then(() => {
+                    finish();
+                    this.initializeModules();
+                }, fail);
+            } else {
+                finish();
+            }
+        } catch (error) {
+            fail(error);
+        }
+    }
+    
+    dependenciesReady(entry) {
+        return entry.dependencies.every(dependency => {
+            const dependencyEntry = this.entries.get(dependency);
+            return dependencyEntry && dependencyEntry.state === 'ready';
+        });
+    }
+    
+    // Topological order of the registered modules (Kahn's algorithm), plus the
+    // dependencies nobody registered and the cycles that keep modules from loading
+    getLoadOrder() {
+        const missing = {};
+        const inDegree = new Map();
+        const dependents = new Map();
+        
+        this.entries.forEach((entry, name) => {
+            inDegree.set(name, 0);
+            dependents.set(name, []);
+        });
+        this.entries.forEach((entry, name) => {
+            entry.dependencies.forEach(dependency => {
+                if (!this.entries.has(dependency)) {
+                    (missing[name] = missing[name] || []).push(dependency);
+                    return;
+                }
+                inDegree.set(name, inDegree.get(name) + 1);
+                dependents.get(dependency).push(name);
+            });
+        });
+        
+        // Registration order breaks ties so the result is stable
+        const queue = Array.from(inDegree.keys()).filter(name => inDegree.get(name) === 0);
+        const order = [];
+        while (queue.length > 0) {
+            const name = queue.shift();
+            order.push(name);
+            dependents.get(name).forEach(dependent => {
+                inDegree.set(dependent, inDegree.get(dependent) - 1);
+                if (inDegree.get(dependent) === 0) {
+                    queue.push(dependent);
+                }
+            });
         }
         
-        const allLoaded = missingModules.length === 0;
+        const unsorted = Array.from(this.entries.keys()).filter(name => !order.includes(name));
+        return { order, missing, cycles: this.findCycles(unsorted) };
+    }
+    
+    // Each cycle is reported as a closed path, e.g. ['A', 'B', 'A']
+    findCycles(names) {
+        const candidates = new Set(names);
+        const cycles = [];
+        const visited = new Set();
+        
+        const visit = (name, path) => {
+            const index = path.indexOf(name);
+            if (index !== -1) {
+                cycles.push([...path.slice(index), name]);
+                return;
+            }
+            if (visited.has(name)) return;
+            visited.add(name);
+            
+            this.entries.get(name).dependencies
+                .filter(dependency => candidates.has(dependency))
+                .forEach(dependency => visit(dependency, [...path, name]));
+        };
+        
+        names.forEach(name => visit(name, []));
+        return cycles;
+    }
+    
+    // The application module and everything it depends on
+    getRequiredModules() {
+        const required = [];
+        const collect = (name) => {
+            if (required.includes(name)) return;
+            required.push(name);
+            const entry = this.entries.get(name);
+            if (entry) {
+                entry.dependencies.forEach(collect);
+            }
+        };
+        collect(this.applicationModule);
+        return required;
+    }
+    
+    // Check if the application module and its dependencies are initialized
+    checkModulesReady() {
+        const allLoaded = this.getRequiredModules().every(name => {
+            const entry = this.entries.get(name);
+            return entry && entry.state === 'ready';
+        });
         
         if (allLoaded && !this.initialized) {
             this.initialized = true;
@@ -66,14 +219,11 @@ class ModuleManager {
     
     // Callback when all modules are ready
     onAllModulesReady() {
-        console.log('All modules loaded successfully');
+        console.log(`All modules loaded successfully (${Math.round(ModuleManager.now() - this.startTime)} ms)`);
         
         // Execute all waiting callbacks
         this.loadingCallbacks.forEach(callback => callback());
         this.loadingCallbacks = [];
-        
-        // Initialize main application
-        this.initializeApplication();
     }
     
     // Add loading completion callback
@@ -85,21 +235,38 @@ class ModuleManager {
         }
     }
     
-    // Initialize main application
-    initializeApplication() {
-        try {
-            // Create main application instance
-            const OceanForestClass = this.getModule('OceanForest');
-            if (OceanForestClass) {
-                window.oceanForestApp = new OceanForestClass();
-                console.log('Ocean Forest application initialized successfully');
-            } else {
-                throw new Error('OceanForest main class not found');
+    // Species descriptors of the initialized species plugins, in load order
+    getSpeciesPlugins() {
+        return this.getLoadOrder().order
+            .map(name => this.entries.get(name))
+            .filter(entry => entry.species && entry.state === 'ready')
+            .map(entry => ({ moduleName: entry.name, species: entry.species }));
+    }
+    
+    // Called for every species plugin that is ready now and for each one that
+    // becomes ready later (e.g. a script added after start-up)
+    onSpeciesReady(callback) {
+        this.getSpeciesPlugins().forEach(({ moduleName, species }) => callback(species, moduleName));
+        this.speciesCallbacks.push(callback);
+    }
+    
+    // Run dispose hooks in reverse dependency order
+    dispose() {
+        const order = this.getLoadOrder().order.reverse();
+        order.forEach(name => {
+            const entry = this.entries.get(name);
+            if (entry.state !== 'ready') return;
+            
+            try {
+                if (entry.dispose) {
+                    entry.dispose(entry.moduleClass, this);
+                }
+            } catch (error) {
+                console.error(`Module dispose failed: ${name}`, error);
             }
-        } catch (error) {
-            console.error('Failed to initialize application:', error);
-            this.showErrorMessage(error.message);
-        }
+            entry.state = 'disposed';
+        });
+        this.initialized = false;
     }
     
     // Show error message
@@ -128,43 +295,71 @@ class ModuleManager {
     // Promise method to wait for all modules to load
     waitForModules(timeout = 10000) {
         return new Promise((resolve, reject) => {
-            const checkModules = () => {
-                const isReady = this.checkModulesReady();
-                if (isReady) {
-                    resolve(true);
-                } else {
-                    const timeoutId = setTimeout(() => {
-                        reject(new Error('Module loading timeout'));
-                    }, timeout);
-                    
-                    setTimeout(() => {
-                        clearTimeout(timeoutId);
-                        checkModules();
-                    }, 100);
+            const timeoutId = setTimeout(() => {
+                const message = `Module loading timeout: ${this.describeLoadingProblems()}`;
+                if (typeof document !== 'undefined') {
+                    this.showErrorMessage(message);
                 }
-            };
+                reject(new Error(message));
+            }, timeout);
             
-            checkModules();
+            this.onReady(() => {
+                clearTimeout(timeoutId);
+                resolve(true);
+            });
+        });
+    }
+    
+    // Readable summary of what keeps the application from starting
+    describeLoadingProblems() {
+        const status = this.getLoadingStatus();
+        const problems = [];
+        
+        status.unregistered.forEach(name => problems.push(`${name} not registered`));
+        Object.entries(status.missing).forEach(([dependency, neededBy]) => {
+            problems.push(`missing ${dependency} (needed by ${neededBy.join(', ')})`);
         });
+        status.cycles.forEach(cycle => problems.push(`dependency cycle ${cycle.join(' -> ')}`));
+        Object.entries(status.modules).forEach(([name, module]) => {
+            if (module.state === 'failed') {
+                problems.push(`${name} failed: ${module.error}`);
+            }
+        });
+        
+        return problems.length > 0 ? problems.join('; ') : 'modules still initializing';
     }
     
     // Get module loading status
+    // modules: per-module state, dependencies and timings (ms since the manager was created)
+    // missing: unregistered dependency -> modules waiting for it
+    // cycles: dependency cycles, each as a closed path
     getLoadingStatus() {
-        const requiredModules = [
-            'OceanForest',
-            'OceanEnvironment', 
-            'OctopusModel',
-            'MarineAnimals',
-            'SharksAndFish',
-            'EducationSystem',
-            'FloatingLabelsSystem',
-            'OceanAudio',
-            'RenderEngine'
-        ];
-        
-        const status = {};
-        requiredModules.forEach(moduleName => {
-            status[moduleName] = this.modules.has(moduleName);
+        const { order, missing, cycles } = this.getLoadOrder();
+        const required = this.getRequiredModules();
+        
+        const status = {
+            ready: this.initialized,
+            order,
+            unregistered: required.filter(name => !this.entries.has(name) &&
+                !Object.values(missing).some(dependencies => dependencies.includes(name))),
+            modules: {},
+            missing: {},
+            cycles
+        };
+        
+        this.entries.forEach((entry, name) => {
+            status.modules[name] = {
+                state: entry.state,
+                required: required.includes(name),
+                dependencies: [...entry.dependencies],
+                species: entry.species ? entry.species.englishName : null,
+                missing: missing[name] || [],
+                error: entry.error,
+                timings: { ...entry.timings }
+            };
+            (missing[name] || []).forEach(dependency => {
+                (status.missing[dependency] = status.missing[dependency] || []).push(name);
+            });
         });
         
         return status;
@@ -172,26 +367,21 @@ class ModuleManager {
 }
 
 // Create global module manager instance
-window.moduleManager = new ModuleManager();
-
-// Automatic check after module loading
-window.addEventListener('DOMContentLoaded', () => {
-    // Delayed check to ensure all scripts are loaded
-    setTimeout(() => {
-        console.log('DOMContentLoaded - checking modules...');
-        window.moduleManager.checkModulesReady();
-    }, 500);
-});
+if (typeof window !== 'undefined') {
+    window.moduleManager = new ModuleManager();
+}
 
-// Additional check mechanism
-setTimeout(() => {
-    console.log('Fallback check - checking modules...');
-    if (window.moduleManager && !window.moduleManager.initialized) {
-        window.moduleManager.checkModulesReady();
-    }
-}, 2000);
+// Report anything still blocking start-up once the page has loaded (browser only;
+// headless runs in src/tests/headless have no DOM)
+if (typeof document !== 'undefined') {
+    window.addEventListener('load', () => {
+        if (!window.moduleManager.initialized) {
+            console.warn(`Modules not ready after page load: ${window.moduleManager.describeLoadingProblems()}`);
+        }
+    });
+}
 
 // Export module manager (if using module system)
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ModuleManager;
-}
\ No newline at end of file
+}
@@ -27,6 +27,29 @@ class OceanForest {
         this.seaUrchinFields = [];
         this.seaAnemones = [];
         
+        // Drop-in species registered as plugins (see SpeciesPluginSystem)
+        this.speciesPlugins = null;
+        
+        // GPU instancing for reef fish, kelp and seabed clutter (see InstancedMarineLife)
+        this.instancedLife = null;
+        
+        // THREE.LOD wrapping with decimated levels and impostors (see LODSystem)
+        this.lodSystem = null;
+        
+        // Wavelength-dependent light, caustics and god rays (see UnderwaterLighting)
+        this.underwaterLighting = null;
+        
+        // Simulated clock for the sun, light and diel behaviour (see DayNightCycle)
+        this.dayNight = null;
+        
+        // Surge, tide and turbulence shared by kelp, particles and animals (see OceanCurrentField)
+        this.currentField = null;
+        
+        // Seeded reefs, boulders and sand channels, or an imported survey, with height queries
+        // (see SeabedTerrain); the kelp is planted on it
+        this.seabed = null;
+        this.kelpPositions = OceanEnvironment.KELP_POSITIONS;
+        
         // Control system
         this.keys = {};
         this.mouse = { x: 0, y: 0 };
@@ -43,12 +66,74 @@ class OceanForest {
         // Follow system
         this.followTarget = null;
         
+        // View opened from a shared link (#seed=...&pos=...), held until the octopus moves
+        this.linkedView = ShareableView.parse(window.location.hash);
+        this.sharedView = null;
+        // A different link opened in the same tab needs a fresh start for its seed
+        window.addEventListener('hashchange', () => window.location.reload());
+        
+        // Seeded randomness and fixed time steps for reproducible scenes
+        this.simulationConfig = this.readSimulationConfig();
+        if (this.simulationConfig.seed !== undefined) {
+            oceanRandom.setSeed(this.simulationConfig.seed);
+        }
+        this.motionRandom = oceanRandom.derive('motion');
+        console.log(`🎲 Random seed: ${oceanRandom.seed} (open with ?seed=${oceanRandom.seed} to replay)`);
+        
         // Global reference for education system use
         window.oceanForest = this;
         
         this.init();
     }
     
+    // Seed and time step from window.oceanForestConfig, overridden by ?seed=, #seed= and ?timestep=
+    readSimulationConfig() {
+        const config = { ...(window.oceanForestConfig || {}) };
+        const params = new URLSearchParams(window.location.search);
+        
+        if (params.has('seed')) {
+            config.seed = params.get('seed');
+        }
+        if (this.linkedView && this.linkedView.seed !== undefined) {
+            config.seed = this.linkedView.seed;
+        }
+        if (params.has('timestep')) {
+            config.fixedTimestep = parseFloat(params.get('timestep')) || 0;
+        }
+        
+        // Surveyed seabed: a URL, or { url, exaggeration, ... } for OceanEnvironment.loadBathymetry
+        if (typeof config.bathymetry === 'string') {
+            config.bathymetry = { url: config.bathymetry };
+        }
+        if (params.has('bathymetry')) {
+            config.bathymetry = { ...config.bathymetry, url: params.get('bathymetry') };
+        }
+        if (config.bathymetry && params.has('exaggeration')) {
+            config.bathymetry.exaggeration = parseFloat(params.get('exaggeration')) || 1;
+        }
+        
+        // Quiz length and time limit per question (seconds, 0 for none)
+        const quizQuestions = parseInt(params.get('quiz'), 10);
+        if (quizQuestions > 0) {
+            config.quiz = { ...config.quiz, questions: quizQuestions };
+        }
+        if (params.has('quiztime')) {
+            config.quiz = { ...config.quiz, timeLimit: parseFloat(params.get('quiztime')) || 0 };
+        }
+        
+        // Guided tour script for the stats panel button; ?lesson=<url> also plays it on load
+        if (params.has('lesson')) {
+            config.lesson = params.get('lesson');
+        }
+        
+        // A chosen seed only replays exactly if the simulation steps are frame-rate independent
+        if (config.seed !== undefined && config.fixedTimestep === undefined) {
+            config.fixedTimestep = 1 / 60;
+        }
+        
+        return config;
+    }
+    
     async init() {
         this.setupRenderer();
         this.setupScene();
@@ -56,8 +141,14 @@ class OceanForest {
         this.setupLights();
         this.setupControls();
         
+        await this.setupLanguage();
         await this.loadAssets();
+        await this.loadSpeciesCatalogue();
         
+        this.setupCurrents();
+        await this.setupSeabed();
+        this.setupInstancing();
+        this.setupLOD();
         this.createOceanFloor();
         this.createKelpForest();
         this.createOctopus();
@@ -69,15 +160,31 @@ class OceanForest {
         this.africanPenguins = [];
         this.greatWhiteSharks = [];
         this.capeReefFish = [];
-        this.seaUrchinFields = [];
-        this.seaAnemones = [];
+        this.createSeaUrchinFields();
+        this.createSeaAnemones();
         
         // Initialize education system
         this.education = new EducationSystem(this.scene, this.camera, this.canvas);
         this.registerClickableObjects();
         
+        this.setupSpeciesPlugins();
+        this.setupQuiz();
+        this.setupLessons();
+        
         this.setupPostProcessing();
         
+        this.setupDayNight();
+        
+        this.applyLinkedView();
+        
+        this.setupQualityGovernor();
+        
+        // ?fish=2000 starts with a large reef fish school
+        const schoolSize = parseInt(new URLSearchParams(window.location.search).get('fish'), 10);
+        if (schoolSize > 0) {
+            this.addCapeReefFishSchool(schoolSize);
+        }
+        
         // Initialize animal count display
         this.updateAnimalCounts();
         
@@ -86,6 +193,9 @@ class OceanForest {
             this.updateAnimalCounts();
         }, 2000);
         
+        // Controls added by the systems above carry data-i18n keys too
+        i18n.translatePage();
+        
         this.hideLoadingScreen();
         this.startRenderLoop();
     }
@@ -117,7 +227,8 @@ class OceanForest {
             uniforms: {
                 time: { value: 0 },
                 topColor: { value: new THREE.Color(0x001122) },
-                bottomColor: { value: new THREE.Color(0x002244) }
+                bottomColor: { value: new THREE.Color(0x002244) },
+                brightness: { value: 1 }
             },
             vertexShader: `
                 varying vec3 vWorldPosition;
@@ -130,6 +241,7 @@ class OceanForest {
             fragmentShader: `
                 uniform vec3 topColor;
                 uniform vec3 bottomColor;
+                uniform float brightness;
                 uniform float time;
                 varying vec3 vWorldPosition;
                 
@@ -137,7 +249,7 @@ class OceanForest {
                     float h = normalize(vWorldPosition + 250.0).y;
                     float ramp = max(pow(max(h, 0.0), 0.6), 0.0);
                     vec3 color = mix(bottomColor, topColor, ramp);
-                    gl_FragColor = vec4(color, 1.0);
+                    gl_FragColor = vec4(color * brightness, 1.0);
                 }
             `,
             side: THREE.BackSide
@@ -160,10 +272,10 @@ class OceanForest {
     
     setupLights() {
         // Ambient light
-        const ambientLight = new THREE.AmbientLight(0x404080, 0.4);
-        this.scene.add(ambientLight);
+        this.ambientLight = new THREE.AmbientLight(0x404080, 0.4);
+        this.scene.add(this.ambientLight);
         
-        // Main light source
+        // Main light source (the sun; UnderwaterLighting refracts and attenuates it)
         const directionalLight = new THREE.DirectionalLight(0x87ceeb, 0.8);
         directionalLight.position.set(50, 100, 50);
         directionalLight.castShadow = true;
@@ -176,21 +288,7 @@ class OceanForest {
         directionalLight.shadow.mapSize.width = 2048;
         directionalLight.shadow.mapSize.height = 2048;
         this.scene.add(directionalLight);
-        
-        // Caustic light effects
-        this.causticLights = [];
-        for (let i = 0; i < 8; i++) {
-            const light = new THREE.SpotLight(0x4fc3f7, 0.3, 50, Math.PI * 0.3, 0.5);
-            light.position.set(
-                (Math.random() - 0.5) * 100,
-                20 + Math.random() * 10,
-                (Math.random() - 0.5) * 100
-            );
-            light.target.position.set(light.position.x, -20, light.position.z);
-            this.scene.add(light);
-            this.scene.add(light.target);
-            this.causticLights.push(light);
-        }
+        this.sunLight = directionalLight;
     }
     
     setupControls() {
@@ -199,6 +297,14 @@ class OceanForest {
             this.keys[e.code] = true;
             this.audio.enableAudio();
             
+            if (e.code === 'KeyL' && this.lodSystem) {
+                this.lodSystem.toggleDebug();
+            }
+            
+            if (e.code === 'KeyC' && this.currentField) {
+                this.currentField.toggleDebug();
+            }
+            
             if (e.code === 'KeyM') {
                 this.mouseControl.enabled = !this.mouseControl.enabled;
                 const controlInfo = document.querySelector('.info');
@@ -268,15 +374,15 @@ class OceanForest {
         this.textureLoader = new THREE.TextureLoader();
         
         const tasks = [
-            'Loading kelp forest...',
-            'Creating octopus model...',
-            'Spawning Cape Fur Seals...',
-            'Adding African Penguins...',
-            'Introducing Great White Sharks...',
-            'Schooling Cape reef fish...',
-            'Placing sea urchins and anemones...',
-            'Optimizing marine ecosystem...',
-            'Preparing educational features...'
+            'loading.steps.kelp',
+            'loading.steps.octopus',
+            'loading.steps.seals',
+            'loading.steps.penguins',
+            'loading.steps.sharks',
+            'loading.steps.reefFish',
+            'loading.steps.seabed',
+            'loading.steps.ecosystem',
+            'loading.steps.education'
         ];
         
         if (window.THREE && window.THREE.GLTFLoader) {
@@ -287,7 +393,7 @@ class OceanForest {
         for (let i = 0; i < tasks.length; i++) {
             await new Promise(resolve => setTimeout(resolve, 350));
             loadingProgress.style.width = ((i + 1) / tasks.length) * 100 + '%';
-            document.querySelector('.loading-content p').textContent = tasks[i];
+            document.querySelector('.loading-content p').textContent = i18n.t(tasks[i]);
         }
     }
     
@@ -309,17 +415,93 @@ class OceanForest {
         this.createFloatingLabels();
     }
     
+    // Add counters and controls for every species plugin, including ones that load later
+    setupSpeciesPlugins() {
+        const SpeciesPluginSystem = window.moduleManager && window.moduleManager.getModule('SpeciesPluginSystem');
+        if (!SpeciesPluginSystem) return;
+        
+        this.speciesPlugins = new SpeciesPluginSystem(this);
+        window.moduleManager.onSpeciesReady((species, moduleName) => {
+            this.speciesPlugins.addSpecies(species, moduleName);
+        });
+    }
+    
     // Create ocean environment
     createOceanFloor() {
+        if (!this.oceanEnvironment) {
+            this.oceanEnvironment = new OceanEnvironment(this.scene);
+        }
+        return this.oceanEnvironment.createOceanFloor(this.seabed);
+    }
+    
+    // The seabed is built before anything is placed on it: imported from survey data when
+    // configured (?bathymetry=...), otherwise generated with rock platforms for the kelp holdfasts
+    async setupSeabed() {
         this.oceanEnvironment = new OceanEnvironment(this.scene);
-        return this.oceanEnvironment.createOceanFloor();
+        
+        const bathymetry = this.simulationConfig.bathymetry;
+        if (bathymetry && bathymetry.url) {
+            try {
+                this.seabed = await this.oceanEnvironment.loadBathymetry(bathymetry.url, bathymetry);
+                console.log(`🗺️ Seabed from ${bathymetry.url} (${this.seabed.metresPerUnit} m per unit, vertical exaggeration ${this.seabed.exaggeration}x)`);
+            } catch (error) {
+                console.warn('⚠️ Could not import the bathymetry, using a generated seabed:', error);
+            }
+        }
+        if (!this.seabed) {
+            this.seabed = new SeabedTerrain({ holdfasts: OceanEnvironment.KELP_POSITIONS });
+        }
+        
+        // Surveyed reefs get kelp wherever the depth rules allow it
+        this.kelpPositions = this.oceanEnvironment.getKelpPositions(this.seabed);
+    }
+    
+    // Height of the seabed under (x, z)
+    getSeabedHeight(x, z) {
+        return this.seabed ? this.seabed.getHeight(x, z) : OceanEnvironment.SEABED_Y;
+    }
+    
+    // One current field for kelp, particles and animals, created before anything samples it
+    // (?currents=debug, or the C key, shows it as arrows)
+    setupCurrents() {
+        this.currentField = new OceanCurrentField({ scene: this.scene });
+        if (new URLSearchParams(window.location.search).get('currents') === 'debug') {
+            this.currentField.setDebug(true);
+        }
+        this.currentField.createControls(document.getElementById('performance'));
+    }
+    
+    // Reef fish, kelp, urchins and anemones drawn with InstancedMesh
+    // (?instancing=off builds one mesh group per fish and kelp plant instead)
+    setupInstancing() {
+        if (new URLSearchParams(window.location.search).get('instancing') === 'off') return;
+        
+        try {
+            this.instancedLife = new InstancedMarineLife(this.scene, {
+                currentField: this.currentField,
+                terrain: this.seabed
+            });
+        } catch (error) {
+            console.warn('⚠️ Instanced rendering unavailable, using individual meshes:', error);
+        }
+    }
+    
+    // Detailed models switch to decimated meshes and impostors with distance
+    // (?lod=debug, or the L key, colours each model by its current level)
+    setupLOD() {
+        this.lodSystem = new LODSystem(this.scene, this.camera, this.renderer);
+        if (new URLSearchParams(window.location.search).get('lod') === 'debug') {
+            this.lodSystem.setDebug(true);
+        }
     }
     
     createKelpForest() {
         if (!this.oceanEnvironment) {
             this.oceanEnvironment = new OceanEnvironment(this.scene);
         }
-        this.kelpForest = this.oceanEnvironment.createKelpForest();
+        this.kelpForest = this.instancedLife ?
+            this.instancedLife.createKelpForest(this.kelpPositions) :
+            this.oceanEnvironment.createKelpForest(this.kelpPositions);
         this.bubbles = this.oceanEnvironment.createBubbleSystem();
         this.lightRays = this.oceanEnvironment.createLightRays();
         return this.kelpForest;
@@ -329,6 +511,7 @@ class OceanForest {
     createOctopus() {
         this.octopusModel = new OctopusModel(this.scene);
         this.octopus = this.octopusModel.createOctopus();
+        this.octopusModel.setTerrain(this.seabed);
         return this.octopus;
     }
     
@@ -373,39 +556,91 @@ class OceanForest {
     }
     
     createSeaUrchinFields() {
-        // Simplified sea urchin creation, main logic in other modules
+        // Instanced urchins are drawn by InstancedMarineLife; this array holds mesh-based ones
         this.seaUrchinFields = [];
+        if (this.instancedLife) {
+            this.instancedLife.createUrchinFields();
+        }
         return this.seaUrchinFields;
     }
     
     createSeaAnemones() {
-        // Simplified sea anemone creation, main logic in other modules
+        // Instanced anemones are drawn by InstancedMarineLife; this array holds mesh-based ones
         this.seaAnemones = [];
+        if (this.instancedLife) {
+            this.instancedLife.createAnemones();
+        }
         return this.seaAnemones;
     }
     
-    // Create floating labels
-    createFloatingLabels() {
-        const allSpecies = [
+    // Every free-swimming animal, including plugin species
+    getAllAnimals() {
+        return [
             ...this.capeFurSeals,
-            ...this.africanPenguins, 
+            ...this.africanPenguins,
             ...this.greatWhiteSharks,
-            ...this.capeReefFish
+            ...this.capeReefFish,
+            ...(this.speciesPlugins ? this.speciesPlugins.getAnimals() : [])
         ];
-        
+    }
+    
+    // Create floating labels
+    createFloatingLabels() {
         this.floatingLabels = new FloatingLabelsSystem(this.scene, this.camera);
-        this.floatingLabels.createFloatingLabels(allSpecies);
+        this.floatingLabels.createFloatingLabels(this.getAllAnimals());
     }
     
     // Setup post-processing
     setupPostProcessing() {
         this.renderEngine = new RenderEngine(this.renderer, this.scene, this.camera);
         this.renderEngine.setupPostProcessing();
+        this.setupUnderwaterLighting();
+        if (this.renderEngine.postProcessing) {
+            this.renderEngine.postProcessing.createControls(document.getElementById('performance'));
+        }
         
         // Optional: Initialize cinematic systems (if available)
         this.initOptionalSystems();
     }
     
+    // Depth colour shift, caustics and god rays set by water clarity
+    // (?clarity=0.3 starts with murky water, 1 is clear ocean)
+    setupUnderwaterLighting() {
+        const clarity = parseFloat(new URLSearchParams(window.location.search).get('clarity'));
+        this.underwaterLighting = new UnderwaterLighting(this.scene, {
+            sunLight: this.sunLight,
+            ambientLight: this.ambientLight,
+            lightRays: this.lightRays,
+            clarity: isNaN(clarity) ? undefined : clarity
+        });
+        if (this.renderEngine.postProcessing) {
+            this.underwaterLighting.attach(this.renderEngine.postProcessing);
+        }
+        this.underwaterLighting.createControls(document.getElementById('performance'));
+    }
+    
+    setWaterClarity(clarity) {
+        return this.underwaterLighting ? this.underwaterLighting.setClarity(clarity) : null;
+    }
+    
+    // Clock for sun, light, fog and diel behaviour
+    // (?time=dusk or ?time=21.5 sets the hour, ?timescale=0 stops the clock)
+    setupDayNight() {
+        const params = new URLSearchParams(window.location.search);
+        const timeScale = parseFloat(params.get('timescale'));
+        this.dayNight = new DayNightCycle(this, {
+            timeScale: isNaN(timeScale) ? undefined : timeScale
+        });
+        if (params.has('time')) {
+            this.dayNight.setTime(params.get('time'));
+        }
+        this.dayNight.createControls(document.getElementById('performance'));
+    }
+    
+    setTimeOfDay(time) {
+        return this.dayNight ? this.dayNight.setTime(time) : null;
+    }
+    
     // Start render loop
     startRenderLoop() {
         if (!this.renderEngine) {
@@ -423,7 +658,7 @@ class OceanForest {
         const Advanced3DModelSystem = moduleManager.getModule('Advanced3DModelSystem');
         if (Advanced3DModelSystem) {
             try {
-                this.advanced3DModels = new Advanced3DModelSystem(this.scene, this.camera, this.renderer);
+                this.advanced3DModels = new Advanced3DModelSystem(this.scene, this.camera, this.renderer, this.lodSystem);
                 this.generateEnhancedMarineModels();
                 console.log('✅ Advanced 3D model generation system enabled');
             } catch (error) {
@@ -447,6 +682,7 @@ class OceanForest {
         if (AdvancedParticleSystem) {
             try {
                 this.advancedParticles = new AdvancedParticleSystem(this.scene, this.camera);
+                this.advancedParticles.setCurrentField(this.currentField);
                 console.log('✅ Advanced particle system enabled');
             } catch (error) {
                 console.warn('⚠️ Advanced particle system initialization failed:', error);
@@ -459,12 +695,39 @@ class OceanForest {
             try {
                 this.marineLifeBehavior = new MarineLifeBehavior();
                 this.setupMarineLifeBehavior();
+                this.loadFoodWeb();
                 console.log('✅ Marine life behavior system enabled');
+                
+                // ?benchmark=behavior reports update time for large schools
+                if (new URLSearchParams(window.location.search).get('benchmark') === 'behavior') {
+                    setTimeout(() => MarineLifeBehavior.runBenchmark(), 1000);
+                }
+
+                // ?simulation=worker moves steering off the main thread
+                if (new URLSearchParams(window.location.search).get('simulation') === 'worker') {
+                    this.setBehaviorWorkerEnabled(true);
+                }
             } catch (error) {
                 console.warn('⚠️ Marine life behavior system initialization failed:', error);
             }
         }
         
+        // Initialize population dynamics (opt-in, needs the behavior system)
+        const PopulationDynamics = moduleManager.getModule('PopulationDynamics');
+        if (PopulationDynamics && this.marineLifeBehavior) {
+            try {
+                this.populationDynamics = new PopulationDynamics(this.marineLifeBehavior);
+                this.populationDynamics.onBirth = (parent, species) => this.spawnOffspring(parent, species);
+                this.populationDynamics.onDeath = (animal, cause) => this.handleNaturalDeath(animal, cause);
+                if (this.speciesPlugins) {
+                    this.speciesPlugins.applyToSystems();
+                }
+                console.log('✅ Population dynamics available (disabled until toggled)');
+            } catch (error) {
+                console.warn('⚠️ Population dynamics initialization failed:', error);
+            }
+        }
+        
         // Initialize cinematic camera system
         const CinematicCameraSystem = moduleManager.getModule('CinematicCameraSystem');
         if (CinematicCameraSystem) {
@@ -476,6 +739,14 @@ class OceanForest {
                 console.warn('⚠️ Cinematic camera system initialization failed:', error);
             }
         }
+        
+        // ?scene=<url> opens a prepared scene once the systems above exist
+        const sceneUrl = new URLSearchParams(window.location.search).get('scene');
+        if (sceneUrl) {
+            this.loadSceneFromUrl(sceneUrl)
+                .then(() => console.log(`✅ Scene loaded from ${sceneUrl}`))
+                .catch(error => console.warn('⚠️ Scene could not be loaded:', error));
+        }
     }
     
     // Generate enhanced marine models using 3D generation systems
@@ -558,10 +829,116 @@ class OceanForest {
         });
     }
     
+    // Interface language from ?lang=, config.language, the last choice or the browser; the
+    // switcher in the controls panel changes it, and every panel that builds its own text
+    // is refreshed here
+    async setupLanguage() {
+        await i18n.setLocale(I18n.detectLocale(this.simulationConfig));
+        i18n.bindSwitcher(document.getElementById('language-select'));
+        i18n.onChange(() => this.refreshLanguage());
+    }
+    
+    refreshLanguage() {
+        if (this.education) {
+            this.education.refreshLanguage();
+        }
+        if (this.floatingLabels) {
+            this.floatingLabels.refreshLabels();
+        }
+        this.updateFollowPanel();
+        if (this.qualityGovernor) {
+            this.qualityGovernor.updateIndicator();
+        }
+        if (this.underwaterLighting) {
+            this.underwaterLighting.updateControls();
+        }
+        if (this.renderEngine && this.renderEngine.postProcessing) {
+            this.renderEngine.postProcessing.refreshControls();
+        }
+        if (this.currentField) {
+            this.currentField.updateOverlay();
+        }
+        if (this.lodSystem) {
+            this.lodSystem.updateOverlay();
+        }
+        if (this.quiz) {
+            this.quiz.render();
+        }
+        if (this.lessonPlayer) {
+            this.lessonPlayer.render();
+        }
+    }
+    
+    // Click-to-answer quiz on the animals in the scene, started from the stats panel
+    setupQuiz() {
+        this.quiz = new QuizSystem(this, {
+            panel: document.getElementById('quiz-panel'),
+            toggle: document.getElementById('quiz-toggle')
+        }, this.simulationConfig.quiz);
+    }
+    
+    // Scripted guided tours; the lesson loads when first played
+    setupLessons() {
+        this.lessonPlayer = new LessonPlayer(this, {
+            panel: document.getElementById('lesson-panel'),
+            toggle: document.getElementById('lesson-toggle')
+        }, this.simulationConfig.lesson);
+        
+        if (new URLSearchParams(window.location.search).has('lesson')) {
+            this.lessonPlayer.play();
+        }
+    }
+    
+    // Species facts, names and photos for every model and the info panel, loaded before any
+    // animal is created; ?catalogue=<url> selects a lesson-specific file
+    async loadSpeciesCatalogue() {
+        const url = new URLSearchParams(window.location.search).get('catalogue') || undefined;
+        try {
+            await speciesCatalogue.load(url);
+        } catch (error) {
+            console.warn('⚠️ Species catalogue could not be loaded, the info panel shows names only:', error);
+        }
+    }
+    
+    // Load the who-eats-whom table; ?foodweb=<url> selects a lesson-specific file
+    async loadFoodWeb() {
+        const FoodWeb = window.moduleManager && window.moduleManager.getModule('FoodWeb');
+        if (!FoodWeb || !this.marineLifeBehavior) return;
+        
+        const url = new URLSearchParams(window.location.search).get('foodweb') || undefined;
+        try {
+            this.foodWeb = await new FoodWeb().load(url);
+            if (this.speciesPlugins) {
+                this.speciesPlugins.applyToSystems();
+            }
+            this.marineLifeBehavior.setFoodWeb(this.foodWeb);
+            console.log('✅ Food web enabled');
+        } catch (error) {
+            console.warn('⚠️ Food web could not be loaded, using built-in predation rules:', error);
+        }
+    }
+    
     // Setup marine life behavior
     setupMarineLifeBehavior() {
         if (!this.marineLifeBehavior) return;
         
+        // Predators that reach their prey remove it from the scene
+        this.marineLifeBehavior.onPredation = (predator, prey) => this.handlePredation(predator, prey);
+        
+        // Reef fish shelter in the kelp at night
+        this.marineLifeBehavior.setShelters(this.kelpPositions);
+        
+        // Animals are carried by the same surge that rocks the kelp
+        this.marineLifeBehavior.setCurrentField(this.currentField);
+        
+        // Steentjie keep to the real seabed and nothing swims through the reef
+        this.marineLifeBehavior.setTerrain(this.seabed);
+        
+        // Plugin species speeds must be known before their animals are registered
+        if (this.speciesPlugins) {
+            this.speciesPlugins.applyToSystems();
+        }
+        
         // Register fish behavior
         if (this.capeReefFish) {
             this.capeReefFish.forEach(fish => {
@@ -583,6 +960,233 @@ class OceanForest {
                 this.marineLifeBehavior.registerMarineLife(seal, 'territorial', 'Cape Fur Seal');
             });
         }
+        
+        // Register penguin behavior
+        if (this.africanPenguins) {
+            this.africanPenguins.forEach(penguin => {
+                this.marineLifeBehavior.registerMarineLife(penguin, 'schooling', 'African Penguin');
+            });
+        }
+        
+        // Register plugin species behavior
+        if (this.speciesPlugins) {
+            this.speciesPlugins.species.forEach(({ descriptor, animals }) => {
+                animals.forEach(animal => {
+                    this.marineLifeBehavior.registerMarineLife(animal, descriptor.behavior, descriptor.englishName);
+                });
+            });
+        }
+    }
+    
+    // Register a newly added animal with the behavior system (if enabled)
+    registerMarineLifeBehavior(animal, behaviorType, species) {
+        if (this.marineLifeBehavior) {
+            this.marineLifeBehavior.registerMarineLife(animal, behaviorType, species);
+        }
+    }
+    
+    // Remove prey that was caught by a predator, using the regular removal path
+    handlePredation(predator, prey) {
+        const predatorName = predator === this.octopus ? 'Octopus' :
+            (predator.userData.species ? predator.userData.species.englishName : 'Predator');
+        const preyName = prey.userData.species ? prey.userData.species.englishName : 'prey';
+        
+        const removed = this.removeMarineAnimal(prey);
+        if (removed) {
+            console.log(`🍽️ ${predatorName} caught a ${preyName}`);
+        }
+        return removed;
+    }
+    
+    // Remove an animal that died of old age or starvation (population mode)
+    handleNaturalDeath(animal, cause) {
+        const name = animal.userData.species ? animal.userData.species.englishName : 'animal';
+        
+        const removed = this.removeMarineAnimal(animal);
+        if (removed) {
+            console.log(`🪦 A ${name} died of ${cause}`);
+        }
+        return removed;
+    }
+    
+    // Remove a specific animal through its species' remove method
+    removeMarineAnimal(animal) {
+        if (this.capeReefFish.includes(animal)) {
+            return this.removeCapeReefFish(animal);
+        } else if (this.capeFurSeals.includes(animal)) {
+            return this.removeCapeFurSeal(animal);
+        } else if (this.africanPenguins.includes(animal)) {
+            return this.removeAfricanPenguin(animal);
+        } else if (this.greatWhiteSharks.includes(animal)) {
+            return this.removeGreatWhiteShark(animal);
+        } else if (this.speciesPlugins && this.speciesPlugins.owns(animal)) {
+            return this.speciesPlugins.removeAnimal(animal);
+        }
+        return false;
+    }
+    
+    // Add one animal of a species, by English name, through its regular add path
+    addSpeciesByName(species) {
+        switch (species) {
+            case 'Cape Fur Seal':
+                return this.addCapeFurSeal() || null;
+            case 'African Penguin':
+                return this.addAfricanPenguin() || null;
+            case 'Great White Shark':
+                return this.addGreatWhiteShark() || null;
+        }
+        if (this.speciesPlugins && this.speciesPlugins.hasSpecies(species)) {
+            return this.speciesPlugins.add(species);
+        }
+        if (OceanForest.CAPE_REEF_FISH_TYPES.some(type => type.englishName === species)) {
+            return this.addCapeReefFish(species);
+        }
+        return null;
+    }
+    
+    // Create a newborn of the parent's species through the regular add path
+    spawnOffspring(parent, species) {
+        const child = this.addSpeciesByName(species);
+        if (child && this.capeReefFish.includes(child)) {
+            // Skip the spawn-in transition and stay with the parent's school
+            child.userData.isNewlySpawned = false;
+            if (parent.userData.targetPosition) {
+                child.userData.targetPosition = parent.userData.targetPosition.clone();
+            }
+        }
+        return child;
+    }
+    
+    // Turn population mode (births, ageing, natural death) on or off
+    setPopulationMode(enabled) {
+        if (!this.populationDynamics) {
+            console.warn('⚠️ Population dynamics not available');
+            return false;
+        }
+        this.populationDynamics.setEnabled(enabled);
+        return true;
+    }
+    
+    togglePopulationMode() {
+        const enabled = !(this.populationDynamics && this.populationDynamics.enabled);
+        return this.setPopulationMode(enabled) ? enabled : false;
+    }
+    
+    // Run the behavior simulation in a Web Worker (falls back to the main thread on failure)
+    setBehaviorWorkerEnabled(enabled) {
+        if (!enabled) {
+            if (this.behaviorWorker) {
+                this.behaviorWorker.stop();
+                this.behaviorWorker = null;
+                console.log('🧵 Behavior simulation back on the main thread');
+            }
+            return true;
+        }
+
+        // Worker steps arrive asynchronously, so they cannot replay a seed exactly
+        if (this.simulationConfig.fixedTimestep) {
+            console.warn('⚠️ Behavior worker is disabled in fixed-timestep (seeded) mode');
+            return false;
+        }
+
+        const BehaviorWorkerBridge = moduleManager.getModule('BehaviorWorkerBridge');
+        if (!BehaviorWorkerBridge || !this.marineLifeBehavior) {
+            console.warn('⚠️ Behavior worker not available');
+            return false;
+        }
+
+        if (!this.behaviorWorker) {
+            this.behaviorWorker = new BehaviorWorkerBridge(this.marineLifeBehavior);
+            this.behaviorWorker.onError = () => this.behaviorWorker = null;
+        }
+        if (!this.behaviorWorker.start()) {
+            this.behaviorWorker = null;
+            return false;
+        }
+        return true;
+    }
+
+    // Rebuild the scene and camera view described by a shared link
+    applyLinkedView() {
+        if (!this.linkedView) return;
+        
+        const shareableView = new ShareableView(this);
+        shareableView.applyCounts(this.linkedView);
+        shareableView.applyStep(this.linkedView);
+        shareableView.applyView(this.linkedView);
+        console.log('🔗 Opened shared view', this.linkedView);
+    }
+    
+    // Adaptive quality: ?quality=minimal|low|medium|high fixes a tier, otherwise
+    // the governor starts at the top and steps down on slow machines
+    setupQualityGovernor() {
+        if (!this.renderEngine) return;
+        
+        this.qualityGovernor = new AdaptiveQualityGovernor(this.renderEngine, this);
+        this.renderEngine.qualityGovernor = this.qualityGovernor;
+        
+        const quality = new URLSearchParams(window.location.search).get('quality');
+        if (!quality || !this.qualityGovernor.setTier(quality, { manual: true })) {
+            this.qualityGovernor.apply();
+        }
+    }
+    
+    // Step the quality tier by hand (switches automatic quality off)
+    stepQuality(direction) {
+        return this.qualityGovernor ? this.qualityGovernor.stepTier(direction) : false;
+    }
+    
+    toggleAutoQuality() {
+        if (!this.qualityGovernor) return false;
+        this.qualityGovernor.setAuto(!this.qualityGovernor.auto);
+        return this.qualityGovernor.auto;
+    }
+    
+    // Link (URL with #hash) that reopens the current seed, counts, camera view and info panel
+    getShareLink() {
+        return new ShareableView(this).createLink();
+    }
+    
+    // Full scene state (animals, behaviour, octopus, camera, environment) as plain JSON
+    serialize() {
+        const SceneSerializer = moduleManager.getModule('SceneSerializer');
+        return new SceneSerializer(this).serialize();
+    }
+    
+    // Replace the current scene with one produced by serialize()
+    deserialize(state) {
+        const SceneSerializer = moduleManager.getModule('SceneSerializer');
+        return new SceneSerializer(this).deserialize(state);
+    }
+    
+    // Download the current scene as a .oceanscene.json file
+    downloadScene(filename) {
+        const SceneSerializer = moduleManager.getModule('SceneSerializer');
+        SceneSerializer.download(this.serialize(), filename);
+    }
+    
+    // Load a .oceanscene.json file chosen by the user
+    async loadSceneFile(file) {
+        const SceneSerializer = moduleManager.getModule('SceneSerializer');
+        return this.deserialize(await SceneSerializer.readFile(file));
+    }
+    
+    // Load a prepared scene from a URL, e.g. ?scene=assets/scenes/lesson.oceanscene.json
+    async loadSceneFromUrl(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Scene request failed (${response.status}): ${url}`);
+        }
+        return this.deserialize(await response.json());
+    }
+    
+    // Remove a specific animal from its species array, or the most recent one
+    takeAnimal(animals, animal) {
+        if (animal === undefined) {
+            return animals.pop();
+        }
+        const index = animals.indexOf(animal);
+        return index !== -1 ? animals.splice(index, 1)[0] : undefined;
     }
     
     // Update UI display of animal counts
@@ -607,6 +1211,10 @@ class OceanForest {
             updateElement('penguin-count', penguinCount);
             updateElement('shark-count', sharkCount);
             
+            if (this.speciesPlugins) {
+                this.speciesPlugins.updateCounters();
+            }
+            
         } catch (error) {
             console.warn('⚠️ Animal count update failed:', error);
         }
@@ -619,7 +1227,14 @@ class OceanForest {
         }
         const newSeal = this.marineAnimals.createSingleCapeFurSeal();
         if (newSeal) {
+            newSeal.position.set(
+                (oceanRandom.random() - 0.5) * 80,
+                -15 + oceanRandom.random() * 8,
+                (oceanRandom.random() - 0.5) * 80
+            );
+            this.scene.add(newSeal);
             this.capeFurSeals.push(newSeal);
+            this.registerMarineLifeBehavior(newSeal, 'territorial', 'Cape Fur Seal');
             if (this.education) {
                 this.education.registerClickableObject(newSeal);
             }
@@ -628,9 +1243,12 @@ class OceanForest {
         }
     }
     
-    removeCapeFurSeal() {
-        if (this.capeFurSeals.length > 0) {
-            const seal = this.capeFurSeals.pop();
+    removeCapeFurSeal(seal) {
+        seal = this.takeAnimal(this.capeFurSeals, seal);
+        if (seal) {
+            if (this.marineLifeBehavior) {
+                this.marineLifeBehavior.unregisterMarineLife(seal);
+            }
             this.scene.remove(seal);
             this.updateAnimalCounts();
             return true;
@@ -644,7 +1262,14 @@ class OceanForest {
         }
         const newPenguin = this.marineAnimals.createSingleAfricanPenguin();
         if (newPenguin) {
+            newPenguin.position.set(
+                (oceanRandom.random() - 0.5) * 60,
+                -12 + oceanRandom.random() * 6,
+                (oceanRandom.random() - 0.5) * 60
+            );
+            this.scene.add(newPenguin);
             this.africanPenguins.push(newPenguin);
+            this.registerMarineLifeBehavior(newPenguin, 'schooling', 'African Penguin');
             if (this.education) {
                 this.education.registerClickableObject(newPenguin);
             }
@@ -653,9 +1278,12 @@ class OceanForest {
         }
     }
     
-    removeAfricanPenguin() {
-        if (this.africanPenguins.length > 0) {
-            const penguin = this.africanPenguins.pop();
+    removeAfricanPenguin(penguin) {
+        penguin = this.takeAnimal(this.africanPenguins, penguin);
+        if (penguin) {
+            if (this.marineLifeBehavior) {
+                this.marineLifeBehavior.unregisterMarineLife(penguin);
+            }
             this.scene.remove(penguin);
             this.updateAnimalCounts();
             return true;
@@ -671,6 +1299,7 @@ class OceanForest {
         if (newShark) {
             this.scene.add(newShark);
             this.greatWhiteSharks.push(newShark);
+            this.registerMarineLifeBehavior(newShark, 'hunting', 'Great White Shark');
             if (this.education) {
                 this.education.registerClickableObject(newShark);
             }
@@ -679,9 +1308,12 @@ class OceanForest {
         }
     }
     
-    removeGreatWhiteShark() {
-        if (this.greatWhiteSharks.length > 0) {
-            const shark = this.greatWhiteSharks.pop();
+    removeGreatWhiteShark(shark) {
+        shark = this.takeAnimal(this.greatWhiteSharks, shark);
+        if (shark) {
+            if (this.marineLifeBehavior) {
+                this.marineLifeBehavior.unregisterMarineLife(shark);
+            }
             this.scene.remove(shark);
             this.updateAnimalCounts();
             return true;
@@ -689,120 +1321,15 @@ class OceanForest {
         return false;
     }
     
-    addCapeReefFish() {
+    addCapeReefFish(speciesName) {
         try {
             console.log('🐟 OceanForest: Adding Cape reef fish...');
             
             // Use the working manual fish creation method
-            const fishTypes = [
-                { name: "黄尾鰤鱼", englishName: "Yellowtail", 
-                  bodyColor: 0xc0c0c0, finColor: 0xffd700 },
-                { name: "霍屯督鱼", englishName: "Hottentot", 
-                  bodyColor: 0xa0a0a0, finColor: 0x808080 },
-                { name: "石头鱼", englishName: "Steentjie", 
-                  bodyColor: 0x8b4513, finColor: 0x654321 }
-            ];
-            
-            const fishType = fishTypes[Math.floor(Math.random() * fishTypes.length)];
+            const fishType = this.getCapeReefFishType(speciesName);
             console.log('🎲 Creating fish type:', fishType.englishName);
             
-            // Create fish using the proven working method
-            const group = new THREE.Group();
-            
-            // Simple body
-            const bodyGeometry = new THREE.SphereGeometry(0.5, 8, 6);
-            bodyGeometry.scale(2, 1, 0.8);
-            
-            const bodyMaterial = new THREE.MeshPhongMaterial({
-                color: fishType.bodyColor,
-                shininess: 30
-            });
-            
-            const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-            body.castShadow = true;
-            group.add(body);
-            
-            // Simple tail
-            const tailGeometry = new THREE.ConeGeometry(0.3, 0.8, 6);
-            const tailMaterial = new THREE.MeshPhongMaterial({
-                color: fishType.finColor
-            });
-            
-            const tail = new THREE.Mesh(tailGeometry, tailMaterial);
-            tail.position.x = -1.0;
-            tail.rotation.z = Math.PI / 2;
-            group.add(tail);
-            
-            // Simple eyes
-            const eyeGeometry = new THREE.SphereGeometry(0.1, 6, 4);
-            const eyeMaterial = new THREE.MeshPhongMaterial({ color: 0x000000 });
-            
-            const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-            leftEye.position.set(0.4, 0.2, 0.3);
-            group.add(leftEye);
-            
-            const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-            rightEye.position.set(0.4, 0.2, -0.3);
-            group.add(rightEye);
-            
-            // Add species data with correct profile pictures
-            const profilePhotos = {
-                'Yellowtail': 'assets/profiles/Yellowtail_profile.png',
-                'Hottentot': 'assets/profiles/hottentot_profile.webp',
-                'Steentjie': 'assets/profiles/Steentjie_profile.png'
-            };
-            
-            const fishFacts = {
-                'Yellowtail': [
-                    "Fast swimming predator fish",
-                    "Silver body with distinctive yellow tail fin", 
-                    "Can grow up to 1 meter in length",
-                    "Found in kelp forests and open waters"
-                ],
-                'Hottentot': [
-                    "Beautiful blue-gray striped reef fish",
-                    "Endemic to South African waters",
-                    "Feeds on small crustaceans and algae",
-                    "Common in rocky reef environments"
-                ],
-                'Steentjie': [
-                    "Small bottom-dwelling reef fish",
-                    "Brown camouflage coloring for protection",
-                    "Hides among rocks and kelp",
-                    "Feeds primarily on algae"
-                ]
-            };
-            
-            group.userData.species = {
-                name: fishType.name,
-                englishName: fishType.englishName,
-                photo: profilePhotos[fishType.englishName] || "assets/profiles/default_fish.png",
-                facts: fishFacts[fishType.englishName] || ["Beautiful South African reef fish"]
-            };
-            
-            // Swimming behavior data for natural movement
-            group.userData.swimPattern = Math.random() * Math.PI * 2;
-            group.userData.schoolSpeed = 0.015 + Math.random() * 0.01; // Gentle swimming speed
-            group.userData.targetPosition = new THREE.Vector3(
-                (Math.random() - 0.5) * 50, // Random target X
-                -8 + Math.random() * 6,     // Target depth
-                (Math.random() - 0.5) * 50  // Random target Z
-            );
-            group.userData.spawnTime = Date.now();
-            group.userData.isNewlySpawned = true;
-            group.userData.isFollowed = false;
-            group.userData.fishId = 'fish_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-            
-            // Start fish in center of screen (visible to camera)
-            group.position.set(0, -2, 5); // In front of camera for immediate visibility
-            
-            // Add to scene and track
-            this.scene.add(group);
-            this.capeReefFish.push(group);
-            
-            if (this.education) {
-                this.education.registerClickableObject(group);
-            }
+            const group = this.spawnCapeReefFish(fishType);
             
             this.updateAnimalCounts();
             this.updateFollowPanel();
@@ -817,9 +1344,109 @@ class OceanForest {
         }
     }
     
-    removeCapeReefFish() {
-        if (this.capeReefFish.length > 0) {
-            const fish = this.capeReefFish.pop();
+    // Add many reef fish at once (counters and follow panel are updated once at the end)
+    addCapeReefFishSchool(count, speciesName) {
+        for (let i = 0; i < count; i++) {
+            this.spawnCapeReefFish(this.getCapeReefFishType(speciesName));
+        }
+        
+        this.updateAnimalCounts();
+        this.updateFollowPanel();
+        console.log(`🐟 Added a school of ${count} reef fish (total ${this.capeReefFish.length})`);
+    }
+    
+    // The named reef fish type, or a random one
+    getCapeReefFishType(speciesName) {
+        const fishTypes = OceanForest.CAPE_REEF_FISH_TYPES;
+        return fishTypes.find(type => type.englishName === speciesName) ||
+            fishTypes[Math.floor(oceanRandom.random() * fishTypes.length)];
+    }
+    
+    // Create, place and register one reef fish
+    spawnCapeReefFish(fishType) {
+        // Instanced fish are drawn by their species' InstancedMesh
+        const group = this.instancedLife ? this.instancedLife.createFish(fishType) : this.createReefFishMesh(fishType);
+        
+        // Education data from the species catalogue
+        group.userData.species = speciesCatalogue.describe(fishType.englishName);
+        
+        // Swimming behavior data for natural movement
+        group.userData.swimPattern = oceanRandom.random() * Math.PI * 2;
+        group.userData.schoolSpeed = 0.015 + oceanRandom.random() * 0.01; // Gentle swimming speed
+        group.userData.targetPosition = new THREE.Vector3(
+            (oceanRandom.random() - 0.5) * 50, // Random target X
+            -8 + oceanRandom.random() * 6,     // Target depth
+            (oceanRandom.random() - 0.5) * 50  // Random target Z
+        );
+        group.userData.spawnTime = Date.now();
+        group.userData.isNewlySpawned = true;
+        group.userData.isFollowed = false;
+        group.userData.fishId = 'fish_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        
+        // Start fish in center of screen (visible to camera)
+        group.position.set(0, -2, 5); // In front of camera for immediate visibility
+        
+        // Add to scene and track
+        this.scene.add(group);
+        this.capeReefFish.push(group);
+        this.registerMarineLifeBehavior(group, 'schooling', fishType.englishName);
+        
+        if (this.education) {
+            this.education.registerClickableObject(group);
+        }
+        
+        return group;
+    }
+    
+    // One mesh group per fish (used when instancing is off)
+    createReefFishMesh(fishType) {
+        const group = new THREE.Group();
+        
+        // Simple body
+        const bodyGeometry = new THREE.SphereGeometry(0.5, 8, 6);
+        bodyGeometry.scale(2, 1, 0.8);
+        
+        const bodyMaterial = new THREE.MeshPhongMaterial({
+            color: fishType.bodyColor,
+            shininess: 30
+        });
+        
+        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+        body.castShadow = true;
+        group.add(body);
+        
+        // Simple tail
+        const tailGeometry = new THREE.ConeGeometry(0.3, 0.8, 6);
+        const tailMaterial = new THREE.MeshPhongMaterial({
+            color: fishType.finColor
+        });
+        
+        const tail = new THREE.Mesh(tailGeometry, tailMaterial);
+        tail.position.x = -1.0;
+        tail.rotation.z = Math.PI / 2;
+        group.add(tail);
+        
+        // Simple eyes
+        const eyeGeometry = new THREE.SphereGeometry(0.1, 6, 4);
+        const eyeMaterial = new THREE.MeshPhongMaterial({ color: 0x000000 });
+        
+        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+        leftEye.position.set(0.4, 0.2, 0.3);
+        group.add(leftEye);
+        
+        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+        rightEye.position.set(0.4, 0.2, -0.3);
+        group.add(rightEye);
+        
+        return group;
+    }
+    
+    removeCapeReefFish(fish) {
+        fish = this.takeAnimal(this.capeReefFish, fish);
+        if (fish) {
+            if (this.marineLifeBehavior) {
+                this.marineLifeBehavior.unregisterMarineLife(fish);
+            }
             
             // Clear follow target if we're removing the followed fish
             if (this.followTarget === fish) {
@@ -878,7 +1505,7 @@ class OceanForest {
             fish.userData.swimTime = 0;
             fish.userData.behaviorState = 'exploring';
             fish.userData.stateTimer = 0;
-            fish.userData.patrolAngle = Math.random() * Math.PI * 2;
+            fish.userData.patrolAngle = this.motionRandom.random() * Math.PI * 2;
             fish.userData.isBeingFollowed = false;
             fish.userData.lastValidPosition = fish.position.clone();
         }
@@ -927,8 +1554,11 @@ class OceanForest {
         // Keep fish within scene bounds
         const bounds = 35;
         fish.position.x = Math.max(-bounds, Math.min(bounds, fish.position.x));
-        fish.position.y = Math.max(-18, Math.min(-2, fish.position.y));
         fish.position.z = Math.max(-bounds, Math.min(bounds, fish.position.z));
+        // Steentjie may go down to the seabed; the others stay in mid-water above the reef
+        const floor = this.getSeabedHeight(fish.position.x, fish.position.z);
+        const minY = speciesName === 'Steentjie' ? floor + 1 : Math.max(-18, floor + 2);
+        fish.position.y = Math.max(minY, Math.min(-2, fish.position.y));
         
         // Store current position as last valid position
         fish.userData.lastValidPosition = fish.position.clone();
@@ -939,16 +1569,16 @@ class OceanForest {
         const time = fish.userData.swimTime * 1.5; // Natural speed
         
         // Change behavior state every 8-12 seconds for more natural transitions
-        if (fish.userData.stateTimer > 8 + Math.random() * 4) {
+        if (fish.userData.stateTimer > 8 + this.motionRandom.random() * 4) {
             const behaviors = ['cruising', 'burst_swimming', 'searching'];
-            fish.userData.behaviorState = behaviors[Math.floor(Math.random() * behaviors.length)];
+            fish.userData.behaviorState = behaviors[Math.floor(this.motionRandom.random() * behaviors.length)];
             fish.userData.stateTimer = 0;
             
             // Set new target direction for natural swimming
             if (!fish.userData.swimDirection) {
-                fish.userData.swimDirection = Math.random() * Math.PI * 2;
+                fish.userData.swimDirection = this.motionRandom.random() * Math.PI * 2;
             }
-            fish.userData.swimDirection += (Math.random() - 0.5) * Math.PI * 0.5; // Gradual direction changes
+            fish.userData.swimDirection += (this.motionRandom.random() - 0.5) * Math.PI * 0.5; // Gradual direction changes
         }
         
         switch(fish.userData.behaviorState) {
@@ -991,9 +1621,9 @@ class OceanForest {
         const time = fish.userData.swimTime * 0.8; // Slower movement
         
         // Change behavior every 8-15 seconds (more sedentary)
-        if (fish.userData.stateTimer > 8 + Math.random() * 7) {
+        if (fish.userData.stateTimer > 8 + this.motionRandom.random() * 7) {
             const behaviors = ['hiding', 'cautious_foraging', 'territory_defense'];
-            fish.userData.behaviorState = behaviors[Math.floor(Math.random() * behaviors.length)];
+            fish.userData.behaviorState = behaviors[Math.floor(this.motionRandom.random() * behaviors.length)];
             fish.userData.stateTimer = 0;
         }
         
@@ -1028,11 +1658,13 @@ class OceanForest {
     // Steentjie: Territorial bottom fish with seasonal spawning displays
     updateSteentjieBehavior(fish, basePos, deltaTime) {
         const time = fish.userData.swimTime;
+        // They keep close to the seabed under them rather than the spawn target's depth
+        basePos = { x: basePos.x, y: this.getSeabedHeight(fish.position.x, fish.position.z) + 2.5, z: basePos.z };
         
         // Change behavior every 7-12 seconds
-        if (fish.userData.stateTimer > 7 + Math.random() * 5) {
+        if (fish.userData.stateTimer > 7 + this.motionRandom.random() * 5) {
             const behaviors = ['territorial_patrol', 'spawning_display', 'resting'];
-            fish.userData.behaviorState = behaviors[Math.floor(Math.random() * behaviors.length)];
+            fish.userData.behaviorState = behaviors[Math.floor(this.motionRandom.random() * behaviors.length)];
             fish.userData.stateTimer = 0;
         }
         
@@ -1113,7 +1745,8 @@ class OceanForest {
             this.capeReefFish.forEach((fish, index) => {
                 const button = document.createElement('button');
                 button.className = 'follow-fish-btn';
-                button.textContent = `🐟 ${fish.userData.species.englishName} #${index + 1}`;
+                const name = this.getSpeciesName(fish);
+                button.textContent = i18n.t('follow.button', { name, number: index + 1 });
                 
                 // Add multiple event handlers for debugging
                 button.onclick = (event) => {
@@ -1141,7 +1774,7 @@ class OceanForest {
                 
                 if (this.followTarget === fish) {
                     button.classList.add('active');
-                    button.textContent = `🎯 Following ${fish.userData.species.englishName} #${index + 1}`;
+                    button.textContent = i18n.t('follow.following', { name, number: index + 1 });
                 }
                 
                 console.log('✅ Created follow button for:', fish.userData.species.englishName);
@@ -1150,6 +1783,11 @@ class OceanForest {
         }
     }
     
+    // Common name of an animal's species in the interface language
+    getSpeciesName(animal) {
+        return speciesCatalogue.getCommonName(animal.userData.species.englishName, i18n.locale);
+    }
+    
     // Toggle fish following from UI button
     toggleFishFollowFromUI(fish) {
         console.log('🔘 Follow button clicked!');
@@ -1166,13 +1804,12 @@ class OceanForest {
         if (this.followTarget === fish) {
             this.followTarget = null;
             console.log('🛑 Stopped following fish');
-            alert('🛑 Stopped following fish');
+            alert(i18n.t('follow.stopped', { name: this.getSpeciesName(fish) }));
         } else {
             this.followTarget = fish;
             fish.userData.isFollowed = true;
-            const fishName = fish.userData.species.englishName;
-            console.log('🎯 Now following:', fishName);
-            alert('🎯 Now following: ' + fishName + '!\nWatch the octopus move toward the fish.');
+            console.log('🎯 Now following:', fish.userData.species.englishName);
+            alert(i18n.t('follow.started', { name: this.getSpeciesName(fish) }));
         }
         
         // Debug current state
@@ -1188,15 +1825,15 @@ class OceanForest {
     stopFollowingAll() {
         console.log('🔘 Stop Following button clicked!');
         if (this.followTarget) {
-            const fishName = this.followTarget.userData.species.englishName;
+            const fishName = this.getSpeciesName(this.followTarget);
             this.followTarget.userData.isFollowed = false;
             this.followTarget = null;
             console.log('🛑 Stopped following all fish');
-            alert('🛑 Stopped following ' + fishName);
+            alert(i18n.t('follow.stopped', { name: fishName }));
             this.updateFollowPanel();
         } else {
             console.log('ℹ️ No fish was being followed');
-            alert('ℹ️ No fish is currently being followed');
+            alert(i18n.t('follow.none'));
         }
     }
     
@@ -1243,12 +1880,52 @@ class OceanForest {
             
             // Keep octopus within scene bounds
             this.octopusPosition.x = Math.max(-40, Math.min(40, this.octopusPosition.x));
-            this.octopusPosition.y = Math.max(-20, Math.min(10, this.octopusPosition.y));
             this.octopusPosition.z = Math.max(-40, Math.min(40, this.octopusPosition.z));
+            const floor = this.octopusModel ? this.octopusModel.getMinHeight(this.octopusPosition.x, this.octopusPosition.z) : -20;
+            this.octopusPosition.y = Math.max(-20, floor, Math.min(10, this.octopusPosition.y));
         }
     }
 }
-// Register main application module
+
+// Reef fish created by addCapeReefFish
+OceanForest.CAPE_REEF_FISH_TYPES = [
+    { name: "黄尾鰤鱼", englishName: "Yellowtail", 
+      bodyColor: 0xc0c0c0, finColor: 0xffd700 },
+    { name: "霍屯督鱼", englishName: "Hottentot", 
+      bodyColor: 0xa0a0a0, finColor: 0x808080 },
+    { name: "石头鱼", englishName: "Steentjie", 
+      bodyColor: 0x8b4513, finColor: 0x654321 }
+];
+
+// Register main application module; the app starts once these are initialized
 if (window.moduleManager) {
-    window.moduleManager.registerModule('OceanForest', OceanForest);
+    window.moduleManager.registerModule('OceanForest', OceanForest, {
+        dependencies: [
+            'SeededRandom',
+            'OceanEnvironment',
+            'OctopusModel',
+            'MarineAnimals',
+            'SharksAndFish',
+            'I18n',
+            'SpeciesInfoPanel',
+            'EducationSystem',
+            'QuizSystem',
+            'LessonPlayer',
+            'FloatingLabelsSystem',
+            'OceanAudio',
+            'RenderEngine',
+            'PostProcessingPipeline',
+            'UnderwaterLighting',
+            'DayNightCycle',
+            'OceanCurrentField',
+            'SeabedTerrain',
+            'BathymetryLoader',
+            'SpeciesCatalogue',
+            'AdaptiveQualityGovernor',
+            'InstancedMarineLife',
+            'LODSystem',
+            'SceneSerializer',
+            'ShareableView'
+        ]
+    });
 }
\ No newline at end of file
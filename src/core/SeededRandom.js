@@ -0,0 +1,69 @@
+// 种子随机数 - 可复现的场景与行为
+// Seeded Random - Reproducible layouts and behaviour (mulberry32)
+//
+// Drop-in replacement for Math.random(): `oceanRandom.random()`.
+// Systems that run every frame take their own stream via derive(), so spawning
+// an animal from the UI does not shift the numbers the simulation sees.
+
+class SeededRandom {
+    constructor(seed) {
+        this.setSeed(seed !== undefined ? seed : SeededRandom.randomSeed());
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 0xFFFFFFFF);
+    }
+
+    // Strings are hashed so `?seed=kelp-lesson` works as well as `?seed=42`
+    static hashSeed(seed) {
+        if (typeof seed === 'string' && /^\d+$/.test(seed)) {
+            seed = Number(seed);
+        }
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+
+        const text = String(seed);
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    setSeed(seed) {
+        this.seed = seed;
+        this.state = SeededRandom.hashSeed(seed);
+    }
+
+    // Uniform float in [0, 1)
+    random() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.random() * (max - min);
+    }
+
+    pick(array) {
+        return array[Math.floor(this.random() * array.length)];
+    }
+
+    // Independent stream for one subsystem, stable for a given seed and label
+    derive(label) {
+        return new SeededRandom(`${this.seed}:${label}`);
+    }
+}
+
+// Shared generator; OceanForest reseeds it from ?seed= or window.oceanForestConfig
+window.oceanRandom = new SeededRandom();
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('SeededRandom', SeededRandom);
+}
@@ -20,20 +20,20 @@ class MarineAnimals {
             
             // 随机位置
             seal.position.set(
-                (Math.random() - 0.5) * 80,
-                -15 + Math.random() * 8,
-                (Math.random() - 0.5) * 80
+                (oceanRandom.random() - 0.5) * 80,
+                -15 + oceanRandom.random() * 8,
+                (oceanRandom.random() - 0.5) * 80
             );
             
             // 随机方向
-            seal.rotation.y = Math.random() * Math.PI * 2;
+            seal.rotation.y = oceanRandom.random() * Math.PI * 2;
             
             // 游泳动画属性
-            seal.userData.swimSpeed = 0.005 + Math.random() * 0.003; // 进一步降低海豹速度
+            seal.userData.swimSpeed = 0.005 + oceanRandom.random() * 0.003; // 进一步降低海豹速度
             seal.userData.swimDirection = new THREE.Vector3(
-                (Math.random() - 0.5) * 2,
+                (oceanRandom.random() - 0.5) * 2,
                 0,
-                (Math.random() - 0.5) * 2
+                (oceanRandom.random() - 0.5) * 2
             ).normalize();
             // 原始Y位置将在第一次更新时设置
             
@@ -104,19 +104,8 @@ class MarineAnimals {
         tail.castShadow = true;
         group.add(tail);
         
-        // 教育标签数据
-        group.userData.species = {
-            name: "南非海狗",
-            englishName: "Cape Fur Seal",
-            photo: "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjIwMCIgdmlld0JveD0iMCAwIDMwMCAyMDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIzMDAiIGhlaWdodD0iMjAwIiBmaWxsPSIjMDA0NDY2Ii8+Cjx0ZXh0IHg9IjE1MCIgeT0iMTAwIiBmaWxsPSIjODdDRUVCIiB0ZXh0LWFuY2hvcj0ibWlkZGxlIiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMTQiPkNhcGUgRnVyIFNlYWw8L3RleHQ+CjxjaXJjbGUgY3g9IjE1MCIgY3k9IjEyMCIgcj0iMjAiIGZpbGw9IiM2NjVBNDgiLz4KPC9zdmc+",
-            facts: [
-                "体长可达2.5米 / Body length up to 2.5 meters",
-                "擅长游泳和潜水 / Excellent swimmers and divers", 
-                "群居动物 / Social animals living in colonies",
-                "以鱼类为食 / Feed primarily on fish",
-                "寿命可达25年 / Lifespan up to 25 years"
-            ]
-        };
+        // 教育标签数据（来自物种目录）
+        group.userData.species = speciesCatalogue.describe('Cape Fur Seal');
         
         return group;
     }
@@ -179,17 +168,17 @@ class MarineAnimals {
             const penguin = this.createSingleAfricanPenguin();
             
             penguin.position.set(
-                (Math.random() - 0.5) * 60,
-                -12 + Math.random() * 6,
-                (Math.random() - 0.5) * 60
+                (oceanRandom.random() - 0.5) * 60,
+                -12 + oceanRandom.random() * 6,
+                (oceanRandom.random() - 0.5) * 60
             );
             
-            penguin.rotation.y = Math.random() * Math.PI * 2;
-            penguin.userData.swimSpeed = 0.1 + Math.random() * 0.05; // 大幅降低企鹅速度
+            penguin.rotation.y = oceanRandom.random() * Math.PI * 2;
+            penguin.userData.swimSpeed = 0.1 + oceanRandom.random() * 0.05; // 大幅降低企鹅速度
             penguin.userData.swimDirection = new THREE.Vector3(
-                (Math.random() - 0.5) * 2,
+                (oceanRandom.random() - 0.5) * 2,
                 0,
-                (Math.random() - 0.5) * 2
+                (oceanRandom.random() - 0.5) * 2
             ).normalize();
             
             this.scene.add(penguin);
@@ -264,18 +253,8 @@ class MarineAnimals {
         // 脚
         this.addPenguinFeet(group);
         
-        group.userData.species = {
-            name: "非洲企鹅",
-            englishName: "African Penguin",
-            photo: "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjIwMCIgdmlld0JveD0iMCAwIDMwMCAyMDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIzMDAiIGhlaWdodD0iMjAwIiBmaWxsPSIjMDA0NDY2Ii8+Cjx0ZXh0IHg9IjE1MCIgeT0iOTAiIGZpbGw9IiM4N0NFRUIiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxNCI+QWZyaWNhbiBQZW5ndWluPC90ZXh0Pgo8ZWxsaXBzZSBjeD0iMTUwIiBjeT0iMTMwIiByeD0iMjUiIHJ5PSIzNSIgZmlsbD0iIzMzMzMzMyIvPgo8ZWxsaXBzZSBjeD0iMTUwIiBjeT0iMTM1IiByeD0iMTUiIHJ5PSIyNSIgZmlsbD0iI0ZGRkZGRiIvPgo8Y2lyY2xlIGN4PSIxNDUiIGN5PSIxMjAiIHI9IjMiIGZpbGw9IiMwMDAwMDAiLz4KPGJ1cmNsZSBjeD0iMTU1IiBjeT0iMTIwIiByPSIzIiBmaWxsPSIjMDAwMDAwIi8+CjxyZWN0IHg9IjE0NyIgeT0iMTI1IiB3aWR0aD0iNiIgaGVpZ2h0PSI0IiBmaWxsPSIjRkY4QzAwIi8+Cjwvc3ZnPgo=",
-            facts: [
-                "又称斑嘴环企鹅 / Also known as Black-footed Penguin",
-                "游泳速度可达20公里/小时 / Swimming speed up to 20 km/h",
-                "能潜水到130米深 / Can dive to depths of 130 meters",
-                "以小鱼和乌贼为食 / Feed on small fish and squid",
-                "濒危物种，需要保护 / Endangered species requiring protection"
-            ]
-        };
+        // 教育标签数据（来自物种目录）
+        group.userData.species = speciesCatalogue.describe('African Penguin');
         
         return group;
     }
@@ -382,5 +361,7 @@ class MarineAnimals {
 
 // 注册模块
 if (window.moduleManager) {
-    window.moduleManager.registerModule('MarineAnimals', MarineAnimals);
+    window.moduleManager.registerModule('MarineAnimals', MarineAnimals, {
+        dependencies: ['SeededRandom']
+    });
 }
\ No newline at end of file
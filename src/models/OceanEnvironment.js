@@ -4,9 +4,16 @@
 class OceanEnvironment {
     constructor(scene) {
         this.scene = scene;
+        this.terrain = null; // SeabedTerrain，设置后海床与海带都按真实地形摆放
+        this.flow = new THREE.Vector3();
+        this.bendAxis = new THREE.Vector3();
     }
     
-    createOceanFloor() {
+    createOceanFloor(terrain = null) {
+        if (terrain) {
+            return this.createTerrainFloor(terrain);
+        }
+        
         const geometry = new THREE.PlaneGeometry(200, 200, 50, 50);
         
         // 为海底添加高度变化
@@ -25,39 +32,83 @@ class OceanEnvironment {
         
         const oceanFloor = new THREE.Mesh(geometry, material);
         oceanFloor.rotation.x = -Math.PI / 2;
-        oceanFloor.position.y = -30;
+        oceanFloor.position.y = OceanEnvironment.SEABED_Y;
         oceanFloor.receiveShadow = true;
         
         this.scene.add(oceanFloor);
         return oceanFloor;
     }
     
-    createKelpForest() {
+    // 程序地形海床：礁石、巨砾与沙道（见 SeabedTerrain）
+    createTerrainFloor(terrain) {
+        this.terrain = terrain;
+        
+        const material = new THREE.MeshLambertMaterial({
+            vertexColors: true,
+            transparent: true,
+            opacity: 0.8
+        });
+        
+        const oceanFloor = new THREE.Mesh(terrain.createGeometry(), material);
+        oceanFloor.name = 'seabed';
+        oceanFloor.receiveShadow = true;
+        
+        this.scene.add(oceanFloor);
+        return oceanFloor;
+    }
+    
+    // 导入真实水深数据（灰度 PNG、ESRI .asc 或 XYZ，见 BathymetryLoader）
+    // options.exaggeration 为垂直夸张倍数，其余选项传给 BathymetryLoader 与 SeabedTerrain；
+    // 返回的地形交给 createOceanFloor 生成海床
+    async loadBathymetry(source, options = {}) {
+        const grid = await BathymetryLoader.load(source, options);
+        return new SeabedTerrain({ ...options, bathymetry: grid });
+    }
+    
+    // 海床高度（没有地形时为平坦海床）
+    getFloorHeight(x, z) {
+        return this.terrain ? this.terrain.getHeight(x, z) : OceanEnvironment.SEABED_Y;
+    }
+    
+    // 海带位置：程序海床用固定位置；真实水深按深度规则种在礁石上
+    getKelpPositions(terrain = this.terrain, random = oceanRandom.derive('kelp')) {
+        if (!terrain || !terrain.depths) return OceanEnvironment.KELP_POSITIONS;
+        
+        const rule = terrain.getPlacementRule('kelp');
+        const positions = [];
+        for (let i = 0; i < OceanEnvironment.KELP_POSITIONS.length; i++) {
+            const spot = terrain.findPlacement(random, { ...rule, extent: 70, tries: 200 });
+            if (!spot) continue;
+            
+            // 浅水处海带较矮，叶冠停在水面以下
+            const scale = random.range(0.8, 1.3);
+            const height = Math.min(random.range(24, 33), (terrain.surfaceY - spot.y - 1) / scale);
+            if (height >= OceanEnvironment.MIN_KELP_HEIGHT) {
+                positions.push({ x: spot.x, z: spot.z, height, scale });
+            }
+        }
+        
+        if (positions.length === 0) {
+            console.warn('⚠️ No reef within the kelp depth range in this bathymetry; the seabed stays bare');
+        }
+        return positions;
+    }
+    
+    createKelpForest(positions = OceanEnvironment.KELP_POSITIONS) {
         const kelpGroup = new THREE.Group();
-        const kelpPositions = [
-            { x: -30, z: -20, height: 25, scale: 1.2 },
-            { x: -15, z: -35, height: 30, scale: 1.0 },
-            { x: 5, z: -25, height: 28, scale: 1.1 },
-            { x: 20, z: -40, height: 32, scale: 0.9 },
-            { x: 35, z: -15, height: 26, scale: 1.3 },
-            { x: -25, z: 10, height: 29, scale: 0.8 },
-            { x: 10, z: 15, height: 27, scale: 1.1 },
-            { x: 30, z: 5, height: 31, scale: 1.0 },
-            { x: -40, z: -5, height: 24, scale: 1.2 },
-            { x: 0, z: -50, height: 33, scale: 0.9 },
-            { x: -10, z: 25, height: 28, scale: 1.1 },
-            { x: 25, z: -10, height: 30, scale: 1.0 }
-        ];
         
-        kelpPositions.forEach((pos, index) => {
+        positions.forEach((pos, index) => {
             const kelp = this.createSingleKelp(pos.height, pos.scale);
-            kelp.position.set(pos.x, -30, pos.z);
+            kelp.position.set(pos.x, this.getFloorHeight(pos.x, pos.z), pos.z);
             
             // 添加随机旋转
             kelp.rotation.y = Math.random() * Math.PI * 2;
             
             // 添加动画延迟
             kelp.userData.animationDelay = index * 0.2;
+            // 洋流弯曲所需的朝向与高度
+            kelp.userData.heading = new THREE.Quaternion().setFromEuler(kelp.rotation);
+            kelp.userData.height = pos.height * pos.scale;
             
             kelpGroup.add(kelp);
         });
@@ -183,20 +234,30 @@ class OceanEnvironment {
         return rayGroup;
     }
     
-    updateKelp(kelpGroup, deltaTime) {
+    updateKelp(kelpGroup, deltaTime, currentField = null) {
         if (!kelpGroup || !kelpGroup.children) return;
         
         kelpGroup.children.forEach((kelp, index) => {
-            if (!kelp.userData.animationDelay) return;
+            if (kelp.userData.animationDelay === undefined) return;
             
             const time = deltaTime + kelp.userData.animationDelay;
             
-            // 海带摆动
-            const swayX = Math.sin(time * 0.5) * 0.1;
-            const swayZ = Math.cos(time * 0.3) * 0.05;
-            
-            kelp.rotation.x = swayX;
-            kelp.rotation.z = swayZ;
+            if (currentField && kelp.userData.heading) {
+                // 海带顺着植株中部的水流方向弯曲
+                const flow = currentField.sampleAt(
+                    kelp.position.x, kelp.position.y + kelp.userData.height / 2, kelp.position.z, this.flow);
+                const bend = Math.hypot(flow.x, flow.z) * OceanEnvironment.KELP_BEND;
+                this.bendAxis.set(flow.z, 0, -flow.x).normalize();
+                kelp.quaternion.setFromAxisAngle(this.bendAxis, Math.min(bend, OceanEnvironment.KELP_MAX_BEND))
+                    .multiply(kelp.userData.heading);
+            } else {
+                // 海带摆动
+                const swayX = Math.sin(time * 0.5) * 0.1;
+                const swayZ = Math.cos(time * 0.3) * 0.05;
+                
+                kelp.rotation.x = swayX;
+                kelp.rotation.z = swayZ;
+            }
             
             // 轻微的伸缩效果
             const breathe = 1 + Math.sin(time * 0.8) * 0.02;
@@ -204,7 +265,7 @@ class OceanEnvironment {
         });
     }
     
-    updateBubbles(bubbles, deltaTime) {
+    updateBubbles(bubbles, deltaTime, currentField = null) {
         if (!bubbles) return;
         
         bubbles.forEach(bubble => {
@@ -217,8 +278,15 @@ class OceanEnvironment {
             bubble.position.x += Math.sin(bubble.userData.time * 2) * bubble.userData.wobble;
             bubble.position.z += Math.cos(bubble.userData.time * 1.5) * bubble.userData.wobble;
             
-            // 到达顶部时重置
-            if (bubble.position.y > 20) {
+            // 随洋流漂移
+            if (currentField) {
+                bubble.position.add(currentField.sample(bubble.position, this.flow).multiplyScalar(deltaTime));
+            }
+            
+            // 到达顶部或漂出范围时重置
+            if (bubble.position.y > 20 ||
+                Math.abs(bubble.position.x) > OceanEnvironment.BUBBLE_EXTENT ||
+                Math.abs(bubble.position.z) > OceanEnvironment.BUBBLE_EXTENT) {
                 bubble.position.y = -30;
                 bubble.position.x = (Math.random() - 0.5) * 100;
                 bubble.position.z = (Math.random() - 0.5) * 100;
@@ -244,26 +312,33 @@ class OceanEnvironment {
             ray.material.opacity = opacity;
         });
     }
-    
-    updateCausticLights(causticLights, deltaTime) {
-        if (!causticLights) return;
-        
-        causticLights.forEach((light, index) => {
-            const time = deltaTime + index * Math.PI / 4;
-            
-            // 光线强度变化
-            light.intensity = 0.2 + Math.sin(time * 0.8) * 0.1;
-            
-            // 轻微位置变化
-            const originalX = light.position.x;
-            const originalZ = light.position.z;
-            
-            light.position.x = originalX + Math.sin(time * 0.3) * 2;
-            light.position.z = originalZ + Math.cos(time * 0.4) * 2;
-        });
-    }
 }
 
+OceanEnvironment.SEABED_Y = -30;
+OceanEnvironment.MIN_KELP_HEIGHT = 4;
+
+// 洋流弯曲：流速达到 OceanCurrentField.REFERENCE_SPEED (0.6) 时约 0.1 弧度
+OceanEnvironment.KELP_BEND = 0.1 / 0.6;
+OceanEnvironment.KELP_MAX_BEND = 0.5;
+OceanEnvironment.BUBBLE_EXTENT = 60;
+
+// 海带位置（实例化海带也使用）
+
+OceanEnvironment.KELP_POSITIONS = [
+    { x: -30, z: -20, height: 25, scale: 1.2 },
+    { x: -15, z: -35, height: 30, scale: 1.0 },
+    { x: 5, z: -25, height: 28, scale: 1.1 },
+    { x: 20, z: -40, height: 32, scale: 0.9 },
+    { x: 35, z: -15, height: 26, scale: 1.3 },
+    { x: -25, z: 10, height: 29, scale: 0.8 },
+    { x: 10, z: 15, height: 27, scale: 1.1 },
+    { x: 30, z: 5, height: 31, scale: 1.0 },
+    { x: -40, z: -5, height: 24, scale: 1.2 },
+    { x: 0, z: -50, height: 33, scale: 0.9 },
+    { x: -10, z: 25, height: 28, scale: 1.1 },
+    { x: 25, z: -10, height: 30, scale: 1.0 }
+];
+
 // 注册模块
 if (window.moduleManager) {
     window.moduleManager.registerModule('OceanEnvironment', OceanEnvironment);
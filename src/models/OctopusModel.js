@@ -8,6 +8,23 @@ class OctopusModel {
         this.tentacles = [];
         this.isMoving = false;
         this.movementDirection = null;
+        this.activity = 1; // 昼夜活跃度，章鱼夜间更活跃（见 DayNightCycle）
+        this.terrain = null; // 海底地形（SeabedTerrain），章鱼不会钻进礁石
+    }
+    
+    setActivity(activity) {
+        this.activity = activity;
+    }
+    
+    setTerrain(terrain) {
+        this.terrain = terrain;
+    }
+    
+    // 章鱼能下潜到的最低高度：触手刚好触到海床
+    getMinHeight(x, z) {
+        return this.terrain ?
+            this.terrain.getHeight(x, z) + OctopusModel.FLOOR_CLEARANCE :
+            OctopusModel.SEABED_Y + OctopusModel.FLOOR_CLEARANCE;
     }
     
     createOctopus() {
@@ -224,7 +241,7 @@ class OctopusModel {
         if (!this.octopus) return;
         
         let moving = false;
-        const moveSpeed = 0.08; // 极慢的固定移动速度
+        const moveSpeed = 0.08 * this.activity; // 极慢的固定移动速度，夜间稍快
         
         // 简化的直接移动，不使用deltaTime避免帧率问题
         if (keys['KeyW'] || keys['ArrowUp']) {
@@ -260,8 +277,11 @@ class OctopusModel {
         
         // 位置限制
         this.octopus.position.x = Math.max(-50, Math.min(50, this.octopus.position.x));
-        this.octopus.position.y = Math.max(-25, Math.min(15, this.octopus.position.y));
         this.octopus.position.z = Math.max(-50, Math.min(50, this.octopus.position.z));
+        this.octopus.position.y = Math.max(
+            this.getMinHeight(this.octopus.position.x, this.octopus.position.z),
+            Math.min(15, this.octopus.position.y)
+        );
         
         // 如果没有移动，重置旋转
         if (!moving) {
@@ -284,7 +304,7 @@ class OctopusModel {
             // 飘带效果的基础参数
             const baseFreq = 0.6; // 降低基础频率，更优雅
             const waveSpeed = 1.8; // 稍微降低波浪传播速度
-            const intensity = this.isMoving ? 1.2 : 0.9; // 调整强度比例
+            const intensity = (this.isMoving ? 1.2 : 0.9) * this.activity; // 调整强度比例
             
             // 主触手根部的自然摆动（3D空间中的椭圆运动）
             const primaryWave = Math.sin(time * baseFreq * speed + phaseOffset) * 0.25 * intensity;
@@ -393,6 +413,9 @@ class OctopusModel {
     }
 }
 
+OctopusModel.SEABED_Y = -30;
+OctopusModel.FLOOR_CLEARANCE = 5; // 身体中心到触手末端的高度
+
 // 注册模块
 if (window.moduleManager) {
     window.moduleManager.registerModule('OctopusModel', OctopusModel);
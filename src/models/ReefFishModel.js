@@ -5,11 +5,9 @@ class ReefFishModel {
     constructor(scene) {
         this.scene = scene;
         this.capeReefFish = [];
-    }
-    
-    createCapeReefFish() {
-        const fishCount = 15;
-        const fishTypes = [
+        
+        // 鱼类品种（也供无头模拟使用）
+        this.fishTypes = [
             // 根据真实照片更新的鱼类特征
             { name: "黄尾鰤鱼", englishName: "Yellowtail", 
               bodyColor: 0xc0c0c0, finColor: 0xffd700, 
@@ -24,20 +22,28 @@ class ReefFishModel {
             { name: "天使鱼", englishName: "Angelfish", color: 0xffffff, stripColor: 0xffc107, pattern: 'bands' },
             { name: "蝴蝶鱼", englishName: "Butterflyfish", color: 0xffd54f, stripColor: 0xff8f00, pattern: 'eyespots' }
         ];
+    }
+    
+    getFishType(englishName) {
+        return this.fishTypes.find(type => type.englishName === englishName) || null;
+    }
+    
+    createCapeReefFish() {
+        const fishCount = 15;
         
         for (let i = 0; i < fishCount; i++) {
-            const fishType = fishTypes[Math.floor(Math.random() * fishTypes.length)];
+            const fishType = this.fishTypes[Math.floor(oceanRandom.random() * this.fishTypes.length)];
             const fish = this.createSingleReefFish(fishType);
             
             fish.position.set(
-                (Math.random() - 0.5) * 70,
-                -20 + Math.random() * 15,
-                (Math.random() - 0.5) * 70
+                (oceanRandom.random() - 0.5) * 70,
+                -20 + oceanRandom.random() * 15,
+                (oceanRandom.random() - 0.5) * 70
             );
             
-            fish.rotation.y = Math.random() * Math.PI * 2;
-            fish.userData.schoolSpeed = 0.05 + Math.random() * 0.03; // 大幅降低鱼类游动速度
-            fish.userData.swimPattern = Math.random() * Math.PI * 2;
+            fish.rotation.y = oceanRandom.random() * Math.PI * 2;
+            fish.userData.schoolSpeed = 0.05 + oceanRandom.random() * 0.03; // 大幅降低鱼类游动速度
+            fish.userData.swimPattern = oceanRandom.random() * Math.PI * 2;
             
             this.scene.add(fish);
             this.capeReefFish.push(fish);
@@ -55,16 +61,16 @@ class ReefFishModel {
         let size;
         switch(fishType.englishName) {
             case 'Yellowtail':
-                size = 0.8 + Math.random() * 0.4; // 较大的鱼
+                size = 0.8 + oceanRandom.random() * 0.4; // 较大的鱼
                 break;
             case 'Hottentot':
-                size = 0.5 + Math.random() * 0.3; // 中等大小
+                size = 0.5 + oceanRandom.random() * 0.3; // 中等大小
                 break;
             case 'Steentjie':
-                size = 0.3 + Math.random() * 0.2; // 较小，伪装性
+                size = 0.3 + oceanRandom.random() * 0.2; // 较小，伪装性
                 break;
             default:
-                size = 0.3 + Math.random() * 0.4;
+                size = 0.3 + oceanRandom.random() * 0.4;
         }
         
         // 根据鱼类特征创建特定的身体形状
@@ -146,12 +152,7 @@ class ReefFishModel {
         
         // 存储引用和数据
         group.userData.tail = tail;
-        group.userData.species = {
-            name: fishType.name,
-            englishName: fishType.englishName,
-            photo: "assets/profiles/Yellowtail_profile.png",
-            facts: this.getFishFacts(fishType.englishName)
-        };
+        group.userData.species = speciesCatalogue.describe(fishType.englishName);
         
         return group;
     }
@@ -206,12 +207,7 @@ class ReefFishModel {
         
         // 存储引用和数据
         group.userData.tail = tail;
-        group.userData.species = {
-            name: fishType.name,
-            englishName: fishType.englishName,
-            photo: "assets/profiles/hottentot_profile.webp",
-            facts: this.getFishFacts(fishType.englishName)
-        };
+        group.userData.species = speciesCatalogue.describe(fishType.englishName);
         
         return group;
     }
@@ -250,12 +246,7 @@ class ReefFishModel {
         
         // 存储引用和数据
         group.userData.tail = tail;
-        group.userData.species = {
-            name: fishType.name,
-            englishName: fishType.englishName,
-            photo: "assets/profiles/Steentjie_profile.png",
-            facts: this.getFishFacts(fishType.englishName)
-        };
+        group.userData.species = speciesCatalogue.describe(fishType.englishName);
         
         return group;
     }
@@ -295,14 +286,9 @@ class ReefFishModel {
         // 添加图案
         this.addFishPattern(group, fishType, size);
         
-        // 存储引用
+        // 存储引用和数据
         group.userData.tail = tail;
-        group.userData.species = {
-            name: fishType.name,
-            englishName: fishType.englishName,
-            photo: this.getFishPhoto(fishType.englishName),
-            facts: this.getFishFacts(fishType.englishName)
-        };
+        group.userData.species = speciesCatalogue.describe(fishType.englishName);
         
         return group;
     }
@@ -354,11 +340,11 @@ class ReefFishModel {
             color: spotColor, transparent: true, opacity: 0.7
         });
         for (let i = 0; i < 6; i++) {
-            const spot = new THREE.Mesh(new THREE.SphereGeometry(size * (0.1 + Math.random() * 0.1), 6, 4), spotMaterial);
+            const spot = new THREE.Mesh(new THREE.SphereGeometry(size * (0.1 + oceanRandom.random() * 0.1), 6, 4), spotMaterial);
             const angle = (i / 6) * Math.PI * 2;
             spot.position.set(
                 Math.cos(angle) * size * 0.7,
-                (Math.random() - 0.5) * size * 0.5,
+                (oceanRandom.random() - 0.5) * size * 0.5,
                 size * 0.8 + Math.sin(angle) * size * 0.3
             );
             group.add(spot);
@@ -398,44 +384,6 @@ class ReefFishModel {
         }
     }
     
-    getFishFacts(englishName) {
-        const facts = {
-            'Yellowtail': [
-                "游泳速度很快 / Fast swimmers",
-                "群体觅食 / Group feeding behavior", 
-                "体长可达1米 / Can grow up to 1 meter",
-                "银灰色身体黄色尾鳍 / Silver body with yellow tail"
-            ],
-            'Hottentot': [
-                "蓝灰色条纹美丽 / Beautiful blue-gray stripes",
-                "岩礁区常见 / Common in rocky reefs",
-                "以小型甲壳动物为食 / Feeds on small crustaceans",
-                "南非特有种 / Endemic to South Africa"
-            ],
-            'Steentjie': [
-                "棕色伪装保护色 / Brown camouflage coloring",
-                "藏身岩石间 / Hides among rocks",
-                "以藻类为食 / Feeds on algae",
-                "小型底栖鱼类 / Small bottom-dwelling fish"
-            ]
-        };
-        
-        return facts[englishName] || ["美丽的珊瑚礁鱼类 / Beautiful coral reef fish"];
-    }
-    
-    getFishPhoto(englishName) {
-        const photos = {
-            'Yellowtail': "assets/profiles/Yellowtail_profile.png",
-            'Hottentot': "assets/profiles/hottentot_profile.webp",
-            'Steentjie': "assets/profiles/Steentjie_profile.png"
-        };
-        return photos[englishName] || this.getDefaultPhoto();
-    }
-    
-    getDefaultPhoto() {
-        return "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjIwMCIgdmlld0JveD0iMCAwIDMwMCAyMDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIzMDAiIGhlaWdodD0iMjAwIiBmaWxsPSIjMDA0NDY2Ii8+Cjx0ZXh0IHg9IjE1MCIgeT0iMTAwIiBmaWxsPSIjODdDRUVCIiB0ZXh0LWFuY2hvcj0ibWlkZGxlIiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMTQiPkNvcmFsIFJlZWYgRmlzaDwvdGV4dD4KPC9zdmc+";
-    }
-    
     updateCapeReefFish(deltaTime) {
         this.capeReefFish.forEach((fish, index) => {
             if (!fish.userData) return;
@@ -464,5 +412,7 @@ class ReefFishModel {
 
 // 注册模块
 if (window.moduleManager) {
-    window.moduleManager.registerModule('ReefFishModel', ReefFishModel);
+    window.moduleManager.registerModule('ReefFishModel', ReefFishModel, {
+        dependencies: ['SeededRandom']
+    });
 }
\ No newline at end of file
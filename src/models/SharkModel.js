@@ -14,14 +14,14 @@ class SharkModel {
             const shark = this.createSingleGreatWhiteShark();
             
             shark.position.set(
-                (Math.random() - 0.5) * 100,
-                -8 + Math.random() * 10,
-                (Math.random() - 0.5) * 100
+                (oceanRandom.random() - 0.5) * 100,
+                -8 + oceanRandom.random() * 10,
+                (oceanRandom.random() - 0.5) * 100
             );
             
-            shark.rotation.y = Math.random() * Math.PI * 2;
-            shark.userData.cruiseSpeed = 1.5 + Math.random() * 0.5;
-            shark.userData.patrolRadius = 30 + Math.random() * 20;
+            shark.rotation.y = oceanRandom.random() * Math.PI * 2;
+            shark.userData.cruiseSpeed = 1.5 + oceanRandom.random() * 0.5;
+            shark.userData.patrolRadius = 30 + oceanRandom.random() * 20;
             shark.userData.center = shark.position.clone();
             
             this.scene.add(shark);
@@ -97,20 +97,8 @@ class SharkModel {
         tail.castShadow = true;
         group.add(tail);
         
-        // 教育数据
-        group.userData.species = {
-            name: "大白鲨",
-            englishName: "Great White Shark",
-            photo: "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjIwMCIgdmlld0JveD0iMCAwIDMwMCAyMDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIzMDAiIGhlaWdodD0iMjAwIiBmaWxsPSIjMDA0NDY2Ii8+Cjx0ZXh0IHg9IjE1MCIgeT0iMzAiIGZpbGw9IiM4N0NFRUIiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxNCI+R3JlYXQgV2hpdGUgU2hhcms8L3RleHQ+CjxlbGxpcHNlIGN4PSIxNTAiIGN5PSIxMDAiIHJ4PSI4MCIgcnk9IjMwIiBmaWxsPSIjNzc3Nzc3Ii8+CjxlbGxpcHNlIGN4PSIxNTAiIGN5PSIxMTAiIHJ4PSI2MCIgcnk9IjIwIiBmaWxsPSIjRkZGRkZGIi8+Cjx0cmlhbmdsZSBjeD0iMjMwIiBjeT0iMTAwIiByPSIyMCIgZmlsbD0iIzc3Nzc3NyIvPgo8Y2lyY2xlIGN4PSIxMzAiIGN5PSI5MCIgcj0iNSIgZmlsbD0iIzAwMDAwMCIvPgo8cGF0aCBkPSJNMTIwIDEwNSBMMTgwIDEwNSBMMTgwIDExNSBMMTIwIDExNSBaIiBmaWxsPSIjMzMzMzMzIi8+Cjwvc3ZnPgo=",
-            facts: [
-                "海洋顶级掠食者 / Top ocean predator",
-                "体长可达6米 / Body length up to 6 meters",
-                "拥有300颗牙齿 / Has about 300 teeth",
-                "游泳速度可达56公里/小时 / Swimming speed up to 56 km/h",
-                "对海洋生态平衡很重要 / Important for marine ecosystem balance",
-                "实际上很少攻击人类 / Actually rarely attacks humans"
-            ]
-        };
+        // 教育数据（来自物种目录）
+        group.userData.species = speciesCatalogue.describe('Great White Shark');
         
         return group;
     }
@@ -227,5 +215,7 @@ class SharkModel {
 
 // 注册模块
 if (window.moduleManager) {
-    window.moduleManager.registerModule('SharkModel', SharkModel);
+    window.moduleManager.registerModule('SharkModel', SharkModel, {
+        dependencies: ['SeededRandom']
+    });
 }
\ No newline at end of file
@@ -13,14 +13,9 @@ class SharksAndFish {
     }
     
     initializeModels() {
-        // 直接初始化依赖模块（加载顺序已在HTML中确保）
-        if (typeof SharkModel !== 'undefined' && typeof ReefFishModel !== 'undefined') {
-            this.sharkModel = new SharkModel(this.scene);
-            this.reefFishModel = new ReefFishModel(this.scene);
-        } else {
-            // 延迟初始化
-            setTimeout(() => this.initializeModels(), 100);
-        }
+        // SharkModel 和 ReefFishModel 是声明的依赖，模块管理器保证它们先加载
+        this.sharkModel = new SharkModel(this.scene);
+        this.reefFishModel = new ReefFishModel(this.scene);
     }
     
     createGreatWhiteSharks() {
@@ -38,9 +33,9 @@ class SharksAndFish {
         const shark = this.sharkModel.createSingleGreatWhiteShark();
         // Position randomly
         shark.position.set(
-            (Math.random() - 0.5) * 100,
-            -8 + Math.random() * 10,
-            (Math.random() - 0.5) * 100
+            (oceanRandom.random() - 0.5) * 100,
+            -8 + oceanRandom.random() * 10,
+            (oceanRandom.random() - 0.5) * 100
         );
         return shark;
     }
@@ -76,7 +71,7 @@ class SharksAndFish {
                   stripeColor: 0xa0522d, pattern: 'steentjie' }
             ];
             
-            const randomType = fishTypes[Math.floor(Math.random() * fishTypes.length)];
+            const randomType = fishTypes[Math.floor(oceanRandom.random() * fishTypes.length)];
             console.log('🎲 Selected fish type:', randomType.englishName);
             
             const fish = this.reefFishModel.createSingleReefFish(randomType);
@@ -85,9 +80,9 @@ class SharksAndFish {
             if (fish) {
                 // Position randomly
                 fish.position.set(
-                    (Math.random() - 0.5) * 60,
-                    -10 + Math.random() * 8,
-                    (Math.random() - 0.5) * 60
+                    (oceanRandom.random() - 0.5) * 60,
+                    -10 + oceanRandom.random() * 8,
+                    (oceanRandom.random() - 0.5) * 60
                 );
                 console.log('📍 Fish positioned at:', fish.position);
                 console.log('✅ Single Cape reef fish creation successful');
@@ -128,5 +123,7 @@ class SharksAndFish {
 
 // 注册模块
 if (window.moduleManager) {
-    window.moduleManager.registerModule('SharksAndFish', SharksAndFish);
+    window.moduleManager.registerModule('SharksAndFish', SharksAndFish, {
+        dependencies: ['SeededRandom', 'SharkModel', 'ReefFishModel']
+    });
 }
\ No newline at end of file
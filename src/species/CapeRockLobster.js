@@ -0,0 +1,131 @@
+// 南非岩龙虾 - 物种插件示例
+// Cape Rock Lobster - Species plugin (Jasus lalandii)
+
+class CapeRockLobster {
+    createLobster() {
+        const group = new THREE.Group();
+
+        const shellMaterial = new THREE.MeshPhongMaterial({
+            color: 0x8b2e1f,
+            shininess: 60
+        });
+        const legMaterial = new THREE.MeshPhongMaterial({
+            color: 0xb5523b,
+            shininess: 40
+        });
+
+        // 头胸甲
+        const carapaceGeometry = new THREE.SphereGeometry(0.35, 10, 8);
+        carapaceGeometry.scale(1, 0.8, 1.6);
+        const carapace = new THREE.Mesh(carapaceGeometry, shellMaterial);
+        carapace.position.z = 0.2;
+        carapace.castShadow = true;
+        group.add(carapace);
+
+        // 分节的腹部，逐节变细
+        for (let i = 0; i < 5; i++) {
+            const segmentGeometry = new THREE.SphereGeometry(0.28 - i * 0.03, 8, 6);
+            segmentGeometry.scale(1.1, 0.6, 0.7);
+            const segment = new THREE.Mesh(segmentGeometry, shellMaterial);
+            segment.position.set(0, -0.02 * i, -0.35 - i * 0.22);
+            segment.castShadow = true;
+            group.add(segment);
+        }
+
+        // 尾扇
+        const tailGeometry = new THREE.ConeGeometry(0.25, 0.3, 5);
+        tailGeometry.scale(1.4, 1, 0.3);
+        const tail = new THREE.Mesh(tailGeometry, shellMaterial);
+        tail.position.set(0, -0.1, -1.55);
+        tail.rotation.x = -Math.PI / 2;
+        group.add(tail);
+
+        // 长触角 - 岩龙虾没有大螯，以触角御敌
+        const antennaGeometry = new THREE.CylinderGeometry(0.03, 0.01, 2.2, 4);
+        [-1, 1].forEach(side => {
+            const antenna = new THREE.Mesh(antennaGeometry, legMaterial);
+            antenna.position.set(side * 0.2, 0.15, 1.4);
+            antenna.rotation.set(Math.PI / 2.4, 0, side * -0.35);
+            group.add(antenna);
+        });
+
+        // 步足
+        const legGeometry = new THREE.CylinderGeometry(0.025, 0.02, 0.6, 4);
+        for (let i = 0; i < 5; i++) {
+            [-1, 1].forEach(side => {
+                const leg = new THREE.Mesh(legGeometry, legMaterial);
+                leg.position.set(side * 0.38, -0.2, 0.5 - i * 0.15);
+                leg.rotation.z = side * 0.9;
+                group.add(leg);
+            });
+        }
+
+        // 眼睛
+        const eyeGeometry = new THREE.SphereGeometry(0.05, 6, 4);
+        const eyeMaterial = new THREE.MeshPhongMaterial({ color: 0x000000 });
+        [-1, 1].forEach(side => {
+            const eye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+            eye.position.set(side * 0.15, 0.2, 0.75);
+            group.add(eye);
+        });
+
+        group.scale.setScalar(0.9 + oceanRandom.random() * 0.3);
+        return group;
+    }
+}
+
+// 注册物种插件
+if (window.moduleManager) {
+    window.moduleManager.registerModule('CapeRockLobster', CapeRockLobster, {
+        dependencies: ['SeededRandom'],
+        species: {
+            englishName: 'Cape Rock Lobster',
+            icon: '🦞',
+            counterLabel: 'Lobsters',
+            create: () => new CapeRockLobster().createLobster(),
+            behavior: 'bottom_dwelling',
+            maxSpeed: 0.1,
+            catalogue: {
+                scientificName: 'Jasus lalandii',
+                commonNames: { en: 'Cape Rock Lobster', zh: '南非岩龙虾', af: 'Weskuskreef' },
+                conservationStatus: 'LC',
+                length: { min: 0.2, max: 0.45 },
+                silhouette: 'lobster',
+                group: 'crustacean',
+                endemic: true,
+                eats: ['mussels', 'seaUrchins'],
+                diet: { en: 'Mussels, sea urchins and other reef invertebrates', zh: '贻贝、海胆和其他礁石无脊椎动物' },
+                habitat: { en: 'Crevices in rocky reefs and kelp forests', zh: '岩礁和海带林的岩缝' },
+                range: { from: 'Orange River', to: 'Algoa Bay', beyond: { en: 'North to Walvis Bay in Namibia', zh: '向北分布到纳米比亚鲸湾' } },
+                facts: {
+                    en: [
+                        'Also known as the West Coast rock lobster',
+                        'Has no large claws and defends itself with long antennae',
+                        'Feeds mainly on mussels and sea urchins',
+                        'Hides in crevices by day and forages at night',
+                        'Protected by strict fishing quotas'
+                    ],
+                    zh: [
+                        '又称西海岸岩龙虾',
+                        '没有大螯，靠长触角御敌',
+                        '以贻贝和海胆为食',
+                        '白天藏在岩缝中，夜间外出觅食',
+                        '受捕捞配额保护'
+                    ]
+                },
+                media: { photo: null }
+            },
+            spawnBounds: { min: [-40, -19, -40], max: [40, -17, 40] },
+            initialCount: 3,
+            foodWeb: {
+                length: 0.35,
+                nutrition: 30,
+                links: [
+                    { predator: 'Common Octopus', prey: 'Cape Rock Lobster', preference: 0.8 },
+                    { predator: 'Cape Fur Seal', prey: 'Cape Rock Lobster', preference: 0.3 }
+                ]
+            },
+            population: { lifespan: 500, maturityAge: 0.3, birthRate: 0.006, carryingCapacity: 15, starvationTime: 200 }
+        }
+    });
+}
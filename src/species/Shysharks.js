@@ -0,0 +1,204 @@
+// 南非猫鲨 - 物种插件示例（一个文件注册两个物种）
+// Shysharks - Species plugins for the puffadder and dark shyshark (Haploblepharus)
+
+class Shyshark {
+    constructor(colors) {
+        this.colors = colors;
+    }
+
+    // 两种猫鲨共用的捕食关系
+    static foodWeb(species) {
+        return {
+            length: 0.6,
+            nutrition: 35,
+            links: [
+                { predator: species, prey: 'Steentjie', preference: 0.6, maxPreySize: 0.35 },
+                { predator: species, prey: 'Cape Rock Lobster', preference: 0.4, maxPreySize: 0.35 },
+                { predator: 'Cape Fur Seal', prey: species, preference: 0.4 }
+            ]
+        };
+    }
+
+    createShyshark() {
+        const group = new THREE.Group();
+
+        const bodyMaterial = new THREE.MeshPhongMaterial({
+            color: this.colors.body,
+            shininess: 40
+        });
+        const markingMaterial = new THREE.MeshPhongMaterial({
+            color: this.colors.markings,
+            shininess: 30
+        });
+        const bellyMaterial = new THREE.MeshPhongMaterial({
+            color: 0xe8dcc8,
+            shininess: 30
+        });
+
+        // 细长的身体，沿 +Z 方向游动
+        const bodyGeometry = new THREE.SphereGeometry(0.3, 12, 8);
+        bodyGeometry.scale(1, 0.7, 3.2);
+        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+        body.castShadow = true;
+        group.add(body);
+
+        const bellyGeometry = new THREE.SphereGeometry(0.26, 10, 6);
+        bellyGeometry.scale(0.9, 0.4, 2.8);
+        const belly = new THREE.Mesh(bellyGeometry, bellyMaterial);
+        belly.position.y = -0.1;
+        group.add(belly);
+
+        // 宽扁的头部
+        const headGeometry = new THREE.SphereGeometry(0.28, 10, 8);
+        headGeometry.scale(1.3, 0.7, 1.1);
+        const head = new THREE.Mesh(headGeometry, bodyMaterial);
+        head.position.z = 0.85;
+        group.add(head);
+
+        // 背部斑纹
+        const spotGeometry = new THREE.SphereGeometry(0.07, 6, 4);
+        spotGeometry.scale(1.4, 0.3, 1);
+        for (let i = 0; i < 6; i++) {
+            const spot = new THREE.Mesh(spotGeometry, markingMaterial);
+            spot.position.set((i % 2 === 0 ? -1 : 1) * 0.08, 0.2, 0.6 - i * 0.25);
+            group.add(spot);
+        }
+
+        // 两个背鳍靠近尾部
+        const dorsalGeometry = new THREE.ConeGeometry(0.08, 0.2, 4);
+        [-0.45, -0.75].forEach(z => {
+            const dorsal = new THREE.Mesh(dorsalGeometry, bodyMaterial);
+            dorsal.position.set(0, 0.24, z);
+            dorsal.rotation.x = -0.4;
+            group.add(dorsal);
+        });
+
+        // 胸鳍
+        const pectoralGeometry = new THREE.ConeGeometry(0.12, 0.3, 4);
+        pectoralGeometry.scale(1, 1, 0.3);
+        [-1, 1].forEach(side => {
+            const pectoral = new THREE.Mesh(pectoralGeometry, bodyMaterial);
+            pectoral.position.set(side * 0.32, -0.12, 0.45);
+            pectoral.rotation.set(Math.PI / 2, 0, side * 1.2);
+            group.add(pectoral);
+        });
+
+        // 尾鳍
+        const tailGeometry = new THREE.ConeGeometry(0.15, 0.5, 4);
+        tailGeometry.scale(0.3, 1, 1);
+        const tail = new THREE.Mesh(tailGeometry, bodyMaterial);
+        tail.position.set(0, 0.05, -1.15);
+        tail.rotation.x = -Math.PI / 2.2;
+        group.add(tail);
+
+        // 眼睛 - 受惊时会用尾巴遮住
+        const eyeGeometry = new THREE.SphereGeometry(0.04, 6, 4);
+        const eyeMaterial = new THREE.MeshPhongMaterial({ color: 0x2f4f2f });
+        [-1, 1].forEach(side => {
+            const eye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+            eye.position.set(side * 0.25, 0.1, 1.0);
+            group.add(eye);
+        });
+
+        group.scale.setScalar(0.9 + oceanRandom.random() * 0.2);
+        return group;
+    }
+}
+
+// 两种猫鲨共用的生活史
+Shyshark.POPULATION = { lifespan: 600, maturityAge: 0.35, birthRate: 0.003, carryingCapacity: 8, starvationTime: 300 };
+
+// 注册物种插件
+if (window.moduleManager) {
+    window.moduleManager.registerModule('PuffadderShyshark', Shyshark, {
+        dependencies: ['SeededRandom'],
+        species: {
+            englishName: 'Puffadder Shyshark',
+            icon: '🦈',
+            counterLabel: 'Puffadder shysharks',
+            create: () => new Shyshark({ body: 0xc8a060, markings: 0x6b3a1e }).createShyshark(),
+            behavior: 'bottom_dwelling',
+            maxSpeed: 0.2,
+            catalogue: {
+                scientificName: 'Haploblepharus edwardsii',
+                commonNames: { en: 'Puffadder Shyshark', zh: '蝰纹猫鲨' },
+                conservationStatus: 'EN',
+                length: { min: 0.3, max: 0.6 },
+                silhouette: 'shark',
+                group: 'fish',
+                endemic: true,
+                eats: ['fish', 'crabs', 'worms'],
+                diet: { en: 'Small fish, crabs and worms', zh: '小鱼、蟹和蠕虫' },
+                habitat: { en: 'Sandy and rocky bottoms and kelp beds', zh: '沙质和岩石海底以及海带床' },
+                range: { from: 'Cape Columbine', to: 'East London' },
+                facts: {
+                    en: [
+                        'Small shark found only in South Africa',
+                        'Curls into a ring and covers its eyes with its tail when scared',
+                        'Grows to about 60 cm',
+                        'Feeds on small fish, crabs and worms',
+                        'Lays egg cases attached to kelp'
+                    ],
+                    zh: [
+                        '南非特有的小型鲨鱼',
+                        '受惊时身体卷成圈，用尾巴遮住眼睛',
+                        '体长约60厘米',
+                        '以小鱼、蟹和蠕虫为食',
+                        '卵产在海藻上的卵鞘中'
+                    ]
+                },
+                media: { photo: null }
+            },
+            spawnBounds: { min: [-35, -19, -35], max: [35, -16, 35] },
+            initialCount: 2,
+            foodWeb: Shyshark.foodWeb('Puffadder Shyshark'),
+            population: Shyshark.POPULATION
+        }
+    });
+
+    window.moduleManager.registerModule('DarkShyshark', Shyshark, {
+        dependencies: ['SeededRandom'],
+        species: {
+            englishName: 'Dark Shyshark',
+            icon: '🦈',
+            counterLabel: 'Dark shysharks',
+            create: () => new Shyshark({ body: 0x4a3b30, markings: 0xd8c8a8 }).createShyshark(),
+            behavior: 'bottom_dwelling',
+            maxSpeed: 0.2,
+            catalogue: {
+                scientificName: 'Haploblepharus pictus',
+                commonNames: { en: 'Dark Shyshark', zh: '暗色猫鲨' },
+                conservationStatus: 'LC',
+                length: { min: 0.3, max: 0.6 },
+                silhouette: 'shark',
+                group: 'fish',
+                endemic: true,
+                eats: ['fish', 'crabs', 'worms'],
+                diet: { en: 'Crabs, small fish and worms', zh: '蟹、小鱼和蠕虫' },
+                habitat: { en: 'Rocky reefs and kelp forests', zh: '岩礁和海带林' },
+                range: { from: 'Orange River', to: 'Algoa Bay', beyond: { en: 'North to Namibia', zh: '向北分布到纳米比亚' } },
+                facts: {
+                    en: [
+                        'Endemic to southern Africa',
+                        'Dark brown body with pale spots',
+                        'Rests on the floor of reefs and kelp forests',
+                        'A favourite catch of Cape fur seals',
+                        'Also curls up when threatened'
+                    ],
+                    zh: [
+                        '南部非洲特有物种',
+                        '深褐色身体带浅色斑点',
+                        '常在岩礁和海藻林底部休息',
+                        '是南非海狗喜欢捕捉的猎物',
+                        '受惊时同样会卷成圈'
+                    ]
+                },
+                media: { photo: null }
+            },
+            spawnBounds: { min: [-35, -19, -35], max: [35, -16, 35] },
+            initialCount: 2,
+            foodWeb: Shyshark.foodWeb('Dark Shyshark'),
+            population: Shyshark.POPULATION
+        }
+    });
+}
@@ -536,10 +536,8 @@ class AIDepthEstimation {
     }
 
     simplifyGeometry(geometry, factor) {
-        // Simple geometry simplification
-        const simplified = geometry.clone();
-        // In a real implementation, you would use a proper mesh simplification algorithm
-        return simplified;
+        // Vertex clustering down to about `factor` of the vertices
+        return LODSystem.simplifyGeometry(geometry, factor);
     }
 
     // Placeholder methods for AI model integration
@@ -0,0 +1,195 @@
+// 自适应画质 - 根据实测帧率在画质档位之间切换
+// Adaptive Quality Governor - Steps through quality tiers based on measured FPS
+//
+// RenderEngine.updatePerformance reports the FPS once a second. The governor
+// drops a tier after a few slow seconds and only climbs back after a longer
+// run of fast ones (hysteresis). If a climb is followed by a drop soon after,
+// the wait before trying that tier again doubles, so a laptop that sits on the
+// edge does not flicker between tiers.
+
+class AdaptiveQualityGovernor {
+    constructor(renderEngine, oceanForest, options = {}) {
+        this.renderEngine = renderEngine;
+        this.oceanForest = oceanForest;
+
+        this.downgradeFps = options.downgradeFps || 40;
+        this.upgradeFps = options.upgradeFps || 55;
+        this.downgradeSeconds = options.downgradeSeconds || 3;
+        this.upgradeSeconds = options.upgradeSeconds || 8;
+        this.settleSeconds = options.settleSeconds || 2;
+        this.failedUpgradeWindow = options.failedUpgradeWindow || 10;
+
+        this.tiers = AdaptiveQualityGovernor.TIERS;
+        this.tierIndex = this.tiers.length - 1;
+        this.auto = true;
+
+        this.history = []; // recent per-second FPS samples
+        this.secondsSinceChange = 0;
+        this.lastUpgrade = null; // { tierIndex, secondsAgo }
+        this.upgradeHold = this.tiers.map(() => this.upgradeSeconds);
+        this.lastFps = null;
+    }
+
+    getTier() {
+        return this.tiers[this.tierIndex];
+    }
+
+    findTier(name) {
+        return this.tiers.findIndex(tier => tier.name === name);
+    }
+
+    // Pick a tier by index or name; manual choices switch automatic mode off
+    setTier(tier, options = {}) {
+        const index = typeof tier === 'string' ? this.findTier(tier) : tier;
+        if (index < 0 || index >= this.tiers.length) return false;
+
+        if (options.manual) {
+            this.auto = false;
+        }
+        this.tierIndex = index;
+        this.history = [];
+        this.secondsSinceChange = 0;
+        this.apply();
+        return true;
+    }
+
+    stepTier(direction) {
+        return this.setTier(Math.max(0, Math.min(this.tiers.length - 1, this.tierIndex + direction)), { manual: true });
+    }
+
+    setAuto(enabled) {
+        this.auto = enabled;
+        this.history = [];
+        this.updateIndicator();
+    }
+
+    // Called once a second with the measured FPS and the measurement interval (ms)
+    sample(fps, interval = 1000) {
+        // A long interval means the tab was hidden, not that rendering was slow
+        if (interval > 2000) {
+            this.history = [];
+            return;
+        }
+
+        this.lastFps = fps;
+        this.secondsSinceChange++;
+        if (this.lastUpgrade) {
+            this.lastUpgrade.secondsAgo++;
+        }
+
+        this.syncSystems();
+
+        if (!this.auto) {
+            this.updateIndicator();
+            return;
+        }
+
+        // Ignore the first seconds after a change (shader compiles, resized targets)
+        if (this.secondsSinceChange > this.settleSeconds) {
+            this.history.push(fps);
+            if (this.history.length > Math.max(this.downgradeSeconds, ...this.upgradeHold)) {
+                this.history.shift();
+            }
+        }
+
+        if (this.shouldDowngrade()) {
+            this.downgrade();
+        } else if (this.shouldUpgrade()) {
+            this.upgrade();
+        }
+
+        this.updateIndicator();
+    }
+
+    recent(seconds) {
+        return this.history.length >= seconds ? this.history.slice(-seconds) : null;
+    }
+
+    shouldDowngrade() {
+        const samples = this.recent(this.downgradeSeconds);
+        return this.tierIndex > 0 && !!samples && samples.every(fps => fps < this.downgradeFps);
+    }
+
+    shouldUpgrade() {
+        if (this.tierIndex >= this.tiers.length - 1) return false;
+        const samples = this.recent(this.upgradeHold[this.tierIndex + 1]);
+        return !!samples && samples.every(fps => fps >= this.upgradeFps);
+    }
+
+    downgrade() {
+        // Dropping straight after climbing: wait longer before the next attempt
+        const upgrade = this.lastUpgrade;
+        if (upgrade && upgrade.tierIndex === this.tierIndex && upgrade.secondsAgo <= this.failedUpgradeWindow) {
+            this.upgradeHold[this.tierIndex] = Math.min(this.upgradeHold[this.tierIndex] * 2, 120);
+        }
+        this.lastUpgrade = null;
+
+        this.setTier(this.tierIndex - 1);
+        console.log(`📉 Quality lowered to ${this.getTier().name} (${this.lastFps} FPS)`);
+    }
+
+    upgrade() {
+        this.setTier(this.tierIndex + 1);
+        this.lastUpgrade = { tierIndex: this.tierIndex, secondsAgo: 0 };
+        console.log(`📈 Quality raised to ${this.getTier().name} (${this.lastFps} FPS)`);
+    }
+
+    apply() {
+        const tier = this.getTier();
+        const renderEngine = this.renderEngine;
+
+        renderEngine.adjustQuality(tier.renderQuality);
+        renderEngine.renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, tier.maxPixelRatio));
+        renderEngine.setLODBias(tier.lodBias);
+
+        this.syncSystems();
+        this.updateIndicator();
+    }
+
+    // Systems that may be created or rebuilt after the tier was applied
+    syncSystems() {
+        const tier = this.getTier();
+        const forest = this.oceanForest;
+
+        if (forest.advancedParticles && forest.advancedParticles.particleDensity !== tier.particleDensity) {
+            forest.advancedParticles.setParticleDensity(tier.particleDensity);
+        }
+        if (forest.floatingLabels && forest.floatingLabels.maxLabels !== tier.maxLabels) {
+            forest.floatingLabels.setMaxLabels(tier.maxLabels);
+        }
+        if (forest.lodSystem && forest.lodSystem.bias !== tier.lodBias) {
+            forest.lodSystem.setBias(tier.lodBias);
+        }
+    }
+
+    updateIndicator() {
+        const indicator = document.getElementById('quality-tier');
+        if (indicator) {
+            const tier = this.getTier();
+            indicator.dataset.i18n = `quality.${tier.name}`;
+            indicator.textContent = i18n.t(indicator.dataset.i18n);
+            indicator.className = `quality-${tier.name}`;
+            indicator.title = i18n.t(this.auto ? 'quality.automatic' : 'quality.manual') +
+                (this.lastFps !== null ? ` · ${this.lastFps} FPS` : '');
+        }
+
+        const toggle = document.getElementById('quality-auto-toggle');
+        if (toggle) {
+            toggle.classList.toggle('active', this.auto);
+        }
+    }
+}
+
+// Lowest first. maxPixelRatio is capped by the device's own pixel ratio;
+// lodBias scales LOD switch distances (lower switches to simpler models sooner)
+AdaptiveQualityGovernor.TIERS = [
+    { name: 'minimal', renderQuality: 'low', maxPixelRatio: 0.75, particleDensity: 0.25, lodBias: 0.5, maxLabels: 0 },
+    { name: 'low', renderQuality: 'low', maxPixelRatio: 1, particleDensity: 0.5, lodBias: 0.75, maxLabels: 5 },
+    { name: 'medium', renderQuality: 'medium', maxPixelRatio: 1.5, particleDensity: 0.75, lodBias: 1, maxLabels: 15 },
+    { name: 'high', renderQuality: 'high', maxPixelRatio: 2, particleDensity: 1, lodBias: 1.25, maxLabels: Infinity }
+];
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('AdaptiveQualityGovernor', AdaptiveQualityGovernor);
+}
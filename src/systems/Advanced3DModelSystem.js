@@ -4,10 +4,11 @@
  */
 
 class Advanced3DModelSystem {
-    constructor(scene, camera, renderer) {
+    constructor(scene, camera, renderer, lodSystem = null) {
         this.scene = scene;
         this.camera = camera;
         this.renderer = renderer;
+        this.lodSystem = lodSystem;
         
         // Initialize subsystems
         this.photogrammetrySystem = null;
@@ -463,6 +464,11 @@ class Advanced3DModelSystem {
      * Create LOD (Level of Detail) system for performance optimization
      */
     createLODSystem(model, speciesData) {
+        // Shared LOD system: decimated levels, baked impostor, debug overlay
+        if (this.lodSystem) {
+            return this.lodSystem.create(model);
+        }
+        
         const lod = new THREE.LOD();
         
         // High detail (close)
@@ -487,20 +493,8 @@ class Advanced3DModelSystem {
      * Create simplified version of model for LOD
      */
     createSimplifiedVersion(model, complexity) {
-        const simplified = model.clone();
-        
-        simplified.traverse((child) => {
-            if (child.isMesh && child.geometry) {
-                // Simplify geometry (in a real implementation, use proper mesh simplification)
-                const vertices = child.geometry.attributes.position.count;
-                const targetVertices = Math.floor(vertices * complexity);
-                
-                // For demonstration, just scale down slightly
-                child.scale.multiplyScalar(0.95);
-            }
-        });
-        
-        return simplified;
+        // Vertex clustering keeps about `complexity` of each mesh's vertices
+        return LODSystem.simplifyObject(model, complexity);
     }
 
     /**
@@ -748,7 +742,9 @@ class Advanced3DModelSystem {
 
 // Register the system
 if (window.moduleManager) {
-    window.moduleManager.registerModule('Advanced3DModelSystem', Advanced3DModelSystem);
+    window.moduleManager.registerModule('Advanced3DModelSystem', Advanced3DModelSystem, {
+        dependencies: ['PhotogrammetrySystem', 'AIDepthEstimation', 'ProceduralModelGenerator']
+    });
 }
 
 export default Advanced3DModelSystem;
\ No newline at end of file
@@ -6,6 +6,10 @@ class AdvancedParticleSystem {
         this.scene = scene;
         this.camera = camera;
         this.particleSystems = new Map();
+        this.particleDensity = 1.0;
+        this.currentField = null; // OceanCurrentField，设置后粒子随洋流漂移
+        this.flow = new THREE.Vector3();
+        this.samplePoint = new THREE.Vector3();
         
         this.globalTime = 0;
         this.init();
@@ -16,8 +20,7 @@ class AdvancedParticleSystem {
         this.createBubbleSystemSimple();
         this.createMarineSnowSimple();
         this.createSedimentParticles();
-        // 暂时禁用生物发光浮游生物以避免发光斑块
-        // this.createBioluminescentPlankton();
+        // 生物发光浮游生物只在夜间出现，由 setBioluminescence() 按需创建
         this.createFloatingDebris();
     }
     
@@ -83,7 +86,8 @@ class AdvancedParticleSystem {
         this.scene.add(snowSystem);
         this.particleSystems.set('marineSnow', {
             system: snowSystem,
-            count: snowCount
+            count: snowCount,
+            static: true
         });
     }
     
@@ -333,6 +337,8 @@ class AdvancedParticleSystem {
                 }
             `,
             fragmentShader: `
+                uniform float globalIntensity;
+                
                 varying vec3 vColor;
                 varying float vIntensity;
                 
@@ -342,16 +348,17 @@ class AdvancedParticleSystem {
                     
                     if (dist > 0.5) discard;
                     
-                    // 发光核心
+                    // 发光核心（globalIntensity 随夜色渐强）
                     float core = 1.0 - dist * 2.0;
-                    float glow = pow(core, 2.0);
+                    float glow = pow(core, 2.0) * globalIntensity;
                     
                     gl_FragColor = vec4(vColor * glow, vIntensity * glow);
                 }
             `,
+            // 着色器自己声明 color 属性；vertexColors 会重复声明导致编译失败
             transparent: true,
-            blending: THREE.AdditiveBlending,
-            vertexColors: true
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
         });
         
         const planktonSystem = new THREE.Points(geometry, planktonMaterial);
@@ -457,8 +464,12 @@ class AdvancedParticleSystem {
         // 更新气泡系统
         if (this.particleSystems.has('bubbles')) {
             const bubbles = this.particleSystems.get('bubbles');
-            bubbles.material.uniforms.time.value = this.globalTime;
-            bubbles.material.uniforms.cameraPosition.value.copy(this.camera.position);
+            // 简化气泡使用 PointsMaterial，没有着色器 uniform
+            if (bubbles.material.uniforms) {
+                bubbles.material.uniforms.time.value = this.globalTime;
+                bubbles.material.uniforms.cameraPosition.value.copy(this.camera.position);
+            }
+            this.advectPoints(bubbles, deltaTime, AdvancedParticleSystem.DRIFT.bubbles);
         }
         
         // 更新海洋雪花
@@ -470,6 +481,7 @@ class AdvancedParticleSystem {
         if (this.particleSystems.has('plankton')) {
             const plankton = this.particleSystems.get('plankton');
             plankton.material.uniforms.time.value = this.globalTime;
+            this.advectPoints(plankton, deltaTime, AdvancedParticleSystem.DRIFT.plankton);
         }
         
         // 更新沉积物
@@ -485,6 +497,11 @@ class AdvancedParticleSystem {
     
     updateMarineSnow(deltaTime) {
         const snow = this.particleSystems.get('marineSnow');
+        if (snow.static) {
+            // 简化版雪花没有自身速度，只在有洋流时下沉漂移
+            this.advectPoints(snow, deltaTime, AdvancedParticleSystem.DRIFT.marineSnow);
+            return;
+        }
         const positions = snow.geometry.attributes.position.array;
         const velocities = snow.geometry.attributes.velocity.array;
         
@@ -517,9 +534,11 @@ class AdvancedParticleSystem {
             // 边界处理
             if (Math.abs(positions[i * 3]) > 60) velocities[i * 3] *= -1;
             if (Math.abs(positions[i * 3 + 2]) > 60) velocities[i * 3 + 2] *= -1;
+            if (positions[i * 3 + 1] > -15) positions[i * 3 + 1] = -25; // 扬起的沉积物落回海底
         }
         
         sediment.geometry.attributes.position.needsUpdate = true;
+        this.advectPoints(sediment, deltaTime, AdvancedParticleSystem.DRIFT.sediment);
     }
     
     updateDebris(deltaTime) {
@@ -531,6 +550,11 @@ class AdvancedParticleSystem {
             piece.position.y += piece.userData.velocity.y * deltaTime * 50;
             piece.position.z += piece.userData.velocity.z * deltaTime * 50;
             
+            // 随洋流漂移
+            if (this.currentField) {
+                piece.position.add(this.currentField.sample(piece.position, this.flow).multiplyScalar(deltaTime));
+            }
+            
             // 旋转更新
             piece.rotation.x += piece.userData.rotationVelocity.x * deltaTime * 50;
             piece.rotation.y += piece.userData.rotationVelocity.y * deltaTime * 50;
@@ -544,6 +568,43 @@ class AdvancedParticleSystem {
         });
     }
     
+    // 使用共享洋流场（null 则恢复原来的运动）
+    setCurrentField(currentField) {
+        this.currentField = currentField;
+    }
+    
+    // 粒子随洋流平移；水平方向在范围内循环，垂直方向越界后从另一端重新进入
+    advectPoints(entry, deltaTime, { rise, bottom, top }) {
+        if (!this.currentField) return;
+        
+        const attribute = entry.system.geometry.attributes.position;
+        const positions = attribute.array;
+        const extent = AdvancedParticleSystem.DRIFT_EXTENT;
+        
+        for (let i = 0; i < entry.count; i++) {
+            const index = i * 3;
+            this.samplePoint.fromArray(positions, index);
+            const flow = this.currentField.sample(this.samplePoint, this.flow);
+            
+            let x = positions[index] + flow.x * deltaTime;
+            let y = positions[index + 1] + (flow.y + rise) * deltaTime;
+            let z = positions[index + 2] + flow.z * deltaTime;
+            
+            if (x > extent) x -= extent * 2;
+            else if (x < -extent) x += extent * 2;
+            if (z > extent) z -= extent * 2;
+            else if (z < -extent) z += extent * 2;
+            if (y > top) y = bottom;
+            else if (y < bottom) y = top;
+            
+            positions[index] = x;
+            positions[index + 1] = y;
+            positions[index + 2] = z;
+        }
+        
+        attribute.needsUpdate = true;
+    }
+    
     // 控制粒子密度
     adjustParticleDensity(type, factor) {
         if (this.particleSystems.has(type)) {
@@ -554,6 +615,35 @@ class AdvancedParticleSystem {
         }
     }
     
+    // 夜间生物发光强度（0-1），由 DayNightCycle 调用；第一次入夜时才创建浮游生物
+    setBioluminescence(level) {
+        if (!this.particleSystems.has('plankton')) {
+            if (level <= 0) return;
+            this.createBioluminescentPlankton();
+            this.setParticleDensity(this.particleDensity);
+        }
+        
+        this.particleSystems.get('plankton').system.visible = level > 0;
+        this.adjustParticleDensity('plankton', level);
+    }
+    
+    // 按比例减少绘制的粒子数量（0-1），由自适应画质调用
+    setParticleDensity(density) {
+        this.particleDensity = Math.max(0, Math.min(1, density));
+        
+        this.particleSystems.forEach(system => {
+            if (system.system && system.count) {
+                system.system.geometry.setDrawRange(0, Math.round(system.count * this.particleDensity));
+            }
+            if (system.pieces) {
+                const visibleCount = Math.round(system.pieces.length * this.particleDensity);
+                system.pieces.forEach((piece, index) => {
+                    piece.visible = index < visibleCount;
+                });
+            }
+        });
+    }
+    
     // 清理资源
     dispose() {
         this.particleSystems.forEach((system, key) => {
@@ -574,6 +664,15 @@ class AdvancedParticleSystem {
     }
 }
 
+// 洋流漂移参数：自身上升/下沉速度与垂直循环范围
+AdvancedParticleSystem.DRIFT = {
+    bubbles: { rise: 1.0, bottom: -20, top: 10 },
+    marineSnow: { rise: -0.2, bottom: -30, top: 30 },
+    sediment: { rise: 0, bottom: -30, top: -15 },
+    plankton: { rise: 0, bottom: -25, top: 20 }
+};
+AdvancedParticleSystem.DRIFT_EXTENT = 60;
+
 // 注册模块
 if (window.moduleManager) {
     window.moduleManager.registerModule('AdvancedParticleSystem', AdvancedParticleSystem);
@@ -0,0 +1,198 @@
+// 水深数据加载器 - 读取灰度 PNG、ESRI ASCII 网格与 XYZ 点文件
+// Bathymetry Loader - Reads grayscale PNG, ESRI ASCII grid and XYZ point files
+//
+// Every format is turned into the same grid, which SeabedTerrain resamples
+// onto the seabed mesh:
+//
+//   { columns, rows, values, cellWidth, cellHeight, format }
+//
+// `values` holds one elevation per cell in metres (negative below sea level,
+// NaN where there is no data), row by row from the north edge. cellWidth and
+// cellHeight are the metres between neighbouring cells west to east and north
+// to south, or null when the file has no scale. Formats:
+//
+//   .png/.jpg   white is shallow and black is deep, between options.minDepth
+//               and options.maxDepth metres; transparent pixels are no data.
+//               Browsers decode images to 8 bits, so a 16-bit PNG gives
+//               256 depth steps at most; prefer .asc for fine relief.
+//               Images have no scale unless options.cellSize gives one.
+//   .asc        ESRI ASCII grid (ncols, nrows, cellsize or dx/dy, NODATA_value header)
+//   .xyz        whitespace, comma or semicolon separated "x y z" lines, e.g.
+//               a survey export in projected metres (e.g. UTM); points are
+//               binned onto a regular grid and gaps are left as no data
+//
+// options.cellSize (metres) sets the scale of any format, e.g. for an image
+// or an XYZ file in degrees.
+//
+// Depth surveys often store depths as positive numbers; pass
+// { positiveDepths: true } to read them as metres below the surface.
+
+class BathymetryLoader {
+    // Grid from a URL, File or Blob; the format comes from options.format or the file extension
+    static async load(source, options = {}) {
+        const name = typeof source === 'string' ? source : (source.name || '');
+        const format = options.format || BathymetryLoader.detectFormat(name);
+
+        let blob = source;
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`Could not load bathymetry from ${source} (HTTP ${response.status})`);
+            }
+            blob = await response.blob();
+        }
+
+        const grid = format === 'image' ?
+            BathymetryLoader.fromImageData(await BathymetryLoader.decodeImage(blob), options) :
+            BathymetryLoader.parse(await blob.text(), format, options);
+
+        if (options.positiveDepths && format !== 'image') {
+            grid.values = grid.values.map(value => -value);
+        }
+        if (options.cellSize > 0) {
+            grid.cellWidth = grid.cellHeight = options.cellSize;
+        }
+        return grid;
+    }
+
+    // 'image', 'asc' or 'xyz' from a file name or URL; text files are sniffed later
+    static detectFormat(name) {
+        const extension = name.split(/[?#]/)[0].split('.').pop().toLowerCase();
+        if (['png', 'jpg', 'jpeg', 'webp'].includes(extension)) return 'image';
+        if (extension === 'asc') return 'asc';
+        if (['xyz', 'csv', 'txt'].includes(extension)) return 'xyz';
+        return null;
+    }
+
+    // Grid from the text of an .asc or .xyz file
+    static parse(text, format = null, options = {}) {
+        const kind = format || (/^\s*ncols/i.test(text) ? 'asc' : 'xyz');
+        if (kind === 'asc') return BathymetryLoader.parseAsciiGrid(text);
+        if (kind === 'xyz') return BathymetryLoader.parseXYZ(text, options);
+        throw new Error(`Unknown bathymetry format: ${kind}`);
+    }
+
+    static parseAsciiGrid(text) {
+        const tokens = text.trim().split(/\s+/);
+        const header = {};
+
+        // Header lines are "key value" pairs until the first number
+        let index = 0;
+        while (index < tokens.length && /^[a-z_]+$/i.test(tokens[index])) {
+            header[tokens[index].toLowerCase()] = parseFloat(tokens[index + 1]);
+            index += 2;
+        }
+
+        const columns = header.ncols;
+        const rows = header.nrows;
+        if (!(columns > 0) || !(rows > 0)) {
+            throw new Error('ESRI ASCII grid is missing ncols or nrows');
+        }
+        if (tokens.length - index < columns * rows) {
+            throw new Error(`ESRI ASCII grid has ${tokens.length - index} values, expected ${columns * rows}`);
+        }
+
+        const noData = header.nodata_value;
+        const values = new Float32Array(columns * rows);
+        for (let i = 0; i < values.length; i++) {
+            const value = parseFloat(tokens[index + i]);
+            values[i] = value === noData ? NaN : value;
+        }
+
+        const cellWidth = header.cellsize || header.dx || null;
+        const cellHeight = header.cellsize || header.dy || null;
+        return { columns, rows, values, cellWidth, cellHeight, format: 'asc' };
+    }
+
+    // Points binned onto a grid; a regular survey grid keeps one point per cell
+    static parseXYZ(text, options = {}) {
+        const points = [];
+        text.split(/\r?\n/).forEach(line => {
+            const fields = line.trim().split(/[\s,;]+/).map(Number);
+            // Header and comment lines are skipped
+            if (fields.length >= 3 && fields.slice(0, 3).every(Number.isFinite)) {
+                points.push(fields[0], fields[1], fields[2]);
+            }
+        });
+
+        const count = points.length / 3;
+        if (count < 4) {
+            throw new Error('XYZ file needs at least 4 points');
+        }
+
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        const xs = new Set();
+        const ys = new Set();
+        for (let i = 0; i < points.length; i += 3) {
+            minX = Math.min(minX, points[i]);
+            maxX = Math.max(maxX, points[i]);
+            minY = Math.min(minY, points[i + 1]);
+            maxY = Math.max(maxY, points[i + 1]);
+            xs.add(points[i]);
+            ys.add(points[i + 1]);
+        }
+        if (maxX === minX || maxY === minY) {
+            throw new Error('XYZ points lie on a line');
+        }
+
+        // A full regular grid maps one point to one cell; scattered soundings share cells,
+        // about two to a cell so few are left empty
+        const regular = xs.size * ys.size === count;
+        const resolution = options.resolution ||
+            THREE.MathUtils.clamp(Math.round(Math.sqrt(count / 2)), 2, BathymetryLoader.MAX_XYZ_RESOLUTION);
+        const columns = regular ? xs.size : resolution;
+        const rows = regular ? ys.size : resolution;
+
+        const sums = new Float64Array(columns * rows);
+        const counts = new Uint32Array(columns * rows);
+        for (let i = 0; i < points.length; i += 3) {
+            const column = Math.round((points[i] - minX) / (maxX - minX) * (columns - 1));
+            const row = Math.round((maxY - points[i + 1]) / (maxY - minY) * (rows - 1)); // north first
+            sums[row * columns + column] += points[i + 2];
+            counts[row * columns + column]++;
+        }
+
+        const values = new Float32Array(columns * rows);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = counts[i] > 0 ? sums[i] / counts[i] : NaN;
+        }
+
+        return {
+            columns, rows, values,
+            cellWidth: (maxX - minX) / (columns - 1),
+            cellHeight: (maxY - minY) / (rows - 1),
+            format: 'xyz'
+        };
+    }
+
+    static async decodeImage(blob) {
+        const bitmap = await createImageBitmap(blob);
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        const context = canvas.getContext('2d');
+        context.drawImage(bitmap, 0, 0);
+        return context.getImageData(0, 0, bitmap.width, bitmap.height);
+    }
+
+    // Grayscale pixels to elevations: white at minDepth, black at maxDepth
+    static fromImageData(imageData, { minDepth = BathymetryLoader.IMAGE_DEPTHS.min, maxDepth = BathymetryLoader.IMAGE_DEPTHS.max } = {}) {
+        const { width, height, data } = imageData;
+        const values = new Float32Array(width * height);
+        for (let i = 0; i < values.length; i++) {
+            const alpha = data[i * 4 + 3];
+            const gray = (data[i * 4] + data[i * 4 + 1] + data[i * 4 + 2]) / (3 * 255);
+            values[i] = alpha === 0 ? NaN : -THREE.MathUtils.lerp(maxDepth, minDepth, gray);
+        }
+        return { columns: width, rows: height, values, cellWidth: null, cellHeight: null, format: 'image' };
+    }
+}
+
+// Depth range of a grayscale heightmap in metres, when the options do not give one
+BathymetryLoader.IMAGE_DEPTHS = { min: 2, max: 30 };
+BathymetryLoader.MAX_XYZ_RESOLUTION = 257;
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('BathymetryLoader', BathymetryLoader);
+}
@@ -0,0 +1,285 @@
+// 行为模拟线程桥 - 主线程与 BehaviorWorker 之间的数据交换
+// Behavior Worker Bridge - Runs the steering simulation in a Web Worker
+//
+// The main-thread MarineLifeBehavior keeps the authoritative list of registered
+// animals (so population, predation and UI code work unchanged); the worker
+// computes steering at a fixed step and the render loop interpolates between
+// the last two results every frame.
+
+class BehaviorWorkerBridge {
+    constructor(marineLifeBehavior, options = {}) {
+        this.behaviorSystem = marineLifeBehavior;
+        this.workerUrl = options.workerUrl || 'src/workers/BehaviorWorker.js';
+        this.stepInterval = options.stepInterval || 1 / 30; // seconds
+        this.maxStep = 0.25;
+
+        this.worker = null;
+        this.running = false;
+        this.ready = false;
+        this.pendingStep = false;
+        this.accumulator = 0;
+        this.lastResultTime = 0;
+
+        this.knownIds = new Set();        // animals the worker has been told about
+        this.motion = new Map();          // animal id -> { from, to } velocities
+        this.animalsById = new Map();
+        this.sentFoodWeb = undefined;
+        this.sentFoodWebRevision = null;
+
+        // Called if the worker fails, so the host can fall back to the main thread
+        this.onError = null;
+    }
+
+    start() {
+        if (this.running) return true;
+
+        if (typeof Worker === 'undefined') {
+            console.warn('⚠️ Web Workers not supported, behavior simulation stays on the main thread');
+            return false;
+        }
+
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (error) {
+            console.warn('⚠️ Behavior worker could not be started:', error);
+            return false;
+        }
+
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => this.handleError(event);
+
+        const threeScript = document.querySelector('script[src*="three"]');
+        this.worker.postMessage({
+            type: 'init',
+            threeUrl: threeScript ? threeScript.src : 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js',
+            seed: window.oceanRandom ? window.oceanRandom.seed : undefined,
+            time: this.behaviorSystem.time,
+            settings: this.getSettings()
+        });
+
+        this.running = true;
+        console.log('🧵 Behavior simulation moved to a Web Worker');
+        return true;
+    }
+
+    stop() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.running = false;
+        this.ready = false;
+        this.pendingStep = false;
+        this.accumulator = 0;
+        this.knownIds.clear();
+        this.motion.clear();
+        this.sentFoodWeb = undefined;
+    }
+
+    handleError(event) {
+        console.warn('⚠️ Behavior worker failed, falling back to the main thread:', event.message || event);
+        this.stop();
+        if (this.onError) {
+            this.onError(event);
+        }
+    }
+
+    getSettings() {
+        const system = this.behaviorSystem;
+        return {
+            flockingRules: { ...system.flockingRules },
+            metabolism: { ...system.metabolism },
+            environmentFactors: { ...system.environmentFactors },
+            huntingRadius: system.huntingRadius,
+            patrolRadius: system.patrolRadius,
+            neighborRadius: system.neighborRadius,
+            useSpatialGrid: !!system.spatialGrid,
+            shelters: system.shelters.map(({ x, z }) => ({ x, z })),
+            speciesDielPatterns: { ...system.speciesDielPatterns },
+            currentField: system.currentField ? system.currentField.getSettings() : null,
+            terrain: system.terrain ? system.terrain.getSettings() : null
+        };
+    }
+
+    // Push tuning changes made on the main thread to the worker
+    syncSettings() {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'settings', settings: this.getSettings() });
+        }
+    }
+
+    syncFoodWeb() {
+        const foodWeb = this.behaviorSystem.foodWeb;
+        const revision = foodWeb ? foodWeb.revision : null;
+        if (foodWeb === this.sentFoodWeb && revision === this.sentFoodWebRevision) return;
+
+        this.worker.postMessage({
+            type: 'foodWeb',
+            table: foodWeb ? { version: foodWeb.version, species: foodWeb.species, links: foodWeb.links } : null
+        });
+        this.sentFoodWeb = foodWeb;
+        this.sentFoodWebRevision = revision;
+    }
+
+    // Called every frame in place of MarineLifeBehavior.update
+    update(animals, deltaTime) {
+        const system = this.behaviorSystem;
+        system.time += deltaTime;
+
+        this.animalsById = new Map(animals.map(animal => [animal.id, animal]));
+        const agents = animals.filter(animal => system.behaviors.has(animal.id));
+
+        // Main-thread queries (e.g. the octopus catching prey) still use the grid
+        if (system.spatialGrid) {
+            system.spatialGrid.rebuild(agents);
+        }
+
+        this.applyInterpolatedMotion(agents, deltaTime);
+
+        this.accumulator = Math.min(this.accumulator + deltaTime, this.maxStep);
+        if (this.ready && !this.pendingStep && this.accumulator >= this.stepInterval) {
+            this.sendStep(agents);
+        }
+    }
+
+    applyInterpolatedMotion(agents, deltaTime) {
+        const system = this.behaviorSystem;
+        const alpha = Math.min(1, (performance.now() - this.lastResultTime) / (this.stepInterval * 1000));
+
+        agents.forEach(animal => {
+            const motion = this.motion.get(animal.id);
+            if (!motion) return;
+
+            const behavior = system.behaviors.get(animal.id);
+            behavior.velocity.lerpVectors(motion.from, motion.to, alpha);
+            system.applyVelocity(animal, behavior, deltaTime);
+            system.updateAnimationState(animal, behavior);
+        });
+    }
+
+    sendStep(agents) {
+        const system = this.behaviorSystem;
+        const ids = new Int32Array(agents.length);
+        const buffer = new Float32Array(agents.length * 4);
+        const added = [];
+
+        agents.forEach((animal, i) => {
+            const behavior = system.behaviors.get(animal.id);
+            ids[i] = animal.id;
+            buffer[i * 4] = animal.position.x;
+            buffer[i * 4 + 1] = animal.position.y;
+            buffer[i * 4 + 2] = animal.position.z;
+            buffer[i * 4 + 3] = behavior.energy;
+
+            if (!this.knownIds.has(animal.id)) {
+                added.push(this.describeAgent(animal, behavior));
+                this.knownIds.add(animal.id);
+            }
+        });
+
+        const removed = [];
+        this.knownIds.forEach(id => {
+            if (!system.behaviors.has(id)) {
+                removed.push(id);
+            }
+        });
+        removed.forEach(id => {
+            this.knownIds.delete(id);
+            this.motion.delete(id);
+        });
+
+        const deltaTime = this.accumulator;
+        this.accumulator = 0;
+        this.pendingStep = true;
+
+        this.syncFoodWeb();
+        this.worker.postMessage({
+            type: 'step',
+            deltaTime,
+            ids,
+            buffer,
+            added,
+            removed,
+            current: system.currentField ? system.currentField.getState() : null
+        }, [ids.buffer, buffer.buffer]);
+    }
+
+    describeAgent(animal, behavior) {
+        const toPlain = vector => ({ x: vector.x, y: vector.y, z: vector.z });
+        return {
+            id: animal.id,
+            type: behavior.type,
+            species: behavior.species,
+            position: toPlain(animal.position),
+            rotationY: animal.rotation.y,
+            velocity: toPlain(behavior.velocity),
+            homePosition: toPlain(behavior.homePosition),
+            personalityFactor: behavior.personalityFactor,
+            age: behavior.age,
+            maxSpeed: behavior.maxSpeed,
+            state: behavior.state,
+            lastStateChange: behavior.lastStateChange,
+            lastMealTime: behavior.lastMealTime
+        };
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'ready':
+                this.ready = true;
+                break;
+            case 'result':
+                this.applyResult(message);
+                break;
+        }
+    }
+
+    applyResult({ ids, buffer, events }) {
+        const system = this.behaviorSystem;
+        this.pendingStep = false;
+        this.lastResultTime = performance.now();
+
+        for (let i = 0; i < ids.length; i++) {
+            const offset = i * 7;
+            const behavior = system.behaviors.get(ids[i]);
+            const stateIndex = buffer[offset + 4];
+            if (!behavior || stateIndex < 0) continue;
+
+            let motion = this.motion.get(ids[i]);
+            if (!motion) {
+                motion = { from: new THREE.Vector3(), to: new THREE.Vector3() };
+                this.motion.set(ids[i], motion);
+            }
+            motion.from.copy(behavior.velocity);
+            motion.to.set(buffer[offset], buffer[offset + 1], buffer[offset + 2]);
+
+            const state = MarineLifeBehavior.STATES[stateIndex];
+            if (state !== behavior.state) {
+                behavior.lastStateChange = system.time;
+            }
+            behavior.state = state;
+            behavior.energy = buffer[offset + 3];
+            behavior.lastMealTime = buffer[offset + 5];
+            behavior.targetFood = this.animalsById.get(buffer[offset + 6]) || null;
+        }
+
+        // Replay catches on the real scene objects
+        events.forEach(({ predatorId, preyId }) => {
+            const predator = this.animalsById.get(predatorId);
+            const prey = this.animalsById.get(preyId);
+            if (!predator || !prey || !system.behaviors.has(preyId)) return;
+
+            system.unregisterMarineLife(prey);
+            if (system.onPredation) {
+                system.onPredation(predator, prey);
+            }
+        });
+    }
+}
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('BehaviorWorkerBridge', BehaviorWorkerBridge, {
+        dependencies: ['MarineLifeBehavior']
+    });
+}
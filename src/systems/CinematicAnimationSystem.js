@@ -16,8 +16,8 @@ class CinematicAnimationSystem {
         this.cinematicEffects = {
             enabled: true,
             depthOfField: false,
-            volumetricLighting: false,  // 禁用体积光以避免发光斑块
-            caustics: false,            // 禁用焦散光以避免视觉噪音
+            volumetricLighting: false,  // 体积光由 UnderwaterLighting 的屏幕空间光束代替
+            caustics: false,            // 焦散由 UnderwaterLighting 投射到海床和生物上
             particleEffects: true,
             advancedMaterials: true
         };
@@ -40,6 +40,9 @@ class CinematicAnimationSystem {
             currentFlow: t => Math.pow(Math.sin(t * Math.PI), 2)
         };
         
+        // 日照强度（0 = 夜晚，1 = 正午），由 DayNightCycle 设置
+        this.daylight = 1;
+        
         // 噪声生成器 - 用于自然随机效果
         this.noiseOffset = Math.random() * 1000;
         
@@ -183,10 +186,8 @@ class CinematicAnimationSystem {
     }
     
     setupPostProcessing() {
-        // 如果可用，设置后处理效果
-        if (window.THREE && window.THREE.EffectComposer) {
-            this.setupAdvancedPostProcessing();
-        }
+        // 后处理效果由 RenderEngine 的 PostProcessingPipeline 统一管理
+        // (景深、泛光、水体吸收、暗角和胶片颗粒)
     }
     
     // 高级动画函数 - 用于海洋生物
@@ -321,7 +322,7 @@ class CinematicAnimationSystem {
         // 动态调整主光源
         if (this.sunLight) {
             const lightVariation = Math.sin(this.globalTime * 0.1) * 0.2 + 1.0;
-            this.sunLight.intensity = 2.5 * lightVariation;
+            this.sunLight.intensity = 2.5 * lightVariation * this.daylight;
             
             // 轻微的光源位置变化，模拟水面波动对光线的影响
             const positionOffset = Math.sin(this.globalTime * 0.5) * 5;
@@ -329,6 +330,14 @@ class CinematicAnimationSystem {
         }
     }
     
+    // 主光源与补光随昼夜变暗
+    setDaylight(level) {
+        this.daylight = level;
+        if (this.fillLight) {
+            this.fillLight.intensity = 0.5 * level;
+        }
+    }
+    
     updateVolumetricLighting() {
         if (this.volumetricLights) {
             this.volumetricLights.forEach((light, index) => {
@@ -166,7 +166,8 @@ class CinematicCameraSystem {
     
     // === 更新循环 ===
     
-    update(deltaTime, octopusPosition, keys) {
+    // frameDelta：本帧时长，关键帧序列按它推进（默认与 deltaTime 相同）
+    update(deltaTime, octopusPosition, keys, frameDelta = deltaTime) {
         this.time += deltaTime;
         
         // 更新当前模式
@@ -192,7 +193,7 @@ class CinematicCameraSystem {
         this.applyCameraEffects(deltaTime);
         
         // 更新动画
-        this.updateAnimations(deltaTime);
+        this.updateAnimations(deltaTime, frameDelta);
     }
     
     updateFollowMode(deltaTime, octopusPosition, keys) {
@@ -370,16 +371,80 @@ class CinematicCameraSystem {
     
     // === 高级摄像机功能 ===
     
-    createCinematicSequence(keyframes) {
-        // 创建电影序列
+    // 关键帧：{ time: 秒, position: [x, y, z], lookAt: [x, y, z], fov }，坐标与分享链接的 pos/look 相同
+    // 省略的字段沿用上一帧；第一帧不在 0 秒时从当前镜头出发
+    // options.hold：播完后停在最后一帧，直到 stopCinematicSequence()
+    createCinematicSequence(keyframes, options = {}) {
+        // 同一时间只播放一个序列，新序列替换旧序列
+        this.stopCinematicSequence();
+        
+        const frames = this.normalizeKeyframes(keyframes);
         this.currentAnimation = {
             type: 'sequence',
-            keyframes: keyframes,
-            startTime: this.time,
-            duration: keyframes[keyframes.length - 1].time
+            keyframes: frames,
+            start: this.time,
+            elapsed: 0,
+            duration: frames[frames.length - 1].time,
+            hold: options.hold === true,
+            paused: false
         };
         
         this.animations.push(this.currentAnimation);
+        return this.currentAnimation;
+    }
+    
+    normalizeKeyframes(keyframes) {
+        // 当前镜头作为第 0 秒（position 相对钻机，lookAt 是世界坐标）
+        const direction = this.camera.getWorldDirection(new THREE.Vector3());
+        const current = {
+            time: 0,
+            position: this.camera.position.clone(),
+            lookAt: this.camera.getWorldPosition(new THREE.Vector3()).add(direction.multiplyScalar(10)),
+            fov: this.camera.fov
+        };
+        
+        let previous = current;
+        const frames = keyframes.map(keyframe => previous = {
+            time: keyframe.time || 0,
+            position: keyframe.position ? CinematicCameraSystem.toVector(keyframe.position) : previous.position,
+            lookAt: keyframe.lookAt ? CinematicCameraSystem.toVector(keyframe.lookAt) : previous.lookAt,
+            fov: keyframe.fov || previous.fov
+        });
+        
+        if (frames.length === 0 || frames[0].time > 0) {
+            frames.unshift(current);
+        }
+        return frames;
+    }
+    
+    // [x, y, z]、{ x, y, z } 或 THREE.Vector3
+    static toVector(value) {
+        if (Array.isArray(value)) return new THREE.Vector3().fromArray(value);
+        return new THREE.Vector3(value.x, value.y, value.z);
+    }
+    
+    stopCinematicSequence() {
+        if (!this.currentAnimation) return;
+        const sequence = this.currentAnimation;
+        this.animations = this.animations.filter(animation => animation !== sequence);
+        this.currentAnimation = null;
+    }
+    
+    pauseCinematicSequence(paused = true) {
+        if (this.currentAnimation) {
+            this.currentAnimation.paused = paused;
+        }
+    }
+    
+    // 直接跳到最后一帧
+    finishCinematicSequence() {
+        if (this.currentAnimation) {
+            this.currentAnimation.elapsed = this.currentAnimation.duration;
+        }
+    }
+    
+    isSequencePlaying() {
+        return this.currentAnimation !== null && this.currentAnimation.elapsed < this.currentAnimation.duration;
     }
     
     dollyZoom(targetFocalLength, duration = 3.0) {
@@ -411,7 +476,7 @@ class CinematicCameraSystem {
     
     // === 动画更新 ===
     
-    updateAnimations(deltaTime) {
+    updateAnimations(deltaTime, frameDelta = deltaTime) {
         this.animations = this.animations.filter(animation => {
             const elapsed = this.time - animation.start;
             const progress = Math.min(elapsed / animation.duration, 1.0);
@@ -432,8 +497,7 @@ class CinematicCameraSystem {
                     break;
                     
                 case 'sequence':
-                    this.updateCinematicSequence(animation, elapsed);
-                    break;
+                    return this.updateCinematicSequence(animation, frameDelta);
             }
             
             return progress < 1.0;
@@ -460,6 +524,36 @@ class CinematicCameraSystem {
         }
     }
     
+    // 在相邻关键帧之间缓动插值；返回序列是否继续
+    updateCinematicSequence(animation, deltaTime) {
+        if (!animation.paused) {
+            animation.elapsed = Math.min(animation.elapsed + deltaTime, animation.duration);
+        }
+        
+        const frames = animation.keyframes;
+        let index = frames.findIndex(frame => frame.time >= animation.elapsed);
+        if (index === -1) index = frames.length - 1;
+        const from = frames[Math.max(index - 1, 0)];
+        const to = frames[index];
+        const span = to.time - from.time;
+        const t = span > 0 ? this.easeInOutQuad((animation.elapsed - from.time) / span) : 1;
+        
+        this.camera.position.lerpVectors(from.position, to.position, t);
+        this.camera.lookAt(from.lookAt.clone().lerp(to.lookAt, t));
+        
+        const fov = this.lerp(from.fov, to.fov, t);
+        if (fov !== this.camera.fov) {
+            this.camera.fov = fov;
+            this.camera.updateProjectionMatrix();
+        }
+        
+        const running = animation.hold || animation.elapsed < animation.duration;
+        if (!running && this.currentAnimation === animation) {
+            this.currentAnimation = null;
+        }
+        return running;
+    }
+    
     updateRackFocus(animation, progress) {
         // 模拟拉焦效果（如果有后处理）
         animation.phase = progress;
@@ -0,0 +1,268 @@
+// 昼夜循环 - 模拟时钟驱动太阳、光照、雾与夜间行为
+// Day/Night Cycle - A simulated clock driving the sun, light, fog and diel behaviour
+//
+// The clock runs in simulated hours (0-24) at a chosen time scale, so a whole
+// day can be watched in a few minutes. From the hour it places the sun on an
+// equinox path over the Cape (34°S: it rises in the east, crosses the northern
+// sky and sets in the west) and derives one daylight level, 0 at night and 1
+// in full day. That level sets
+//
+//   - the sun and ambient light intensity and colour (warm at the horizon,
+//     pale moonlight and a deep blue ambient at night)
+//   - how much surface light UnderwaterLighting scatters into the water and
+//     the god rays, and how far one can see (fog)
+//   - the bioluminescent plankton of AdvancedParticleSystem, which fades in
+//     after dusk
+//   - MarineLifeBehavior's light level: sharks and the octopus become more
+//     active at night, seals and penguins forage by day and rest at night,
+//     and reef fish shelter in the kelp after dark
+//
+// Scene north is -z and east is +x.
+
+class DayNightCycle {
+    constructor(oceanForest, options = {}) {
+        this.oceanForest = oceanForest;
+
+        this.hours = options.hours !== undefined ? options.hours : DayNightCycle.PRESETS.midday;
+        this.timeScale = options.timeScale !== undefined ? options.timeScale : DayNightCycle.DEFAULT_TIME_SCALE;
+
+        this.daylight = 1;
+        this.sunElevation = 0; // sine of the sun's elevation
+        this.sunDirection = new THREE.Vector3(0, 1, 0);
+        this.syncedLightLevel = null;
+
+        // Authored light colours and intensities, the midday look (before any water tint)
+        const { sunLight, ambientLight, underwaterLighting } = oceanForest;
+        const authored = light => ({
+            color: ((underwaterLighting && underwaterLighting.baseColors.get(light)) || light.color).clone(),
+            intensity: light.intensity
+        });
+        this.sunBase = sunLight ? authored(sunLight) : null;
+        this.ambientBase = ambientLight ? authored(ambientLight) : null;
+        this.color = new THREE.Color();
+
+        this.controls = null;
+        this.apply();
+    }
+
+    // Accepts a preset name or hours, e.g. 'dusk' or 18.5
+    setTime(time) {
+        const hours = DayNightCycle.PRESETS[time] !== undefined ? DayNightCycle.PRESETS[time] : parseFloat(time);
+        if (!Number.isFinite(hours)) return this.hours;
+
+        this.hours = ((hours % 24) + 24) % 24;
+        this.apply();
+        return this.hours;
+    }
+
+    // Simulated seconds per real second (0 pauses the clock)
+    setTimeScale(timeScale) {
+        this.timeScale = Math.max(0, timeScale);
+        this.updateControls();
+        return this.timeScale;
+    }
+
+    static formatTime(hours) {
+        const minutes = Math.round(hours * 60) % (24 * 60);
+        const pad = value => String(value).padStart(2, '0');
+        return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+    }
+
+    // Called every frame with the frame time in seconds
+    update(deltaTime) {
+        if (this.timeScale > 0) {
+            this.hours = (this.hours + deltaTime * this.timeScale / 3600) % 24;
+        }
+        this.apply();
+    }
+
+    apply() {
+        this.updateSun();
+        this.updateLights();
+        this.updateSystems();
+        this.updateControls();
+    }
+
+    // Equinox sun path: hour angle 15° per hour from solar noon
+    updateSun() {
+        const hourAngle = (this.hours - 12) / 12 * Math.PI;
+        const latitude = DayNightCycle.LATITUDE * Math.PI / 180;
+
+        const east = -Math.sin(hourAngle);
+        const north = -Math.sin(latitude) * Math.cos(hourAngle);
+        const up = Math.cos(latitude) * Math.cos(hourAngle);
+        this.sunDirection.set(east, up, -north);
+        this.sunElevation = up;
+
+        // Civil twilight fades into moonlight; full daylight by mid-morning
+        const day = THREE.MathUtils.smoothstep(up, -0.1, 0.6);
+        this.daylight = Math.max(DayNightCycle.MOONLIGHT, day);
+    }
+
+    updateLights() {
+        const { sunLight, ambientLight, underwaterLighting } = this.oceanForest;
+        const setColor = (light, color) => underwaterLighting ?
+            underwaterLighting.setBaseColor(light, color) :
+            light.color.copy(color);
+
+        if (sunLight && this.sunBase) {
+            sunLight.position.copy(this.sunDirection).multiplyScalar(DayNightCycle.SUN_DISTANCE);
+            sunLight.intensity = this.sunBase.intensity * this.daylight;
+
+            // Moonlight below the horizon, warm near it, the authored colour by day
+            const elevation = this.sunElevation;
+            if (elevation < 0) {
+                this.color.copy(DayNightCycle.MOON_COLOR).lerp(DayNightCycle.HORIZON_COLOR, THREE.MathUtils.smoothstep(elevation, -0.2, 0));
+            } else {
+                this.color.copy(DayNightCycle.HORIZON_COLOR).lerp(this.sunBase.color, THREE.MathUtils.smoothstep(elevation, 0, 0.3));
+            }
+            setColor(sunLight, this.color);
+        }
+
+        if (ambientLight && this.ambientBase) {
+            ambientLight.intensity = this.ambientBase.intensity * (0.3 + 0.7 * this.daylight);
+            this.color.copy(DayNightCycle.NIGHT_AMBIENT).lerp(this.ambientBase.color, this.daylight);
+            setColor(ambientLight, this.color);
+        }
+    }
+
+    updateSystems() {
+        const forest = this.oceanForest;
+        const darkness = 1 - this.daylight;
+
+        if (forest.underwaterLighting) {
+            forest.underwaterLighting.setDaylight(this.daylight, 1 + DayNightCycle.NIGHT_FOG * darkness);
+        } else if (forest.scene && forest.scene.fog) {
+            forest.scene.fog.density = DayNightCycle.BASE_FOG_DENSITY * (1 + DayNightCycle.NIGHT_FOG * darkness);
+        }
+
+        if (forest.skyboxMaterial && forest.skyboxMaterial.uniforms.brightness) {
+            forest.skyboxMaterial.uniforms.brightness.value = 0.15 + 0.85 * this.daylight;
+        }
+
+        if (forest.cinematicAnimation) {
+            forest.cinematicAnimation.setDaylight(this.daylight);
+        }
+
+        if (forest.advancedParticles) {
+            forest.advancedParticles.setBioluminescence(1 - THREE.MathUtils.smoothstep(this.daylight, 0.05, 0.3));
+        }
+
+        const behavior = forest.marineLifeBehavior;
+        if (behavior) {
+            behavior.setLightLevel(this.daylight);
+
+            // The worker keeps its own copy; resend it only when the light has changed noticeably
+            const worker = forest.behaviorWorker;
+            if (worker && (this.syncedLightLevel === null || Math.abs(this.daylight - this.syncedLightLevel) >= 0.02)) {
+                worker.syncSettings();
+                this.syncedLightLevel = this.daylight;
+            }
+        }
+
+        if (forest.octopusModel) {
+            forest.octopusModel.setActivity(behavior ? behavior.getActivityLevel('Common Octopus') : 1);
+        }
+    }
+
+    // Time slider, presets and time scale, appended to a panel
+    createControls(panel) {
+        if (!panel) return;
+
+        const row = document.createElement('div');
+        row.className = 'animal-control day-night';
+
+        // data-i18n lets I18n translate the labels; the English text is the fallback
+        const label = document.createElement('span');
+        const title = document.createElement('span');
+        title.dataset.i18n = 'stats.time';
+        title.textContent = '🌗 Time: ';
+        label.appendChild(title);
+        const value = document.createElement('span');
+        label.appendChild(value);
+        row.appendChild(label);
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = '24';
+        slider.step = '0.25';
+        slider.addEventListener('input', () => this.setTime(parseFloat(slider.value)));
+        row.appendChild(slider);
+
+        const presets = document.createElement('div');
+        presets.className = 'day-night-buttons';
+        Object.entries(DayNightCycle.PRESET_LABELS).forEach(([preset, text]) => {
+            const button = document.createElement('button');
+            button.className = 'control-btn wide';
+            button.textContent = text;
+            button.dataset.i18n = `stats.${preset}`;
+            button.addEventListener('click', () => this.setTime(preset));
+            presets.appendChild(button);
+        });
+        row.appendChild(presets);
+
+        const scales = document.createElement('div');
+        scales.className = 'day-night-buttons';
+        const scaleLabel = document.createElement('span');
+        scaleLabel.textContent = 'Day lasts';
+        scaleLabel.dataset.i18n = 'stats.dayLasts';
+        scales.appendChild(scaleLabel);
+        const scaleButtons = DayNightCycle.TIME_SCALES.map(({ timeScale, label: text }) => {
+            const button = document.createElement('button');
+            button.className = 'control-btn wide';
+            button.textContent = text;
+            button.addEventListener('click', () => this.setTimeScale(timeScale));
+            scales.appendChild(button);
+            return { button, timeScale };
+        });
+        row.appendChild(scales);
+
+        panel.appendChild(row);
+        this.controls = { slider, value, scaleButtons };
+        this.updateControls();
+    }
+
+    updateControls() {
+        if (!this.controls) return;
+
+        const { slider, value, scaleButtons } = this.controls;
+        const text = DayNightCycle.formatTime(this.hours);
+        // Skip the DOM while the displayed minute is unchanged
+        if (value.textContent !== text) {
+            value.textContent = text;
+            slider.value = this.hours;
+        }
+        scaleButtons.forEach(({ button, timeScale }) => {
+            button.classList.toggle('active', timeScale === this.timeScale);
+        });
+    }
+}
+
+DayNightCycle.LATITUDE = -34; // Cape Peninsula
+DayNightCycle.SUN_DISTANCE = 120;
+DayNightCycle.MOONLIGHT = 0.04;
+DayNightCycle.NIGHT_FOG = 0.6; // fog multiplier added at full dark
+DayNightCycle.BASE_FOG_DENSITY = 0.02; // the scene's FogExp2 density
+
+DayNightCycle.MOON_COLOR = new THREE.Color(0x8a9cc8);
+DayNightCycle.HORIZON_COLOR = new THREE.Color(0xffa060);
+DayNightCycle.NIGHT_AMBIENT = new THREE.Color(0x0c1438);
+
+// Hours
+DayNightCycle.PRESETS = { sunrise: 6.5, midday: 12, dusk: 18.5, night: 23 };
+DayNightCycle.PRESET_LABELS = { sunrise: '🌅 Sunrise', midday: '☀️ Midday', dusk: '🌇 Dusk', night: '🌙 Night' };
+
+// Simulated seconds per real second, labelled by how long a day takes
+DayNightCycle.TIME_SCALES = [
+    { timeScale: 0, label: '⏸' },
+    { timeScale: 60, label: '24 min' },
+    { timeScale: 360, label: '4 min' },
+    { timeScale: 1440, label: '1 min' }
+];
+DayNightCycle.DEFAULT_TIME_SCALE = 60;
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('DayNightCycle', DayNightCycle);
+}
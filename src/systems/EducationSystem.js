@@ -9,8 +9,21 @@ class EducationSystem {
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         this.clickableObjects = [];
+        this.currentSpecies = null; // 当前信息面板显示的物种
         this.infoPanel = document.getElementById('species-info');
         this.closeBtn = document.getElementById('close-info');
+        this.currentAnimal = null; // 面板对应的那只动物
+        this.clickHandler = null; // 设置后点击的动物交给它（测验作答），不打开信息面板
+        
+        // 标签页、体型对比、分布图和跟随按钮
+        this.speciesPanel = new SpeciesInfoPanel({
+            tabs: document.getElementById('species-tabs'),
+            content: document.getElementById('species-facts'),
+            actions: document.getElementById('species-actions')
+        }, window.oceanForest);
+        this.speciesPanel.onAnimalChange = (animal) => {
+            this.showSpeciesInfo(animal.userData.species, animal);
+        };
         
         this.setupEventListeners();
     }
@@ -68,13 +81,22 @@ class EducationSystem {
             for (let intersect of intersects) {
                 let obj = intersect.object;
                 
+                // 实例化网格：用 instanceId 找到对应的动物
+                if (intersect.instanceId !== undefined && obj.userData.instanceObjects) {
+                    obj = obj.userData.instanceObjects[intersect.instanceId];
+                }
+                
                 // Search up hierarchy for species data
                 while (obj && !obj.userData.species) {
                     obj = obj.parent;
                 }
                 
                 if (obj && obj.userData.species) {
-                    this.showSpeciesInfo(obj.userData.species);
+                    if (this.clickHandler) {
+                        this.clickHandler(obj);
+                    } else {
+                        this.showSpeciesInfo(obj.userData.species, obj);
+                    }
                     actionTaken = true;
                     break;
                 }
@@ -87,55 +109,74 @@ class EducationSystem {
         }
     }
     
-    showSpeciesInfo(speciesData) {
+    showSpeciesInfo(speciesData, animal = null) {
+        this.renderSpeciesInfo(speciesData, animal);
+        
+        // 显示面板
+        this.infoPanel.classList.remove('hidden');
+        
+        // 隐藏浮动标签，避免干扰面板显示
+        if (window.oceanForest && window.oceanForest.floatingLabels) {
+            window.oceanForest.floatingLabels.hideLabels();
+        }
+        
+        // 播放教育音效
+        if (window.audioSystem) {
+            window.audioSystem.playBubbleSound(1200, 0.3);
+        }
+    }
+    
+    // 填写面板内容（界面语言）
+    renderSpeciesInfo(speciesData, animal) {
         const nameElement = document.getElementById('species-name');
         const englishElement = document.getElementById('species-english');
-        const factsElement = document.getElementById('species-facts');
         const imageElement = document.getElementById('species-image');
         
-        // 设置物种信息
+        // 物种目录里有的物种以目录为准（动物身上的数据可能是目录加载前创建的）
+        const catalogue = window.speciesCatalogue;
+        if (catalogue && catalogue.has(speciesData.englishName)) {
+            speciesData = catalogue.describe(speciesData.englishName, i18n.locale);
+        }
+        
+        // 设置物种信息：当地语言名称，下面是英文名（如果不同）和学名
+        this.currentSpecies = speciesData;
+        this.currentAnimal = animal;
         nameElement.textContent = speciesData.name;
-        englishElement.textContent = speciesData.englishName;
+        englishElement.textContent = speciesData.name !== speciesData.englishName ? speciesData.englishName : '';
+        if (speciesData.scientificName) {
+            const scientific = document.createElement('em');
+            scientific.className = 'scientific-name';
+            scientific.lang = 'la';
+            scientific.textContent = speciesData.scientificName;
+            englishElement.append(englishElement.textContent ? ' · ' : '', scientific);
+        }
         
         // 设置物种照片
         if (speciesData.photo) {
             imageElement.src = speciesData.photo;
-            imageElement.alt = `${speciesData.englishName} photo`;
+            imageElement.alt = i18n.t('info.photoAlt', { name: speciesData.name });
             imageElement.style.display = 'block';
         } else {
             // 创建简单的占位图
             imageElement.src = "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjIwMCIgdmlld0JveD0iMCAwIDMwMCAyMDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIzMDAiIGhlaWdodD0iMjAwIiBmaWxsPSIjMDA0NDY2Ii8+Cjx0ZXh0IHg9IjE1MCIgeT0iMTAwIiBmaWxsPSIjODdDRUVCIiB0ZXh0LWFuY2hvcj0ibWlkZGxlIiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMTQiPk1hcmluZSBBbmltYWw8L3RleHQ+Cjwvc3ZnPgo=";
-            imageElement.alt = `${speciesData.englishName} placeholder`;
+            imageElement.alt = i18n.t('info.placeholderAlt', { name: speciesData.name });
         }
         
-        // 创建知识点列表
-        const factsList = document.createElement('ul');
-        speciesData.facts.forEach(fact => {
-            const listItem = document.createElement('li');
-            listItem.textContent = fact;
-            factsList.appendChild(listItem);
-        });
-        
-        // 清除之前的内容并添加新内容
-        factsElement.innerHTML = '';
-        factsElement.appendChild(factsList);
-        
-        // 显示面板
-        this.infoPanel.classList.remove('hidden');
-        
-        // 隐藏浮动标签，避免干扰面板显示
-        if (window.oceanForest && window.oceanForest.floatingLabels) {
-            window.oceanForest.floatingLabels.hideLabels();
-        }
-        
-        // 播放教育音效
-        if (window.audioSystem) {
-            window.audioSystem.playBubbleSound(1200, 0.3);
+        // 概览、食性、保护等级、体型和分布标签页
+        this.speciesPanel.show(speciesData, animal);
+    }
+    
+    // 切换语言后重新填写打开着的面板
+    refreshLanguage() {
+        if (this.currentSpecies) {
+            this.renderSpeciesInfo(this.currentSpecies, this.currentAnimal);
         }
     }
     
     hideSpeciesInfo() {
         this.infoPanel.classList.add('hidden');
+        this.currentSpecies = null;
+        this.currentAnimal = null;
         
         // 面板关闭时重新显示浮动标签
         if (window.oceanForest && window.oceanForest.floatingLabels) {
@@ -144,8 +185,8 @@ class EducationSystem {
     }
 }
 
-// 浮动标签系统 - 显示生物英文名
-// Floating Labels System - Display species English names
+// 浮动标签系统 - 用界面语言显示生物名称
+// Floating Labels System - Display species names in the interface language
 
 class FloatingLabelsSystem {
     constructor(scene, camera) {
@@ -153,6 +194,8 @@ class FloatingLabelsSystem {
         this.camera = camera;
         this.speciesLabels = [];
         this.labelsVisible = true; // 控制标签是否应该显示
+        this.suppressed = false; // 测验时标签会泄露答案，期间不再显示
+        this.maxLabels = Infinity; // 同时显示的标签上限（自适应画质）
     }
     
     createFloatingLabels(allSpecies) {
@@ -172,7 +215,7 @@ class FloatingLabelsSystem {
     createSpeciesLabel(speciesObject) {
         const label = document.createElement('div');
         label.className = 'species-label fade-in';
-        label.textContent = speciesObject.userData.species.englishName;
+        label.textContent = this.getLabelText(speciesObject);
         
         // 存储3D对象引用
         label.speciesObject = speciesObject;
@@ -185,6 +228,21 @@ class FloatingLabelsSystem {
         this.updateLabelPosition(label, speciesObject);
     }
     
+    // 界面语言的物种名称
+    getLabelText(speciesObject) {
+        const englishName = speciesObject.userData.species.englishName;
+        return window.speciesCatalogue ? speciesCatalogue.getCommonName(englishName, i18n.locale) : englishName;
+    }
+    
+    // 切换语言后更新所有标签文字
+    refreshLabels() {
+        this.speciesLabels.forEach(label => {
+            if (label.speciesObject) {
+                label.textContent = this.getLabelText(label.speciesObject);
+            }
+        });
+    }
+    
     updateLabelPosition(label, speciesObject) {
         if (!speciesObject || !label) return;
         
@@ -221,11 +279,27 @@ class FloatingLabelsSystem {
             return;
         }
         
-        this.speciesLabels.forEach(label => {
-            if (label.speciesObject && document.body.contains(label)) {
-                this.updateLabelPosition(label, label.speciesObject);
-            }
-        });
+        let labels = this.speciesLabels.filter(label => label.speciesObject && document.body.contains(label));
+        
+        // 超过上限时只显示镜头前方最近的标签
+        if (labels.length > this.maxLabels) {
+            const worldPosition = new THREE.Vector3();
+            const ranked = labels.map(label => {
+                label.speciesObject.getWorldPosition(worldPosition);
+                const inFront = worldPosition.clone().project(this.camera).z < 1;
+                return { label, distance: inFront ? this.camera.position.distanceTo(worldPosition) : Infinity };
+            }).sort((a, b) => a.distance - b.distance);
+            
+            ranked.slice(this.maxLabels).forEach(entry => entry.label.style.display = 'none');
+            labels = ranked.slice(0, this.maxLabels).map(entry => entry.label);
+        }
+        
+        labels.forEach(label => this.updateLabelPosition(label, label.speciesObject));
+    }
+    
+    // 限制同时显示的标签数量，由自适应画质调用
+    setMaxLabels(count) {
+        this.maxLabels = count;
     }
     
     // 隐藏所有浮动标签
@@ -238,8 +312,17 @@ class FloatingLabelsSystem {
         });
     }
     
+    // 暂停或恢复标签显示（恢复后由调用方决定是否 showLabels）
+    setSuppressed(suppressed) {
+        this.suppressed = suppressed;
+        if (suppressed) {
+            this.hideLabels();
+        }
+    }
+    
     // 显示所有浮动标签
     showLabels() {
+        if (this.suppressed) return;
         this.labelsVisible = true; // 重新启用标签显示
         this.speciesLabels.forEach(label => {
             if (label && label.speciesObject && document.body.contains(label)) {
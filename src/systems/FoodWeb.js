@@ -0,0 +1,121 @@
+// 食物网 - 可编辑的捕食关系表
+// Food Web - Declarative predator/prey table loaded from JSON
+
+class FoodWeb {
+    constructor(table = null) {
+        this.version = null;
+        this.species = {};
+        this.links = [];
+        this.loaded = false;
+        this.revision = 0; // bumped on every change so copies (e.g. the behavior worker) can resync
+
+        if (table) {
+            this.setTable(table);
+        }
+    }
+
+    // Load a food web table, e.g. a lesson-specific copy of the default file
+    async load(url = 'assets/data/food-web.json') {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Food web request failed (${response.status}): ${url}`);
+        }
+
+        this.setTable(await response.json());
+        console.log(`🕸️ Food web loaded from ${url}: ${this.links.length} links`);
+        return this;
+    }
+
+    setTable(table) {
+        if (!table || !Array.isArray(table.links)) {
+            throw new Error('Food web table must contain a "links" array');
+        }
+
+        this.version = table.version || null;
+        this.species = table.species || {};
+        this.links = [];
+        this.addLinks(table.links);
+        this.loaded = true;
+    }
+
+    // Extra species and links, e.g. from species plugins; links already present are replaced
+    addSpecies(species, entry = {}) {
+        this.species[species] = { ...(this.species[species] || {}), ...entry };
+        this.revision++;
+    }
+
+    addLinks(links) {
+        links
+            .filter(link => {
+                const valid = typeof link.predator === 'string' && typeof link.prey === 'string';
+                if (!valid) {
+                    console.warn('⚠️ Ignoring food web link without predator/prey:', link);
+                }
+                return valid;
+            })
+            .forEach(link => {
+                this.links = this.links.filter(existing =>
+                    existing.predator !== link.predator || existing.prey !== link.prey
+                );
+                this.links.push({
+                    predator: link.predator,
+                    prey: link.prey,
+                    preference: link.preference !== undefined ? link.preference : 1.0,
+                    minPreySize: link.minPreySize !== undefined ? link.minPreySize : 0,
+                    maxPreySize: link.maxPreySize !== undefined ? link.maxPreySize : Infinity
+                });
+            });
+        this.revision++;
+    }
+
+    getLink(predatorSpecies, preySpecies) {
+        return this.links.find(link =>
+            link.predator === predatorSpecies && link.prey === preySpecies
+        ) || null;
+    }
+
+    // Everything a species eats
+    getPreyLinks(predatorSpecies) {
+        return this.links.filter(link => link.predator === predatorSpecies);
+    }
+
+    // Everything that eats a species
+    getPredatorLinks(preySpecies) {
+        return this.links.filter(link => link.prey === preySpecies);
+    }
+
+    isPredator(species) {
+        return this.links.some(link => link.predator === species);
+    }
+
+    // preySize is the individual's body length in metres (species length if omitted)
+    isPrey(predatorSpecies, preySpecies, preySize) {
+        const link = this.getLink(predatorSpecies, preySpecies);
+        if (!link || link.preference <= 0) return false;
+
+        const size = preySize !== undefined ? preySize : this.getSpeciesLength(preySpecies);
+        if (size === null) return true;
+
+        return size >= link.minPreySize && size <= link.maxPreySize;
+    }
+
+    getPreference(predatorSpecies, preySpecies) {
+        const link = this.getLink(predatorSpecies, preySpecies);
+        return link ? link.preference : 0;
+    }
+
+    getSpeciesLength(species) {
+        const entry = this.species[species];
+        return entry && entry.length !== undefined ? entry.length : null;
+    }
+
+    getSpeciesNutrition(species) {
+        const entry = this.species[species];
+        return entry && entry.nutrition !== undefined ? entry.nutrition : null;
+    }
+}
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('FoodWeb', FoodWeb);
+}
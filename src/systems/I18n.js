@@ -0,0 +1,230 @@
+// 国际化 - 界面文字目录、语言切换与从右到左布局
+// Internationalisation - UI message catalogues, language switching and text direction
+//
+// Each language has a message catalogue in assets/i18n/<code>.json:
+//
+//   { "locale": "af", "name": "Afrikaans", "direction": "ltr", "messages": { "key": "text", ... } }
+//
+// Keys are dotted names ("follow.title"); texts may hold {placeholders}.
+// English is always loaded as well, so a key missing from another language
+// falls back to English, and a key missing there shows the key itself.
+//
+// Static markup is translated through attributes, which translatePage()
+// applies again after every language change:
+//
+//   <span data-i18n="stats.fish">🐟 Fish:</span>
+//   <button data-i18n-title="info.close" data-i18n-aria-label="info.close">×</button>
+//
+// Code that builds text itself calls i18n.t() and re-renders from onChange().
+// Species names and facts are not messages: they come from the species
+// catalogue in the current language (SpeciesCatalogue.describe).
+
+class I18n {
+    constructor() {
+        this.locale = I18n.DEFAULT_LOCALE;
+        this.catalogues = {};
+        this.listeners = [];
+        this.missingKeys = new Set();
+    }
+
+    // Language from ?lang=, the page config, the last choice on this device or the browser, in that order.
+    // Draft translations are only used when asked for by ?lang=, so reviewers can open them.
+    static detectLocale(config = {}) {
+        const params = new URLSearchParams(window.location.search);
+        const requested = I18n.findLanguage(params.get('lang'));
+        if (requested) return requested.code;
+
+        const candidates = [
+            config.language,
+            I18n.readSavedLocale(),
+            ...(navigator.languages || [navigator.language])
+        ];
+
+        for (const candidate of candidates) {
+            const language = I18n.findLanguage(candidate);
+            if (language && !language.draft) {
+                return language.code;
+            }
+        }
+        return I18n.DEFAULT_LOCALE;
+    }
+
+    static findLanguage(tag) {
+        const code = tag && tag.toLowerCase().split('-')[0];
+        return code ? I18n.LANGUAGES.find(language => language.code === code) : undefined;
+    }
+
+    static readSavedLocale() {
+        try {
+            return localStorage.getItem(I18n.STORAGE_KEY);
+        } catch (error) {
+            return null; // storage blocked, e.g. file:// in some browsers
+        }
+    }
+
+    async load(locale) {
+        if (this.catalogues[locale]) return this.catalogues[locale];
+
+        const url = `${I18n.BASE_URL}/${locale}.json`;
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Message catalogue request failed (${response.status}): ${url}`);
+        }
+
+        const catalogue = await response.json();
+        if (!catalogue || typeof catalogue.messages !== 'object') {
+            throw new Error(`Message catalogue ${url} must contain a "messages" object`);
+        }
+        this.catalogues[locale] = catalogue;
+        return catalogue;
+    }
+
+    // Switch language; the page keeps the previous language if the catalogue cannot be loaded
+    async setLocale(locale) {
+        try {
+            await this.load(I18n.DEFAULT_LOCALE);
+            await this.load(locale);
+        } catch (error) {
+            console.warn(`⚠️ Language ${locale} could not be loaded, keeping ${this.locale}:`, error);
+            return false;
+        }
+
+        this.locale = locale;
+        try {
+            localStorage.setItem(I18n.STORAGE_KEY, locale);
+        } catch (error) {
+            // Not remembered across visits; the language still applies now
+        }
+
+        document.documentElement.lang = locale;
+        document.documentElement.dir = this.getDirection();
+        this.translatePage();
+        this.listeners.forEach(listener => listener(locale));
+        console.log(`🌐 Language: ${this.getLanguageName(locale)}`);
+        return true;
+    }
+
+    // Listener called with the new locale after every change
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    has(key) {
+        return [this.locale, I18n.DEFAULT_LOCALE].some(locale =>
+            this.catalogues[locale] && this.catalogues[locale].messages[key] !== undefined
+        );
+    }
+
+    // Message for a key with {placeholders} filled from params
+    t(key, params = {}) {
+        const message = [this.locale, I18n.DEFAULT_LOCALE]
+            .map(locale => this.catalogues[locale] && this.catalogues[locale].messages[key])
+            .find(text => text !== undefined);
+
+        if (message === undefined) {
+            if (!this.missingKeys.has(key)) {
+                this.missingKeys.add(key);
+                console.warn(`⚠️ Missing message: ${key}`);
+            }
+            return key;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] !== undefined ? params[name] : match
+        );
+    }
+
+    // Message if there is one, otherwise the given text (e.g. a place name without a translation)
+    translateOr(key, fallback, params = {}) {
+        return this.has(key) ? this.t(key, params) : fallback;
+    }
+
+    // Decimal numbers with the language's separator (0,6 m in Afrikaans)
+    formatNumber(value) {
+        try {
+            return new Intl.NumberFormat(this.locale).format(value);
+        } catch (error) {
+            return String(value);
+        }
+    }
+
+    getDirection(locale = this.locale) {
+        const catalogue = this.catalogues[locale];
+        if (catalogue && catalogue.direction) return catalogue.direction;
+        return I18n.RTL_LOCALES.includes(locale) ? 'rtl' : 'ltr';
+    }
+
+    getLanguageName(locale) {
+        const language = I18n.LANGUAGES.find(entry => entry.code === locale);
+        return language ? language.name : locale;
+    }
+
+    // Apply data-i18n attributes below root; elements without a message keep their text
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            if (this.has(element.dataset.i18n)) {
+                element.textContent = this.t(element.dataset.i18n);
+            }
+        });
+        I18n.ATTRIBUTES.forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                const key = element.getAttribute(`data-i18n-${attribute}`);
+                if (this.has(key)) {
+                    element.setAttribute(attribute, this.t(key));
+                }
+            });
+        });
+        if (this.has('app.title')) {
+            document.title = this.t('app.title');
+        }
+    }
+
+    // Fill a <select> with the languages and switch when it changes; a draft is listed only while open
+    bindSwitcher(select) {
+        if (!select) return;
+
+        select.innerHTML = '';
+        I18n.LANGUAGES.forEach(({ code, name, draft }) => {
+            if (draft && code !== this.locale) return;
+
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = name;
+            option.lang = code;
+            select.appendChild(option);
+        });
+        select.value = this.locale;
+        select.addEventListener('change', async () => {
+            if (!await this.setLocale(select.value)) {
+                select.value = this.locale;
+            }
+        });
+        this.onChange(locale => select.value = locale);
+    }
+}
+
+// Languages in the switcher, each named in its own language. A draft stays out of the
+// switcher and auto-detection until a first-language speaker has reviewed it.
+I18n.LANGUAGES = [
+    { code: 'en', name: 'English' },
+    { code: 'zh', name: '中文' },
+    { code: 'af', name: 'Afrikaans' },
+    { code: 'xh', name: 'isiXhosa', draft: true }
+];
+I18n.DEFAULT_LOCALE = 'en';
+I18n.BASE_URL = 'assets/i18n';
+I18n.STORAGE_KEY = 'oceanForest.language';
+
+// Used when a catalogue does not give its direction
+I18n.RTL_LOCALES = ['ar', 'fa', 'he', 'ur'];
+
+// Attributes translated from data-i18n-<attribute>
+I18n.ATTRIBUTES = ['title', 'aria-label', 'alt', 'placeholder'];
+
+// Shared instance; OceanForest picks the language before building the interface
+window.i18n = new I18n();
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('I18n', I18n);
+}
@@ -0,0 +1,485 @@
+// 实例化海洋生物 - 鱼群与海床装饰的 GPU 实例化渲染
+// Instanced Marine Life - GPU instancing for reef fish schools and seabed clutter
+//
+// Every kind of object (one reef fish species, kelp stems, kelp blades, urchin
+// spines, anemone tentacles...) is a single InstancedMesh: one draw call however
+// many there are. Motion that used to be done per mesh on the CPU runs in the
+// vertex shader, driven by a per-instance `instanceSway` attribute:
+//
+//   wiggle  fish tail beat in the fish's own space   (phase, speed, amplitude, -)
+//   sway    bending that grows with height above the
+//           plant's base, in world space             (phase, baseY, height, amplitude)
+//
+// With an OceanCurrentField, sway bends each vertex along the water velocity
+// there (the amplitude is reached at OceanCurrentField.REFERENCE_SPEED), so kelp
+// and anemones move with the same surge the particles and animals feel.
+//
+// With a SeabedTerrain, kelp stands on its holdfast rock and urchins and
+// anemones are placed on rock and reef at the floor's real height (and, on
+// imported bathymetry, within their depth range; see SeabedTerrain.PLACEMENT_RULES).
+//
+// Fish are still ordinary Object3Ds in the scene (no geometry), so the behavior
+// system, following, saving and removal work unchanged; update() copies their
+// transforms into the instance matrices each frame. For picking, the
+// InstancedMesh keeps those objects in userData.instanceObjects, indexed by
+// instanceId.
+
+class InstancedBatch {
+    constructor(scene, geometry, material, options = {}) {
+        this.scene = scene;
+        this.geometry = geometry;
+        this.material = material;
+        this.depthMaterial = options.depthMaterial || null;
+        this.name = options.name || 'instances';
+        this.castShadow = options.castShadow !== false;
+
+        // Per instance; objects[] only for batches that follow scene objects
+        this.objects = [];
+        this.matrices = [];
+        this.colors = [];
+        this.sway = [];
+
+        this.mesh = null;
+        this.capacity = 0;
+        this.allocate(options.capacity || 64);
+    }
+
+    get count() {
+        return this.colors.length;
+    }
+
+    // (Re)create the InstancedMesh with room for `capacity` instances
+    allocate(capacity) {
+        if (this.mesh) {
+            this.scene.remove(this.mesh);
+            this.mesh.dispose();
+        }
+
+        this.capacity = capacity;
+        this.swayAttribute = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 4), 4);
+        this.geometry.setAttribute('instanceSway', this.swayAttribute);
+
+        const mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+        mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+        mesh.name = this.name;
+        mesh.castShadow = this.castShadow;
+        mesh.receiveShadow = true;
+        // Instances spread over the whole scene; the base geometry's bounds say nothing
+        mesh.frustumCulled = false;
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.userData.instanceObjects = this.objects;
+        if (this.depthMaterial) {
+            mesh.customDepthMaterial = this.depthMaterial;
+        }
+
+        this.mesh = mesh;
+        this.scene.add(mesh);
+        this.writeAll();
+    }
+
+    // Add one instance; `object` makes it follow that object's transform
+    add({ object = null, matrix = null, color = new THREE.Color(1, 1, 1), sway = [0, 0, 0, 0] }) {
+        if (this.count >= this.capacity) {
+            this.allocate(this.capacity * 2);
+        }
+
+        const index = this.count;
+        if (object) {
+            this.objects.push(object);
+        }
+        this.matrices.push(matrix || new THREE.Matrix4());
+        this.colors.push(color);
+        this.sway.push(sway);
+
+        this.writeInstance(index);
+        this.mesh.count = this.count;
+        return index;
+    }
+
+    writeInstance(index) {
+        this.mesh.setMatrixAt(index, this.matrices[index]);
+        this.mesh.setColorAt(index, this.colors[index]);
+        this.swayAttribute.set(this.sway[index], index * 4);
+
+        this.mesh.instanceMatrix.needsUpdate = true;
+        this.mesh.instanceColor.needsUpdate = true;
+        this.swayAttribute.needsUpdate = true;
+    }
+
+    writeAll() {
+        for (let i = 0; i < this.count; i++) {
+            this.writeInstance(i);
+        }
+        this.mesh.count = this.count;
+    }
+
+    // Follow the tracked objects; objects removed from the scene free their slot
+    update() {
+        if (this.objects.length === 0) return;
+
+        if (this.objects.some(object => !object.parent)) {
+            const keep = this.objects.map(object => !!object.parent);
+            ['objects', 'matrices', 'colors', 'sway'].forEach(key => {
+                const kept = this[key].filter((value, index) => keep[index]);
+                this[key].length = 0;
+                this[key].push(...kept);
+            });
+            this.writeAll();
+        }
+
+        const hidden = new THREE.Matrix4().makeScale(0, 0, 0);
+        this.objects.forEach((object, index) => {
+            object.updateMatrixWorld();
+            this.mesh.setMatrixAt(index, object.visible ? object.matrixWorld : hidden);
+        });
+        this.mesh.instanceMatrix.needsUpdate = true;
+    }
+
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.mesh.dispose();
+        this.geometry.dispose();
+    }
+}
+
+class InstancedMarineLife {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.time = { value: 0 };
+        this.currentField = options.currentField || null;
+        this.terrain = options.terrain || null;
+
+        this.fishBatches = new Map(); // englishName -> InstancedBatch
+        this.batches = [];
+        this.random = oceanRandom.derive('seabed');
+    }
+
+    // Merge parts ({ geometry, color, position, rotation, scale }) into one geometry with vertex colours
+    static mergeGeometries(parts) {
+        const positions = [];
+        const normals = [];
+        const colors = [];
+        const indices = [];
+
+        parts.forEach(part => {
+            const geometry = part.geometry.clone();
+            const matrix = new THREE.Matrix4().compose(
+                part.position || new THREE.Vector3(),
+                new THREE.Quaternion().setFromEuler(part.rotation || new THREE.Euler()),
+                part.scale || new THREE.Vector3(1, 1, 1)
+            );
+            geometry.applyMatrix4(matrix);
+
+            const offset = positions.length / 3;
+            const color = new THREE.Color(part.color !== undefined ? part.color : 0xffffff);
+            const position = geometry.attributes.position;
+            for (let i = 0; i < position.count; i++) {
+                positions.push(position.getX(i), position.getY(i), position.getZ(i));
+                normals.push(geometry.attributes.normal.getX(i), geometry.attributes.normal.getY(i), geometry.attributes.normal.getZ(i));
+                colors.push(color.r, color.g, color.b);
+            }
+
+            if (geometry.index) {
+                for (let i = 0; i < geometry.index.count; i++) {
+                    indices.push(geometry.index.getX(i) + offset);
+                }
+            } else {
+                for (let i = 0; i < position.count; i++) {
+                    indices.push(i + offset);
+                }
+            }
+            geometry.dispose();
+        });
+
+        const merged = new THREE.BufferGeometry();
+        merged.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        merged.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+        merged.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        merged.setIndex(indices);
+        merged.computeBoundingSphere();
+        return merged;
+    }
+
+    // Vertex shader motion for instanced materials ('wiggle' or 'sway', see header)
+    static addMotion(material, mode, time, currentField = null) {
+        const current = mode === 'sway' && currentField;
+        material.onBeforeCompile = shader => {
+            shader.uniforms.swayTime = time;
+            shader.vertexShader = 'attribute vec4 instanceSway;\nuniform float swayTime;\n' + shader.vertexShader;
+            if (current) {
+                Object.assign(shader.uniforms, currentField.uniforms);
+                shader.vertexShader = OceanCurrentField.GLSL + shader.vertexShader;
+            }
+
+            if (mode === 'wiggle') {
+                // Fish face +Z; the beat grows from the head (z = 1) to the tail tip (z = -1.4)
+                shader.vertexShader = shader.vertexShader.replace('#include <begin_vertex>', `
+                    #include <begin_vertex>
+                    float wiggleWeight = clamp((1.0 - transformed.z) / 2.4, 0.0, 1.0);
+                    transformed.x += sin(swayTime * instanceSway.y + instanceSway.x - transformed.z * 2.5) *
+                        instanceSway.z * wiggleWeight * wiggleWeight;
+                `);
+            } else {
+                shader.vertexShader = shader.vertexShader.replace('#include <project_vertex>', `
+                    vec4 mvPosition = vec4(transformed, 1.0);
+                    #ifdef USE_INSTANCING
+                        mvPosition = instanceMatrix * mvPosition;
+                    #endif
+                    float swayHeight = clamp((mvPosition.y - instanceSway.y) / instanceSway.z, 0.0, 1.0);
+                    ${current ? `
+                    vec2 swayOffset = oceanCurrent(mvPosition.xyz).xz / ${OceanCurrentField.REFERENCE_SPEED.toFixed(3)};
+                    ` : `
+                    float swayPhase = swayTime + instanceSway.x;
+                    vec2 swayOffset = vec2(sin(swayPhase * 0.5), cos(swayPhase * 0.3) * 0.5);
+                    `}
+                    mvPosition.xz += swayOffset * instanceSway.w * swayHeight * swayHeight;
+                    mvPosition = modelViewMatrix * mvPosition;
+                    gl_Position = projectionMatrix * mvPosition;
+                `);
+            }
+        };
+        material.customProgramCacheKey = () => `instanced-${mode}${current ? '-current' : ''}`;
+        return material;
+    }
+
+    createBatch(name, geometry, parameters, mode, options = {}) {
+        const material = InstancedMarineLife.addMotion(new THREE.MeshPhongMaterial(parameters), mode, this.time, this.currentField);
+        // Shadows move with the instances too
+        const depthMaterial = InstancedMarineLife.addMotion(
+            new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking }), mode, this.time, this.currentField);
+
+        const batch = new InstancedBatch(this.scene, geometry, material, { name, depthMaterial, ...options });
+        this.batches.push(batch);
+        return batch;
+    }
+
+    // Same shape as OceanForest's mesh-based reef fish, facing +Z
+    static createFishGeometry(fishType) {
+        return InstancedMarineLife.mergeGeometries([
+            {
+                geometry: new THREE.SphereGeometry(0.5, 8, 6),
+                color: fishType.bodyColor,
+                scale: new THREE.Vector3(0.8, 1, 2)
+            },
+            {
+                geometry: new THREE.ConeGeometry(0.3, 0.8, 6),
+                color: fishType.finColor,
+                position: new THREE.Vector3(0, 0, -1.0),
+                rotation: new THREE.Euler(-Math.PI / 2, 0, 0)
+            },
+            ...[-1, 1].map(side => ({
+                geometry: new THREE.SphereGeometry(0.1, 6, 4),
+                color: 0x000000,
+                position: new THREE.Vector3(side * 0.3, 0.2, 0.4)
+            }))
+        ]);
+    }
+
+    // An empty Object3D drawn by its species' InstancedMesh (the caller adds it to the scene)
+    createFish(fishType) {
+        let batch = this.fishBatches.get(fishType.englishName);
+        if (!batch) {
+            batch = this.createBatch(`${fishType.englishName} school`, InstancedMarineLife.createFishGeometry(fishType),
+                { vertexColors: true, shininess: 30 }, 'wiggle', { capacity: 256 });
+            this.fishBatches.set(fishType.englishName, batch);
+        }
+
+        const fish = new THREE.Object3D();
+
+        // Slightly different shade and tail beat for each fish
+        const shade = 0.85 + this.random.random() * 0.3;
+        batch.add({
+            object: fish,
+            color: new THREE.Color(shade, shade, shade),
+            sway: [this.random.random() * Math.PI * 2, 8 + this.random.random() * 4, 0.15, 0]
+        });
+        return fish;
+    }
+
+    // Floor height from the terrain, or seabedY on a flat seabed
+    getFloorHeight(x, z, seabedY) {
+        return this.terrain ? this.terrain.getHeight(x, z) : seabedY;
+    }
+
+    // Centre of a patch of seabed life, following the terrain's placement rule for it
+    // ('urchins', 'anemones'): on rock or reef, and within its depth range on surveyed bathymetry
+    findPatchCentre(extent, rule) {
+        const spot = this.terrain &&
+            this.terrain.findPlacement(this.random, { ...this.terrain.getPlacementRule(rule), extent, tries: 100 });
+        return spot ?
+            new THREE.Vector2(spot.x, spot.z) :
+            new THREE.Vector2(this.random.range(-extent, extent), this.random.range(-extent, extent));
+    }
+
+    // Kelp plants ({ x, z, height, scale }) as two batches: stems and blades
+    createKelpForest(positions, seabedY = -30) {
+        const stemGeometry = new THREE.CylinderGeometry(0.3, 0.8, 1, 8);
+        stemGeometry.translate(0, 0.5, 0); // base at y = 0, unit height
+        const stems = this.createBatch('kelp stems', stemGeometry, { shininess: 30 }, 'sway', { capacity: positions.length });
+
+        const blades = this.createBatch('kelp blades', new THREE.PlaneGeometry(2, 4), {
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: 0.8
+        }, 'sway', { capacity: positions.length * 8, castShadow: false });
+
+        const stemColor = new THREE.Color(0x2d5016);
+        const bladeColor = new THREE.Color(0x4a7c59);
+
+        positions.forEach((plant, index) => {
+            const height = plant.height * plant.scale;
+            const floorY = this.getFloorHeight(plant.x, plant.z, seabedY);
+            const rotation = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), this.random.random() * Math.PI * 2);
+            const base = new THREE.Matrix4().compose(
+                new THREE.Vector3(plant.x, floorY, plant.z), rotation, new THREE.Vector3(plant.scale, plant.scale, plant.scale));
+            // Same bend as OceanEnvironment.updateKelp (about 0.1 rad at the tip)
+            const sway = [index * 0.2, floorY, height, height * 0.1];
+
+            stems.add({
+                matrix: base.clone().multiply(new THREE.Matrix4().makeScale(1, plant.height, 1)),
+                color: stemColor,
+                sway
+            });
+
+            const bladeCount = Math.floor(plant.height / 4);
+            for (let i = 0; i < bladeCount; i++) {
+                const blade = new THREE.Matrix4().compose(
+                    new THREE.Vector3((this.random.random() - 0.5) * 2, i * (plant.height / bladeCount), (this.random.random() - 0.5) * 2),
+                    new THREE.Quaternion().setFromEuler(new THREE.Euler(0, this.random.random() * Math.PI, (this.random.random() - 0.5) * 0.5)),
+                    new THREE.Vector3(1, 1, 1)
+                );
+                blades.add({ matrix: base.clone().multiply(blade), color: bladeColor, sway });
+            }
+        });
+
+        // A group so callers can treat it like OceanEnvironment's kelp forest
+        const group = new THREE.Group();
+        group.name = 'instanced kelp forest';
+        group.userData.instancedBatches = [stems, blades];
+        this.scene.add(group);
+        return group;
+    }
+
+    // Fields of sea urchins on the seabed: bodies and spines are one batch each
+    createUrchinFields(fieldCount = 6, urchinsPerField = 12, seabedY = -30) {
+        const bodies = this.createBatch('urchin bodies', new THREE.SphereGeometry(1, 10, 8),
+            { shininess: 20 }, 'sway', { capacity: fieldCount * urchinsPerField });
+
+        const spineGeometry = new THREE.ConeGeometry(0.04, 1, 4);
+        spineGeometry.translate(0, 0.5, 0);
+        const spines = this.createBatch('urchin spines', spineGeometry,
+            { shininess: 40 }, 'sway', { capacity: fieldCount * urchinsPerField * 40, castShadow: false });
+
+        const up = new THREE.Vector3(0, 1, 0);
+        for (let f = 0; f < fieldCount; f++) {
+            const center = this.findPatchCentre(60, 'urchins');
+
+            for (let u = 0; u < urchinsPerField; u++) {
+                const radius = 0.3 + this.random.random() * 0.25;
+                const x = center.x + this.random.range(-5, 5);
+                const z = center.y + this.random.range(-5, 5);
+                const floorY = this.getFloorHeight(x, z, seabedY);
+                const position = new THREE.Vector3(x, floorY + radius * 0.6, z);
+                const color = new THREE.Color().setHSL(0.78 + this.random.random() * 0.08, 0.5, 0.12 + this.random.random() * 0.1);
+                const phase = this.random.random() * Math.PI * 2;
+
+                bodies.add({
+                    matrix: new THREE.Matrix4().compose(position, new THREE.Quaternion(), new THREE.Vector3(radius, radius * 0.7, radius)),
+                    color,
+                    sway: [phase, floorY, 1, 0]
+                });
+
+                // Spines point out of the upper half of the shell
+                for (let s = 0; s < 40; s++) {
+                    const direction = new THREE.Vector3(this.random.range(-1, 1), this.random.range(0.05, 1), this.random.range(-1, 1)).normalize();
+                    const length = radius * (1.6 + this.random.random() * 0.8);
+                    spines.add({
+                        matrix: new THREE.Matrix4().compose(
+                            position.clone().addScaledVector(direction, radius * 0.9),
+                            new THREE.Quaternion().setFromUnitVectors(up, direction),
+                            new THREE.Vector3(1, length, 1)
+                        ),
+                        color,
+                        sway: [phase, floorY, radius * 3, 0.06]
+                    });
+                }
+            }
+        }
+    }
+
+    // Clusters of anemones: columns and tentacle rings are one batch each
+    createAnemones(clusterCount = 5, anemonesPerCluster = 6, seabedY = -30) {
+        const columnGeometry = new THREE.CylinderGeometry(0.35, 0.45, 1, 10);
+        columnGeometry.translate(0, 0.5, 0);
+        const columns = this.createBatch('anemone columns', columnGeometry,
+            { shininess: 60 }, 'sway', { capacity: clusterCount * anemonesPerCluster });
+
+        const tentacleGeometry = new THREE.CylinderGeometry(0.02, 0.05, 1, 5);
+        tentacleGeometry.translate(0, 0.5, 0);
+        const tentacles = this.createBatch('anemone tentacles', tentacleGeometry,
+            { shininess: 60 }, 'sway', { capacity: clusterCount * anemonesPerCluster * 24, castShadow: false });
+
+        for (let c = 0; c < clusterCount; c++) {
+            const center = this.findPatchCentre(50, 'anemones');
+
+            for (let a = 0; a < anemonesPerCluster; a++) {
+                const scale = 0.7 + this.random.random() * 0.6;
+                const columnHeight = 0.6 * scale;
+                const base = new THREE.Vector3(center.x + this.random.range(-3, 3), 0, center.y + this.random.range(-3, 3));
+                base.y = this.getFloorHeight(base.x, base.z, seabedY);
+                // Pinks and purples, with the odd orange one
+                const hue = this.random.random() < 0.2 ? 0.05 : 0.8 + this.random.random() * 0.15;
+                const color = new THREE.Color().setHSL(hue, 0.7, 0.55);
+                const phase = this.random.random() * Math.PI * 2;
+                const sway = [phase, base.y + columnHeight, 0.8 * scale, 0.25 * scale];
+
+                columns.add({
+                    matrix: new THREE.Matrix4().compose(base, new THREE.Quaternion(), new THREE.Vector3(scale, columnHeight, scale)),
+                    color,
+                    sway: [phase, base.y, 1, 0]
+                });
+
+                // A ring of tentacles on the oral disc, leaning outwards
+                for (let t = 0; t < 24; t++) {
+                    const angle = (t / 24) * Math.PI * 2;
+                    const ring = t % 2 === 0 ? 0.3 : 0.18;
+                    const tilt = new THREE.Quaternion().setFromEuler(new THREE.Euler(Math.sin(angle) * 0.6, 0, -Math.cos(angle) * 0.6));
+                    tentacles.add({
+                        matrix: new THREE.Matrix4().compose(
+                            new THREE.Vector3(base.x + Math.cos(angle) * ring * scale, base.y + columnHeight, base.z + Math.sin(angle) * ring * scale),
+                            tilt,
+                            new THREE.Vector3(scale, (0.6 + this.random.random() * 0.3) * scale, scale)
+                        ),
+                        color,
+                        sway
+                    });
+                }
+            }
+        }
+    }
+
+    getFishCount() {
+        let count = 0;
+        this.fishBatches.forEach(batch => count += batch.count);
+        return count;
+    }
+
+    // Called each frame before rendering; `time` is the elapsed time in seconds
+    update(time) {
+        this.time.value = time;
+        this.fishBatches.forEach(batch => batch.update());
+    }
+
+    dispose() {
+        this.batches.forEach(batch => batch.dispose());
+        this.batches = [];
+        this.fishBatches.clear();
+    }
+}
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('InstancedMarineLife', InstancedMarineLife, {
+        dependencies: ['SeededRandom']
+    });
+}
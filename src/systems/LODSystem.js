@@ -0,0 +1,410 @@
+// 细节层次 - 网格简化、替身贴图与按距离切换
+// LOD System - Mesh decimation, impostor baking and distance-based switching
+//
+// create(object) wraps a model in a THREE.LOD with four levels:
+//
+//   0  the model itself
+//   1  decimated to about half the vertices
+//   2  decimated to about a fifth
+//   3  a camera-facing sprite with the model baked into a texture (impostor)
+//
+// Switch distances are multiples of the model's bounding radius, scaled by the
+// quality bias (AdaptiveQualityGovernor lowers it on slow machines). THREE.LOD
+// picks the level from the camera distance every frame. With setDebug(true)
+// each level is drawn in its own colour and an overlay counts models per level.
+
+class LODSystem {
+    constructor(scene, camera, renderer) {
+        this.scene = scene;
+        this.camera = camera;
+        this.renderer = renderer;
+
+        this.bias = 1;
+        this.debug = false;
+        this.lods = [];
+        this.impostorTargets = new Map(); // LOD -> WebGLRenderTarget
+        this.debugMaterials = new Map(); // mesh or sprite -> original material
+        this.overlay = null;
+        this.overlayHTML = '';
+        this.overlayTimer = 0;
+    }
+
+    // Vertex clustering: snap vertices to a grid and merge each cell into one
+    // vertex. The grid is the finest that keeps no more than `ratio` of the vertices.
+    static simplifyGeometry(geometry, ratio) {
+        const position = geometry.attributes.position;
+        if (!position || ratio >= 1 || position.count < 12) {
+            return geometry.clone();
+        }
+
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+        const box = geometry.boundingBox;
+        const size = box.getSize(new THREE.Vector3());
+        const longest = Math.max(size.x, size.y, size.z) || 1;
+        const target = Math.max(4, Math.floor(position.count * ratio));
+
+        const cellOf = (resolution, i) => {
+            const cell = longest / resolution;
+            const x = Math.min(resolution - 1, Math.floor((position.getX(i) - box.min.x) / cell));
+            const y = Math.min(resolution - 1, Math.floor((position.getY(i) - box.min.y) / cell));
+            const z = Math.min(resolution - 1, Math.floor((position.getZ(i) - box.min.z) / cell));
+            return x + resolution * (y + resolution * z);
+        };
+        const countCells = resolution => {
+            const cells = new Set();
+            for (let i = 0; i < position.count; i++) cells.add(cellOf(resolution, i));
+            return cells.size;
+        };
+
+        // Finest grid that still stays within the vertex budget
+        let low = 1;
+        let high = 256;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (countCells(middle) <= target) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        const resolution = low;
+
+        // One output vertex per occupied cell: average of its members
+        const attributeNames = ['position', 'normal', 'uv', 'color'].filter(name => geometry.attributes[name]);
+        const cellIndex = new Map();
+        const remap = new Array(position.count);
+        const sums = [];
+        const counts = [];
+
+        for (let i = 0; i < position.count; i++) {
+            const cell = cellOf(resolution, i);
+            let index = cellIndex.get(cell);
+            if (index === undefined) {
+                index = counts.length;
+                cellIndex.set(cell, index);
+                counts.push(0);
+                sums.push(attributeNames.map(name => new Array(geometry.attributes[name].itemSize).fill(0)));
+            }
+            remap[i] = index;
+            counts[index]++;
+            attributeNames.forEach((name, a) => {
+                const attribute = geometry.attributes[name];
+                for (let c = 0; c < attribute.itemSize; c++) {
+                    sums[index][a][c] += attribute[LODSystem.COMPONENT_GETTERS[c]](i);
+                }
+            });
+        }
+
+        const simplified = new THREE.BufferGeometry();
+        attributeNames.forEach((name, a) => {
+            const itemSize = geometry.attributes[name].itemSize;
+            const values = new Float32Array(counts.length * itemSize);
+            sums.forEach((sum, index) => {
+                for (let c = 0; c < itemSize; c++) {
+                    values[index * itemSize + c] = sum[a][c] / counts[index];
+                }
+            });
+            simplified.setAttribute(name, new THREE.BufferAttribute(values, itemSize));
+        });
+
+        // Keep triangles whose corners landed in three different cells, per material group
+        const indexOf = geometry.index ? i => geometry.index.getX(i) : i => i;
+        const total = geometry.index ? geometry.index.count : position.count;
+        const groups = geometry.groups.length > 0 ? geometry.groups : [{ start: 0, count: total, materialIndex: 0 }];
+        const indices = [];
+
+        groups.forEach(group => {
+            const start = indices.length;
+            const seen = new Set();
+            const end = Math.min(total, group.start + group.count);
+            for (let i = group.start; i + 2 < end; i += 3) {
+                const a = remap[indexOf(i)];
+                const b = remap[indexOf(i + 1)];
+                const c = remap[indexOf(i + 2)];
+                if (a === b || b === c || a === c) continue;
+
+                const key = [a, b, c].sort((x, y) => x - y).join(',');
+                if (seen.has(key)) continue;
+                seen.add(key);
+                indices.push(a, b, c);
+            }
+            if (geometry.groups.length > 0) {
+                simplified.addGroup(start, indices.length - start, group.materialIndex);
+            }
+        });
+
+        simplified.setIndex(indices);
+        if (simplified.attributes.normal) {
+            const normal = simplified.attributes.normal;
+            const vector = new THREE.Vector3();
+            for (let i = 0; i < normal.count; i++) {
+                vector.fromBufferAttribute(normal, i).normalize();
+                normal.setXYZ(i, vector.x, vector.y, vector.z);
+            }
+        } else {
+            simplified.computeVertexNormals();
+        }
+        simplified.computeBoundingSphere();
+        return simplified;
+    }
+
+    // Copy of an object (sharing materials) with every mesh decimated
+    static simplifyObject(object, ratio) {
+        // Clone without userData: it may hold DOM nodes or other animals
+        const userData = new Map();
+        object.traverse(child => {
+            userData.set(child, child.userData);
+            child.userData = {};
+        });
+        const simplified = object.clone();
+        userData.forEach((data, child) => child.userData = data);
+
+        simplified.traverse(child => {
+            if (child.isMesh && !child.isSkinnedMesh && child.geometry) {
+                child.geometry = LODSystem.simplifyGeometry(child.geometry, ratio);
+            }
+        });
+        return simplified;
+    }
+
+    // Render the object from the side into a texture and show it on a sprite
+    bakeImpostor(object, size = 128) {
+        if (!this.renderer) return null;
+
+        const userData = object.userData;
+        object.userData = {};
+        const subject = object.clone();
+        object.userData = userData;
+        subject.position.set(0, 0, 0);
+        subject.rotation.set(0, 0, 0);
+        subject.scale.copy(object.scale);
+        subject.updateMatrixWorld(true);
+
+        const box = new THREE.Box3().setFromObject(subject);
+        if (box.isEmpty()) return null;
+        const center = box.getCenter(new THREE.Vector3());
+        const extent = box.getSize(new THREE.Vector3());
+        const half = Math.max(extent.y, extent.z) * 0.55;
+        const depth = extent.length();
+
+        // Models face +Z, so looking along -X shows them in profile
+        const camera = new THREE.OrthographicCamera(-half, half, half, -half, 0.01, depth * 4);
+        camera.position.copy(center).add(new THREE.Vector3(depth * 2, 0, 0));
+        camera.lookAt(center);
+
+        const scene = new THREE.Scene();
+        scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+        const light = new THREE.DirectionalLight(0xffffff, 0.8);
+        light.position.set(1, 1, 0.5);
+        scene.add(light);
+        scene.add(subject);
+
+        const target = new THREE.WebGLRenderTarget(size, size);
+        const renderer = this.renderer;
+        const previousTarget = renderer.getRenderTarget();
+        const previousColor = renderer.getClearColor(new THREE.Color());
+        const previousAlpha = renderer.getClearAlpha();
+
+        renderer.setRenderTarget(target);
+        renderer.setClearColor(0x000000, 0);
+        renderer.clear();
+        renderer.render(scene, camera);
+
+        renderer.setRenderTarget(previousTarget);
+        renderer.setClearColor(previousColor, previousAlpha);
+
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: target.texture,
+            transparent: true,
+            alphaTest: 0.1,
+            // The texture was tone mapped when it was baked
+            toneMapped: false
+        }));
+        sprite.position.copy(center);
+        sprite.scale.set(half * 2, half * 2, 1);
+        sprite.userData.impostorTarget = target;
+        return sprite;
+    }
+
+    // Wrap a model in a THREE.LOD; the LOD takes over its transform and userData
+    create(object, options = {}) {
+        const levels = options.levels || LODSystem.LEVELS;
+
+        const lod = new THREE.LOD();
+        lod.name = object.name;
+        lod.position.copy(object.position);
+        lod.quaternion.copy(object.quaternion);
+        lod.userData = object.userData;
+        object.position.set(0, 0, 0);
+        object.quaternion.identity();
+        const radius = new THREE.Box3().setFromObject(object).getBoundingSphere(new THREE.Sphere()).radius || 1;
+
+        const baseDistances = [];
+        levels.forEach(level => {
+            let levelObject;
+            if (level.impostor) {
+                levelObject = this.bakeImpostor(object, level.size);
+                if (!levelObject) return;
+                this.impostorTargets.set(lod, levelObject.userData.impostorTarget);
+            } else {
+                levelObject = level.ratio >= 1 ? object : LODSystem.simplifyObject(object, level.ratio);
+            }
+            const distance = level.distance * radius;
+            baseDistances.push(distance);
+            lod.addLevel(levelObject, distance * this.bias);
+        });
+        lod.userData.baseLevelDistances = baseDistances;
+
+        this.lods.push(lod);
+        if (this.debug) {
+            this.applyDebugColors(lod);
+        }
+        return lod;
+    }
+
+    // Forget a LOD (e.g. when its animal is removed) and free its impostor texture
+    remove(lod) {
+        const index = this.lods.indexOf(lod);
+        if (index === -1) return;
+
+        this.lods.splice(index, 1);
+        this.restoreDebugColors(lod);
+        const target = this.impostorTargets.get(lod);
+        if (target) {
+            target.dispose();
+            this.impostorTargets.delete(lod);
+        }
+    }
+
+    // Scale switch distances (1 = as created, lower = simpler levels sooner)
+    setBias(bias) {
+        this.bias = bias;
+        this.lods.forEach(lod => {
+            lod.levels.forEach((level, index) => {
+                level.distance = lod.userData.baseLevelDistances[index] * bias;
+            });
+        });
+    }
+
+    setDebug(enabled) {
+        this.debug = enabled;
+        this.lods.forEach(lod => enabled ? this.applyDebugColors(lod) : this.restoreDebugColors(lod));
+
+        if (enabled && !this.overlay) {
+            this.overlay = document.createElement('div');
+            this.overlay.id = 'lod-debug';
+            document.body.appendChild(this.overlay);
+        }
+        if (this.overlay) {
+            this.overlay.style.display = enabled ? 'block' : 'none';
+        }
+        this.updateOverlay();
+    }
+
+    toggleDebug() {
+        this.setDebug(!this.debug);
+        return this.debug;
+    }
+
+    applyDebugColors(lod) {
+        lod.levels.forEach((level, index) => {
+            const color = LODSystem.DEBUG_COLORS[index % LODSystem.DEBUG_COLORS.length];
+            level.object.traverse(child => {
+                if (this.debugMaterials.has(child)) return;
+                if (child.isSprite) {
+                    this.debugMaterials.set(child, child.material.color.getHex());
+                    child.material.color.setHex(color);
+                } else if (child.isMesh) {
+                    this.debugMaterials.set(child, child.material);
+                    child.material = new THREE.MeshBasicMaterial({ color });
+                }
+            });
+        });
+    }
+
+    restoreDebugColors(lod) {
+        lod.levels.forEach(level => {
+            level.object.traverse(child => {
+                if (!this.debugMaterials.has(child)) return;
+                const original = this.debugMaterials.get(child);
+                if (child.isSprite) {
+                    child.material.color.setHex(original);
+                } else {
+                    child.material.dispose();
+                    child.material = original;
+                }
+                this.debugMaterials.delete(child);
+            });
+        });
+    }
+
+    // Models removed from the scene are dropped; returns the count per level
+    getLevelCounts() {
+        this.lods.filter(lod => !lod.parent).forEach(lod => this.remove(lod));
+
+        const counts = [0, 0, 0, 0];
+        this.lods.forEach(lod => {
+            const level = lod.getCurrentLevel();
+            counts[level] = (counts[level] || 0) + 1;
+        });
+        return counts;
+    }
+
+    // Rewrites the overlay only when the counts have changed
+    updateOverlay() {
+        if (!this.overlay || !this.debug) return;
+
+        const counts = this.getLevelCounts();
+        const html = '<strong>LOD</strong>' + counts.map((count, index) => {
+            const color = '#' + LODSystem.DEBUG_COLORS[index % LODSystem.DEBUG_COLORS.length].toString(16).padStart(6, '0');
+            return `<div><span style="color: ${color}">■</span> ${this.getLevelName(index)}: ${i18n.formatNumber(count)}</div>`;
+        }).join('');
+        if (html !== this.overlayHTML) {
+            this.overlay.innerHTML = html;
+            this.overlayHTML = html;
+        }
+    }
+
+    getLevelName(index) {
+        const name = LODSystem.LEVEL_NAMES[index];
+        return name ? i18n.t(`lod.${name}`) : String(index);
+    }
+
+    // Called every frame; THREE.LOD switches levels itself while rendering, the
+    // debug overlay is recounted about once a second
+    update(deltaTime) {
+        if (!this.debug) return;
+
+        this.overlayTimer += deltaTime;
+        if (this.overlayTimer >= LODSystem.OVERLAY_INTERVAL) {
+            this.overlayTimer = 0;
+            this.updateOverlay();
+        }
+    }
+}
+
+LODSystem.COMPONENT_GETTERS = ['getX', 'getY', 'getZ', 'getW'];
+
+// distance: multiples of the model's bounding radius (the fog hides most things past ~80 units)
+LODSystem.LEVELS = [
+    { ratio: 1, distance: 0 },
+    { ratio: 0.5, distance: 8 },
+    { ratio: 0.2, distance: 20 },
+    { impostor: true, distance: 40, size: 128 }
+];
+
+// Debug overlay colours per level: green, yellow, orange, red
+LODSystem.DEBUG_COLORS = [0x4caf50, 0xffeb3b, 0xff9800, 0xf44336];
+
+// Overlay names per level, translated from lod.<name>
+LODSystem.LEVEL_NAMES = ['full', 'half', 'fifth', 'impostor'];
+
+// Seconds between debug overlay recounts
+LODSystem.OVERLAY_INTERVAL = 1;
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('LODSystem', LODSystem, {
+        dependencies: ['I18n']
+    });
+}
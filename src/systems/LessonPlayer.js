@@ -0,0 +1,554 @@
+// 导览课程 - 按脚本播放镜头移动、字幕、高亮和点击任务
+// Guided Tour - Plays lesson scripts: camera moves, captions, highlights and click tasks
+//
+// A lesson is a JSON file (assets/lessons/*.json) of chapters, each a list of
+// steps run in order. Steps that take time hold the script; the others run at once:
+//
+//   { "version": 1, "title": {...}, "chapters": [{ "title": {...}, "steps": [...] }] }
+//
+//   caption          { "text": {...}, "duration": 6 }   show a caption, then wait
+//   wait             { "duration": 3 }
+//   camera           { "keyframes": [...], "wait": true, "hold": true }
+//                    CinematicCameraSystem.createCinematicSequence; a keyframe's
+//                    lookAt may name a species to look at one of its animals
+//   spawn            { "species": "Great White Shark", "count": 1 }, or "atLeast": 2
+//   highlight        { "species": "Hottentot", "duration": 8 }   ring round every animal of the species
+//   clearHighlights
+//   info             { "species": "African Penguin", "tab": "conservation" }
+//   closeInfo
+//   click            { "species": "Hottentot", "text": {...}, "highlight": true, "showInfo": true }
+//                    wait until the student clicks an animal of the species (any animal if omitted)
+//   time             { "time": "dusk" }   DayNightCycle.setTime
+//   releaseCamera    hand the camera back to the octopus
+//
+// Texts are a string or { en, zh, af, ... } as in the species catalogue.
+// Steps only add to the scene, so each chapter spawns what it needs: the
+// chapter menu can start anywhere. ?lesson=<url> opens and plays a lesson.
+
+class LessonPlayer {
+    constructor(oceanForest, elements, url = LessonPlayer.DEFAULT_URL) {
+        this.oceanForest = oceanForest;
+        this.panel = elements.panel;
+        this.toggleButton = elements.toggle || null;
+        this.url = url;
+
+        this.lesson = null;
+        this.loadedUrl = null;
+        this.state = 'idle'; // idle | playing | paused | finished
+        this.chapterIndex = 0;
+        this.stepIndex = -1;
+        this.step = null;
+        this.stepElapsed = 0;
+        this.stepDuration = 0;
+        this.stepDone = false;
+
+        this.caption = null;
+        this.prompt = null; // what a click step asks for
+        this.feedback = null; // "keep looking" after a wrong click
+        this.highlights = [];
+        this.time = 0;
+        this.sceneCheck = 0;
+    }
+
+    async load(url = this.url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Lesson request failed (${response.status}): ${url}`);
+        }
+
+        this.setLesson(await response.json());
+        this.url = url;
+        this.loadedUrl = url;
+        console.log(`🧭 Lesson loaded from ${url}: ${this.lesson.chapters.length} chapters`);
+        return this;
+    }
+
+    setLesson(lesson) {
+        if (!lesson || !Array.isArray(lesson.chapters) || lesson.chapters.length === 0) {
+            throw new Error('Lesson must contain a non-empty "chapters" array');
+        }
+        if (lesson.version > LessonPlayer.VERSION) {
+            console.warn(`⚠️ Lesson v${lesson.version} is newer than this viewer (v${LessonPlayer.VERSION}); unknown steps are skipped`);
+        }
+        lesson.chapters.forEach((chapter, index) => {
+            if (!Array.isArray(chapter.steps)) {
+                throw new Error(`Lesson chapter ${index + 1} must contain a "steps" array`);
+            }
+            chapter.steps
+                .filter(step => !LessonPlayer.ACTIONS.includes(step.action))
+                .forEach(step => console.warn(`⚠️ Unknown lesson step "${step.action}" in chapter ${index + 1} is skipped`));
+        });
+
+        this.stop();
+        this.lesson = lesson;
+    }
+
+    isActive() {
+        return this.state === 'playing' || this.state === 'paused';
+    }
+
+    // Load the lesson if needed and play it from the first chapter
+    async play(url = this.url) {
+        try {
+            if (!this.lesson || url !== this.loadedUrl) {
+                await this.load(url);
+            }
+        } catch (error) {
+            console.warn('⚠️ Lesson could not be loaded:', error);
+            alert(i18n.t('lesson.loadFailed'));
+            return false;
+        }
+        return this.start();
+    }
+
+    start(chapterIndex = 0) {
+        if (!this.lesson) return false;
+
+        const forest = this.oceanForest;
+        if (forest.quiz && forest.quiz.isRunning()) {
+            forest.quiz.close();
+        }
+        // A view held from a shared link would keep the camera where it is
+        forest.sharedView = null;
+
+        this.panel.classList.remove('hidden');
+        this.state = 'playing';
+        this.goToChapter(chapterIndex);
+        return true;
+    }
+
+    stop() {
+        this.endStep();
+        this.clearHighlights();
+        this.releaseCamera();
+        this.state = 'idle';
+        this.step = null;
+        this.caption = null;
+        this.render();
+        this.panel.classList.add('hidden');
+    }
+
+    pause() {
+        if (this.state !== 'playing') return;
+        this.state = 'paused';
+        this.pauseCamera(true);
+        this.render();
+    }
+
+    resume() {
+        if (this.state !== 'paused') return;
+        this.state = 'playing';
+        this.pauseCamera(false);
+        this.render();
+    }
+
+    togglePause() {
+        if (this.state === 'playing') {
+            this.pause();
+        } else {
+            this.resume();
+        }
+    }
+
+    // Finish the current step now (a camera move jumps to its last keyframe)
+    skip() {
+        if (!this.isActive() || !this.step) return;
+        if (this.step.action === 'camera' && this.oceanForest.cinematicCamera) {
+            this.oceanForest.cinematicCamera.finishCinematicSequence();
+        }
+        this.endStep();
+        this.advance();
+    }
+
+    goToChapter(index) {
+        if (!this.lesson) return;
+        this.endStep();
+        this.clearHighlights();
+        this.chapterIndex = Math.max(0, Math.min(index, this.lesson.chapters.length - 1));
+        this.stepIndex = -1;
+        this.caption = null;
+        if (this.state === 'finished') {
+            this.state = 'playing';
+        }
+        this.advance();
+    }
+
+    previousChapter() {
+        this.goToChapter(this.chapterIndex - 1);
+    }
+
+    nextChapter() {
+        if (this.chapterIndex + 1 < this.lesson.chapters.length) {
+            this.goToChapter(this.chapterIndex + 1);
+        }
+    }
+
+    finish() {
+        this.endStep();
+        this.clearHighlights();
+        this.releaseCamera();
+        this.state = 'finished';
+        this.step = null;
+        this.caption = null;
+        console.log('🧭 Lesson finished');
+    }
+
+    // === Steps ===
+
+    // Run steps until one has to wait
+    advance() {
+        const chapters = this.lesson.chapters;
+        while (this.isActive()) {
+            this.stepIndex++;
+            if (this.stepIndex >= chapters[this.chapterIndex].steps.length) {
+                if (this.chapterIndex + 1 >= chapters.length) {
+                    this.finish();
+                    break;
+                }
+                this.chapterIndex++;
+                this.stepIndex = -1;
+                this.caption = null;
+                this.clearHighlights();
+                continue;
+            }
+
+            this.step = chapters[this.chapterIndex].steps[this.stepIndex];
+            this.stepElapsed = 0;
+            this.stepDone = false;
+            this.runStep(this.step);
+            if (!this.isStepDone()) break;
+            this.endStep();
+        }
+        this.render();
+    }
+
+    runStep(step) {
+        this.stepDuration = 0;
+        const run = {
+            caption: () => {
+                this.caption = step.text;
+                this.stepDuration = step.duration || 0;
+            },
+            wait: () => this.stepDuration = step.duration || 0,
+            camera: () => this.moveCamera(step),
+            spawn: () => this.spawn(step),
+            highlight: () => this.addHighlights(step.species, step.duration),
+            clearHighlights: () => this.clearHighlights(),
+            info: () => this.showInfo(step.species, step.tab),
+            closeInfo: () => this.oceanForest.education && this.oceanForest.education.hideSpeciesInfo(),
+            click: () => this.waitForClick(step),
+            time: () => this.oceanForest.dayNight && this.oceanForest.dayNight.setTime(step.time),
+            releaseCamera: () => this.releaseCamera()
+        }[step.action];
+        if (!run) return;
+
+        try {
+            run();
+        } catch (error) {
+            console.warn(`⚠️ Lesson step "${step.action}" failed:`, error);
+            this.stepDuration = 0;
+        }
+    }
+
+    isStepDone() {
+        return this.stepDone || this.stepElapsed >= this.stepDuration;
+    }
+
+    // Undo what only lasts for the step (click handler, prompt, its highlights)
+    endStep() {
+        if (this.step && this.step.action === 'click' && this.oceanForest.education) {
+            this.oceanForest.education.clickHandler = null;
+        }
+        this.highlights = this.highlights.filter(highlight => {
+            if (highlight.step !== this.step) return true;
+            this.removeMarker(highlight.marker);
+            return false;
+        });
+        this.prompt = null;
+        this.feedback = null;
+    }
+
+    // Called every frame by RenderEngine
+    update(deltaTime) {
+        this.updateHighlights(deltaTime);
+        if (this.state !== 'playing' || !this.step) return;
+
+        this.stepElapsed += deltaTime;
+        if (this.isStepDone()) {
+            this.endStep();
+            this.advance();
+        }
+    }
+
+    moveCamera(step) {
+        const keyframes = (step.keyframes || []).map(keyframe => {
+            if (typeof keyframe.lookAt !== 'string') return keyframe;
+            const animal = this.findAnimal(keyframe.lookAt);
+            return { ...keyframe, lookAt: animal ? animal.getWorldPosition(new THREE.Vector3()) : undefined };
+        });
+        if (keyframes.length === 0) return;
+
+        const cinematicCamera = this.oceanForest.cinematicCamera;
+        if (!cinematicCamera) {
+            // No camera system: cut straight to the last keyframe
+            const last = keyframes[keyframes.length - 1];
+            if (last.position) this.oceanForest.camera.position.copy(CinematicCameraSystem.toVector(last.position));
+            if (last.lookAt) this.oceanForest.camera.lookAt(CinematicCameraSystem.toVector(last.lookAt));
+            return;
+        }
+
+        const sequence = cinematicCamera.createCinematicSequence(keyframes, { hold: step.hold !== false });
+        cinematicCamera.pauseCinematicSequence(this.state === 'paused');
+        this.stepDuration = step.wait === false ? 0 : sequence.duration;
+    }
+
+    pauseCamera(paused) {
+        if (this.oceanForest.cinematicCamera) {
+            this.oceanForest.cinematicCamera.pauseCinematicSequence(paused);
+        }
+    }
+
+    releaseCamera() {
+        if (this.oceanForest.cinematicCamera) {
+            this.oceanForest.cinematicCamera.stopCinematicSequence();
+        }
+    }
+
+    spawn(step) {
+        const present = this.findAnimals(step.species).length;
+        const count = step.atLeast !== undefined ? Math.max(0, step.atLeast - present) : (step.count || 1);
+        for (let i = 0; i < count; i++) {
+            if (!this.oceanForest.addSpeciesByName(step.species)) {
+                console.warn(`⚠️ Lesson species not available: ${step.species}`);
+                break;
+            }
+        }
+    }
+
+    // The animal already in the panel if it is of this species, otherwise the first one
+    showInfo(species, tab) {
+        const education = this.oceanForest.education;
+        if (!education) return;
+
+        const current = education.currentAnimal;
+        const animal = current && current.userData.species.englishName === species ? current : this.findAnimal(species);
+        if (!animal) {
+            console.warn(`⚠️ No ${species} in the scene for the lesson's info step`);
+            return;
+        }
+        education.showSpeciesInfo(animal.userData.species, animal);
+        if (tab) {
+            education.speciesPanel.selectTab(tab);
+        }
+    }
+
+    waitForClick(step) {
+        const education = this.oceanForest.education;
+        if (!education) return;
+
+        this.prompt = step.text || (step.species ? { key: 'lesson.clickSpecies', species: step.species } : { key: 'lesson.clickAny' });
+        this.stepDuration = Infinity;
+        if (step.species && step.highlight) {
+            this.addHighlights(step.species, Infinity, step);
+        }
+        education.clickHandler = animal => {
+            if (this.state !== 'playing') return;
+
+            const englishName = animal.userData.species.englishName;
+            if (step.species && englishName !== step.species) {
+                this.feedback = i18n.t('lesson.tryAgain', { name: this.commonName(englishName) });
+                this.render();
+                return;
+            }
+            this.stepDone = true;
+            if (step.showInfo) {
+                education.showSpeciesInfo(animal.userData.species, animal);
+            }
+            if (window.audioSystem) {
+                window.audioSystem.playBubbleSound(1500, 0.3);
+            }
+        };
+    }
+
+    findAnimals(species) {
+        return this.oceanForest.getAllAnimals().filter(animal =>
+            animal.userData.species && animal.userData.species.englishName === species
+        );
+    }
+
+    findAnimal(species) {
+        return this.findAnimals(species)[0] || null;
+    }
+
+    // === Highlights ===
+
+    addHighlights(species, duration = Infinity, step = null) {
+        this.findAnimals(species).forEach(animal => {
+            const marker = new THREE.Mesh(LessonPlayer.getRingGeometry(), new THREE.MeshBasicMaterial({
+                color: 0xffd54f,
+                transparent: true,
+                opacity: 0.9,
+                side: THREE.DoubleSide,
+                depthTest: false
+            }));
+            marker.renderOrder = 999;
+            this.oceanForest.scene.add(marker);
+            this.highlights.push({ marker, animal, size: LessonPlayer.getAnimalSize(animal), remaining: duration || Infinity, step });
+        });
+    }
+
+    // Rings follow their animal and face the camera; they go when they expire or the animal is gone
+    updateHighlights(deltaTime) {
+        if (this.highlights.length === 0) return;
+
+        this.time += deltaTime;
+        this.sceneCheck -= deltaTime;
+        const animals = this.sceneCheck <= 0 ? new Set(this.oceanForest.getAllAnimals()) : null;
+        if (animals) this.sceneCheck = 1;
+
+        const camera = this.oceanForest.camera;
+        const facing = camera.getWorldQuaternion(new THREE.Quaternion());
+        const pulse = 1 + 0.15 * Math.sin(this.time * 4);
+
+        this.highlights = this.highlights.filter(highlight => {
+            if (this.state === 'playing') {
+                highlight.remaining -= deltaTime;
+            }
+            if (highlight.remaining <= 0 || (animals && !animals.has(highlight.animal))) {
+                this.removeMarker(highlight.marker);
+                return false;
+            }
+
+            highlight.animal.getWorldPosition(highlight.marker.position);
+            highlight.marker.quaternion.copy(facing);
+            highlight.marker.scale.setScalar(highlight.size * pulse);
+            return true;
+        });
+    }
+
+    clearHighlights() {
+        this.highlights.forEach(highlight => this.removeMarker(highlight.marker));
+        this.highlights = [];
+    }
+
+    removeMarker(marker) {
+        this.oceanForest.scene.remove(marker);
+        marker.material.dispose();
+    }
+
+    static getRingGeometry() {
+        if (!LessonPlayer.ringGeometry) {
+            LessonPlayer.ringGeometry = new THREE.RingGeometry(0.9, 1, 48);
+        }
+        return LessonPlayer.ringGeometry;
+    }
+
+    // Ring radius from the model's bounds (instanced animals have none, so they get a default)
+    static getAnimalSize(animal) {
+        const size = new THREE.Box3().setFromObject(animal).getSize(new THREE.Vector3());
+        const radius = Math.max(size.x, size.y, size.z) * 0.6;
+        return Number.isFinite(radius) && radius > 0 ? Math.min(Math.max(radius, 1), 8) : 1.5;
+    }
+
+    // === Panel ===
+
+    static text(value) {
+        return SpeciesCatalogue.localize(value, i18n.locale) || '';
+    }
+
+    commonName(englishName) {
+        return speciesCatalogue.getCommonName(englishName, i18n.locale);
+    }
+
+    getPromptText() {
+        if (!this.prompt) return null;
+        if (!this.prompt.key) return LessonPlayer.text(this.prompt);
+        return i18n.t(this.prompt.key, { name: this.prompt.species ? this.commonName(this.prompt.species) : '' });
+    }
+
+    button(icon, key, onClick) {
+        return PanelElements.button(icon, onClick, { className: 'control-btn', title: i18n.t(key) });
+    }
+
+    render() {
+        this.panel.innerHTML = '';
+        this.updateToggle();
+        if (this.state === 'idle' || !this.lesson) return;
+
+        const chapters = this.lesson.chapters;
+        const header = PanelElements.element('div', 'lesson-header');
+        header.append(
+            PanelElements.element('h4', null, LessonPlayer.text(this.lesson.title)),
+            this.button('✕', 'lesson.close', () => this.stop())
+        );
+        this.panel.appendChild(header);
+
+        if (this.state === 'finished') {
+            this.panel.appendChild(PanelElements.element('p', 'lesson-caption', i18n.t('lesson.finished')));
+            const actions = PanelElements.element('div', 'lesson-actions');
+            actions.appendChild(PanelElements.button(i18n.t('lesson.restart'), () => this.start()));
+            this.panel.appendChild(actions);
+            return;
+        }
+
+        // Chapter menu
+        const chapterSelect = PanelElements.element('select', 'lesson-chapters');
+        chapterSelect.setAttribute('aria-label', i18n.t('lesson.chapters'));
+        chapters.forEach((chapter, index) => {
+            const option = PanelElements.element('option', null, `${index + 1}. ${LessonPlayer.text(chapter.title)}`);
+            option.value = index;
+            chapterSelect.appendChild(option);
+        });
+        chapterSelect.value = this.chapterIndex;
+        chapterSelect.addEventListener('change', () => this.goToChapter(parseInt(chapterSelect.value, 10)));
+        this.panel.append(
+            PanelElements.element('p', 'lesson-progress', i18n.t('lesson.chapter', { number: this.chapterIndex + 1, total: chapters.length })),
+            chapterSelect
+        );
+
+        if (this.caption) {
+            this.panel.appendChild(PanelElements.element('p', 'lesson-caption', LessonPlayer.text(this.caption)));
+        }
+        const prompt = this.getPromptText();
+        if (prompt) {
+            this.panel.appendChild(PanelElements.element('p', 'lesson-prompt', prompt));
+        }
+        if (this.feedback) {
+            this.panel.appendChild(PanelElements.element('p', 'lesson-feedback', this.feedback));
+        }
+        if (this.state === 'paused') {
+            this.panel.appendChild(PanelElements.element('p', 'lesson-paused', i18n.t('lesson.paused')));
+        }
+
+        const controls = PanelElements.element('div', 'lesson-controls');
+        controls.append(
+            this.button('⏮️', 'lesson.previousChapter', () => this.previousChapter()),
+            this.state === 'paused'
+                ? this.button('▶️', 'lesson.play', () => this.resume())
+                : this.button('⏸️', 'lesson.pause', () => this.pause()),
+            this.button('⏩', 'lesson.skip', () => this.skip()),
+            this.button('⏭️', 'lesson.nextChapter', () => this.nextChapter())
+        );
+        this.panel.appendChild(controls);
+    }
+
+    updateToggle() {
+        PanelElements.updateToggle(this.toggleButton, this.isActive(), 'stats.lessonStart', 'stats.lessonStop');
+    }
+}
+
+// Newest lesson file version this code understands
+LessonPlayer.VERSION = 1;
+LessonPlayer.DEFAULT_URL = 'assets/lessons/kelp-forest-tour.json';
+
+LessonPlayer.ACTIONS = [
+    'caption', 'wait', 'camera', 'spawn', 'highlight', 'clearHighlights',
+    'info', 'closeInfo', 'click', 'time', 'releaseCamera'
+];
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('LessonPlayer', LessonPlayer, {
+        dependencies: ['SpeciesCatalogue', 'I18n', 'PanelElements']
+    });
+}
@@ -19,10 +19,51 @@ class MarineLifeBehavior {
         this.environmentFactors = {
             currentFlow: new THREE.Vector3(0.1, 0, 0.05),
             temperature: 18, // 开普敦海水温度
-            lightLevel: 0.7,
+            lightLevel: 1.0, // 0 = 夜晚，1 = 正午（由 DayNightCycle 设置）
             predatorPresence: false
         };
         
+        // 新陈代谢 - 能量单位/秒
+        this.metabolism = {
+            basalRate: 0.3,           // 静止时的基础消耗
+            movementCost: 1.2,        // 以最大速度游动时的额外消耗
+            restingFactor: 0.5,       // 休息时消耗减半
+            restRecovery: 1.5,        // 休息时的体力恢复（最多恢复到饥饿阈值）
+            grazingRate: 3.0,         // 非捕食者觅食时的能量获取
+            hungerThreshold: 40,      // 低于此值开始觅食
+            exhaustionThreshold: 15,  // 低于此值被迫休息
+            satiationThreshold: 90,   // 高于此值停止觅食
+            captureDistance: 2.5      // 捕获猎物的距离
+        };
+        
+        // 捕食回调 (predator, prey) - 由宿主应用负责从场景中移除猎物
+        this.onPredation = null;
+        
+        // 食物网（FoodWeb 实例）- 未加载时使用内置的简化捕食关系
+        this.foodWeb = null;
+        this.huntingRadius = 20;
+        this.patrolRadius = 40; // 捕食者离出生点的最大巡游距离
+        this.speciesMaxSpeeds = {};
+        
+        // 昼夜节律 - 插件物种可覆盖 DIEL_PATTERNS；夜间礁鱼躲进庇护所（海带位置）
+        this.speciesDielPatterns = {};
+        this.shelters = [];
+        
+        // 海底地形（SeabedTerrain）- 设置后动物不会穿过海床，底栖鱼贴着真实海底游动
+        this.terrain = null;
+        
+        // 共享洋流场（OceanCurrentField）- 未设置时使用恒定的 currentFlow
+        this.currentField = null;
+        this.currentSample = new THREE.Vector3();
+        
+        // 空间哈希网格 - 邻居与猎物查询不再逐一扫描所有动物
+        this.neighborRadius = 10;
+        this.spatialGrid = null;
+        this.setSpatialGridEnabled(typeof SpatialHashGrid !== 'undefined');
+        
+        // 独立的种子随机数流 - 相同种子与固定步长可复现相同轨迹
+        this.random = window.oceanRandom ? window.oceanRandom.derive('behavior') : Math;
+        
         this.time = 0;
     }
     
@@ -38,10 +79,11 @@ class MarineLifeBehavior {
             energy: 100,
             state: 'normal', // normal, feeding, resting, escaping
             lastStateChange: 0,
-            personalityFactor: Math.random(), // 0-1，个体差异
-            age: Math.random(), // 0-1，影响行为
+            personalityFactor: this.random.random(), // 0-1，个体差异
+            age: this.random.random(), // 0-1，影响行为
             neighbors: [],
             targetFood: null,
+            lastMealTime: this.time,
             homePosition: animal.position.clone()
         };
         
@@ -49,7 +91,26 @@ class MarineLifeBehavior {
         return behaviorData;
     }
     
+    // 注销生物（被捕食或被移除时）
+    unregisterMarineLife(animal) {
+        this.behaviors.forEach(behavior => {
+            if (behavior.targetFood === animal) {
+                behavior.targetFood = null;
+            }
+        });
+        return this.behaviors.delete(animal.id);
+    }
+    
+    // 插件物种的最大速度（见 SpeciesPluginSystem）
+    setSpeciesMaxSpeed(species, maxSpeed) {
+        this.speciesMaxSpeeds[species] = maxSpeed;
+    }
+    
     getSpeciesMaxSpeed(species) {
+        if (this.speciesMaxSpeeds[species] !== undefined) {
+            return this.speciesMaxSpeeds[species];
+        }
+        
         const speeds = {
             'Cape Fur Seal': 0.3,    // 降低海豹速度
             'African Penguin': 0.4,   // 降低企鹅速度
@@ -61,10 +122,134 @@ class MarineLifeBehavior {
         return speeds[species] || 0.2;
     }
     
+    setCurrentField(currentField) {
+        this.currentField = currentField;
+    }
+    
+    // === 海底地形 ===
+    
+    setTerrain(terrain) {
+        this.terrain = terrain;
+    }
+    
+    getFloorHeight(x, z) {
+        return this.terrain ? this.terrain.getHeight(x, z) : MarineLifeBehavior.SEABED_Y;
+    }
+    
+    // 贴底物种保持在海底上方固定高度，其他动物遇到礁石时向上避开
+    applySeabedBehavior(animal, behavior) {
+        if (!this.terrain) return;
+        
+        const floor = this.getFloorHeight(animal.position.x, animal.position.z);
+        const hover = MarineLifeBehavior.FLOOR_SPECIES[behavior.species];
+        if (hover !== undefined && behavior.state !== 'escaping') {
+            const lift = THREE.MathUtils.clamp((floor + hover - animal.position.y) * 0.1, -0.3, 0.3);
+            behavior.acceleration.y += lift;
+        } else if (animal.position.y < floor + MarineLifeBehavior.FLOOR_CLEARANCE) {
+            behavior.acceleration.y += (floor + MarineLifeBehavior.FLOOR_CLEARANCE - animal.position.y) * 0.3;
+        }
+    }
+    
+    // === 昼夜节律 ===
+    
+    setLightLevel(level) {
+        this.environmentFactors.lightLevel = Math.max(0, Math.min(1, level));
+    }
+    
+    // 庇护所只用水平位置 {x, z}
+    setShelters(positions) {
+        this.shelters = positions.map(position => new THREE.Vector3(position.x, 0, position.z));
+    }
+    
+    setSpeciesDielPattern(species, pattern) {
+        this.speciesDielPatterns[species] = pattern;
+    }
+    
+    getDielPattern(species) {
+        return this.speciesDielPatterns[species] || MarineLifeBehavior.DIEL_PATTERNS[species] || null;
+    }
+    
+    // 活跃度倍数 - 白天为 1；夜行性动物夜间更活跃，昼行性动物夜间放慢
+    getActivityLevel(species) {
+        const light = this.environmentFactors.lightLevel;
+        switch (this.getDielPattern(species)) {
+            case 'nocturnal':
+                return 1 + (1 - light) * 0.6;
+            case 'diurnal':
+                return 0.5 + light * 0.5;
+            default:
+                return 1;
+        }
+    }
+    
+    // 昼行性动物（海豹、企鹅）入夜后休息，天亮再出发觅食
+    isDormant(species) {
+        return this.getDielPattern(species) === 'diurnal' &&
+            this.environmentFactors.lightLevel < MarineLifeBehavior.DORMANT_LIGHT;
+    }
+    
+    // 夜间礁鱼游向最近的海带林，天色越暗吸引越强
+    applyShelterBehavior(animal, behavior) {
+        const light = this.environmentFactors.lightLevel;
+        if (light >= MarineLifeBehavior.SHELTER_LIGHT || this.shelters.length === 0 ||
+            this.getDielPattern(behavior.species) !== 'sheltering') {
+            return;
+        }
+        
+        let nearest = null;
+        let nearestDistance = Infinity;
+        this.shelters.forEach(shelter => {
+            const distance = Math.hypot(shelter.x - animal.position.x, shelter.z - animal.position.z);
+            if (distance < nearestDistance) {
+                nearest = shelter;
+                nearestDistance = distance;
+            }
+        });
+        
+        if (nearestDistance > 3) {
+            const strength = 1 - light / MarineLifeBehavior.SHELTER_LIGHT;
+            const toShelter = new THREE.Vector3(nearest.x - animal.position.x, 0, nearest.z - animal.position.z);
+            behavior.acceleration.add(toShelter.normalize().multiplyScalar(0.8 * strength));
+        }
+    }
+    
+    setFoodWeb(foodWeb) {
+        this.foodWeb = foodWeb;
+        
+        // 放弃不再符合新食物网的追捕目标
+        this.behaviors.forEach(behavior => {
+            if (behavior.targetFood && !this.isPrey(behavior.species, behavior.targetFood)) {
+                behavior.targetFood = null;
+            }
+        });
+    }
+    
+    // 被捕食时为捕食者提供的能量
+    getSpeciesNutrition(species) {
+        if (this.foodWeb && this.foodWeb.getSpeciesNutrition(species) !== null) {
+            return this.foodWeb.getSpeciesNutrition(species);
+        }
+        
+        const nutrition = {
+            'Cape Fur Seal': 80,
+            'African Penguin': 50,
+            'Great White Shark': 100,
+            'Yellowtail': 35,
+            'Hottentot': 25,
+            'Steentjie': 20
+        };
+        return nutrition[species] || 20;
+    }
+    
     // 主更新函数
     update(animals, deltaTime) {
         this.time += deltaTime;
         
+        // 每帧重建空间网格
+        if (this.spatialGrid) {
+            this.spatialGrid.rebuild(animals.filter(animal => this.behaviors.has(animal.id)));
+        }
+        
         // 为每个动物更新行为
         animals.forEach(animal => {
             if (this.behaviors.has(animal.id)) {
@@ -81,24 +266,41 @@ class MarineLifeBehavior {
         // 更新邻居列表
         this.updateNeighbors(animal, behavior, allAnimals);
         
-        // 根据物种类型应用不同行为
-        switch (behavior.type) {
-            case 'schooling':
-                this.applySchoolingBehavior(animal, behavior);
-                break;
-            case 'hunting':
-                this.applyHuntingBehavior(animal, behavior, allAnimals);
-                break;
-            case 'territorial':
-                this.applyTerritorialBehavior(animal, behavior);
-                break;
-            case 'bottom_dwelling':
-                this.applyBottomDwellingBehavior(animal, behavior);
-                break;
+        // 饥饿的捕食者优先追捕猎物，否则按物种类型应用不同行为
+        const isHunting = behavior.state === 'feeding' &&
+            this.isPredator(behavior.species) &&
+            this.hunt(animal, behavior, allAnimals);
+        
+        if (!isHunting) {
+            switch (behavior.type) {
+                case 'schooling':
+                    this.applySchoolingBehavior(animal, behavior);
+                    break;
+                case 'hunting':
+                    this.applyHuntingBehavior(animal, behavior, allAnimals);
+                    break;
+                case 'territorial':
+                    this.applyTerritorialBehavior(animal, behavior);
+                    break;
+                case 'bottom_dwelling':
+                    this.applyBottomDwellingBehavior(animal, behavior);
+                    break;
+            }
+            
+            this.applyShelterBehavior(animal, behavior);
+        }
+        
+        this.applySeabedBehavior(animal, behavior);
+        
+        // 休息时几乎不动
+        if (behavior.state === 'resting') {
+            behavior.acceleration.multiplyScalar(0.3);
+            behavior.velocity.multiplyScalar(0.98);
         }
         
         // 应用环境影响
         this.applyEnvironmentalForces(behavior);
+        behavior.acceleration.multiplyScalar(this.getActivityLevel(behavior.species));
         
         // 应用物理约束
         this.applyPhysicalConstraints(behavior);
@@ -109,6 +311,9 @@ class MarineLifeBehavior {
         // 更新动画状态
         this.updateAnimationState(animal, behavior);
         
+        // 能量消耗与恢复
+        this.updateMetabolism(behavior, deltaTime);
+        
         // 状态管理
         this.updateBehaviorState(behavior, deltaTime);
     }
@@ -142,43 +347,26 @@ class MarineLifeBehavior {
         
         // 添加一些随机性，模拟个体差异
         const randomForce = new THREE.Vector3(
-            (Math.random() - 0.5) * 0.1,
-            (Math.random() - 0.5) * 0.05,
-            (Math.random() - 0.5) * 0.1
+            (this.random.random() - 0.5) * 0.1,
+            (this.random.random() - 0.5) * 0.05,
+            (this.random.random() - 0.5) * 0.1
         ).multiplyScalar(behavior.personalityFactor);
         
         behavior.acceleration.add(randomForce);
     }
     
-    // 狩猎行为（鲨鱼）
+    // 狩猎行为（鲨鱼）- 吃饱时巡游，饥饿时由 hunt() 接管追捕
     applyHuntingBehavior(animal, behavior, allAnimals) {
-        // 寻找猎物
-        const prey = this.findPrey(animal, behavior, allAnimals);
-        
-        if (prey && behavior.state === 'hunting') {
-            // 追捕行为
-            const pursue = this.pursue(animal, behavior, prey);
-            behavior.acceleration.add(pursue);
-            
-            // 增加能量消耗
-            behavior.energy -= 0.1;
-        } else {
-            // 巡游行为
-            const patrol = this.patrol(animal, behavior);
-            behavior.acceleration.add(patrol);
-            
-            // 缓慢恢复能量
-            behavior.energy = Math.min(100, behavior.energy + 0.05);
+        // 接近巡游范围边缘时返回
+        if (animal.position.distanceTo(behavior.homePosition) > this.patrolRadius * 0.75) {
+            const homeward = behavior.homePosition.clone().sub(animal.position).normalize();
+            homeward.multiplyScalar(0.3);
+            behavior.acceleration.add(homeward);
+            return;
         }
         
-        // 根据能量调整状态
-        if (behavior.energy < 30 && behavior.state !== 'resting') {
-            behavior.state = 'resting';
-            behavior.lastStateChange = this.time;
-        } else if (behavior.energy > 70 && behavior.state === 'resting') {
-            behavior.state = 'hunting';
-            behavior.lastStateChange = this.time;
-        }
+        const patrol = this.patrol(animal, behavior);
+        behavior.acceleration.add(patrol);
     }
     
     // 领域行为（海豹）
@@ -206,8 +394,10 @@ class MarineLifeBehavior {
     
     // 底栖行为（某些鱼类）
     applyBottomDwellingBehavior(animal, behavior) {
-        // 保持靠近海底
-        const targetDepth = -20;
+        // 保持靠近海底（有地形时贴着真实海底）
+        const targetDepth = this.terrain ?
+            this.getFloorHeight(animal.position.x, animal.position.z) + MarineLifeBehavior.BOTTOM_HOVER :
+            -20;
         const depthForce = new THREE.Vector3(0, (targetDepth - animal.position.y) * 0.1, 0);
         behavior.acceleration.add(depthForce);
         
@@ -344,51 +534,149 @@ class MarineLifeBehavior {
     
     // === 辅助函数 ===
     
+    setSpatialGridEnabled(enabled) {
+        this.spatialGrid = enabled ? new SpatialHashGrid(this.neighborRadius) : null;
+    }
+    
+    // 半径内的动物：有网格时查询网格，否则逐一扫描
+    getNearbyAnimals(position, radius, allAnimals) {
+        if (this.spatialGrid) {
+            return this.spatialGrid.query(position, radius);
+        }
+        return allAnimals.filter(other => position.distanceTo(other.position) < radius);
+    }
+    
     updateNeighbors(animal, behavior, allAnimals) {
-        behavior.neighbors = [];
-        const detectionRadius = 10;
+        behavior.neighbors.length = 0;
         
-        allAnimals.forEach(other => {
-            if (other.id !== animal.id && 
-                animal.position.distanceTo(other.position) < detectionRadius) {
-                
+        this.getNearbyAnimals(animal.position, this.neighborRadius, allAnimals).forEach(other => {
+            if (other.id !== animal.id) {
+                // 邻居的行为数据自带 position/velocity，无需每帧创建新对象
                 const otherBehavior = this.behaviors.get(other.id);
                 if (otherBehavior) {
-                    behavior.neighbors.push({
-                        position: other.position,
-                        velocity: otherBehavior.velocity
-                    });
+                    behavior.neighbors.push(otherBehavior);
                 }
             }
         });
     }
     
+    // 追捕并在足够接近时捕食猎物，返回是否正在追捕
+    hunt(predator, behavior, allAnimals) {
+        const prey = this.findPrey(predator, behavior, allAnimals);
+        behavior.targetFood = prey;
+        
+        if (!prey) return false;
+        
+        if (predator.position.distanceTo(prey.position) < this.metabolism.captureDistance) {
+            this.consumePrey(predator, behavior, prey);
+            return false;
+        }
+        
+        const pursue = this.pursue(predator, behavior, prey);
+        behavior.acceleration.add(pursue);
+        return true;
+    }
+    
+    consumePrey(predator, behavior, prey) {
+        const preyBehavior = this.behaviors.get(prey.id);
+        const preySpecies = preyBehavior ? preyBehavior.species : 'Unknown';
+        
+        behavior.energy = Math.min(100, behavior.energy + this.getSpeciesNutrition(preySpecies));
+        behavior.lastMealTime = this.time;
+        behavior.targetFood = null;
+        
+        // 先注销，避免同一帧内被其他捕食者再次捕获
+        this.unregisterMarineLife(prey);
+        
+        if (this.onPredation) {
+            this.onPredation(predator, prey);
+        }
+    }
+    
+    // 在狩猎半径内选择最合适的猎物：距离按食物网偏好权重折算
     findPrey(predator, behavior, allAnimals) {
-        const huntingRadius = 20;
-        let closestPrey = null;
-        let closestDistance = huntingRadius;
+        let bestPrey = null;
+        let bestScore = Infinity;
         
-        allAnimals.forEach(animal => {
+        this.getNearbyAnimals(predator.position, this.huntingRadius, allAnimals).forEach(animal => {
+            // 不追出巡游范围
+            if (animal.position.distanceTo(behavior.homePosition) > this.patrolRadius) return;
+            
             if (animal.id !== predator.id && this.isPrey(behavior.species, animal)) {
                 const distance = predator.position.distanceTo(animal.position);
-                if (distance < closestDistance) {
-                    closestDistance = distance;
-                    closestPrey = animal;
+                
+                const preference = this.getPreyPreference(behavior.species, animal);
+                const score = distance / preference;
+                if (score < bestScore) {
+                    bestScore = score;
+                    bestPrey = animal;
                 }
             }
         });
         
-        return closestPrey;
+        return bestPrey;
+    }
+    
+    getPreyPreference(predatorSpecies, preyAnimal) {
+        if (!this.foodWeb) return 1.0;
+        
+        const preyBehavior = this.behaviors.get(preyAnimal.id);
+        return this.foodWeb.getPreference(predatorSpecies, preyBehavior.species);
+    }
+    
+    // 个体体长（米）= 物种典型体长 × 模型缩放
+    getAnimalSize(animal, species) {
+        const length = this.foodWeb ? this.foodWeb.getSpeciesLength(species) : null;
+        return length !== null ? length * animal.scale.x : undefined;
     }
     
     isPrey(predatorSpecies, preyAnimal) {
+        // 只考虑仍在模拟中的其他物种
+        const preyBehavior = this.behaviors.get(preyAnimal.id);
+        if (!preyBehavior || preyBehavior.species === predatorSpecies) {
+            return false;
+        }
+        
+        if (this.foodWeb) {
+            const preySize = this.getAnimalSize(preyAnimal, preyBehavior.species);
+            return this.foodWeb.isPrey(predatorSpecies, preyBehavior.species, preySize);
+        }
+        
         // 简化的捕食关系
         if (predatorSpecies === 'Great White Shark') {
             return true; // 鲨鱼捕食所有小型海洋生物
         }
+        if (predatorSpecies === 'Cape Fur Seal') {
+            return preyBehavior.type === 'schooling' || preyBehavior.type === 'bottom_dwelling';
+        }
         return false;
     }
     
+    isPredator(species) {
+        if (this.foodWeb) {
+            return this.foodWeb.isPredator(species);
+        }
+        return species === 'Great White Shark' || species === 'Cape Fur Seal';
+    }
+    
+    // 不受行为系统控制的捕食者（如玩家操控的章鱼）捕获接触到的猎物
+    catchNearbyPrey(predator, predatorSpecies, allAnimals) {
+        const captureDistance = this.metabolism.captureDistance;
+        const prey = this.getNearbyAnimals(predator.position, captureDistance, allAnimals).find(animal =>
+            animal.id !== predator.id &&
+            this.isPrey(predatorSpecies, animal) &&
+            predator.position.distanceTo(animal.position) < captureDistance
+        );
+        
+        if (!prey) return null;
+        
+        this.unregisterMarineLife(prey);
+        if (this.onPredation) {
+            this.onPredation(predator, prey);
+        }
+        return prey;
+    }
+    
     pursue(predator, behavior, prey) {
         const pursuitForce = prey.position.clone().sub(predator.position);
         pursuitForce.normalize();
@@ -406,8 +694,10 @@ class MarineLifeBehavior {
     }
     
     applyEnvironmentalForces(behavior) {
-        // 海流影响
-        const currentInfluence = this.environmentFactors.currentFlow.clone();
+        // 海流影响 - 在动物所在位置采样洋流场（涌浪、潮流与湍流）
+        const currentInfluence = this.currentField ?
+            this.currentField.sample(behavior.position, this.currentSample) :
+            this.currentSample.copy(this.environmentFactors.currentFlow);
         currentInfluence.multiplyScalar(0.1);
         behavior.acceleration.add(currentInfluence);
         
@@ -424,11 +714,25 @@ class MarineLifeBehavior {
     updateMovement(animal, behavior, deltaTime) {
         // 更新速度（降低速度倍数，让海洋生物游得更慢更自然）
         behavior.velocity.add(behavior.acceleration.clone().multiplyScalar(deltaTime * 2));
-        behavior.velocity.clampLength(0, behavior.maxSpeed);
+        behavior.velocity.clampLength(0, behavior.maxSpeed * this.getActivityLevel(behavior.species));
         
+        this.applyVelocity(animal, behavior, deltaTime);
+    }
+    
+    // 按当前速度移动并转向（Worker 模式下主线程也用它来应用插值后的速度）
+    applyVelocity(animal, behavior, deltaTime) {
         // 更新位置
         const displacement = behavior.velocity.clone().multiplyScalar(deltaTime * 2);
         animal.position.add(displacement);
+        
+        // 不能钻进海床
+        if (this.terrain) {
+            const floor = this.getFloorHeight(animal.position.x, animal.position.z) + MarineLifeBehavior.MIN_FLOOR_GAP;
+            if (animal.position.y < floor) {
+                animal.position.y = floor;
+                behavior.velocity.y = Math.max(0, behavior.velocity.y);
+            }
+        }
         behavior.position.copy(animal.position);
         
         // 更新朝向
@@ -452,9 +756,9 @@ class MarineLifeBehavior {
             animal.userData.animationIntensity = 0.3 + speedRatio * 0.7;
         }
         
-        // 根据状态调整颜色或其他视觉效果
+        // 根据状态调整颜色或其他视觉效果（正在追捕猎物视为 hunting）
         if (animal.material && animal.material.color) {
-            switch (behavior.state) {
+            switch (behavior.targetFood ? 'hunting' : behavior.state) {
                 case 'hunting':
                     // 稍微偏红，表示兴奋
                     animal.material.color.lerp(new THREE.Color(1.1, 0.9, 0.9), 0.02);
@@ -471,26 +775,139 @@ class MarineLifeBehavior {
         }
     }
     
-    updateBehaviorState(behavior, deltaTime) {
-        const stateTime = this.time - behavior.lastStateChange;
+    // 游动消耗能量，休息恢复体力，非捕食者在觅食状态下进食
+    updateMetabolism(behavior, deltaTime) {
+        const speedRatio = behavior.velocity.length() / behavior.maxSpeed;
+        let cost = this.metabolism.basalRate + this.metabolism.movementCost * speedRatio;
         
-        // 状态转换逻辑
-        if (behavior.state === 'normal' && stateTime > 10 + Math.random() * 10) {
-            // 随机切换到其他状态
-            if (Math.random() < 0.3) {
-                behavior.state = 'feeding';
-                behavior.lastStateChange = this.time;
+        if (behavior.state === 'resting') {
+            cost *= this.metabolism.restingFactor;
+            if (behavior.energy < this.metabolism.hungerThreshold) {
+                behavior.energy += this.metabolism.restRecovery * deltaTime;
             }
-        } else if (behavior.state === 'feeding' && stateTime > 5 + Math.random() * 5) {
-            behavior.state = 'normal';
-            behavior.lastStateChange = this.time;
         }
         
-        // 能量管理
+        behavior.energy -= cost * deltaTime;
+        
+        if (behavior.state === 'feeding' && !this.isPredator(behavior.species)) {
+            behavior.energy += this.metabolism.grazingRate * deltaTime;
+            behavior.lastMealTime = this.time;
+        }
+        
         behavior.energy = Math.max(0, Math.min(100, behavior.energy));
     }
+    
+    setBehaviorState(behavior, state) {
+        behavior.state = state;
+        behavior.lastStateChange = this.time;
+        if (state !== 'feeding') {
+            behavior.targetFood = null;
+        }
+    }
+    
+    updateBehaviorState(behavior, deltaTime) {
+        const stateTime = this.time - behavior.lastStateChange;
+        const { hungerThreshold, exhaustionThreshold, satiationThreshold } = this.metabolism;
+        const dormant = this.isDormant(behavior.species);
+        
+        // 状态转换逻辑 - 能量优先
+        if (behavior.energy <= exhaustionThreshold && behavior.state !== 'resting') {
+            // 精疲力竭，被迫休息
+            this.setBehaviorState(behavior, 'resting');
+        } else if (dormant && behavior.state !== 'resting') {
+            // 入夜休息
+            this.setBehaviorState(behavior, 'resting');
+        } else if (behavior.state === 'resting' && !dormant && behavior.energy >= hungerThreshold) {
+            // 体力恢复后出发觅食
+            this.setBehaviorState(behavior, 'feeding');
+        } else if (behavior.state === 'normal' && behavior.energy < hungerThreshold) {
+            // 饥饿
+            this.setBehaviorState(behavior, 'feeding');
+        } else if (behavior.state === 'feeding' && behavior.energy >= satiationThreshold) {
+            // 吃饱
+            this.setBehaviorState(behavior, 'normal');
+        } else if (behavior.state === 'normal' && stateTime > 10 + this.random.random() * 10) {
+            // 随机切换到觅食状态（夜行性动物夜间更频繁）
+            if (this.random.random() < 0.3 * this.getActivityLevel(behavior.species)) {
+                this.setBehaviorState(behavior, 'feeding');
+            }
+        }
+    }
+    
+    // === 性能基准 ===
+    
+    // 比较空间网格与逐一扫描在不同鱼群规模下的单帧更新耗时（毫秒）
+    static runBenchmark(agentCounts = [100, 500, 2000], frames = 20) {
+        const modes = [['grid', true], ['bruteForce', false]];
+        const results = agentCounts.map(count => {
+            const row = { agents: count };
+            
+            modes.forEach(([label, useGrid]) => {
+                const system = new MarineLifeBehavior();
+                system.setSpatialGridEnabled(useGrid);
+                const agents = MarineLifeBehavior.createBenchmarkAgents(system, count);
+                
+                for (let i = 0; i < 5; i++) {
+                    system.update(agents, 1 / 60); // 预热
+                }
+                const start = performance.now();
+                for (let i = 0; i < frames; i++) {
+                    system.update(agents, 1 / 60);
+                }
+                row[`${label}Ms`] = Number(((performance.now() - start) / frames).toFixed(2));
+            });
+            
+            row.speedup = Number((row.bruteForceMs / Math.max(row.gridMs, 0.01)).toFixed(1));
+            return row;
+        });
+        
+        console.log('⏱️ MarineLifeBehavior update time per frame:');
+        console.table(results);
+        return results;
+    }
+    
+    // 在场景范围内随机分布的黄尾鰤鱼群（不需要渲染）
+    static createBenchmarkAgents(system, count) {
+        const agents = [];
+        for (let i = 0; i < count; i++) {
+            const agent = new THREE.Object3D();
+            agent.position.set(
+                (Math.random() - 0.5) * 100,
+                -20 + Math.random() * 30,
+                (Math.random() - 0.5) * 100
+            );
+            system.registerMarineLife(agent, 'schooling', 'Yellowtail');
+            agents.push(agent);
+        }
+        return agents;
+    }
 }
 
+// 行为状态编码（Worker 模式下通过类型化数组传递）
+MarineLifeBehavior.STATES = ['normal', 'feeding', 'resting', 'escaping'];
+
+// 昼夜活动模式：nocturnal 夜间更活跃，diurnal 白天觅食、夜间休息，sheltering 夜间躲进海带林
+MarineLifeBehavior.DIEL_PATTERNS = {
+    'Great White Shark': 'nocturnal',
+    'Common Octopus': 'nocturnal',
+    'Cape Fur Seal': 'diurnal',
+    'African Penguin': 'diurnal',
+    'Yellowtail': 'sheltering',
+    'Hottentot': 'sheltering',
+    'Steentjie': 'sheltering'
+};
+MarineLifeBehavior.DORMANT_LIGHT = 0.15; // 低于此光照昼行性动物休息
+MarineLifeBehavior.SHELTER_LIGHT = 0.3;  // 低于此光照礁鱼开始寻找庇护所
+
+// 海底：没有地形时的平坦海床高度，贴底物种离海底的高度，以及其他动物与海底的距离
+MarineLifeBehavior.SEABED_Y = -30;
+MarineLifeBehavior.FLOOR_SPECIES = {
+    'Steentjie': 2.5
+};
+MarineLifeBehavior.BOTTOM_HOVER = 1.5;     // bottom_dwelling 类型
+MarineLifeBehavior.FLOOR_CLEARANCE = 2;    // 低于此高度开始向上避开
+MarineLifeBehavior.MIN_FLOOR_GAP = 0.5;    // 位置的硬性下限
+
 // 注册模块
 if (window.moduleManager) {
     window.moduleManager.registerModule('MarineLifeBehavior', MarineLifeBehavior);
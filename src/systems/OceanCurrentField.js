@@ -0,0 +1,398 @@
+// 海流场 - 潮流、涌浪与湍流组成的共享三维流场
+// Ocean Current Field - A shared, time-varying 3D current of tide, surge and turbulence
+//
+// One analytic field that everything moving with the water samples, so the
+// kelp, the drifting particles and the animals agree on where the water goes:
+//
+//   tide        a slow flow along the coast that reverses every ~6 hours
+//               (semidiurnal, 12.42 h period, run on a simulated clock)
+//   surge       the back-and-forth orbital motion under passing swell,
+//               strongest near the surface and fading with depth
+//   turbulence  a few seeded travelling eddies, perpendicular to their own
+//               wave vector so they stir without piling water up
+//
+// sample(position) evaluates it on the CPU (particles, animals, kelp meshes).
+// OceanCurrentField.GLSL is the same field as a shader function,
+// `vec3 oceanCurrent(vec3 worldPosition)`, fed by this.uniforms, so instanced
+// kelp and seabed animals can bend with it on the GPU. Velocities are in scene
+// units per second.
+//
+// setDebug(true) draws a grid of arrows coloured by speed, with a readout of
+// the tide and surge, to show how wave surge rocks a kelp forest.
+
+class OceanCurrentField {
+    constructor(options = {}) {
+        this.surfaceY = options.surfaceY !== undefined ? options.surfaceY : 10;
+        this.metresPerUnit = options.metresPerUnit || 0.5;
+
+        this.tideStrength = options.tideStrength !== undefined ? options.tideStrength : 0.3;
+        this.surgeStrength = options.surgeStrength !== undefined ? options.surgeStrength : 1.2;
+        this.turbulenceStrength = options.turbulenceStrength !== undefined ? options.turbulenceStrength : 1;
+
+        this.tideDirection = new THREE.Vector3(1, 0, 0.3).normalize(); // along the coast
+        this.surgeDirection = new THREE.Vector3(0.3, 0, 1).normalize(); // swell running onshore
+        this.surgePeriod = 10;        // seconds
+        this.surgeWavelength = 60;    // scene units
+        this.surgeDecay = 25;         // e-folding depth in scene units
+
+        this.time = 0;
+        this.tidePhase = options.tidePhase !== undefined ? options.tidePhase : 0;
+        this.tide = new THREE.Vector3();
+
+        this.eddies = OceanCurrentField.createEddies(oceanRandom.derive('current'));
+
+        // Shared with every shader that includes OceanCurrentField.GLSL
+        this.uniforms = {
+            currentTime: { value: 0 },
+            currentTide: { value: new THREE.Vector3() },
+            currentSurgeDirection: { value: this.surgeDirection.clone() },
+            currentSurge: { value: new THREE.Vector4() }, // amplitude, angular frequency, wavenumber, decay depth
+            currentSurfaceY: { value: this.surfaceY },
+            currentWaves: { value: this.eddies.map(() => new THREE.Vector4()) }, // wave vector, angular frequency
+            currentAxes: { value: this.eddies.map(() => new THREE.Vector4()) }   // flow direction * amplitude, phase
+        };
+
+        this.scene = options.scene || null; // where the debug arrows go
+        this.debug = false;
+        this.arrows = null;
+        this.overlay = null;
+        this.controls = null;
+
+        this.updateTide();
+        this.updateUniforms();
+    }
+
+    // Travelling eddies with random wave vectors and a flow axis perpendicular to each
+    static createEddies(random, count = OceanCurrentField.EDDY_COUNT) {
+        const eddies = [];
+        for (let i = 0; i < count; i++) {
+            const wave = new THREE.Vector3(random.range(-1, 1), random.range(-0.4, 0.4), random.range(-1, 1)).normalize();
+            const wavelength = random.range(20, 45);
+            wave.multiplyScalar(Math.PI * 2 / wavelength);
+
+            const axis = new THREE.Vector3(random.range(-1, 1), random.range(-0.3, 0.3), random.range(-1, 1));
+            axis.addScaledVector(wave, -axis.dot(wave) / wave.lengthSq()).normalize();
+
+            eddies.push({
+                wave,
+                axis,
+                amplitude: random.range(0.05, 0.1),
+                frequency: random.range(0.15, 0.45),
+                phase: random.random() * Math.PI * 2
+            });
+        }
+        return eddies;
+    }
+
+    // Everything needed to reproduce the field elsewhere (e.g. the behaviour worker)
+    getState() {
+        return { time: this.time, tidePhase: this.tidePhase };
+    }
+
+    setState({ time, tidePhase }) {
+        this.time = time;
+        this.tidePhase = tidePhase;
+        this.updateTide();
+        this.updateUniforms();
+    }
+
+    getSettings() {
+        return {
+            tideStrength: this.tideStrength,
+            surgeStrength: this.surgeStrength,
+            turbulenceStrength: this.turbulenceStrength
+        };
+    }
+
+    setStrengths({ tideStrength, surgeStrength, turbulenceStrength }) {
+        if (tideStrength !== undefined) this.tideStrength = tideStrength;
+        if (surgeStrength !== undefined) this.surgeStrength = surgeStrength;
+        if (turbulenceStrength !== undefined) this.turbulenceStrength = turbulenceStrength;
+        this.updateTide();
+        this.updateUniforms();
+    }
+
+    // deltaTime in real seconds; the tide runs on the simulated clock (timeScale
+    // simulated seconds per real second, see DayNightCycle)
+    update(deltaTime, timeScale = OceanCurrentField.DEFAULT_TIME_SCALE) {
+        this.time += deltaTime;
+        this.tidePhase = (this.tidePhase + deltaTime * timeScale / 3600 / OceanCurrentField.TIDE_PERIOD_HOURS * Math.PI * 2) % (Math.PI * 2);
+        this.updateTide();
+        this.updateUniforms();
+
+        if (this.debug) {
+            this.updateArrows();
+            this.updateOverlay();
+        }
+    }
+
+    // Flood one way, ebb the other
+    updateTide() {
+        this.tide.copy(this.tideDirection).multiplyScalar(Math.cos(this.tidePhase) * this.tideStrength);
+    }
+
+    updateUniforms() {
+        const uniforms = this.uniforms;
+        uniforms.currentTime.value = this.time;
+        uniforms.currentTide.value.copy(this.tide);
+        uniforms.currentSurgeDirection.value.copy(this.surgeDirection);
+        uniforms.currentSurge.value.set(
+            this.surgeStrength,
+            Math.PI * 2 / this.surgePeriod,
+            Math.PI * 2 / this.surgeWavelength,
+            this.surgeDecay
+        );
+        uniforms.currentSurfaceY.value = this.surfaceY;
+        this.eddies.forEach((eddy, i) => {
+            uniforms.currentWaves.value[i].set(eddy.wave.x, eddy.wave.y, eddy.wave.z, eddy.frequency);
+            const amplitude = eddy.amplitude * this.turbulenceStrength;
+            uniforms.currentAxes.value[i].set(eddy.axis.x * amplitude, eddy.axis.y * amplitude, eddy.axis.z * amplitude, eddy.phase);
+        });
+    }
+
+    // Water velocity at a position, in scene units per second
+    sample(position, target = new THREE.Vector3()) {
+        return this.sampleAt(position.x, position.y, position.z, target);
+    }
+
+    sampleAt(x, y, z, target = new THREE.Vector3()) {
+        target.copy(this.tide);
+
+        // Orbital surge: horizontal along the swell, a little vertical a quarter period later
+        const depth = Math.max(0, this.surfaceY - y);
+        const surge = this.surgeStrength * Math.exp(-depth / this.surgeDecay);
+        const direction = this.surgeDirection;
+        const phase = this.time * Math.PI * 2 / this.surgePeriod -
+            (direction.x * x + direction.z * z) * Math.PI * 2 / this.surgeWavelength;
+        target.x += direction.x * surge * Math.sin(phase);
+        target.z += direction.z * surge * Math.sin(phase);
+        target.y += surge * 0.3 * Math.cos(phase);
+
+        this.eddies.forEach(eddy => {
+            const wave = eddy.wave;
+            const amount = Math.sin(wave.x * x + wave.y * y + wave.z * z + eddy.frequency * this.time + eddy.phase) *
+                eddy.amplitude * this.turbulenceStrength;
+            target.x += eddy.axis.x * amount;
+            target.y += eddy.axis.y * amount;
+            target.z += eddy.axis.z * amount;
+        });
+
+        return target;
+    }
+
+    // Peak surge speed at a height, for readouts
+    getSurgeAmplitude(y) {
+        return this.surgeStrength * Math.exp(-Math.max(0, this.surfaceY - y) / this.surgeDecay);
+    }
+
+    // === Debug arrows ===
+
+    setDebug(enabled, scene = this.scene) {
+        this.debug = enabled;
+        this.scene = scene;
+
+        if (enabled && !this.arrows && scene) {
+            this.createArrows();
+        }
+        if (this.arrows) {
+            this.arrows.visible = enabled;
+        }
+        if (enabled) {
+            this.updateArrows();
+        }
+        this.updateOverlay();
+        this.updateControls();
+        return this.debug;
+    }
+
+    toggleDebug(scene) {
+        return this.setDebug(!this.debug, scene);
+    }
+
+    // One LineSegments for all arrows: a shaft and two head strokes each
+    createArrows() {
+        const points = [];
+        const { spacing, extent, heights } = OceanCurrentField.ARROW_GRID;
+        for (let x = -extent; x <= extent; x += spacing) {
+            for (let z = -extent; z <= extent; z += spacing) {
+                heights.forEach(y => points.push(new THREE.Vector3(x, y, z)));
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(points.length * 18), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(points.length * 18), 3));
+
+        const material = new THREE.LineBasicMaterial({ vertexColors: true, toneMapped: false, fog: false });
+        this.arrows = new THREE.LineSegments(geometry, material);
+        this.arrows.name = 'current arrows';
+        this.arrows.frustumCulled = false;
+        this.arrows.userData.points = points;
+        this.scene.add(this.arrows);
+    }
+
+    updateArrows() {
+        if (!this.arrows) return;
+
+        const { points } = this.arrows.userData;
+        const position = this.arrows.geometry.attributes.position;
+        const color = this.arrows.geometry.attributes.color;
+        const flow = new THREE.Vector3();
+        const tip = new THREE.Vector3();
+        const side = new THREE.Vector3();
+        const back = new THREE.Vector3();
+        const shade = new THREE.Color();
+        const up = new THREE.Vector3(0, 1, 0);
+
+        points.forEach((point, i) => {
+            this.sample(point, flow);
+            const speed = flow.length();
+            tip.copy(point).addScaledVector(flow, OceanCurrentField.ARROW_SCALE);
+
+            // Head strokes swept back from the tip
+            back.copy(flow).normalize().multiplyScalar(-Math.min(1, speed * OceanCurrentField.ARROW_SCALE * 0.35));
+            side.crossVectors(flow, up);
+            if (side.lengthSq() < 1e-6) side.set(1, 0, 0);
+            side.normalize().multiplyScalar(back.length() * 0.5);
+
+            const vertices = [
+                point, tip,
+                tip, tip.clone().add(back).add(side),
+                tip, tip.clone().add(back).sub(side)
+            ];
+            vertices.forEach((vertex, v) => position.setXYZ(i * 6 + v, vertex.x, vertex.y, vertex.z));
+
+            // Slow water blue, fast water yellow
+            shade.setHSL(0.55 - 0.4 * Math.min(1, speed / OceanCurrentField.FAST_SPEED), 1, 0.55);
+            for (let v = 0; v < 6; v++) {
+                color.setXYZ(i * 6 + v, shade.r, shade.g, shade.b);
+            }
+        });
+
+        position.needsUpdate = true;
+        color.needsUpdate = true;
+    }
+
+    // Tide and surge in m/s for the classroom, in the page language
+    getDescription() {
+        const metres = speed => i18n.formatNumber(Number((speed * this.metresPerUnit).toFixed(2)));
+        const tideSpeed = this.tide.length();
+        const compass = vector => {
+            // Scene north is -z, east is +x
+            const bearing = (Math.atan2(vector.x, -vector.z) * 180 / Math.PI + 360) % 360;
+            return i18n.t(`currents.compass.${['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'][Math.round(bearing / 45) % 8]}`);
+        };
+        const tide = tideSpeed < 0.01 ? i18n.t('currents.slack') :
+            i18n.t('currents.tide', { speed: metres(tideSpeed), direction: compass(this.tide) });
+        const surge = i18n.t('currents.surge', {
+            speed: metres(this.getSurgeAmplitude(this.surfaceY - OceanCurrentField.READOUT_DEPTH / this.metresPerUnit)),
+            period: i18n.formatNumber(this.surgePeriod)
+        });
+        return { tide, surge };
+    }
+
+    updateOverlay() {
+        if (typeof document === 'undefined') return;
+
+        if (!this.overlay && this.debug) {
+            this.overlay = document.createElement('div');
+            this.overlay.id = 'current-debug';
+            document.body.appendChild(this.overlay);
+        }
+        if (!this.overlay) return;
+
+        this.overlay.style.display = this.debug ? 'block' : 'none';
+        if (this.debug) {
+            const { tide, surge } = this.getDescription();
+            this.overlay.textContent = i18n.t('currents.overlay', { tide, surge, depth: OceanCurrentField.READOUT_DEPTH });
+        }
+    }
+
+    // Arrow toggle for the stats panel
+    createControls(panel) {
+        if (!panel) return;
+
+        const row = document.createElement('div');
+        row.className = 'animal-control';
+        const label = document.createElement('span');
+        label.textContent = '🌊 Currents';
+        label.dataset.i18n = 'stats.currents';
+        row.appendChild(label);
+
+        const button = document.createElement('button');
+        button.className = 'control-btn wide';
+        button.textContent = 'Arrows';
+        button.dataset.i18n = 'stats.arrows';
+        button.title = 'Show the water flow (C)';
+        button.dataset.i18nTitle = 'stats.arrowsTitle';
+        button.addEventListener('click', () => this.toggleDebug());
+        row.appendChild(button);
+
+        panel.appendChild(row);
+        this.controls = { button };
+        this.updateControls();
+    }
+
+    updateControls() {
+        if (this.controls) {
+            this.controls.button.classList.toggle('active', this.debug);
+        }
+    }
+
+    dispose() {
+        if (this.arrows) {
+            if (this.arrows.parent) {
+                this.arrows.parent.remove(this.arrows);
+            }
+            this.arrows.geometry.dispose();
+            this.arrows.material.dispose();
+            this.arrows = null;
+        }
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+}
+
+OceanCurrentField.EDDY_COUNT = 4;
+OceanCurrentField.TIDE_PERIOD_HOURS = 12.42;
+OceanCurrentField.DEFAULT_TIME_SCALE = 60; // as DayNightCycle's default
+OceanCurrentField.ARROW_GRID = { spacing: 15, extent: 45, heights: [-25, -12, 0] };
+OceanCurrentField.ARROW_SCALE = 4;   // arrow length per unit of speed
+OceanCurrentField.FAST_SPEED = 1.0;  // speed drawn fully yellow
+OceanCurrentField.READOUT_DEPTH = 5;   // metres, for the surge readout
+OceanCurrentField.REFERENCE_SPEED = 0.6; // speed that bends kelp by its authored sway amplitude
+
+// Same field as sample(); needs the uniforms in OceanCurrentField#uniforms
+OceanCurrentField.GLSL = `
+    uniform float currentTime;
+    uniform vec3 currentTide;
+    uniform vec3 currentSurgeDirection;
+    uniform vec4 currentSurge;
+    uniform float currentSurfaceY;
+    uniform vec4 currentWaves[${OceanCurrentField.EDDY_COUNT}];
+    uniform vec4 currentAxes[${OceanCurrentField.EDDY_COUNT}];
+
+    vec3 oceanCurrent(vec3 p) {
+        vec3 flow = currentTide;
+
+        float surgeDepth = max(0.0, currentSurfaceY - p.y);
+        float surge = currentSurge.x * exp(-surgeDepth / currentSurge.w);
+        float surgePhase = currentTime * currentSurge.y - dot(currentSurgeDirection.xz, p.xz) * currentSurge.z;
+        flow.xz += currentSurgeDirection.xz * surge * sin(surgePhase);
+        flow.y += surge * 0.3 * cos(surgePhase);
+
+        for (int i = 0; i < ${OceanCurrentField.EDDY_COUNT}; i++) {
+            flow += currentAxes[i].xyz * sin(dot(currentWaves[i].xyz, p) + currentWaves[i].w * currentTime + currentAxes[i].w);
+        }
+        return flow;
+    }
+`;
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('OceanCurrentField', OceanCurrentField, {
+        dependencies: ['SeededRandom']
+    });
+}
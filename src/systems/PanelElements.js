@@ -0,0 +1,44 @@
+// 面板元素 - 信息面板、测验和导览共用的 DOM 小工具
+// Panel Elements - Small DOM helpers shared by the info panel, quiz and guided tour
+//
+// SpeciesInfoPanel, QuizSystem and LessonPlayer build their panels from plain
+// elements and control-btn buttons, and keep a stats-panel toggle button in step
+// with their state. The text is passed in already translated.
+
+class PanelElements {
+    static element(tag, className = null, text = null) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== null) element.textContent = text;
+        return element;
+    }
+
+    // A control-btn button; onClick gets the button. A title doubles as the
+    // accessible name for icon-only buttons.
+    static button(text, onClick, { className = 'control-btn wide', title = null } = {}) {
+        const button = PanelElements.element('button', className, text);
+        button.type = 'button';
+        if (title !== null) {
+            button.title = title;
+            button.setAttribute('aria-label', title);
+        }
+        button.addEventListener('click', () => onClick(button));
+        return button;
+    }
+
+    // Start/stop toggle in the stats panel; the data-i18n key keeps it
+    // translated when the language changes
+    static updateToggle(button, active, startKey, stopKey) {
+        if (!button) return;
+        button.dataset.i18n = active ? stopKey : startKey;
+        button.textContent = i18n.t(button.dataset.i18n);
+        button.classList.toggle('active', active);
+    }
+}
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('PanelElements', PanelElements, {
+        dependencies: ['I18n']
+    });
+}
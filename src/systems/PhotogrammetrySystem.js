@@ -560,9 +560,7 @@ class PhotogrammetrySystem {
     }
 
     createLOD(mesh, factor) {
-        const geometry = mesh.geometry.clone();
-        const simplifier = new THREE.SimplifyModifier();
-        const simplified = simplifier.modify(geometry, factor);
+        const simplified = LODSystem.simplifyGeometry(mesh.geometry, factor);
         return new THREE.Mesh(simplified, mesh.material);
     }
 }
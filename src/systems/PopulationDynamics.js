@@ -0,0 +1,168 @@
+// 种群动态 - 繁殖、衰老与自然死亡
+// Population Dynamics - Spawning, ageing and natural death (opt-in)
+
+class PopulationDynamics {
+    constructor(marineLifeBehavior) {
+        this.behaviorSystem = marineLifeBehavior;
+        this.enabled = false;
+
+        // Per-species life history, in simulated seconds so a lesson fits in class time.
+        // birthRate: offspring per mature adult per second at low density
+        // carryingCapacity: population at which births stop
+        this.speciesParameters = {
+            'Yellowtail':        { lifespan: 240, maturityAge: 0.25, birthRate: 0.010,  carryingCapacity: 40, starvationTime: 120 },
+            'Hottentot':         { lifespan: 300, maturityAge: 0.25, birthRate: 0.012,  carryingCapacity: 40, starvationTime: 150 },
+            'Steentjie':         { lifespan: 200, maturityAge: 0.2,  birthRate: 0.015,  carryingCapacity: 40, starvationTime: 120 },
+            'African Penguin':   { lifespan: 420, maturityAge: 0.3,  birthRate: 0.004,  carryingCapacity: 12, starvationTime: 150 },
+            'Cape Fur Seal':     { lifespan: 600, maturityAge: 0.3,  birthRate: 0.003,  carryingCapacity: 10, starvationTime: 180 },
+            'Great White Shark': { lifespan: 900, maturityAge: 0.4,  birthRate: 0.0015, carryingCapacity: 4,  starvationTime: 300 }
+        };
+
+        // Parents must be well fed to breed, and breeding costs energy
+        this.breedingEnergy = 60;
+        this.birthCost = 25;
+
+        // Own random stream so births replay for a given seed
+        this.random = window.oceanRandom ? window.oceanRandom.derive('population') : Math;
+
+        // Callbacks supplied by the host application
+        this.onBirth = null;  // (parent, species) => newborn animal or null
+        this.onDeath = null;  // (animal, cause) => void
+
+        this.resetStatistics();
+    }
+
+    setEnabled(enabled) {
+        // Hunger only counts while the mode is on: predators that went without a catch
+        // while it was off start with a fresh meal clock instead of starving at once
+        if (enabled && !this.enabled) {
+            this.behaviorSystem.behaviors.forEach(behavior => {
+                behavior.lastMealTime = this.behaviorSystem.time;
+            });
+        }
+        this.enabled = enabled;
+        console.log(`🔄 Population mode ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    resetStatistics() {
+        this.stats = {
+            births: {},
+            deaths: { 'old age': {}, 'starvation': {} }
+        };
+    }
+
+    getSpeciesParameters(species) {
+        return this.speciesParameters[species] || null;
+    }
+
+    update(animals, deltaTime) {
+        if (!this.enabled || !this.onBirth || !this.onDeath) return;
+
+        const behaviors = this.behaviorSystem.behaviors;
+        const counts = this.countSpecies();
+        const births = [];
+        const deaths = [];
+
+        animals.forEach(animal => {
+            const behavior = behaviors.get(animal.id);
+            if (!behavior) return;
+
+            const params = this.getSpeciesParameters(behavior.species);
+            if (!params) return;
+
+            // behavior.age is the fraction of the lifespan already lived
+            behavior.age += deltaTime / params.lifespan;
+            this.updateGrowth(animal, behavior, params);
+
+            if (behavior.age >= 1) {
+                deaths.push({ animal, species: behavior.species, cause: 'old age' });
+            } else if (this.behaviorSystem.time - behavior.lastMealTime > params.starvationTime) {
+                deaths.push({ animal, species: behavior.species, cause: 'starvation' });
+            } else if (this.canBreed(behavior, params)) {
+                // Logistic growth: births slow down as the population nears carrying capacity
+                const crowding = Math.max(0, 1 - counts[behavior.species] / params.carryingCapacity);
+                if (this.random.random() < params.birthRate * crowding * deltaTime) {
+                    births.push({ parent: animal, behavior });
+                    counts[behavior.species]++;
+                }
+            }
+        });
+
+        deaths.forEach(({ animal, species, cause }) => {
+            this.onDeath(animal, cause);
+            this.recordEvent(this.stats.deaths[cause], species);
+        });
+
+        births.forEach(({ parent, behavior }) => this.spawnOffspring(parent, behavior));
+    }
+
+    canBreed(behavior, params) {
+        return behavior.age >= params.maturityAge &&
+            behavior.energy >= this.breedingEnergy &&
+            behavior.state !== 'resting';
+    }
+
+    spawnOffspring(parent, parentBehavior) {
+        const child = this.onBirth(parent, parentBehavior.species);
+        if (!child) return null;
+
+        parentBehavior.energy -= this.birthCost;
+
+        // Newborns start small next to their parent and grow until maturity
+        child.userData.adultScale = child.scale.x;
+        child.position.copy(parent.position).add(new THREE.Vector3(
+            (this.random.random() - 0.5) * 3,
+            (this.random.random() - 0.5) * 1,
+            (this.random.random() - 0.5) * 3
+        ));
+
+        const childBehavior = this.behaviorSystem.behaviors.get(child.id);
+        if (childBehavior) {
+            childBehavior.age = 0;
+            childBehavior.lastMealTime = this.behaviorSystem.time;
+            childBehavior.position.copy(child.position);
+            childBehavior.homePosition.copy(parentBehavior.homePosition);
+            this.updateGrowth(child, childBehavior, this.getSpeciesParameters(parentBehavior.species));
+        }
+
+        this.recordEvent(this.stats.births, parentBehavior.species);
+        return child;
+    }
+
+    updateGrowth(animal, behavior, params) {
+        if (animal.userData.adultScale === undefined) return;
+
+        const growth = Math.min(1, behavior.age / params.maturityAge);
+        animal.scale.setScalar(animal.userData.adultScale * (0.4 + 0.6 * growth));
+    }
+
+    countSpecies() {
+        const counts = {};
+        Object.keys(this.speciesParameters).forEach(species => counts[species] = 0);
+        this.behaviorSystem.behaviors.forEach(behavior => {
+            counts[behavior.species] = (counts[behavior.species] || 0) + 1;
+        });
+        return counts;
+    }
+
+    recordEvent(table, species) {
+        table[species] = (table[species] || 0) + 1;
+    }
+
+    getStatistics() {
+        return {
+            enabled: this.enabled,
+            population: this.countSpecies(),
+            births: { ...this.stats.births },
+            deaths: {
+                'old age': { ...this.stats.deaths['old age'] },
+                'starvation': { ...this.stats.deaths['starvation'] }
+            }
+        };
+    }
+}
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('PopulationDynamics', PopulationDynamics);
+}
@@ -0,0 +1,572 @@
+// 后处理管线 - 可组合的水下画面效果
+// Post-Processing Pipeline - Composable pass chain for underwater effects
+//
+// The scene is rendered once into a target with a depth texture, then each
+// active pass reads the previous result and writes the next; the last one
+// draws to the screen. Default chain:
+//
+//   absorption  depth-based colour absorption (red light fades first)
+//   dof         depth of field from CinematicCameraSystem.lensEffects
+//   bloom       glow around bright, e.g. bioluminescent, pixels
+//   vignette    darkened edges
+//   grain       animated film grain
+//
+// Passes can be toggled with setPassEnabled(); setQuality() suspends the
+// expensive ones ('low' keeps absorption and vignette only).
+
+const POST_PROCESSING_VERTEX_SHADER = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+// Shared fragment helpers: view-space distance from the depth buffer
+const POST_PROCESSING_DEPTH_CHUNK = `
+    uniform sampler2D tDepth;
+    uniform float cameraNear;
+    uniform float cameraFar;
+
+    float readDistance(vec2 uv) {
+        float depth = texture2D(tDepth, uv).x;
+        return (cameraNear * cameraFar) / ((cameraFar - cameraNear) * depth - cameraFar) * -1.0;
+    }
+`;
+
+class PostProcessingPass {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.label = options.label || name;
+        this.enabled = options.enabled !== false;
+        this.minQuality = options.minQuality || 'low';
+        this.needsDepth = !!options.needsDepth;
+        this.needsLens = !!options.needsLens;
+
+        this.uniforms = {
+            tDiffuse: { value: null },
+            tDepth: { value: null },
+            cameraNear: { value: 0.1 },
+            cameraFar: { value: 1000 },
+            resolution: { value: new THREE.Vector2(1, 1) },
+            time: { value: 0 },
+            ...(options.uniforms || {})
+        };
+
+        if (options.fragmentShader) {
+            this.material = new THREE.ShaderMaterial({
+                uniforms: this.uniforms,
+                vertexShader: POST_PROCESSING_VERTEX_SHADER,
+                fragmentShader: options.fragmentShader,
+                defines: options.defines || {},
+                extensions: options.extensions || {},
+                // The scene is already tone mapped when rendered into the target
+                toneMapped: false,
+                depthTest: false,
+                depthWrite: false
+            });
+        }
+    }
+
+    // Called once per frame before render(), e.g. to copy camera settings
+    update(pipeline) {}
+
+    setSize(width, height) {
+        this.uniforms.resolution.value.set(width, height);
+    }
+
+    render(pipeline, readTarget, writeTarget) {
+        this.uniforms.tDiffuse.value = readTarget.texture;
+        pipeline.renderQuad(this.material, writeTarget);
+    }
+
+    dispose() {
+        if (this.material) this.material.dispose();
+    }
+}
+
+// Bloom: bright-pass at reduced resolution, separable blur, additive composite
+class BloomPass extends PostProcessingPass {
+    constructor(options = {}) {
+        super('bloom', {
+            label: 'Bloom',
+            minQuality: 'medium',
+            uniforms: {
+                tBloom: { value: null },
+                strength: { value: options.strength !== undefined ? options.strength : 0.8 }
+            },
+            fragmentShader: `
+                uniform sampler2D tDiffuse;
+                uniform sampler2D tBloom;
+                uniform float strength;
+                varying vec2 vUv;
+                void main() {
+                    vec3 color = texture2D(tDiffuse, vUv).rgb + texture2D(tBloom, vUv).rgb * strength;
+                    gl_FragColor = vec4(color, 1.0);
+                    #include <encodings_fragment>
+                }
+            `
+        });
+
+        this.threshold = options.threshold !== undefined ? options.threshold : 0.75;
+        this.resolutionScale = 0.5;
+        this.size = new THREE.Vector2(1, 1);
+
+        this.brightMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                tDiffuse: { value: null },
+                threshold: { value: this.threshold }
+            },
+            vertexShader: POST_PROCESSING_VERTEX_SHADER,
+            fragmentShader: `
+                uniform sampler2D tDiffuse;
+                uniform float threshold;
+                varying vec2 vUv;
+                void main() {
+                    vec3 color = texture2D(tDiffuse, vUv).rgb;
+                    float brightness = dot(color, vec3(0.2126, 0.7152, 0.0722));
+                    float weight = smoothstep(threshold, threshold + 0.2, brightness);
+                    gl_FragColor = vec4(color * weight, 1.0);
+                }
+            `,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        this.blurMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                tDiffuse: { value: null },
+                direction: { value: new THREE.Vector2(1, 0) },
+                resolution: { value: new THREE.Vector2(1, 1) }
+            },
+            vertexShader: POST_PROCESSING_VERTEX_SHADER,
+            fragmentShader: `
+                uniform sampler2D tDiffuse;
+                uniform vec2 direction;
+                uniform vec2 resolution;
+                varying vec2 vUv;
+                void main() {
+                    vec2 texel = direction / resolution;
+                    vec3 color = texture2D(tDiffuse, vUv).rgb * 0.2270270270;
+                    color += texture2D(tDiffuse, vUv + texel * 1.3846153846).rgb * 0.3162162162;
+                    color += texture2D(tDiffuse, vUv - texel * 1.3846153846).rgb * 0.3162162162;
+                    color += texture2D(tDiffuse, vUv + texel * 3.2307692308).rgb * 0.0702702703;
+                    color += texture2D(tDiffuse, vUv - texel * 3.2307692308).rgb * 0.0702702703;
+                    gl_FragColor = vec4(color, 1.0);
+                }
+            `,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        this.targets = [0, 1].map(() => new THREE.WebGLRenderTarget(1, 1, {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            depthBuffer: false
+        }));
+    }
+
+    setResolutionScale(scale) {
+        this.resolutionScale = scale;
+        this.setSize(this.size.x, this.size.y);
+    }
+
+    setSize(width, height) {
+        super.setSize(width, height);
+        this.size.set(width, height);
+
+        const bloomWidth = Math.max(1, Math.round(width * this.resolutionScale));
+        const bloomHeight = Math.max(1, Math.round(height * this.resolutionScale));
+        this.targets.forEach(target => target.setSize(bloomWidth, bloomHeight));
+        this.blurMaterial.uniforms.resolution.value.set(bloomWidth, bloomHeight);
+    }
+
+    render(pipeline, readTarget, writeTarget) {
+        const [first, second] = this.targets;
+
+        this.brightMaterial.uniforms.tDiffuse.value = readTarget.texture;
+        this.brightMaterial.uniforms.threshold.value = this.threshold;
+        pipeline.renderQuad(this.brightMaterial, first);
+
+        // Two blur iterations widen the glow without a large kernel
+        for (let i = 0; i < 2; i++) {
+            this.blurMaterial.uniforms.tDiffuse.value = first.texture;
+            this.blurMaterial.uniforms.direction.value.set(1 + i, 0);
+            pipeline.renderQuad(this.blurMaterial, second);
+
+            this.blurMaterial.uniforms.tDiffuse.value = second.texture;
+            this.blurMaterial.uniforms.direction.value.set(0, 1 + i);
+            pipeline.renderQuad(this.blurMaterial, first);
+        }
+
+        this.uniforms.tBloom.value = first.texture;
+        super.render(pipeline, readTarget, writeTarget);
+    }
+
+    dispose() {
+        super.dispose();
+        this.brightMaterial.dispose();
+        this.blurMaterial.dispose();
+        this.targets.forEach(target => target.dispose());
+    }
+}
+
+class PostProcessingPipeline {
+    constructor(renderer, scene, camera) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+
+        this.enabled = true;
+        this.quality = 'high';
+        this.passes = [];
+        this.time = 0;
+        this.size = new THREE.Vector2();
+        this.lens = null;
+        this.controlRefreshers = [];
+
+        // Depth-based passes need a depth texture (WebGL2 or WEBGL_depth_texture)
+        this.supportsDepth = renderer.capabilities.isWebGL2 || renderer.extensions.has('WEBGL_depth_texture');
+        if (!this.supportsDepth) {
+            console.warn('⚠️ Depth textures not supported: absorption and depth of field disabled');
+        }
+
+        // Full-screen quad used by every pass
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+        this.quad.frustumCulled = false;
+        this.quadScene = new THREE.Scene();
+        this.quadScene.add(this.quad);
+
+        this.createTargets();
+        this.createDefaultPasses();
+    }
+
+    createTargets() {
+        // Colours are stored linear; half floats avoid banding in the dark water
+        const type = this.renderer.capabilities.isWebGL2 ? THREE.HalfFloatType : THREE.UnsignedByteType;
+        const options = {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            format: THREE.RGBAFormat,
+            type
+        };
+
+        this.sceneTarget = new THREE.WebGLRenderTarget(1, 1, options);
+        if (this.supportsDepth) {
+            this.sceneTarget.depthTexture = new THREE.DepthTexture(1, 1);
+            this.sceneTarget.depthTexture.type = THREE.UnsignedIntType;
+        }
+        this.pingTarget = new THREE.WebGLRenderTarget(1, 1, { ...options, depthBuffer: false });
+        this.pongTarget = new THREE.WebGLRenderTarget(1, 1, { ...options, depthBuffer: false });
+    }
+
+    createDefaultPasses() {
+        // Light loses red first, then green; distant objects fade towards the water colour
+        this.addPass(new PostProcessingPass('absorption', {
+            label: 'Water',
+            needsDepth: true,
+            uniforms: {
+                absorption: { value: new THREE.Vector3(0.060, 0.018, 0.010) },
+                waterColor: { value: new THREE.Color(0x0a3d5c).convertSRGBToLinear() },
+                strength: { value: 1.0 }
+            },
+            fragmentShader: `
+                uniform sampler2D tDiffuse;
+                uniform vec3 absorption;
+                uniform vec3 waterColor;
+                uniform float strength;
+                varying vec2 vUv;
+                ${POST_PROCESSING_DEPTH_CHUNK}
+                void main() {
+                    vec3 color = texture2D(tDiffuse, vUv).rgb;
+                    if (texture2D(tDepth, vUv).x < 1.0) {
+                        vec3 transmittance = exp(-absorption * readDistance(vUv) * strength);
+                        color = color * transmittance + waterColor * (1.0 - transmittance);
+                    }
+                    gl_FragColor = vec4(color, 1.0);
+                    #include <encodings_fragment>
+                }
+            `
+        }));
+
+        const dof = new PostProcessingPass('dof', {
+            label: 'DOF',
+            minQuality: 'high',
+            needsDepth: true,
+            needsLens: true,
+            uniforms: {
+                focusDistance: { value: 10 },
+                aperture: { value: 2.8 },
+                focalLength: { value: 50 },
+                maxBlur: { value: 8 } // pixels
+            },
+            defines: { SAMPLES: 24 },
+            fragmentShader: `
+                uniform sampler2D tDiffuse;
+                uniform vec2 resolution;
+                uniform float focusDistance;
+                uniform float aperture;
+                uniform float focalLength;
+                uniform float maxBlur;
+                varying vec2 vUv;
+                ${POST_PROCESSING_DEPTH_CHUNK}
+
+                // Circle of confusion in pixels: grows with distance from the focus
+                // plane, with focal length and with wider apertures (smaller f-number)
+                float circleOfConfusion(vec2 uv) {
+                    float viewDistance = readDistance(uv);
+                    float coc = abs(viewDistance - focusDistance) / max(viewDistance, 0.001) * (focalLength / aperture) * 0.02;
+                    return clamp(coc, 0.0, 1.0) * maxBlur;
+                }
+
+                void main() {
+                    float centerCoc = circleOfConfusion(vUv);
+                    vec3 color = texture2D(tDiffuse, vUv).rgb;
+                    float total = 1.0;
+
+                    // Golden-angle spiral of samples within the circle of confusion
+                    for (int i = 0; i < SAMPLES; i++) {
+                        float radius = sqrt(float(i) + 0.5) / sqrt(float(SAMPLES)) * centerCoc;
+                        float angle = float(i) * 2.39996323;
+                        vec2 offset = vec2(cos(angle), sin(angle)) * radius / resolution;
+                        float sampleCoc = circleOfConfusion(vUv + offset);
+                        // Sharp foreground samples do not bleed into the blurred background
+                        float weight = smoothstep(radius - 1.0, radius, sampleCoc);
+                        color += texture2D(tDiffuse, vUv + offset).rgb * weight;
+                        total += weight;
+                    }
+
+                    gl_FragColor = vec4(color / total, 1.0);
+                    #include <encodings_fragment>
+                }
+            `
+        });
+        dof.update = pipeline => {
+            const lens = pipeline.lens;
+            dof.uniforms.focusDistance.value = lens.focusDistance;
+            dof.uniforms.aperture.value = lens.aperture;
+            dof.uniforms.focalLength.value = lens.focalLength;
+        };
+        this.addPass(dof);
+
+        this.addPass(new BloomPass());
+
+        this.addPass(new PostProcessingPass('vignette', {
+            label: 'Vignette',
+            uniforms: {
+                offset: { value: 1.0 },
+                darkness: { value: 1.1 }
+            },
+            fragmentShader: `
+                uniform sampler2D tDiffuse;
+                uniform float offset;
+                uniform float darkness;
+                varying vec2 vUv;
+                void main() {
+                    vec3 color = texture2D(tDiffuse, vUv).rgb;
+                    vec2 uv = (vUv - vec2(0.5)) * vec2(offset);
+                    color = mix(color, vec3(1.0 - darkness), dot(uv, uv));
+                    gl_FragColor = vec4(max(color, 0.0), 1.0);
+                    #include <encodings_fragment>
+                }
+            `
+        }));
+
+        this.addPass(new PostProcessingPass('grain', {
+            label: 'Grain',
+            minQuality: 'medium',
+            uniforms: {
+                intensity: { value: 0.04 }
+            },
+            fragmentShader: `
+                uniform sampler2D tDiffuse;
+                uniform vec2 resolution;
+                uniform float time;
+                uniform float intensity;
+                varying vec2 vUv;
+                void main() {
+                    vec3 color = texture2D(tDiffuse, vUv).rgb;
+                    float noise = fract(sin(dot(vUv * resolution + fract(time) * 100.0, vec2(12.9898, 78.233))) * 43758.5453);
+                    color += (noise - 0.5) * intensity;
+                    gl_FragColor = vec4(color, 1.0);
+                    #include <encodings_fragment>
+                }
+            `
+        }));
+    }
+
+    // Insert a pass (before the pass at `index`, at the end by default)
+    addPass(pass, index = this.passes.length) {
+        this.passes.splice(index, 0, pass);
+        if (this.size.x > 0) {
+            pass.setSize(this.size.x, this.size.y);
+        }
+        return pass;
+    }
+
+    removePass(name) {
+        const pass = this.getPass(name);
+        if (pass) {
+            this.passes.splice(this.passes.indexOf(pass), 1);
+            pass.dispose();
+        }
+        return !!pass;
+    }
+
+    getPass(name) {
+        return this.passes.find(pass => pass.name === name) || null;
+    }
+
+    setPassEnabled(name, enabled) {
+        const pass = this.getPass(name);
+        if (!pass) return false;
+        pass.enabled = enabled;
+        return true;
+    }
+
+    // Lens settings for depth of field, e.g. CinematicCameraSystem.lensEffects
+    // (null turns depth of field off)
+    setLens(lens) {
+        const changed = !this.lens !== !lens;
+        this.lens = lens || null;
+        if (changed) this.refreshControls();
+    }
+
+    setQuality(level) {
+        if (!PostProcessingPipeline.QUALITY_LEVELS.includes(level)) return;
+        this.quality = level;
+
+        const bloom = this.getPass('bloom');
+        if (bloom && bloom.setResolutionScale) {
+            bloom.setResolutionScale(level === 'high' ? 0.5 : 0.25);
+        }
+        this.refreshControls();
+    }
+
+    // Enabled by the user, allowed at the current quality and supported by the device
+    isPassActive(pass) {
+        const levels = PostProcessingPipeline.QUALITY_LEVELS;
+        return pass.enabled &&
+            levels.indexOf(this.quality) >= levels.indexOf(pass.minQuality) &&
+            (!pass.needsDepth || this.supportsDepth) &&
+            (!pass.needsLens || !!this.lens);
+    }
+
+    getInactiveReason(pass) {
+        if (pass.needsDepth && !this.supportsDepth) return i18n.t('effects.unsupported');
+        if (pass.needsLens && !this.lens) return i18n.t('effects.needsLens');
+        return i18n.t('effects.paused', { quality: i18n.t(`quality.${this.quality}`) });
+    }
+
+    getActivePasses() {
+        return this.passes.filter(pass => this.isPassActive(pass));
+    }
+
+    updateSize() {
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        if (size.equals(this.size)) return;
+
+        this.size.copy(size);
+        this.sceneTarget.setSize(size.x, size.y);
+        this.pingTarget.setSize(size.x, size.y);
+        this.pongTarget.setSize(size.x, size.y);
+        this.passes.forEach(pass => pass.setSize(size.x, size.y));
+    }
+
+    renderQuad(material, target) {
+        this.quad.material = material;
+        this.renderer.setRenderTarget(target);
+        this.renderer.render(this.quadScene, this.quadCamera);
+    }
+
+    render(deltaTime) {
+        const passes = this.enabled ? this.getActivePasses() : [];
+        if (passes.length === 0) {
+            this.renderer.setRenderTarget(null);
+            this.renderer.render(this.scene, this.camera);
+            return;
+        }
+
+        this.time += deltaTime;
+        this.updateSize();
+
+        // Count the whole chain in renderer.info, not just the last quad
+        const info = this.renderer.info;
+        const autoReset = info.autoReset;
+        info.autoReset = false;
+        info.reset();
+
+        this.renderer.setRenderTarget(this.sceneTarget);
+        this.renderer.render(this.scene, this.camera);
+
+        let readTarget = this.sceneTarget;
+        passes.forEach((pass, index) => {
+            const writeTarget = index === passes.length - 1 ? null :
+                (readTarget === this.pingTarget ? this.pongTarget : this.pingTarget);
+
+            pass.uniforms.tDepth.value = this.sceneTarget.depthTexture || null;
+            pass.uniforms.cameraNear.value = this.camera.near;
+            pass.uniforms.cameraFar.value = this.camera.far;
+            pass.uniforms.time.value = this.time;
+            pass.update(this);
+            pass.render(this, readTarget, writeTarget);
+
+            readTarget = writeTarget;
+        });
+
+        info.autoReset = autoReset;
+    }
+
+    // Toggle buttons for each pass, appended to a panel (e.g. the stats panel); a pass
+    // is labelled from effects.<name>, or its own label if there is no message
+    createControls(panel) {
+        if (!panel) return;
+
+        const row = document.createElement('div');
+        row.className = 'animal-control effect-toggles';
+        const label = document.createElement('span');
+        label.textContent = '✨ Effects';
+        label.dataset.i18n = 'stats.effects';
+        row.appendChild(label);
+
+        this.passes.forEach(pass => {
+            const button = document.createElement('button');
+            button.className = 'control-btn wide';
+            button.dataset.i18n = `effects.${pass.name}`;
+            button.textContent = i18n.translateOr(button.dataset.i18n, pass.label);
+            const refresh = () => {
+                button.classList.toggle('active', pass.enabled);
+                button.title = this.isPassActive(pass) || !pass.enabled ? '' : this.getInactiveReason(pass);
+            };
+            button.addEventListener('click', () => {
+                pass.enabled = !pass.enabled;
+                refresh();
+            });
+            refresh();
+            this.controlRefreshers.push(refresh);
+            row.appendChild(button);
+        });
+
+        panel.appendChild(row);
+    }
+
+    refreshControls() {
+        this.controlRefreshers.forEach(refresh => refresh());
+    }
+
+    dispose() {
+        this.passes.forEach(pass => pass.dispose());
+        [this.sceneTarget, this.pingTarget, this.pongTarget].forEach(target => target.dispose());
+        this.quad.geometry.dispose();
+    }
+}
+
+PostProcessingPipeline.QUALITY_LEVELS = ['low', 'medium', 'high'];
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('PostProcessingPipeline', PostProcessingPipeline, {
+        dependencies: ['I18n']
+    });
+}
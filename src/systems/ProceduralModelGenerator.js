@@ -947,13 +947,8 @@ class ProceduralModelGenerator {
         lod.addLevel(model, 0);
         
         // Create simplified versions
-        const medium = model.clone();
-        medium.scale.multiplyScalar(0.8);
-        lod.addLevel(medium, 50);
-        
-        const low = model.clone();
-        low.scale.multiplyScalar(0.6);
-        lod.addLevel(low, 150);
+        lod.addLevel(LODSystem.simplifyObject(model, 0.5), 50);
+        lod.addLevel(LODSystem.simplifyObject(model, 0.2), 150);
         
         return lod;
     }
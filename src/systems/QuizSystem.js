@@ -0,0 +1,479 @@
+// 测验模式 - 点击动物作答、限时、计分与成绩总结
+// Quiz Mode - Click-to-answer questions, time limits, scoring and a round summary
+//
+// Questions are built from the species catalogue for the species swimming in
+// the scene, so a lesson catalogue or a species plugin brings its own questions:
+//
+//   identify     "Find and click a Hottentot"                 commonNames
+//   eats         "Find and click an animal that eats mussels"  eats
+//   endemic      "Find and click a fish found only in ..."     group, endemic
+//   threatened   "Find and click an animal at risk of ..."     conservationStatus
+//
+// A question is only asked if at least one species in the scene answers it and
+// at least one does not. While a round runs, EducationSystem hands clicked
+// animals to answer() instead of opening the info panel, and the name labels
+// and follow panel are hidden because they would give the answers away.
+//
+// Settings come from window.oceanForestConfig.quiz, ?quiz=<questions> and
+// ?quiztime=<seconds>: { questions: 8, timeLimit: 30, types: [...] }, where a
+// time limit of 0 means no limit. Questions are drawn from the scene's seed, so
+// a class opening the same ?seed= link gets the same quiz.
+
+class QuizSystem {
+    constructor(oceanForest, elements, settings = {}) {
+        this.oceanForest = oceanForest;
+        this.panel = elements.panel;
+        this.toggleButton = elements.toggle || null;
+        this.settings = { ...QuizSystem.DEFAULTS, ...settings };
+        this.random = oceanRandom.derive('quiz');
+
+        this.state = 'idle'; // idle | question | feedback | summary | empty
+        this.questions = [];
+        this.results = [];
+        this.index = 0;
+        this.questionStart = 0;
+        this.roundStart = 0;
+        this.roundSeconds = 0;
+        this.timer = null;
+        this.feedbackTimeout = null;
+        this.timerBar = null;
+        this.timerText = null;
+    }
+
+    isRunning() {
+        return this.state === 'question' || this.state === 'feedback';
+    }
+
+    // Start a new round; false if the scene has too few kinds of animal to ask anything
+    start() {
+        if (this.isRunning()) {
+            this.endRound();
+        }
+        this.questions = this.buildQuestions();
+        this.results = [];
+        this.index = 0;
+        this.panel.classList.remove('hidden');
+
+        if (this.questions.length === 0) {
+            this.state = 'empty';
+            this.render();
+            return false;
+        }
+
+        const education = this.oceanForest.education;
+        if (education) {
+            education.hideSpeciesInfo();
+            education.clickHandler = animal => this.answer(animal);
+        }
+        if (this.oceanForest.floatingLabels) {
+            this.oceanForest.floatingLabels.setSuppressed(true);
+        }
+        document.body.classList.add('quiz-active');
+
+        this.roundStart = performance.now();
+        this.timer = setInterval(() => this.tick(), QuizSystem.TICK_MS);
+        this.ask(0);
+        console.log(`🎓 Quiz started: ${this.questions.length} questions`);
+        return true;
+    }
+
+    // End the round early; the summary covers the questions asked so far
+    stop() {
+        if (this.isRunning()) {
+            this.finish();
+        }
+    }
+
+    close() {
+        if (this.isRunning()) {
+            this.endRound();
+        }
+        this.state = 'idle';
+        this.render();
+        this.panel.classList.add('hidden');
+    }
+
+    // Hand clicks back to the info panel and bring the labels back
+    endRound() {
+        clearInterval(this.timer);
+        clearTimeout(this.feedbackTimeout);
+        this.timer = null;
+        this.feedbackTimeout = null;
+
+        if (this.oceanForest.education) {
+            this.oceanForest.education.clickHandler = null;
+        }
+        if (this.oceanForest.floatingLabels) {
+            this.oceanForest.floatingLabels.setSuppressed(false);
+            this.oceanForest.floatingLabels.showLabels();
+        }
+        document.body.classList.remove('quiz-active');
+    }
+
+    // === Questions ===
+
+    // Catalogue entries of the species in the scene, by English name
+    getSceneSpecies() {
+        const species = new Map();
+        this.oceanForest.getAllAnimals().forEach(animal => {
+            const englishName = animal.userData.species && animal.userData.species.englishName;
+            const entry = englishName && speciesCatalogue.getEntry(englishName);
+            if (entry && !species.has(englishName)) {
+                species.set(englishName, entry);
+            }
+        });
+        return species;
+    }
+
+    // Mix the question types evenly, then shuffle the round
+    buildQuestions() {
+        const species = this.getSceneSpecies();
+        const pools = QuizSystem.TYPES
+            .filter(type => this.settings.types.includes(type))
+            .map(type => this.shuffle(this.generateQuestions(type, species)))
+            .filter(pool => pool.length > 0);
+
+        const questions = [];
+        while (questions.length < this.settings.questions && pools.some(pool => pool.length > 0)) {
+            pools.forEach(pool => {
+                if (pool.length > 0 && questions.length < this.settings.questions) {
+                    questions.push(pool.shift());
+                }
+            });
+        }
+        return this.shuffle(questions);
+    }
+
+    // Every question of one type the scene can answer; answers lists the right species
+    generateQuestions(type, species) {
+        const entries = [...species.entries()];
+        const candidates = {
+            identify: () => entries.map(([englishName]) => ({
+                species: englishName,
+                matches: name => name === englishName
+            })),
+            eats: () => [...new Set(entries.flatMap(([, entry]) => entry.eats || []))].map(food => ({
+                food,
+                matches: name => (species.get(name).eats || []).includes(food)
+            })),
+            endemic: () => [...new Set(entries.filter(([, entry]) => entry.endemic).map(([, entry]) => entry.group))]
+                .filter(group => group)
+                .map(group => ({
+                    group,
+                    matches: name => species.get(name).group === group && species.get(name).endemic === true
+                })),
+            threatened: () => [{
+                matches: name => QuizSystem.THREATENED.includes(species.get(name).conservationStatus)
+            }]
+        }[type]();
+
+        return candidates
+            .map(question => ({ type, ...question, answers: entries.map(([name]) => name).filter(question.matches) }))
+            .filter(question => question.answers.length > 0 && question.answers.length < entries.length);
+    }
+
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random.random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+
+    // === Round ===
+
+    ask(index) {
+        this.index = index;
+        this.state = 'question';
+        this.questionStart = performance.now();
+        this.render();
+    }
+
+    tick() {
+        if (this.state !== 'question') return;
+
+        if (this.settings.timeLimit > 0 && this.getQuestionSeconds() >= this.settings.timeLimit) {
+            this.finishQuestion('timeUp', null);
+        } else {
+            this.updateTimer();
+        }
+    }
+
+    // Called by EducationSystem with the animal the student clicked
+    answer(animal) {
+        if (this.state !== 'question') return;
+
+        const englishName = animal.userData.species.englishName;
+        const correct = this.questions[this.index].matches(englishName);
+        this.finishQuestion(correct ? 'correct' : 'wrong', englishName);
+    }
+
+    skip() {
+        if (this.state === 'question') {
+            this.finishQuestion('skipped', null);
+        }
+    }
+
+    finishQuestion(outcome, answer) {
+        this.results.push({
+            question: this.questions[this.index],
+            outcome,
+            answer,
+            seconds: outcome === 'timeUp' ? this.settings.timeLimit : this.getQuestionSeconds()
+        });
+        this.state = 'feedback';
+        this.render();
+
+        if (window.audioSystem) {
+            window.audioSystem.playBubbleSound(outcome === 'correct' ? 1500 : 400, 0.3);
+        }
+
+        this.feedbackTimeout = setTimeout(() => {
+            if (this.index + 1 < this.questions.length) {
+                this.ask(this.index + 1);
+            } else {
+                this.finish();
+            }
+        }, QuizSystem.FEEDBACK_MS);
+    }
+
+    finish() {
+        this.roundSeconds = (performance.now() - this.roundStart) / 1000;
+        this.endRound();
+        this.state = 'summary';
+        this.render();
+
+        const score = this.getScore();
+        console.log(`🎓 Quiz finished: ${score.correct}/${score.total} correct in ${Math.round(this.roundSeconds)} s`);
+    }
+
+    getQuestionSeconds() {
+        return (performance.now() - this.questionStart) / 1000;
+    }
+
+    getScore() {
+        const correct = this.results.filter(result => result.outcome === 'correct').length;
+        const total = this.results.length;
+        return { correct, total, percent: total > 0 ? Math.round(correct / total * 100) : 0 };
+    }
+
+    // === Text ===
+
+    commonName(englishName) {
+        return speciesCatalogue.getCommonName(englishName, i18n.locale);
+    }
+
+    // The question in the interface language (built again after a language change)
+    getPrompt(question) {
+        const params = {
+            identify: () => ({ name: this.commonName(question.species) }),
+            eats: () => ({ food: i18n.translateOr(`quiz.food.${question.food}`, question.food) }),
+            endemic: () => ({ group: i18n.translateOr(`quiz.group.${question.group}`, question.group) }),
+            threatened: () => ({
+                statuses: QuizSystem.formatList(QuizSystem.THREATENED.map(status => i18n.t(`iucn.${status}.name`)))
+            })
+        }[question.type]();
+        return i18n.t(`quiz.question.${question.type}`, params);
+    }
+
+    getAnswerText(question) {
+        return i18n.t('quiz.answerWas', {
+            names: QuizSystem.formatList(question.answers.map(name => this.commonName(name)))
+        });
+    }
+
+    // "A, B or C" in the interface language
+    static formatList(items) {
+        try {
+            return new Intl.ListFormat(i18n.locale, { type: 'disjunction' }).format(items);
+        } catch (error) {
+            return items.join(', ');
+        }
+    }
+
+    static seconds(value) {
+        return i18n.t('quiz.seconds', { seconds: i18n.formatNumber(Math.round(value)) });
+    }
+
+    getResultText(result) {
+        if (result.outcome === 'timeUp') return i18n.t('quiz.summary.timeUp');
+        if (result.outcome === 'skipped') return i18n.t('quiz.summary.skipped');
+        return i18n.t('quiz.summary.answer', {
+            name: this.commonName(result.answer),
+            seconds: i18n.formatNumber(Math.round(result.seconds))
+        });
+    }
+
+    // Plain-text results for the teacher
+    getReport() {
+        const score = this.getScore();
+        const lines = [
+            i18n.t('quiz.report.header', { date: new Date().toLocaleString(i18n.locale), seed: oceanRandom.seed }),
+            i18n.t('quiz.summary.score', score),
+            i18n.t('quiz.summary.time', { seconds: i18n.formatNumber(Math.round(this.roundSeconds)) }),
+            ''
+        ];
+        this.results.forEach((result, index) => {
+            const parts = [this.getPrompt(result.question), this.getResultText(result)];
+            if (result.outcome !== 'correct') {
+                parts.push(this.getAnswerText(result.question));
+            }
+            lines.push(`${index + 1}. ${QuizSystem.OUTCOME_ICONS[result.outcome]} ${parts.join(' · ')}`);
+        });
+        return lines.join('\n');
+    }
+
+    async copyReport(button) {
+        const report = this.getReport();
+        try {
+            await navigator.clipboard.writeText(report);
+            button.textContent = i18n.t('stats.copied');
+            setTimeout(() => button.textContent = i18n.t('quiz.copy'), 1500);
+        } catch (error) {
+            // Clipboard needs a secure context; let the teacher copy by hand
+            prompt(i18n.t('quiz.copyPrompt'), report);
+        }
+    }
+
+    // === Panel ===
+
+    button(key, onClick) {
+        return PanelElements.button(i18n.t(key), onClick);
+    }
+
+    render() {
+        this.panel.innerHTML = '';
+        this.timerBar = null;
+        this.updateToggle();
+        if (this.state === 'idle') return;
+
+        const render = {
+            question: () => this.renderQuestion(),
+            feedback: () => this.renderQuestion(),
+            summary: () => this.renderSummary(),
+            empty: () => this.renderEmpty()
+        }[this.state];
+        render();
+    }
+
+    renderQuestion() {
+        const question = this.questions[this.index];
+        const header = PanelElements.element('div', 'quiz-header');
+        header.append(
+            PanelElements.element('h4', null, i18n.t('quiz.title')),
+            PanelElements.element('span', 'quiz-progress', i18n.t('quiz.progress', { number: this.index + 1, total: this.questions.length })),
+            PanelElements.element('span', 'quiz-score', i18n.t('quiz.score', { score: this.getScore().correct }))
+        );
+        this.panel.append(header, PanelElements.element('p', 'quiz-question', this.getPrompt(question)));
+
+        if (this.state === 'question') {
+            if (this.settings.timeLimit > 0) {
+                const timer = PanelElements.element('div', 'quiz-timer');
+                this.timerBar = PanelElements.element('div', 'quiz-timer-bar');
+                this.timerText = PanelElements.element('span', 'quiz-timer-text');
+                timer.append(this.timerBar, this.timerText);
+                this.panel.appendChild(timer);
+                this.updateTimer();
+            }
+            this.panel.appendChild(PanelElements.element('p', 'quiz-hint', i18n.t('quiz.hint')));
+        } else {
+            this.panel.appendChild(this.renderFeedback(this.results[this.results.length - 1]));
+        }
+
+        const actions = PanelElements.element('div', 'quiz-actions');
+        if (this.state === 'question') {
+            actions.appendChild(this.button('quiz.skip', () => this.skip()));
+        }
+        actions.appendChild(this.button('quiz.end', () => this.stop()));
+        this.panel.appendChild(actions);
+    }
+
+    renderFeedback(result) {
+        const feedback = PanelElements.element('div', `quiz-feedback ${result.outcome}`);
+        const message = {
+            correct: () => i18n.t('quiz.correct', { name: this.commonName(result.answer) }),
+            wrong: () => i18n.t('quiz.wrong', { name: this.commonName(result.answer) }),
+            timeUp: () => i18n.t('quiz.timeUp'),
+            skipped: () => i18n.t('quiz.skipped')
+        }[result.outcome]();
+
+        feedback.appendChild(PanelElements.element('p', null, message));
+        if (result.outcome !== 'correct') {
+            feedback.appendChild(PanelElements.element('p', 'quiz-answer', this.getAnswerText(result.question)));
+        }
+        return feedback;
+    }
+
+    updateTimer() {
+        if (!this.timerBar) return;
+        const remaining = Math.max(0, this.settings.timeLimit - this.getQuestionSeconds());
+        this.timerBar.style.width = `${remaining / this.settings.timeLimit * 100}%`;
+        this.timerBar.classList.toggle('low', remaining <= 5);
+        this.timerText.textContent = QuizSystem.seconds(Math.ceil(remaining));
+    }
+
+    renderSummary() {
+        const score = this.getScore();
+        this.panel.append(
+            PanelElements.element('h4', null, i18n.t('quiz.summary.title')),
+            PanelElements.element('p', 'quiz-final-score', i18n.t('quiz.summary.score', score)),
+            PanelElements.element('p', 'quiz-final-time', i18n.t('quiz.summary.time', {
+                seconds: i18n.formatNumber(Math.round(this.roundSeconds))
+            }))
+        );
+
+        const list = PanelElements.element('ol', 'quiz-results');
+        this.results.forEach(result => {
+            const item = PanelElements.element('li', result.outcome);
+            item.append(
+                PanelElements.element('span', 'quiz-result-icon', QuizSystem.OUTCOME_ICONS[result.outcome]),
+                PanelElements.element('span', 'quiz-result-question', this.getPrompt(result.question)),
+                PanelElements.element('span', 'quiz-result-detail', this.getResultText(result))
+            );
+            if (result.outcome !== 'correct') {
+                item.appendChild(PanelElements.element('span', 'quiz-result-detail', this.getAnswerText(result.question)));
+            }
+            list.appendChild(item);
+        });
+        this.panel.appendChild(list);
+
+        const actions = PanelElements.element('div', 'quiz-actions');
+        actions.append(
+            this.button('quiz.playAgain', () => this.start()),
+            this.button('quiz.copy', button => this.copyReport(button)),
+            this.button('quiz.close', () => this.close())
+        );
+        this.panel.appendChild(actions);
+    }
+
+    renderEmpty() {
+        const actions = PanelElements.element('div', 'quiz-actions');
+        actions.appendChild(this.button('quiz.close', () => this.close()));
+        this.panel.append(
+            PanelElements.element('h4', null, i18n.t('quiz.title')),
+            PanelElements.element('p', 'quiz-question', i18n.t('quiz.noQuestions')),
+            actions
+        );
+    }
+
+    updateToggle() {
+        PanelElements.updateToggle(this.toggleButton, this.isRunning(), 'stats.quizStart', 'stats.quizStop');
+    }
+}
+
+QuizSystem.TYPES = ['identify', 'eats', 'endemic', 'threatened'];
+QuizSystem.DEFAULTS = { questions: 8, timeLimit: 30, types: QuizSystem.TYPES };
+
+// IUCN categories counted as "at risk of extinction"
+QuizSystem.THREATENED = ['VU', 'EN', 'CR'];
+
+QuizSystem.OUTCOME_ICONS = { correct: '✅', wrong: '❌', timeUp: '⏰', skipped: '⏭️' };
+QuizSystem.TICK_MS = 200;
+QuizSystem.FEEDBACK_MS = 2500;
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('QuizSystem', QuizSystem, {
+        dependencies: ['SeededRandom', 'SpeciesCatalogue', 'I18n', 'PanelElements']
+    });
+}
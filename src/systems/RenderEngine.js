@@ -10,19 +10,85 @@ class RenderEngine {
         this.lastTime = performance.now();
         this.fps = 60;
         
-        // Post-processing flag
+        // Per-frame time step for simulations that integrate over time
+        // (deltaTime passed around the loop is the total elapsed time)
+        this.lastElapsedTime = 0;
+        this.frameDelta = 0;
+        this.simulationAccumulator = 0;
+        this.simulationStep = 0; // steps since the scene was set up (ShareableView links)
+        
+        // Post-processing (see PostProcessingPipeline)
         this.enablePostProcessing = false;
+        this.postProcessing = null;
+        this.quality = 'high';
+        
+        // Adaptive quality (see AdaptiveQualityGovernor)
+        this.qualityGovernor = null;
+        this.lodBias = 1;
     }
     
     setupPostProcessing() {
-        // Basic post-processing setup
-        // Can add bloom, SSAO and other effects here
-        console.log('Post-processing setup (basic)');
+        // ?postprocessing=off renders the scene directly
+        if (new URLSearchParams(window.location.search).get('postprocessing') === 'off') {
+            console.log('Post-processing disabled');
+            return;
+        }
+        
+        try {
+            this.postProcessing = new PostProcessingPipeline(this.renderer, this.scene, this.camera);
+            this.postProcessing.setQuality(this.quality);
+            this.enablePostProcessing = true;
+            console.log('Post-processing pipeline:', this.postProcessing.passes.map(pass => pass.name).join(' → '));
+        } catch (error) {
+            console.warn('⚠️ Post-processing unavailable, rendering directly:', error);
+            this.postProcessing = null;
+        }
+    }
+    
+    setPostProcessingEnabled(enabled) {
+        this.enablePostProcessing = enabled && !!this.postProcessing;
+    }
+    
+    // Toggle a single pass ('absorption', 'godrays', 'dof', 'bloom', 'vignette', 'grain')
+    setEffectEnabled(name, enabled) {
+        return this.postProcessing ? this.postProcessing.setPassEnabled(name, enabled) : false;
+    }
+    
+    // Depth of field follows the cinematic camera's lens, focused on the octopus
+    updatePostProcessing(oceanForest) {
+        const cinematicCamera = oceanForest.cinematicCamera;
+        if (!cinematicCamera || !cinematicCamera.cinematicParams.depthOfField) {
+            this.postProcessing.setLens(null);
+            return;
+        }
+        
+        const lens = cinematicCamera.lensEffects;
+        lens.focusDistance = this.camera.position.distanceTo(oceanForest.octopusPosition);
+        this.postProcessing.setLens(lens);
+    }
+    
+    render(oceanForest) {
+        // Instanced fish pick up this frame's movement; kelp and seabed sway in the shader
+        if (oceanForest.instancedLife) {
+            oceanForest.instancedLife.update(this.lastElapsedTime);
+        }
+        if (oceanForest.lodSystem) {
+            oceanForest.lodSystem.update(this.frameDelta);
+        }
+        
+        if (this.enablePostProcessing && this.postProcessing) {
+            this.updatePostProcessing(oceanForest);
+            this.postProcessing.render(this.frameDelta);
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
     }
     
     startRenderLoop(oceanForest) {
         const animate = (currentTime) => {
             const deltaTime = this.clock.getElapsedTime();
+            this.frameDelta = Math.min(deltaTime - this.lastElapsedTime, 0.1);
+            this.lastElapsedTime = deltaTime;
             
             // Update performance metrics
             this.updatePerformance(currentTime);
@@ -50,8 +116,13 @@ class RenderEngine {
                 oceanForest.floatingLabels.updateFloatingLabels();
             }
             
+            // Advance the guided tour and move its highlight rings with their animals
+            if (oceanForest.lessonPlayer) {
+                oceanForest.lessonPlayer.update(this.frameDelta);
+            }
+            
             // Render scene
-            this.renderer.render(this.scene, this.camera);
+            this.render(oceanForest);
             
             requestAnimationFrame(animate);
         };
@@ -60,14 +131,20 @@ class RenderEngine {
     }
     
     updateOceanEnvironment(oceanForest, deltaTime) {
+        // Advance the shared current first; the tide follows the day/night clock's time scale
+        const currentField = oceanForest.currentField;
+        if (currentField) {
+            currentField.update(this.frameDelta, oceanForest.dayNight ? oceanForest.dayNight.timeScale : undefined);
+        }
+        
         // Update kelp forest
         if (oceanForest.kelpForest && oceanForest.oceanEnvironment) {
-            oceanForest.oceanEnvironment.updateKelp(oceanForest.kelpForest, deltaTime);
+            oceanForest.oceanEnvironment.updateKelp(oceanForest.kelpForest, deltaTime, currentField);
         }
         
-        // Update bubbles
+        // Update bubbles (they move by the frame step, not the elapsed time)
         if (oceanForest.bubbles && oceanForest.oceanEnvironment) {
-            oceanForest.oceanEnvironment.updateBubbles(oceanForest.bubbles, deltaTime);
+            oceanForest.oceanEnvironment.updateBubbles(oceanForest.bubbles, this.frameDelta, currentField);
         }
         
         // Update light rays
@@ -209,6 +286,18 @@ class RenderEngine {
     updateCamera(oceanForest, deltaTime) {
         if (!oceanForest.octopusPosition) return;
         
+        // A view opened from a shared link stays put until the octopus is moved
+        if (oceanForest.sharedView) {
+            if (!this.processOctopusInput(oceanForest.keys).isMoving) {
+                if (oceanForest.sharedView.mode === 'follow') {
+                    this.camera.position.copy(oceanForest.sharedView.position);
+                    this.camera.lookAt(oceanForest.sharedView.target);
+                }
+                return;
+            }
+            oceanForest.sharedView = null;
+        }
+        
         // When octopus is following a fish, keep camera stationary to watch the dramatic flight
         if (oceanForest.followTarget) {
             // Keep camera in fixed position to observe the octopus flying to fish
@@ -249,16 +338,50 @@ class RenderEngine {
     }
     
     updateLighting(oceanForest, deltaTime) {
-        // Update caustic light effects
-        if (oceanForest.causticLights && oceanForest.oceanEnvironment) {
-            oceanForest.oceanEnvironment.updateCausticLights(oceanForest.causticLights, deltaTime);
+        // The clock places the sun before the water light is worked out
+        if (oceanForest.dayNight) {
+            oceanForest.dayNight.update(this.frameDelta);
+        }
+        
+        // Depth colour shift, caustics and god rays follow the camera
+        if (oceanForest.underwaterLighting) {
+            oceanForest.underwaterLighting.update(this.camera, this.frameDelta);
+        }
+    }
+    
+    // Variable mode advances the simulation by the frame time; fixed mode (seeded
+    // scenes) advances it in equal steps so a seed replays the same trajectories
+    getSimulationSteps(simulationConfig) {
+        const fixedTimestep = simulationConfig && simulationConfig.fixedTimestep;
+        if (!fixedTimestep) {
+            return { count: 1, deltaTime: this.frameDelta };
         }
         
-        // Dynamic light intensity
-        const timeOfDay = Math.sin(deltaTime * 0.1) * 0.2 + 0.8;
+        this.simulationAccumulator += this.frameDelta;
+        const count = Math.floor(this.simulationAccumulator / fixedTimestep);
+        this.simulationAccumulator -= count * fixedTimestep;
+        return { count, deltaTime: fixedTimestep };
+    }
+    
+    updateMarineLifeSimulation(oceanForest, deltaTime) {
+        // Rebuilt every step so births and deaths take effect at the same step regardless of frame rate;
+        // includes the species plugins' animals
+        const allAnimals = oceanForest.getAllAnimals();
+        this.simulationStep++;
+        if (oceanForest.behaviorWorker && oceanForest.behaviorWorker.running) {
+            oceanForest.behaviorWorker.update(allAnimals, deltaTime);
+        } else {
+            oceanForest.marineLifeBehavior.update(allAnimals, deltaTime);
+        }
+        
+        // The player's octopus catches prey it swims into
+        if (oceanForest.octopus) {
+            oceanForest.marineLifeBehavior.catchNearbyPrey(oceanForest.octopus, 'Common Octopus', allAnimals);
+        }
         
-        if (oceanForest.directionalLight) {
-            oceanForest.directionalLight.intensity = timeOfDay;
+        // Births, ageing and natural death (population mode)
+        if (oceanForest.populationDynamics) {
+            oceanForest.populationDynamics.update(allAnimals, deltaTime);
         }
     }
     
@@ -307,10 +430,15 @@ class RenderEngine {
         this.frameCount++;
         
         if (currentTime - this.lastTime >= 1000) {
-            this.fps = Math.round((this.frameCount * 1000) / (currentTime - this.lastTime));
+            const interval = currentTime - this.lastTime;
+            this.fps = Math.round((this.frameCount * 1000) / interval);
             this.frameCount = 0;
             this.lastTime = currentTime;
             
+            if (this.qualityGovernor) {
+                this.qualityGovernor.sample(this.fps, interval);
+            }
+            
             // Update UI display
             const fpsElement = document.getElementById('fps');
             if (fpsElement) {
@@ -321,6 +449,8 @@ class RenderEngine {
     
     // Adjust render quality (performance optimization)
     adjustQuality(level) {
+        const shadowsEnabled = this.renderer.shadowMap.enabled;
+        
         switch(level) {
             case 'low':
                 this.renderer.setPixelRatio(1);
@@ -334,9 +464,39 @@ class RenderEngine {
                 this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
                 this.renderer.shadowMap.enabled = true;
                 break;
+            default:
+                return;
+        }
+        
+        // Materials compile shadow support in, so they must rebuild when it changes
+        if (shadowsEnabled !== this.renderer.shadowMap.enabled) {
+            this.scene.traverse(object => {
+                if (!object.material) return;
+                (Array.isArray(object.material) ? object.material : [object.material])
+                    .forEach(material => material.needsUpdate = true);
+            });
+        }
+        
+        this.quality = level;
+        if (this.postProcessing) {
+            this.postProcessing.setQuality(level);
         }
     }
     
+    // Scale THREE.LOD switch distances (1 = as authored, lower = simpler models sooner)
+    setLODBias(bias) {
+        this.lodBias = bias;
+        this.scene.traverse(object => {
+            if (!object.isLOD) return;
+            if (!object.userData.baseLevelDistances) {
+                object.userData.baseLevelDistances = object.levels.map(level => level.distance);
+            }
+            object.levels.forEach((level, index) => {
+                level.distance = object.userData.baseLevelDistances[index] * bias;
+            });
+        });
+    }
+    
     // Update advanced systems
     updateAdvancedSystems(oceanForest, deltaTime) {
         // Update advanced 3D model animations
@@ -361,7 +521,7 @@ class RenderEngine {
         // Update advanced particle system
         if (oceanForest.advancedParticles) {
             try {
-                oceanForest.advancedParticles.update(deltaTime);
+                oceanForest.advancedParticles.update(this.frameDelta);
             } catch (error) {
                 console.warn('Advanced particle system update error:', error);
             }
@@ -370,22 +530,21 @@ class RenderEngine {
         // Update marine life behavior system
         if (oceanForest.marineLifeBehavior) {
             try {
-                const allAnimals = [
-                    ...(oceanForest.capeReefFish || []),
-                    ...(oceanForest.capeFurSeals || []),
-                    ...(oceanForest.africanPenguins || []),
-                    ...(oceanForest.greatWhiteSharks || [])
-                ];
-                oceanForest.marineLifeBehavior.update(allAnimals, deltaTime);
+                const steps = this.getSimulationSteps(oceanForest.simulationConfig);
+                for (let i = 0; i < steps.count; i++) {
+                    this.updateMarineLifeSimulation(oceanForest, steps.deltaTime);
+                }
             } catch (error) {
                 console.warn('Marine life behavior system update error:', error);
             }
         }
         
-        // Update cinematic camera system
-        if (oceanForest.cinematicCamera) {
+        // Update cinematic camera system; keyframe sequences advance by the frame step
+        // (a held follow view from a shared link takes precedence)
+        const holdingSharedView = oceanForest.sharedView && oceanForest.sharedView.mode === 'follow';
+        if (oceanForest.cinematicCamera && !holdingSharedView) {
             try {
-                oceanForest.cinematicCamera.update(deltaTime, oceanForest.octopusPosition, oceanForest.keys);
+                oceanForest.cinematicCamera.update(deltaTime, oceanForest.octopusPosition, oceanForest.keys, this.frameDelta);
             } catch (error) {
                 console.warn('Cinematic camera system update error:', error);
             }
@@ -428,7 +587,9 @@ class RenderEngine {
             fps: this.fps,
             triangles: this.renderer.info.render.triangles,
             calls: this.renderer.info.render.calls,
-            memory: this.renderer.info.memory
+            memory: this.renderer.info.memory,
+            postProcessing: this.enablePostProcessing && this.postProcessing ?
+                this.postProcessing.getActivePasses().map(pass => pass.name) : []
         };
     }
 }
@@ -0,0 +1,362 @@
+// 场景存档 - 保存与恢复完整场景状态
+// Scene Serializer - Save and restore the full scene state as JSON
+//
+// A scene file (.oceanscene.json) holds every animal with its transform,
+// userData and behaviour state, the octopus, the camera, the follow target and
+// the environment settings. Animals are recreated through OceanForest's
+// regular add paths, so restored animals behave like newly added ones.
+
+class SceneSerializer {
+    constructor(oceanForest) {
+        this.oceanForest = oceanForest;
+    }
+
+    // Species collections and how to create one more animal of each
+    getCollections() {
+        const forest = this.oceanForest;
+        const collections = [
+            { kind: 'capeReefFish', animals: forest.capeReefFish, add: species => forest.addCapeReefFish(species) },
+            { kind: 'capeFurSeal', animals: forest.capeFurSeals, add: () => forest.addCapeFurSeal() },
+            { kind: 'africanPenguin', animals: forest.africanPenguins, add: () => forest.addAfricanPenguin() },
+            { kind: 'greatWhiteShark', animals: forest.greatWhiteSharks, add: () => forest.addGreatWhiteShark() }
+        ];
+
+        if (forest.speciesPlugins) {
+            collections.push({
+                kind: 'plugin',
+                animals: forest.speciesPlugins.getAnimals(),
+                add: species => forest.speciesPlugins.add(species)
+            });
+        }
+        return collections;
+    }
+
+    serialize() {
+        const forest = this.oceanForest;
+        const behaviorSystem = forest.marineLifeBehavior;
+        const animals = [];
+
+        this.getCollections().forEach(({ kind, animals: collection }) => {
+            collection.forEach(animal => {
+                const behavior = behaviorSystem ? behaviorSystem.behaviors.get(animal.id) : null;
+                animals.push({
+                    kind,
+                    species: animal.userData.species ? animal.userData.species.englishName : null,
+                    position: animal.position.toArray(),
+                    rotation: animal.rotation.toArray().slice(0, 3),
+                    scale: animal.scale.toArray(),
+                    userData: SceneSerializer.toJSONValue(animal.userData, ['species']),
+                    behavior: behavior ? SceneSerializer.serializeBehavior(behavior) : null
+                });
+            });
+        });
+
+        const allAnimals = this.getCollections().reduce((all, { animals: collection }) => all.concat(collection), []);
+        const followIndex = forest.followTarget ? allAnimals.indexOf(forest.followTarget) : -1;
+
+        return {
+            format: SceneSerializer.FORMAT,
+            version: SceneSerializer.VERSION,
+            savedAt: new Date().toISOString(),
+            simulation: {
+                seed: window.oceanRandom ? oceanRandom.seed : null,
+                time: behaviorSystem ? behaviorSystem.time : 0,
+                populationMode: !!(forest.populationDynamics && forest.populationDynamics.enabled)
+            },
+            environment: this.serializeEnvironment(),
+            octopus: { position: forest.octopusPosition.toArray() },
+            camera: this.serializeCamera(),
+            followTarget: followIndex !== -1 ? followIndex : null,
+            animals
+        };
+    }
+
+    // Replace the current animals and settings with a saved scene
+    deserialize(state) {
+        SceneSerializer.validate(state);
+
+        const forest = this.oceanForest;
+        forest.followTarget = null;
+
+        // Clear every species through its regular remove path
+        this.getCollections().forEach(({ animals }) => {
+            animals.slice().forEach(animal => forest.removeMarineAnimal(animal));
+        });
+
+        const collections = new Map(this.getCollections().map(collection => [collection.kind, collection]));
+        const restored = state.animals.map(saved => {
+            const collection = collections.get(saved.kind);
+            const animal = collection ? collection.add(saved.species) : null;
+            if (!animal) {
+                console.warn(`⚠️ Scene animal skipped, species not available: ${saved.species || saved.kind}`);
+                return null;
+            }
+            this.restoreAnimal(animal, saved);
+            return animal;
+        });
+
+        const behaviorSystem = forest.marineLifeBehavior;
+        if (behaviorSystem && state.simulation && typeof state.simulation.time === 'number') {
+            behaviorSystem.time = state.simulation.time;
+        }
+        if (state.simulation && forest.populationDynamics) {
+            forest.setPopulationMode(!!state.simulation.populationMode);
+        }
+
+        this.restoreEnvironment(state.environment);
+        if (state.octopus) {
+            forest.octopusPosition.fromArray(state.octopus.position);
+            if (forest.octopus) {
+                forest.octopus.position.copy(forest.octopusPosition);
+            }
+        }
+        this.restoreCamera(state.camera);
+
+        const followTarget = state.followTarget !== null ? restored[state.followTarget] : null;
+        if (followTarget) {
+            forest.followTarget = followTarget;
+            followTarget.userData.isFollowed = true;
+        }
+
+        forest.updateAnimalCounts();
+        forest.updateFollowPanel();
+        console.log(`📂 Scene restored: ${restored.filter(Boolean).length} animals`);
+        return restored.filter(Boolean);
+    }
+
+    restoreAnimal(animal, saved) {
+        animal.position.fromArray(saved.position);
+        animal.rotation.set(saved.rotation[0], saved.rotation[1], saved.rotation[2]);
+        animal.scale.fromArray(saved.scale);
+
+        // Merged rather than replaced: the factory's mesh references (fins, flippers) were not saved
+        SceneSerializer.mergeInto(animal.userData, SceneSerializer.fromJSONValue(saved.userData || {}));
+        animal.userData.isFollowed = false;
+        if ('isNewlySpawned' in animal.userData) {
+            animal.userData.isNewlySpawned = false;
+        }
+
+        const behaviorSystem = this.oceanForest.marineLifeBehavior;
+        const behavior = behaviorSystem ? behaviorSystem.behaviors.get(animal.id) : null;
+        if (behavior) {
+            behavior.position.copy(animal.position);
+            behavior.homePosition.copy(animal.position);
+            if (saved.behavior) {
+                SceneSerializer.restoreBehavior(behavior, saved.behavior);
+            }
+        }
+    }
+
+    static serializeBehavior(behavior) {
+        return {
+            state: behavior.state,
+            energy: behavior.energy,
+            velocity: behavior.velocity.toArray(),
+            homePosition: behavior.homePosition.toArray(),
+            personalityFactor: behavior.personalityFactor,
+            age: behavior.age,
+            lastMealTime: behavior.lastMealTime,
+            lastStateChange: behavior.lastStateChange
+        };
+    }
+
+    static restoreBehavior(behavior, saved) {
+        ['state', 'energy', 'personalityFactor', 'age', 'lastMealTime', 'lastStateChange'].forEach(key => {
+            if (saved[key] !== undefined) {
+                behavior[key] = saved[key];
+            }
+        });
+        if (saved.velocity) behavior.velocity.fromArray(saved.velocity);
+        if (saved.homePosition) behavior.homePosition.fromArray(saved.homePosition);
+    }
+
+    serializeEnvironment() {
+        const forest = this.oceanForest;
+        const environment = {};
+
+        if (forest.scene && forest.scene.fog) {
+            environment.fog = {
+                color: forest.scene.fog.color.getHex(),
+                density: forest.scene.fog.density
+            };
+        }
+        if (forest.skyboxMaterial) {
+            environment.sky = {
+                topColor: forest.skyboxMaterial.uniforms.topColor.value.getHex(),
+                bottomColor: forest.skyboxMaterial.uniforms.bottomColor.value.getHex()
+            };
+        }
+        if (forest.underwaterLighting) {
+            environment.clarity = forest.underwaterLighting.clarity;
+        }
+        if (forest.dayNight) {
+            environment.timeOfDay = forest.dayNight.hours;
+            environment.timeScale = forest.dayNight.timeScale;
+        }
+        return environment;
+    }
+
+    restoreEnvironment(environment) {
+        if (!environment) return;
+        const forest = this.oceanForest;
+
+        if (environment.fog && forest.scene && forest.scene.fog) {
+            forest.scene.fog.color.setHex(environment.fog.color);
+            forest.scene.fog.density = environment.fog.density;
+        }
+        if (environment.sky && forest.skyboxMaterial) {
+            forest.skyboxMaterial.uniforms.topColor.value.setHex(environment.sky.topColor);
+            forest.skyboxMaterial.uniforms.bottomColor.value.setHex(environment.sky.bottomColor);
+        }
+        if (environment.clarity !== undefined && forest.underwaterLighting) {
+            forest.underwaterLighting.setClarity(environment.clarity);
+        }
+        if (environment.timeOfDay !== undefined && forest.dayNight) {
+            forest.dayNight.setTime(environment.timeOfDay);
+            if (environment.timeScale !== undefined) {
+                forest.dayNight.setTimeScale(environment.timeScale);
+            }
+        }
+    }
+
+    serializeCamera() {
+        const { camera, cinematicCamera } = this.oceanForest;
+        return {
+            mode: cinematicCamera ? cinematicCamera.getCurrentMode() : null,
+            position: camera.position.toArray(),
+            quaternion: camera.quaternion.toArray(),
+            fov: camera.fov
+        };
+    }
+
+    restoreCamera(saved) {
+        if (!saved) return;
+        const { camera, cinematicCamera } = this.oceanForest;
+
+        camera.position.fromArray(saved.position);
+        camera.quaternion.fromArray(saved.quaternion);
+        if (saved.fov) {
+            camera.fov = saved.fov;
+            camera.updateProjectionMatrix();
+        }
+        if (cinematicCamera && saved.mode && saved.mode !== cinematicCamera.getCurrentMode()) {
+            cinematicCamera.setMode(saved.mode);
+        }
+    }
+
+    static validate(state) {
+        if (!state || state.format !== SceneSerializer.FORMAT || !Array.isArray(state.animals)) {
+            throw new Error('Not an Ocean Forest scene file');
+        }
+        if (state.version > SceneSerializer.VERSION) {
+            throw new Error(`Scene file version ${state.version} is newer than this app supports (${SceneSerializer.VERSION})`);
+        }
+    }
+
+    // userData may hold Three.js math types; other objects (meshes, functions) are dropped
+    static toJSONValue(value, skipKeys = []) {
+        if (value === null || ['number', 'string', 'boolean'].includes(typeof value)) {
+            return value;
+        }
+        if (typeof value !== 'object') {
+            return undefined;
+        }
+        if (value.isVector3) return { $type: 'Vector3', value: value.toArray() };
+        if (value.isVector2) return { $type: 'Vector2', value: value.toArray() };
+        if (value.isQuaternion) return { $type: 'Quaternion', value: value.toArray() };
+        if (value.isEuler) return { $type: 'Euler', value: value.toArray().slice(0, 3) };
+        if (value.isColor) return { $type: 'Color', value: value.getHex() };
+        if (Array.isArray(value)) {
+            return value.map(item => SceneSerializer.toJSONValue(item)).filter(item => item !== undefined);
+        }
+        const prototype = Object.getPrototypeOf(value);
+        if (prototype !== null && prototype.constructor && prototype.constructor.name !== 'Object') {
+            return undefined;
+        }
+
+        const result = {};
+        Object.keys(value).forEach(key => {
+            if (skipKeys.includes(key)) return;
+            const converted = SceneSerializer.toJSONValue(value[key]);
+            if (converted !== undefined) {
+                result[key] = converted;
+            }
+        });
+        return result;
+    }
+
+    static fromJSONValue(value) {
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => SceneSerializer.fromJSONValue(item));
+        }
+        switch (value.$type) {
+            case 'Vector3': return new THREE.Vector3().fromArray(value.value);
+            case 'Vector2': return new THREE.Vector2().fromArray(value.value);
+            case 'Quaternion': return new THREE.Quaternion().fromArray(value.value);
+            case 'Euler': return new THREE.Euler(value.value[0], value.value[1], value.value[2]);
+            case 'Color': return new THREE.Color(value.value);
+        }
+
+        const result = {};
+        Object.keys(value).forEach(key => {
+            result[key] = SceneSerializer.fromJSONValue(value[key]);
+        });
+        return result;
+    }
+
+    static mergeInto(target, source) {
+        Object.keys(source).forEach(key => {
+            const value = source[key];
+            const existing = target[key];
+            const isPlain = object => object && typeof object === 'object' && !Array.isArray(object) &&
+                !object.isVector3 && !object.isVector2 && !object.isQuaternion && !object.isEuler && !object.isColor;
+
+            if (isPlain(value) && isPlain(existing)) {
+                SceneSerializer.mergeInto(existing, value);
+            } else {
+                target[key] = value;
+            }
+        });
+        return target;
+    }
+
+    // Save the scene as a .oceanscene.json download
+    static download(state, filename) {
+        const name = filename || `ocean-scene-${state.savedAt.slice(0, 19).replace(/[:T]/g, '-')}`;
+        const blob = new Blob([JSON.stringify(state, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name.endsWith(SceneSerializer.EXTENSION) ? name : name + SceneSerializer.EXTENSION;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Read a scene from a File chosen by the user
+    static async readFile(file) {
+        const text = await file.text();
+        let state;
+        try {
+            state = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Scene file is not valid JSON: ${error.message}`);
+        }
+        SceneSerializer.validate(state);
+        return state;
+    }
+}
+
+SceneSerializer.FORMAT = 'oceanscene';
+SceneSerializer.VERSION = 1;
+SceneSerializer.EXTENSION = '.oceanscene.json';
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('SceneSerializer', SceneSerializer);
+}
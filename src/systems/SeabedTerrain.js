@@ -0,0 +1,540 @@
+// 海底地形 - 带礁石、巨砾与沙道的种子化程序地形
+// Seabed Terrain - Seeded procedural seabed with reefs, boulders and sand channels
+//
+// A heightfield over the scene floor, built from the seeded random stream so a
+// seed always gives the same seabed:
+//
+//   rolling sand   multi-octave value noise, a metre or so of relief
+//   reef outcrops  ridged noise in patches and around the kelp, up to ~4 m high
+//   boulders       scattered domes of rock
+//   sand channels  meandering gullies of clean sand between the reefs
+//   holdfasts      small rock platforms where the kelp is anchored
+//
+// getHeight(x, z) and getNormal(x, z) answer on exactly the triangles that are
+// drawn, so anything placed with them sits on the visible floor. getSurface()
+// tells sand from rock and reef, and findPlacement() picks seeded spots on a
+// given surface for urchins, anemones and other seabed life.
+//
+// Instead of generating one, a surveyed seabed can be imported: pass a grid
+// from BathymetryLoader as options.bathymetry. Both axes use the scene scale
+// of options.metresPerUnit (0.5 m, as in UnderwaterLighting and
+// OceanCurrentField), so the floor shows the central size * metresPerUnit
+// metres of the survey at true proportions; a grid without a scale (a plain
+// image) has its central square stretched over the floor instead. The mean
+// depth sits at baseY and options.exaggeration stretches the relief on top of
+// the scale. Surfaces are then read from the relief as drawn (steep is rock,
+// rugged is reef, smooth is sand), and the survey depths are kept so
+// getDepth() and the PLACEMENT_RULES can use real metres.
+
+class SeabedTerrain {
+    constructor(options = {}) {
+        this.size = options.size || 200;          // scene units, centred on the origin
+        this.segments = options.segments || 128;  // grid cells along each side
+        this.baseY = options.baseY !== undefined ? options.baseY : -30;
+        this.surfaceY = options.surfaceY !== undefined ? options.surfaceY : 10;
+        this.exaggeration = options.exaggeration || 1;
+        this.metresPerUnit = options.metresPerUnit || 0.5;
+        this.holdfasts = (options.holdfasts || []).map(({ x, z }) => ({ x, z }));
+        this.placementRules = { ...SeabedTerrain.PLACEMENT_RULES, ...(options.placementRules || {}) };
+
+        this.cellSize = this.size / this.segments;
+        const vertexCount = (this.segments + 1) * (this.segments + 1);
+        this.heights = new Float32Array(vertexCount);
+        this.surfaces = new Uint8Array(vertexCount);
+        this.depths = null; // survey depths in metres, only for imported bathymetry
+
+        this.normal = new THREE.Vector3();
+        if (options.data) {
+            this.heights.set(options.data.heights);
+            this.surfaces.set(options.data.surfaces);
+            this.depths = Float32Array.from(options.data.depths);
+        } else if (options.bathymetry) {
+            this.importBathymetry(options.bathymetry);
+        } else {
+            this.generate(options.random || oceanRandom.derive('terrain'));
+        }
+    }
+
+    // Everything needed to rebuild the same terrain elsewhere (e.g. the behaviour worker);
+    // an imported seabed cannot be regenerated, so its grids are sent along
+    getSettings() {
+        const settings = {
+            size: this.size,
+            segments: this.segments,
+            baseY: this.baseY,
+            surfaceY: this.surfaceY,
+            exaggeration: this.exaggeration,
+            metresPerUnit: this.metresPerUnit,
+            holdfasts: this.holdfasts,
+            placementRules: this.placementRules
+        };
+        if (this.depths) {
+            settings.data = { heights: this.heights, surfaces: this.surfaces, depths: this.depths };
+        }
+        return settings;
+    }
+
+    // === Generation ===
+
+    generate(random) {
+        const noise = SeabedTerrain.createNoise(random);
+        const boulders = this.createBoulders(random);
+        const channels = this.createChannels(random);
+        const { SAND, ROCK, REEF } = SeabedTerrain.SURFACE;
+        const half = this.size / 2;
+
+        for (let row = 0; row <= this.segments; row++) {
+            for (let column = 0; column <= this.segments; column++) {
+                const x = -half + column * this.cellSize;
+                const z = -half + row * this.cellSize;
+
+                // Rolling sand
+                let height = noise.fbm(x * 0.02, z * 0.02, 5) * 2.4;
+                let surface = SAND;
+
+                // Sand channels cut through everything except the holdfasts
+                const holdfastDistance = this.distanceToHoldfast(x, z);
+                const shelter = THREE.MathUtils.smoothstep(holdfastDistance, 4, 9);
+                const channel = this.channelDepth(channels, x, z) * shelter;
+                height -= channel * 1.6;
+
+                // Reef outcrops in patches and around the kelp, kept out of the channels
+                const patch = Math.max(
+                    THREE.MathUtils.smoothstep(noise.fbm(x * 0.025 + 17.3, z * 0.025 - 5.1, 3), 0, 0.3),
+                    (1 - THREE.MathUtils.smoothstep(holdfastDistance, 5, 12)) * 0.8
+                );
+                const reef = patch * (1 - channel) * (1.5 + noise.ridged(x * 0.07, z * 0.07, 4) * 4.5);
+                height += reef;
+                if (reef > 1.2) surface = REEF;
+
+                // Boulders
+                boulders.forEach(boulder => {
+                    const distance = Math.hypot(x - boulder.x, z - boulder.z);
+                    if (distance < boulder.radius) {
+                        height += boulder.height * Math.sqrt(1 - (distance / boulder.radius) ** 2) * (1 - channel);
+                        if (channel < 0.5) surface = ROCK;
+                    }
+                });
+
+                // Kelp holdfasts sit on a low rock platform
+                const platform = 1 - THREE.MathUtils.smoothstep(holdfastDistance, 2.5, 4.5);
+                if (platform > 0) {
+                    height = THREE.MathUtils.lerp(height, Math.max(height, 0.6), platform);
+                    if (platform > 0.5) surface = ROCK;
+                }
+
+                const index = this.indexOf(column, row);
+                this.heights[index] = this.baseY + height;
+                this.surfaces[index] = surface;
+            }
+        }
+    }
+
+    createBoulders(random) {
+        const boulders = [];
+        const extent = this.size * 0.4;
+        for (let i = 0; i < SeabedTerrain.BOULDER_COUNT; i++) {
+            const radius = random.range(1.2, 3.5);
+            boulders.push({
+                x: random.range(-extent, extent),
+                z: random.range(-extent, extent),
+                radius,
+                height: radius * random.range(0.5, 0.9)
+            });
+        }
+        return boulders;
+    }
+
+    // Each channel meanders across the floor along a random heading
+    createChannels(random) {
+        const channels = [];
+        for (let i = 0; i < SeabedTerrain.CHANNEL_COUNT; i++) {
+            const heading = random.random() * Math.PI;
+            channels.push({
+                direction: { x: Math.cos(heading), z: Math.sin(heading) },
+                offset: random.range(-this.size * 0.3, this.size * 0.3),
+                amplitude: random.range(6, 14),
+                frequency: random.range(0.03, 0.06),
+                phase: random.random() * Math.PI * 2,
+                width: random.range(5, 9)
+            });
+        }
+        return channels;
+    }
+
+    // 1 on a channel's bed, fading to 0 at its banks
+    channelDepth(channels, x, z) {
+        let depth = 0;
+        channels.forEach(channel => {
+            const along = x * channel.direction.x + z * channel.direction.z;
+            const across = -x * channel.direction.z + z * channel.direction.x;
+            const centre = channel.offset + Math.sin(along * channel.frequency + channel.phase) * channel.amplitude;
+            const distance = Math.abs(across - centre);
+            depth = Math.max(depth, 1 - THREE.MathUtils.smoothstep(distance, channel.width * 0.4, channel.width));
+        });
+        return depth;
+    }
+
+    distanceToHoldfast(x, z) {
+        let nearest = Infinity;
+        this.holdfasts.forEach(holdfast => {
+            nearest = Math.min(nearest, Math.hypot(x - holdfast.x, z - holdfast.z));
+        });
+        return nearest;
+    }
+
+    // Seeded 2D value noise with fractal and ridged sums, in roughly [-1, 1] and [0, 1]
+    static createNoise(random) {
+        const lattice = new Float32Array(256);
+        const permutation = new Uint8Array(512);
+        for (let i = 0; i < 256; i++) {
+            lattice[i] = random.range(-1, 1);
+            permutation[i] = i;
+        }
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(random.random() * (i + 1));
+            [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+        }
+        for (let i = 0; i < 256; i++) {
+            permutation[i + 256] = permutation[i];
+        }
+
+        const value = (ix, iz) => lattice[permutation[(ix & 255) + permutation[iz & 255]]];
+        const fade = t => t * t * (3 - 2 * t);
+        const sample = (x, z) => {
+            const ix = Math.floor(x);
+            const iz = Math.floor(z);
+            const fx = fade(x - ix);
+            const fz = fade(z - iz);
+            const top = THREE.MathUtils.lerp(value(ix, iz), value(ix + 1, iz), fx);
+            const bottom = THREE.MathUtils.lerp(value(ix, iz + 1), value(ix + 1, iz + 1), fx);
+            return THREE.MathUtils.lerp(top, bottom, fz);
+        };
+        const sum = (x, z, octaves, shape) => {
+            let total = 0;
+            let amplitude = 0.5;
+            let frequency = 1;
+            for (let octave = 0; octave < octaves; octave++) {
+                total += shape(sample(x * frequency, z * frequency)) * amplitude;
+                amplitude *= 0.5;
+                frequency *= 2.03;
+            }
+            return total;
+        };
+
+        return {
+            fbm: (x, z, octaves) => sum(x, z, octaves, n => n) * 2,
+            ridged: (x, z, octaves) => sum(x, z, octaves, n => (1 - Math.abs(n)) ** 2)
+        };
+    }
+
+    // === Imported bathymetry ===
+
+    importBathymetry(grid) {
+        const span = this.size * this.metresPerUnit;
+        this.depths = SeabedTerrain.resampleGrid(grid, this.segments + 1, span).map(elevation => -elevation);
+
+        let meanDepth = 0;
+        this.depths.forEach(depth => meanDepth += depth);
+        meanDepth /= this.depths.length;
+
+        // Rocks that dry at low tide are kept just under the surface
+        const ceiling = this.surfaceY - SeabedTerrain.MIN_WATER;
+        this.depths.forEach((depth, index) => {
+            this.heights[index] = Math.min(ceiling, this.baseY - (depth - meanDepth) / this.metresPerUnit * this.exaggeration);
+        });
+
+        this.classifySurfaces();
+    }
+
+    // Samples the central `span` metres of a grid at size x size points, or its central
+    // square if the grid has no scale (or no span is given), then fills the gaps in the
+    // data. Only the sampled points are filled, so a large survey with wide no-data
+    // areas (land in a coastal grid) costs no more than a small one.
+    static resampleGrid({ columns, rows, values, cellWidth, cellHeight }, size, span = null) {
+        if (columns < 2 || rows < 2) {
+            throw new Error(`Bathymetry grid is too small (${columns} x ${rows})`);
+        }
+
+        // Window in grid cells, centred on the grid
+        const scaled = span > 0 && cellWidth > 0 && cellHeight > 0;
+        const side = Math.min(columns, rows) - 1;
+        const width = scaled ? span / cellWidth : side;
+        const height = scaled ? span / cellHeight : side;
+        const left = (columns - 1 - width) / 2;
+        const top = (rows - 1 - height) / 2;
+        if (width > columns - 1 || height > rows - 1) {
+            const extent = `${Math.round((columns - 1) * cellWidth)} x ${Math.round((rows - 1) * cellHeight)} m`;
+            console.warn(`⚠️ Bathymetry covers ${extent}, less than the ${span} m floor; its edge depths are carried outwards`);
+        }
+
+        const result = new Float32Array(size * size);
+        const corners = [[0, 0], [1, 0], [0, 1], [1, 1]];
+        for (let row = 0; row < size; row++) {
+            for (let column = 0; column < size; column++) {
+                const gx = THREE.MathUtils.clamp(left + column / (size - 1) * width, 0, columns - 1);
+                const gz = THREE.MathUtils.clamp(top + row / (size - 1) * height, 0, rows - 1);
+                const x0 = Math.min(Math.floor(gx), columns - 2);
+                const z0 = Math.min(Math.floor(gz), rows - 2);
+                const fx = gx - x0;
+                const fz = gz - z0;
+
+                // Bilinear over the corners that have data
+                let sum = 0;
+                let weight = 0;
+                corners.forEach(([dx, dz]) => {
+                    const value = values[(z0 + dz) * columns + x0 + dx];
+                    const cornerWeight = (dx ? fx : 1 - fx) * (dz ? fz : 1 - fz);
+                    if (!Number.isNaN(value) && cornerWeight > 0) {
+                        sum += value * cornerWeight;
+                        weight += cornerWeight;
+                    }
+                });
+                result[row * size + column] = weight > 0 ? sum / weight : NaN;
+            }
+        }
+        if (scaled && result.every(Number.isNaN)) {
+            throw new Error(`Bathymetry has no data in its central ${span} m; try a larger metresPerUnit`);
+        }
+        return SeabedTerrain.fillGaps(result, size, size);
+    }
+
+    // Cells without data (NaN) take the mean of their neighbours that are closer to the
+    // data, in one breadth-first pass outwards from it
+    static fillGaps(values, columns, rows) {
+        const filled = Float32Array.from(values);
+        // Steps from the nearest data, -1 until reached
+        const distance = new Int32Array(filled.length).fill(-1);
+        let frontier = [];
+        filled.forEach((value, index) => {
+            if (!Number.isNaN(value)) {
+                distance[index] = 0;
+                frontier.push(index);
+            }
+        });
+        if (frontier.length === 0) {
+            throw new Error('Bathymetry grid has no data');
+        }
+
+        const neighbours = index => {
+            const column = index % columns;
+            const result = [];
+            if (column > 0) result.push(index - 1);
+            if (column < columns - 1) result.push(index + 1);
+            if (index >= columns) result.push(index - columns);
+            if (index < (rows - 1) * columns) result.push(index + columns);
+            return result;
+        };
+
+        for (let step = 1; frontier.length > 0; step++) {
+            const next = [];
+            frontier.forEach(index => neighbours(index).forEach(neighbour => {
+                if (distance[neighbour] === -1) {
+                    distance[neighbour] = step;
+                    next.push(neighbour);
+                }
+            }));
+            next.forEach(index => {
+                let sum = 0;
+                let count = 0;
+                neighbours(index).forEach(neighbour => {
+                    if (distance[neighbour] !== -1 && distance[neighbour] < step) {
+                        sum += filled[neighbour];
+                        count++;
+                    }
+                });
+                filled[index] = sum / count;
+            });
+            frontier = next;
+        }
+        return filled;
+    }
+
+    // Steep ground is rock, rugged ground is reef and the rest is sand
+    classifySurfaces() {
+        const { SAND, ROCK, REEF } = SeabedTerrain.SURFACE;
+        const clampIndex = value => THREE.MathUtils.clamp(value, 0, this.segments);
+        const height = (column, row) => this.heights[this.indexOf(clampIndex(column), clampIndex(row))];
+
+        for (let row = 0; row <= this.segments; row++) {
+            for (let column = 0; column <= this.segments; column++) {
+                const dx = (height(column + 1, row) - height(column - 1, row)) / (2 * this.cellSize);
+                const dz = (height(column, row + 1) - height(column, row - 1)) / (2 * this.cellSize);
+                const slope = Math.hypot(dx, dz);
+
+                // Rugosity: how far the point stands out from its eight neighbours
+                let neighbours = 0;
+                for (let z = -1; z <= 1; z++) {
+                    for (let x = -1; x <= 1; x++) {
+                        if (x !== 0 || z !== 0) neighbours += height(column + x, row + z);
+                    }
+                }
+                const rugosity = Math.abs(height(column, row) - neighbours / 8);
+
+                let surface = SAND;
+                if (slope > SeabedTerrain.ROCK_SLOPE) {
+                    surface = ROCK;
+                } else if (slope > SeabedTerrain.REEF_SLOPE || rugosity > SeabedTerrain.REEF_RUGOSITY) {
+                    surface = REEF;
+                }
+                this.surfaces[this.indexOf(column, row)] = surface;
+            }
+        }
+    }
+
+    // === Queries ===
+
+    indexOf(column, row) {
+        return row * (this.segments + 1) + column;
+    }
+
+    // Grid cell and position inside it, clamped to the terrain's edge
+    locate(x, z) {
+        const half = this.size / 2;
+        const gx = THREE.MathUtils.clamp((x + half) / this.cellSize, 0, this.segments - 1e-6);
+        const gz = THREE.MathUtils.clamp((z + half) / this.cellSize, 0, this.segments - 1e-6);
+        const column = Math.floor(gx);
+        const row = Math.floor(gz);
+        return { column, row, u: gx - column, v: gz - row };
+    }
+
+    // Floor height under (x, z), on the same two triangles per cell as the mesh
+    getHeight(x, z) {
+        return this.interpolate(this.heights, x, z);
+    }
+
+    // Water depth in metres: the surveyed depth for imported bathymetry, else the depth in the scene
+    getDepth(x, z) {
+        return this.depths ? this.interpolate(this.depths, x, z) : (this.surfaceY - this.getHeight(x, z)) * this.metresPerUnit;
+    }
+
+    interpolate(values, x, z) {
+        const { column, row, u, v } = this.locate(x, z);
+        const h00 = values[this.indexOf(column, row)];
+        const h10 = values[this.indexOf(column + 1, row)];
+        const h01 = values[this.indexOf(column, row + 1)];
+        const h11 = values[this.indexOf(column + 1, row + 1)];
+
+        // Cells are split along the diagonal from (column + 1, row) to (column, row + 1)
+        if (u + v <= 1) {
+            return h00 + (h10 - h00) * u + (h01 - h00) * v;
+        }
+        return h11 + (h01 - h11) * (1 - u) + (h10 - h11) * (1 - v);
+    }
+
+    // Smoothed surface normal (central differences over one cell)
+    getNormal(x, z, target = new THREE.Vector3()) {
+        const step = this.cellSize;
+        const dx = this.getHeight(x + step, z) - this.getHeight(x - step, z);
+        const dz = this.getHeight(x, z + step) - this.getHeight(x, z - step);
+        return target.set(-dx, step * 2, -dz).normalize();
+    }
+
+    // 'sand', 'rock' or 'reef' at the nearest grid point
+    getSurface(x, z) {
+        const { column, row, u, v } = this.locate(x, z);
+        const index = this.indexOf(column + Math.round(u), row + Math.round(v));
+        return SeabedTerrain.SURFACE_NAMES[this.surfaces[index]];
+    }
+
+    // Seeded spot on one of the given surfaces ('sand', 'rock', 'reef'), between depth[0] and
+    // depth[1] metres and no steeper than maxSlope (1 - normal.y); null if none is found
+    // within `tries` attempts
+    findPlacement(random, { surfaces = null, depth = null, extent = this.size * 0.3, maxSlope = 0.3, tries = 50 } = {}) {
+        for (let attempt = 0; attempt < tries; attempt++) {
+            const x = random.range(-extent, extent);
+            const z = random.range(-extent, extent);
+            if (surfaces && !surfaces.includes(this.getSurface(x, z))) continue;
+            if (depth) {
+                const metres = this.getDepth(x, z);
+                if (metres < depth[0] || metres > depth[1]) continue;
+            }
+            if (1 - this.getNormal(x, z, this.normal).y > maxSlope) continue;
+            return { x, y: this.getHeight(x, z), z };
+        }
+        return null;
+    }
+
+    // Surfaces and depth range for 'kelp', 'urchins' or 'anemones'. The procedural seabed is
+    // a stylised 20 m deep scene, so depth limits only apply to surveyed bathymetry.
+    getPlacementRule(name) {
+        const rule = this.placementRules[name] || {};
+        return this.depths ? rule : { ...rule, depth: null };
+    }
+
+    // === Mesh ===
+
+    createGeometry() {
+        const columns = this.segments + 1;
+        const half = this.size / 2;
+        const positions = new Float32Array(this.heights.length * 3);
+        const colors = new Float32Array(this.heights.length * 3);
+        const color = new THREE.Color();
+        const detail = SeabedTerrain.createNoise(oceanRandom.derive('terrain-colour'));
+
+        for (let row = 0; row < columns; row++) {
+            for (let column = 0; column < columns; column++) {
+                const index = this.indexOf(column, row);
+                const x = -half + column * this.cellSize;
+                const z = -half + row * this.cellSize;
+                positions.set([x, this.heights[index], z], index * 3);
+
+                // Mottled sand, darker rock, reef with a pink tinge of coralline algae
+                color.copy(SeabedTerrain.SURFACE_COLORS[this.surfaces[index]]);
+                color.multiplyScalar(1 + detail.fbm(x * 0.15, z * 0.15, 3) * 0.12);
+                colors.set([color.r, color.g, color.b], index * 3);
+            }
+        }
+
+        const indices = [];
+        for (let row = 0; row < this.segments; row++) {
+            for (let column = 0; column < this.segments; column++) {
+                const a = this.indexOf(column, row);
+                const b = this.indexOf(column + 1, row);
+                const c = this.indexOf(column, row + 1);
+                const d = this.indexOf(column + 1, row + 1);
+                // Same split as getHeight, wound to face up
+                indices.push(a, c, b, b, c, d);
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+        return geometry;
+    }
+}
+
+SeabedTerrain.SURFACE = { SAND: 0, ROCK: 1, REEF: 2 };
+SeabedTerrain.SURFACE_NAMES = ['sand', 'rock', 'reef'];
+SeabedTerrain.SURFACE_COLORS = [
+    new THREE.Color(0x8b7355), // the original floor colour
+    new THREE.Color(0x5a534b),
+    new THREE.Color(0x6e5658)
+];
+SeabedTerrain.BOULDER_COUNT = 30;
+SeabedTerrain.CHANNEL_COUNT = 2;
+
+// Imported bathymetry: surface classes from the drawn relief, and the shallowest floor
+SeabedTerrain.ROCK_SLOPE = 0.8;
+SeabedTerrain.REEF_SLOPE = 0.3;
+SeabedTerrain.REEF_RUGOSITY = 0.15;
+SeabedTerrain.MIN_WATER = 1;
+
+// Where seabed life settles, depths in metres. Sea bamboo (Ecklonia maxima) forms the
+// canopy down to about 10 m and split-fan kelp (Laminaria pallida) takes over to about
+// 20 m; Cape urchins (Parechinus angulosus) graze the reef beneath both and below.
+SeabedTerrain.PLACEMENT_RULES = {
+    kelp: { surfaces: ['rock', 'reef'], depth: [1, 20] },
+    urchins: { surfaces: ['rock', 'reef'], depth: [1, 35] },
+    anemones: { surfaces: ['rock', 'reef'], depth: [3, 40] }
+};
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('SeabedTerrain', SeabedTerrain, {
+        dependencies: ['SeededRandom']
+    });
+}
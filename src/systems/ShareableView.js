@@ -0,0 +1,304 @@
+// 分享链接 - 用 URL 哈希描述场景与镜头
+// Shareable View - Compact URL hash for a scene and camera view
+//
+//   index.html#seed=42&n=Yellowtail:6,Great%20White%20Shark:1&step=5400&cam=follow&pos=12.5,-3,20&look=4,-8,2&info=Great%20White%20Shark
+//
+//   seed    random seed (same layout and behaviour for everyone who opens the link)
+//   n       species counts, englishName:count
+//   step    simulation steps since the scene was set up (seeded, fixed-timestep scenes)
+//   cam     CinematicCameraSystem mode
+//   pos     camera position, look: point the camera looks at
+//   oct     octopus position
+//   info    animal shown in the info panel, englishName[:index]
+//   follow  animal the octopus follows, englishName[:index]
+//
+// An animal is the index-th of its species in OceanForest.getAllAnimals() order
+// (0 when left out). With a seed the simulation steps are deterministic, so
+// opening the link replays `step` steps and every animal, including the shown
+// or followed one, is where it was. That holds for the scene as it starts:
+// animals added along the way draw different random numbers on the way in.
+// The whole scene (every animal's state) is too large for a URL; use
+// SceneSerializer's .oceanscene.json files for that.
+
+class ShareableView {
+    constructor(oceanForest) {
+        this.oceanForest = oceanForest;
+    }
+
+    // Read the view described by the current page, or by a given hash
+    static parse(hash) {
+        const view = {};
+        const text = (hash || '').replace(/^#/, '');
+        if (!text) return null;
+
+        text.split('&').forEach(part => {
+            const index = part.indexOf('=');
+            if (index === -1) return;
+            const key = part.slice(0, index);
+            const value = part.slice(index + 1);
+
+            switch (key) {
+                case 'seed':
+                case 'cam':
+                    view[key] = decodeURIComponent(value);
+                    break;
+                case 'info':
+                case 'follow':
+                    view[key] = ShareableView.parseAnimal(decodeURIComponent(value));
+                    break;
+                case 'step': {
+                    const step = parseInt(value, 10);
+                    if (step > 0) view.step = step;
+                    break;
+                }
+                case 'pos':
+                case 'look':
+                case 'oct': {
+                    const vector = value.split(',').map(Number);
+                    if (vector.length === 3 && vector.every(Number.isFinite)) {
+                        view[key] = vector;
+                    }
+                    break;
+                }
+                case 'n':
+                    view.counts = {};
+                    value.split(',').filter(Boolean).forEach(entry => {
+                        const separator = entry.lastIndexOf(':');
+                        const count = parseInt(entry.slice(separator + 1), 10);
+                        if (separator > 0 && count > 0) {
+                            view.counts[decodeURIComponent(entry.slice(0, separator))] = count;
+                        }
+                    });
+                    break;
+            }
+        });
+
+        return Object.keys(view).length > 0 ? view : null;
+    }
+
+    // "Great White Shark:2" -> { species: 'Great White Shark', index: 2 }
+    static parseAnimal(text) {
+        const separator = text.lastIndexOf(':');
+        const index = separator > 0 ? Number(text.slice(separator + 1)) : NaN;
+        if (Number.isInteger(index) && index >= 0) {
+            return { species: text.slice(0, separator), index };
+        }
+        return { species: text, index: 0 };
+    }
+
+    static stringifyAnimal(animal) {
+        const species = encodeURIComponent(animal.species);
+        return animal.index > 0 ? `${species}:${animal.index}` : species;
+    }
+
+    static stringify(view) {
+        const round = value => Math.round(value * 100) / 100;
+        const vector = values => values.map(round).join(',');
+        const parts = [];
+
+        if (view.seed !== undefined && view.seed !== null) parts.push(`seed=${encodeURIComponent(view.seed)}`);
+        if (view.counts) {
+            const counts = Object.entries(view.counts)
+                .filter(([, count]) => count > 0)
+                .map(([species, count]) => `${encodeURIComponent(species)}:${count}`);
+            if (counts.length > 0) parts.push(`n=${counts.join(',')}`);
+        }
+        if (view.step > 0) parts.push(`step=${view.step}`);
+        if (view.cam) parts.push(`cam=${encodeURIComponent(view.cam)}`);
+        if (view.pos) parts.push(`pos=${vector(view.pos)}`);
+        if (view.look) parts.push(`look=${vector(view.look)}`);
+        if (view.oct) parts.push(`oct=${vector(view.oct)}`);
+        if (view.info) parts.push(`info=${ShareableView.stringifyAnimal(view.info)}`);
+        if (view.follow) parts.push(`follow=${ShareableView.stringifyAnimal(view.follow)}`);
+
+        return '#' + parts.join('&');
+    }
+
+    // Current seed, counts, simulation step, camera, info panel and followed animal
+    capture() {
+        const forest = this.oceanForest;
+        const camera = forest.camera;
+        const position = camera.getWorldPosition(new THREE.Vector3());
+
+        // Look point: along the view direction, as far away as the octopus
+        const direction = camera.getWorldDirection(new THREE.Vector3());
+        const distance = Math.max(1, position.distanceTo(forest.octopusPosition));
+        const look = position.clone().add(direction.multiplyScalar(distance));
+
+        const education = forest.education;
+        const fixedTimestep = forest.simulationConfig && forest.simulationConfig.fixedTimestep;
+        return {
+            seed: window.oceanRandom ? oceanRandom.seed : undefined,
+            counts: this.getSpeciesCounts(),
+            step: fixedTimestep && forest.renderEngine ? forest.renderEngine.simulationStep : undefined,
+            cam: forest.cinematicCamera ? forest.cinematicCamera.getCurrentMode() : undefined,
+            pos: position.toArray(),
+            look: look.toArray(),
+            oct: forest.octopusPosition.toArray(),
+            info: education && education.currentSpecies
+                ? this.describeAnimal(education.currentAnimal) || { species: education.currentSpecies.englishName, index: 0 }
+                : undefined,
+            follow: this.describeAnimal(forest.followTarget)
+        };
+    }
+
+    describeAnimal(animal) {
+        const species = animal && animal.userData.species;
+        if (!species) return undefined;
+        const index = this.getSpeciesAnimals(species.englishName).indexOf(animal);
+        return index === -1 ? undefined : { species: species.englishName, index };
+    }
+
+    getSpeciesAnimals(englishName) {
+        return this.oceanForest.getAllAnimals().filter(animal =>
+            animal.userData.species && animal.userData.species.englishName === englishName
+        );
+    }
+
+    getSpeciesCounts() {
+        const forest = this.oceanForest;
+        const counts = {};
+        const count = animals => animals.forEach(animal => {
+            const species = animal.userData.species;
+            if (species) {
+                counts[species.englishName] = (counts[species.englishName] || 0) + 1;
+            }
+        });
+
+        count(forest.capeReefFish);
+        count(forest.capeFurSeals);
+        count(forest.africanPenguins);
+        count(forest.greatWhiteSharks);
+        if (forest.speciesPlugins) {
+            count(forest.speciesPlugins.getAnimals());
+        }
+        return counts;
+    }
+
+    // Link to the current view
+    createLink() {
+        const location = window.location;
+        return location.origin + location.pathname + location.search + ShareableView.stringify(this.capture());
+    }
+
+    // Make the scene hold the linked number of each species (called once the scene
+    // is set up; the seed is applied earlier, in OceanForest's constructor). Species
+    // plugins have already spawned their initial animals, and a species the link
+    // leaves out has none.
+    applyCounts(view) {
+        if (!view.counts) return;
+        const forest = this.oceanForest;
+        const present = {};
+        forest.getAllAnimals().forEach(animal => {
+            const species = animal.userData.species;
+            if (species) {
+                (present[species.englishName] = present[species.englishName] || []).push(animal);
+            }
+        });
+
+        new Set([...Object.keys(view.counts), ...Object.keys(present)]).forEach(species => {
+            const animals = present[species] || [];
+            const count = Math.min(view.counts[species] || 0, ShareableView.MAX_PER_SPECIES);
+
+            // Surplus animals go newest first
+            animals.slice(count).reverse().forEach(animal => forest.removeMarineAnimal(animal));
+            for (let i = animals.length; i < count; i++) {
+                if (!forest.addSpeciesByName(species)) {
+                    console.warn(`⚠️ Linked species not available: ${species}`);
+                    break;
+                }
+            }
+        });
+    }
+
+    // Replay the simulation to the linked step (after applyCounts, before applyView).
+    // Only a seeded scene with a fixed timestep steps the same way for everyone.
+    applyStep(view) {
+        const forest = this.oceanForest;
+        const engine = forest.renderEngine;
+        const fixedTimestep = forest.simulationConfig && forest.simulationConfig.fixedTimestep;
+        if (!view.step || !engine || !fixedTimestep || !forest.marineLifeBehavior) return;
+
+        const target = Math.min(view.step, ShareableView.MAX_STEPS);
+        if (target < view.step) {
+            console.warn(`⚠️ Shared link is ${view.step} steps in; replaying the first ${target}`);
+        }
+        // The frame loop moves the currents and the clock by the frame time; here they
+        // follow the replayed steps, the clock once per simulated second
+        const { currentField, dayNight } = forest;
+        const stepsPerSecond = Math.max(1, Math.round(1 / fixedTimestep));
+        while (engine.simulationStep < target) {
+            if (currentField) {
+                currentField.update(fixedTimestep, dayNight ? dayNight.timeScale : undefined);
+            }
+            engine.updateMarineLifeSimulation(forest, fixedTimestep);
+            if (dayNight && engine.simulationStep % stepsPerSecond === 0) {
+                dayNight.update(stepsPerSecond * fixedTimestep);
+            }
+        }
+    }
+
+    // Camera, octopus, info panel and followed animal (needs the cinematic camera and education system)
+    applyView(view) {
+        const forest = this.oceanForest;
+
+        if (view.oct) {
+            forest.octopusPosition.fromArray(view.oct);
+            if (forest.octopus) {
+                forest.octopus.position.copy(forest.octopusPosition);
+            }
+        }
+
+        if (view.pos) {
+            const mode = view.cam || 'follow';
+            const target = new THREE.Vector3().fromArray(view.look || view.oct || [0, -5, 0]);
+
+            forest.camera.position.fromArray(view.pos);
+            forest.camera.lookAt(target);
+            if (forest.cinematicCamera && mode !== forest.cinematicCamera.getCurrentMode()) {
+                forest.cinematicCamera.setMode(mode, { target });
+            }
+
+            // Held by RenderEngine.updateCamera until the octopus is moved
+            forest.sharedView = {
+                mode,
+                position: forest.camera.position.clone(),
+                target
+            };
+        } else if (view.cam && forest.cinematicCamera) {
+            forest.cinematicCamera.setMode(view.cam);
+        }
+
+        if (view.follow) {
+            const animal = this.findAnimal(view.follow);
+            if (animal) {
+                forest.followTarget = animal;
+                animal.userData.isFollowed = true;
+                forest.updateFollowPanel();
+            }
+        }
+
+        if (view.info && forest.education) {
+            const animal = this.findAnimal(view.info);
+            if (animal) {
+                forest.education.showSpeciesInfo(animal.userData.species, animal);
+            }
+        }
+    }
+
+    // The linked animal, or the first of its species if there are fewer now
+    findAnimal({ species, index }) {
+        const animals = this.getSpeciesAnimals(species);
+        return animals[index] || animals[0];
+    }
+}
+
+// Links cannot flood the scene or stall the page: at most 50 of a species and
+// 20 minutes of simulation at the default 1/60 s step
+ShareableView.MAX_PER_SPECIES = 50;
+ShareableView.MAX_STEPS = 72000;
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('ShareableView', ShareableView);
+}
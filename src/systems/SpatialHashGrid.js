@@ -0,0 +1,82 @@
+// 空间哈希网格 - 邻居查询加速结构
+// Spatial Hash Grid - Uniform grid for fast neighbour queries
+
+class SpatialHashGrid {
+    constructor(cellSize = 10) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.activeCells = [];
+    }
+
+    // Cell indices are packed into one integer; exact for |index| < 512 on each axis
+    cellKey(ix, iy, iz) {
+        return (ix + 512) + (iy + 512) * 1024 + (iz + 512) * 1048576;
+    }
+
+    cellIndex(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    // Empty every cell but keep the arrays so rebuilding each frame does not allocate
+    clear() {
+        this.activeCells.forEach(cell => cell.length = 0);
+        this.activeCells.length = 0;
+    }
+
+    // Items must expose a live `position` (THREE.Vector3)
+    insert(item) {
+        const key = this.cellKey(
+            this.cellIndex(item.position.x),
+            this.cellIndex(item.position.y),
+            this.cellIndex(item.position.z)
+        );
+
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+        if (cell.length === 0) {
+            this.activeCells.push(cell);
+        }
+        cell.push(item);
+    }
+
+    rebuild(items) {
+        this.clear();
+        items.forEach(item => this.insert(item));
+    }
+
+    // All items within radius of position, appended to results
+    query(position, radius, results = []) {
+        const radiusSq = radius * radius;
+        const minX = this.cellIndex(position.x - radius);
+        const maxX = this.cellIndex(position.x + radius);
+        const minY = this.cellIndex(position.y - radius);
+        const maxY = this.cellIndex(position.y + radius);
+        const minZ = this.cellIndex(position.z - radius);
+        const maxZ = this.cellIndex(position.z + radius);
+
+        for (let ix = minX; ix <= maxX; ix++) {
+            for (let iy = minY; iy <= maxY; iy++) {
+                for (let iz = minZ; iz <= maxZ; iz++) {
+                    const cell = this.cells.get(this.cellKey(ix, iy, iz));
+                    if (!cell) continue;
+
+                    for (let i = 0; i < cell.length; i++) {
+                        if (cell[i].position.distanceToSquared(position) <= radiusSq) {
+                            results.push(cell[i]);
+                        }
+                    }
+                }
+            }
+        }
+
+        return results;
+    }
+}
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('SpatialHashGrid', SpatialHashGrid);
+}
@@ -0,0 +1,108 @@
+// 物种目录 - 所有物种知识、名称与图片的唯一来源
+// Species Catalogue - The one versioned source of species facts, names and media
+//
+// Loaded from assets/data/species-catalogue.json (see the file for the fields).
+// Entries are keyed by the English species name that the food web, behaviour
+// and population systems already use. Species plugins add their own entries
+// with addSpecies(); those survive loading another catalogue file, which only
+// replaces the file's entries.
+//
+// Model factories take their education data from describe(), and
+// EducationSystem.showSpeciesInfo looks the species up again in the interface
+// language when the panel opens, so a catalogue loaded later still shows.
+
+class SpeciesCatalogue {
+    constructor(table = null) {
+        this.version = null;
+        this.species = {};
+        this.pluginSpecies = {};
+        this.loaded = false;
+
+        if (table) {
+            this.setTable(table);
+        }
+    }
+
+    // Load a catalogue, e.g. a lesson-specific copy of the default file
+    async load(url = 'assets/data/species-catalogue.json') {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Species catalogue request failed (${response.status}): ${url}`);
+        }
+
+        this.setTable(await response.json());
+        console.log(`📚 Species catalogue v${this.version} loaded from ${url}: ${Object.keys(this.species).length} species`);
+        return this;
+    }
+
+    setTable(table) {
+        if (!table || typeof table.species !== 'object' || table.species === null) {
+            throw new Error('Species catalogue must contain a "species" object');
+        }
+        if (table.version > SpeciesCatalogue.VERSION) {
+            console.warn(`⚠️ Species catalogue v${table.version} is newer than this viewer (v${SpeciesCatalogue.VERSION}); unknown fields are ignored`);
+        }
+
+        this.version = table.version || null;
+        this.species = table.species;
+        this.loaded = true;
+    }
+
+    // Entry for a species plugin; the catalogue file's own entry wins if it has one
+    addSpecies(englishName, entry) {
+        this.pluginSpecies[englishName] = entry;
+    }
+
+    getEntry(englishName) {
+        return this.species[englishName] || this.pluginSpecies[englishName] || null;
+    }
+
+    has(englishName) {
+        return this.getEntry(englishName) !== null;
+    }
+
+    // Text fields are either a plain string or { en, zh, af, ... }
+    static localize(text, language = 'en') {
+        if (text === null || text === undefined) return null;
+        if (typeof text !== 'object' || Array.isArray(text)) return text;
+        return text[language] !== undefined ? text[language] : (text.en !== undefined ? text.en : null);
+    }
+
+    getCommonName(englishName, language = 'en') {
+        const entry = this.getEntry(englishName);
+        return (entry && SpeciesCatalogue.localize(entry.commonNames, language)) || englishName;
+    }
+
+    getFacts(englishName, language = 'en') {
+        const entry = this.getEntry(englishName);
+        return (entry && SpeciesCatalogue.localize(entry.facts, language)) || [];
+    }
+
+    getPhoto(englishName) {
+        const entry = this.getEntry(englishName);
+        return (entry && entry.media && entry.media.photo) || null;
+    }
+
+    // The education data models keep in userData.species, in one language
+    describe(englishName, language = 'en') {
+        const entry = this.getEntry(englishName) || {};
+        return {
+            name: this.getCommonName(englishName, language),
+            englishName,
+            scientificName: entry.scientificName || null,
+            photo: this.getPhoto(englishName),
+            facts: this.getFacts(englishName, language)
+        };
+    }
+}
+
+// Newest catalogue file version this code understands
+SpeciesCatalogue.VERSION = 1;
+
+// Shared catalogue; OceanForest loads the file before any animal is created
+window.speciesCatalogue = new SpeciesCatalogue();
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('SpeciesCatalogue', SpeciesCatalogue);
+}
@@ -0,0 +1,483 @@
+// 物种信息面板 - 概览、食性、保护等级、体型对比与分布图标签页
+// Species Info Panel - Tabs for overview, diet, conservation, size and range
+//
+// EducationSystem fills the panel header (photo and names) and hands the
+// species data over to show(). The tabs are built from the species catalogue, and
+// Diet & Predators from the food web that drives the simulation, so the panel
+// always tells the same story as the animals in the water:
+//
+//   Overview       habitat and facts
+//   Diet           what it eats and what eats it, with how much they prefer it
+//   Conservation   IUCN badge and where the category sits on the Red List scale
+//   Size           silhouette next to a 1.8 m diver
+//   Range          its stretch of the South African coast on an inline map
+//
+// Under the tabs, "Show me another one" follows the next animal of the same
+// species and "Follow this animal" toggles following through
+// OceanForest.toggleFishFollowFromUI. All text is in the interface language
+// (I18n); EducationSystem shows the species again after a language change.
+
+class SpeciesInfoPanel {
+    constructor(elements, oceanForest = null) {
+        this.tabBar = elements.tabs;
+        this.content = elements.content;
+        this.actions = elements.actions;
+        this.oceanForest = oceanForest;
+
+        this.species = null; // education data as shown in the header, see SpeciesCatalogue.describe
+        this.englishName = null;
+        this.animal = null;
+        this.activeTab = 'overview';
+        this.onAnimalChange = null; // called with the animal when "Show me another one" moves on
+
+        this.createTabs();
+    }
+
+    createTabs() {
+        this.tabButtons = new Map();
+        this.tabBar.setAttribute('role', 'tablist');
+
+        SpeciesInfoPanel.TABS.forEach(id => {
+            const button = document.createElement('button');
+            button.className = 'species-tab';
+            button.type = 'button';
+            button.dataset.i18n = `panel.tabs.${id}`;
+            button.textContent = i18n.t(button.dataset.i18n);
+            button.setAttribute('role', 'tab');
+            button.setAttribute('aria-controls', this.content.id);
+            button.addEventListener('click', () => this.selectTab(id));
+            this.tabBar.appendChild(button);
+            this.tabButtons.set(id, button);
+        });
+
+        // Arrow keys move between tabs
+        this.tabBar.addEventListener('keydown', event => {
+            if (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight') return;
+            const ids = SpeciesInfoPanel.TABS;
+            const step = event.key === 'ArrowRight' ? 1 : -1;
+            const next = ids[(ids.indexOf(this.activeTab) + step + ids.length) % ids.length];
+            this.selectTab(next);
+            this.tabButtons.get(next).focus();
+            event.preventDefault();
+        });
+        this.content.setAttribute('role', 'tabpanel');
+    }
+
+    // Another species starts on Overview; another animal of the same species keeps the tab
+    show(speciesData, animal = null) {
+        if (speciesData.englishName !== this.englishName) {
+            this.activeTab = 'overview';
+        }
+        this.species = speciesData;
+        this.englishName = speciesData.englishName;
+        this.animal = animal;
+        this.selectTab(this.activeTab);
+        this.renderActions();
+    }
+
+    selectTab(id) {
+        this.activeTab = id;
+        this.tabButtons.forEach((button, tabId) => {
+            const selected = tabId === id;
+            button.classList.toggle('active', selected);
+            button.setAttribute('aria-selected', String(selected));
+            button.tabIndex = selected ? 0 : -1;
+        });
+
+        this.content.innerHTML = '';
+        const render = {
+            overview: () => this.renderOverview(),
+            diet: () => this.renderDiet(),
+            conservation: () => this.renderConservation(),
+            size: () => this.renderSize(),
+            range: () => this.renderRange()
+        }[id];
+        this.content.appendChild(render());
+    }
+
+    getEntry() {
+        return (window.speciesCatalogue && speciesCatalogue.getEntry(this.englishName)) || {};
+    }
+
+    commonName(englishName) {
+        return window.speciesCatalogue ? speciesCatalogue.getCommonName(englishName, i18n.locale) : englishName;
+    }
+
+    // Catalogue text (diet, habitat, ...) in the interface language
+    static localize(text) {
+        return SpeciesCatalogue.localize(text, i18n.locale);
+    }
+
+    static placeName(name) {
+        return i18n.translateOr(`place.${name}`, name);
+    }
+
+    static metres(value) {
+        return i18n.formatNumber(value);
+    }
+
+    static svg(tag, attributes = {}) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    }
+
+    // === Tabs ===
+
+    renderOverview() {
+        const section = PanelElements.element('div', 'species-overview');
+        const habitat = SpeciesInfoPanel.localize(this.getEntry().habitat);
+        if (habitat) {
+            section.appendChild(PanelElements.element('p', 'species-habitat', `🏠 ${habitat}`));
+        }
+
+        const list = document.createElement('ul');
+        (this.species.facts || []).forEach(fact => list.appendChild(PanelElements.element('li', null, fact)));
+        section.appendChild(list);
+        return section;
+    }
+
+    renderDiet() {
+        const section = PanelElements.element('div', 'species-diet');
+        const diet = SpeciesInfoPanel.localize(this.getEntry().diet);
+        if (diet) {
+            section.appendChild(PanelElements.element('p', 'species-diet-summary', `🍽️ ${diet}`));
+        }
+
+        const foodWeb = this.oceanForest && this.oceanForest.foodWeb;
+        if (!foodWeb) {
+            section.appendChild(PanelElements.element('p', 'species-note', i18n.t('panel.noFoodWeb')));
+            return section;
+        }
+
+        const addLinks = (title, links, speciesOf, empty) => {
+            section.appendChild(PanelElements.element('h5', null, title));
+            if (links.length === 0) {
+                section.appendChild(PanelElements.element('p', 'species-note', empty));
+                return;
+            }
+            const list = PanelElements.element('ul', 'food-links');
+            links
+                .slice()
+                .sort((a, b) => b.preference - a.preference)
+                .forEach(link => {
+                    const item = PanelElements.element('li');
+                    item.appendChild(PanelElements.element('span', 'food-link-name', this.commonName(speciesOf(link))));
+                    const strength = SpeciesInfoPanel.PREFERENCE_LEVELS.find(({ min }) => link.preference >= min);
+                    item.appendChild(PanelElements.element('span', `food-link-strength ${strength.level}`,
+                        i18n.t(`panel.preference.${strength.level}`)));
+                    const limits = SpeciesInfoPanel.describeSizeLimits(link);
+                    if (limits) {
+                        item.appendChild(PanelElements.element('span', 'food-link-limit', limits));
+                    }
+                    list.appendChild(item);
+                });
+            section.appendChild(list);
+        };
+
+        const eats = foodWeb.getPreyLinks(this.englishName).filter(link => link.preference > 0);
+        const eatenBy = foodWeb.getPredatorLinks(this.englishName).filter(link => link.preference > 0);
+        addLinks(i18n.t('panel.eats'), eats, link => link.prey, i18n.t('panel.eatsNone'));
+        addLinks(i18n.t('panel.eatenBy'), eatenBy, link => link.predator, i18n.t('panel.eatenByNone'));
+        return section;
+    }
+
+    static describeSizeLimits(link) {
+        const min = SpeciesInfoPanel.metres(link.minPreySize);
+        const max = SpeciesInfoPanel.metres(link.maxPreySize);
+        if (link.minPreySize > 0 && link.maxPreySize !== Infinity) {
+            return i18n.t('panel.lengthRange', { min, max });
+        }
+        if (link.maxPreySize !== Infinity) return i18n.t('panel.upTo', { max });
+        if (link.minPreySize > 0) return i18n.t('panel.from', { min });
+        return null;
+    }
+
+    renderConservation() {
+        const section = PanelElements.element('div', 'species-conservation');
+        const code = this.getEntry().conservationStatus || 'NE';
+        const status = SpeciesInfoPanel.IUCN[code] ? code : 'NE';
+        const category = SpeciesInfoPanel.IUCN[status];
+        const name = i18n.t(`iucn.${status}.name`);
+
+        const header = PanelElements.element('div', 'iucn-header');
+        const badge = PanelElements.element('span', 'iucn-badge', status);
+        badge.style.background = category.color;
+        badge.style.color = category.textColor;
+        badge.title = i18n.t('iucn.badgeTitle', { name });
+        header.appendChild(badge);
+        header.appendChild(PanelElements.element('strong', null, name));
+        section.appendChild(header);
+
+        // The threatened scale from least concern to critically endangered
+        const scale = PanelElements.element('div', 'iucn-scale');
+        SpeciesInfoPanel.IUCN_SCALE.forEach(step => {
+            const chip = PanelElements.element('span', 'iucn-step', step);
+            chip.style.background = SpeciesInfoPanel.IUCN[step].color;
+            chip.style.color = SpeciesInfoPanel.IUCN[step].textColor;
+            chip.classList.toggle('current', step === status);
+            chip.title = i18n.t(`iucn.${step}.name`);
+            scale.appendChild(chip);
+        });
+        section.appendChild(scale);
+
+        section.appendChild(PanelElements.element('p', null, i18n.t(`iucn.${status}.description`)));
+        return section;
+    }
+
+    renderSize() {
+        const section = PanelElements.element('div', 'species-size');
+        const length = this.getEntry().length;
+        if (!length) {
+            section.appendChild(PanelElements.element('p', 'species-note', i18n.t('panel.noSize')));
+            return section;
+        }
+
+        const { width, height, ground } = SpeciesInfoPanel.SIZE_VIEW;
+        const diver = SpeciesInfoPanel.DIVER_HEIGHT;
+        const shape = SpeciesInfoPanel.SILHOUETTES[this.getEntry().silhouette] || SpeciesInfoPanel.SILHOUETTES.fish;
+        const upright = shape.upright;
+        const min = SpeciesInfoPanel.metres(length.min);
+        const max = SpeciesInfoPanel.metres(length.max);
+
+        // Pixels per metre, so both the diver and the largest adult fit
+        const scale = Math.min(
+            (ground - 20) / Math.max(diver, upright ? length.max : 0),
+            (width - 110) / (upright ? 1 : length.max)
+        );
+
+        const svg = SpeciesInfoPanel.svg('svg', { viewBox: `0 0 ${width} ${height}`, class: 'size-comparison', role: 'img' });
+        svg.appendChild(SpeciesInfoPanel.svg('title')).textContent = i18n.t('panel.sizeTitle', {
+            name: this.commonName(this.englishName), min, max, diver: SpeciesInfoPanel.metres(diver)
+        });
+        svg.appendChild(SpeciesInfoPanel.svg('line', { x1: 0, y1: ground, x2: width, y2: ground, class: 'size-ground' }));
+
+        // Diver on the left, the animal at its largest to the right
+        const diverX = 40;
+        svg.appendChild(SpeciesInfoPanel.svg('path', {
+            d: SpeciesInfoPanel.DIVER_PATH,
+            transform: `translate(${diverX} ${ground}) scale(${diver * scale})`,
+            class: 'size-diver'
+        }));
+        svg.appendChild(SpeciesInfoPanel.svg('text', { x: diverX, y: ground + 16, class: 'size-label' })).textContent =
+            i18n.t('panel.diver', { height: SpeciesInfoPanel.metres(diver) });
+
+        const animalX = 90;
+        const animalScale = length.max * scale;
+        const animalY = upright ? ground : ground - shape.bottom * animalScale;
+        svg.appendChild(SpeciesInfoPanel.svg('path', {
+            d: shape.path,
+            transform: `translate(${animalX} ${animalY}) scale(${animalScale})`,
+            class: 'size-animal'
+        }));
+        const labelX = animalX + (upright ? 0 : animalScale / 2);
+        svg.appendChild(SpeciesInfoPanel.svg('text', { x: labelX, y: ground + 16, class: 'size-label' })).textContent =
+            i18n.t('panel.lengthRange', { min, max });
+
+        // One metre scale bar
+        svg.appendChild(SpeciesInfoPanel.svg('line', { x1: width - 10 - scale, y1: 10, x2: width - 10, y2: 10, class: 'size-bar' }));
+        svg.appendChild(SpeciesInfoPanel.svg('text', { x: width - 10 - scale / 2, y: 24, class: 'size-label' })).textContent = i18n.t('panel.metre');
+
+        section.appendChild(svg);
+        return section;
+    }
+
+    renderRange() {
+        const section = PanelElements.element('div', 'species-range');
+        const range = this.getEntry().range;
+        const { width, height } = SpeciesInfoPanel.MAP_VIEW;
+        const project = ([lon, lat]) => SpeciesInfoPanel.project(lon, lat);
+        const points = places => places.map(place => project(place.slice(1)).join(',')).join(' ');
+
+        const svg = SpeciesInfoPanel.svg('svg', { viewBox: `0 0 ${width} ${height}`, class: 'range-map', role: 'img' });
+        svg.appendChild(SpeciesInfoPanel.svg('title')).textContent =
+            i18n.t('panel.rangeTitle', { name: this.commonName(this.englishName) });
+        svg.appendChild(SpeciesInfoPanel.svg('rect', { width, height, class: 'range-sea' }));
+        svg.appendChild(SpeciesInfoPanel.svg('polygon', {
+            points: points([...SpeciesInfoPanel.COAST, ...SpeciesInfoPanel.INLAND_BORDER]),
+            class: 'range-land'
+        }));
+        svg.appendChild(SpeciesInfoPanel.svg('polyline', { points: points(SpeciesInfoPanel.COAST), class: 'range-coast' }));
+
+        const names = SpeciesInfoPanel.COAST.map(([name]) => name);
+        const from = range ? names.indexOf(range.from) : -1;
+        const to = range ? names.indexOf(range.to) : -1;
+        if (from >= 0 && to >= 0) {
+            const stretch = SpeciesInfoPanel.COAST.slice(Math.min(from, to), Math.max(from, to) + 1);
+            svg.appendChild(SpeciesInfoPanel.svg('polyline', { points: points(stretch), class: 'range-highlight' }));
+        }
+
+        // Oceans, two cities for orientation and this kelp forest
+        [['panel.atlantic', 17.6, -34.8], ['panel.indianOcean', 29.5, -34.3]].forEach(([key, lon, lat]) => {
+            const [x, y] = SpeciesInfoPanel.project(lon, lat);
+            svg.appendChild(SpeciesInfoPanel.svg('text', { x, y, class: 'range-ocean' })).textContent = i18n.t(key);
+        });
+        [['Cape Town', 'start'], ['Durban', 'end']].forEach(([city, anchor]) => {
+            const [x, y] = project(SpeciesInfoPanel.COAST[names.indexOf(city)].slice(1));
+            svg.appendChild(SpeciesInfoPanel.svg('circle', { cx: x, cy: y, r: 2.5, class: 'range-city' }));
+            svg.appendChild(SpeciesInfoPanel.svg('text', {
+                x: x + (anchor === 'start' ? 5 : -5), y: y - 4, 'text-anchor': anchor, class: 'range-label'
+            })).textContent = SpeciesInfoPanel.placeName(city);
+        });
+        const [hereX, hereY] = SpeciesInfoPanel.project(...SpeciesInfoPanel.SCENE_LOCATION);
+        svg.appendChild(SpeciesInfoPanel.svg('text', { x: hereX, y: hereY, class: 'range-here' })).textContent = '📍';
+
+        section.appendChild(svg);
+
+        if (from >= 0 && to >= 0) {
+            section.appendChild(PanelElements.element('p', null, i18n.t('panel.rangeStretch', {
+                from: SpeciesInfoPanel.placeName(range.from),
+                to: SpeciesInfoPanel.placeName(range.to)
+            })));
+        } else {
+            section.appendChild(PanelElements.element('p', 'species-note', i18n.t('panel.noRange')));
+        }
+        const beyond = range && SpeciesInfoPanel.localize(range.beyond);
+        if (beyond) {
+            section.appendChild(PanelElements.element('p', 'species-note', `🌍 ${beyond}`));
+        }
+        section.appendChild(PanelElements.element('p', 'species-note', i18n.t('panel.here')));
+        return section;
+    }
+
+    // Equirectangular projection; MAP_VIEW's aspect squeezes longitude by cos(30°) so the coast keeps its shape
+    static project(lon, lat) {
+        const { west, east, north, south } = SpeciesInfoPanel.MAP_BOUNDS;
+        const { width, height } = SpeciesInfoPanel.MAP_VIEW;
+        const x = (lon - west) / (east - west) * width;
+        const y = (north - lat) / (north - south) * height;
+        return [Math.round(x * 10) / 10, Math.round(y * 10) / 10];
+    }
+
+    // === Actions ===
+
+    getSpeciesAnimals() {
+        if (!this.oceanForest) return [];
+        return this.oceanForest.getAllAnimals().filter(animal =>
+            animal.userData.species && animal.userData.species.englishName === this.englishName
+        );
+    }
+
+    renderActions() {
+        this.actions.innerHTML = '';
+        const forest = this.oceanForest;
+        if (!forest || !this.animal) return;
+
+        const others = this.getSpeciesAnimals().filter(animal => animal !== this.animal);
+        const another = PanelElements.button(i18n.t('panel.another'), () => this.showAnother());
+        another.disabled = others.length === 0;
+        another.title = others.length === 0 ? i18n.t('panel.onlyOne') : i18n.t('panel.more', { count: others.length });
+        this.actions.appendChild(another);
+
+        const following = forest.followTarget === this.animal;
+        const follow = PanelElements.button(i18n.t(following ? 'panel.stopFollow' : 'panel.follow'), () => {
+            forest.toggleFishFollowFromUI(this.animal);
+            this.renderActions();
+        }, { className: `control-btn wide${following ? ' active' : ''}` });
+        this.actions.appendChild(follow);
+    }
+
+    // Follows the next animal of the same species in spawn order
+    showAnother() {
+        const animals = this.getSpeciesAnimals();
+        if (animals.length < 2) return;
+
+        const next = animals[(animals.indexOf(this.animal) + 1) % animals.length];
+        if (this.oceanForest.followTarget !== next) {
+            this.oceanForest.toggleFishFollowFromUI(next);
+        }
+        this.animal = next;
+        this.renderActions();
+        if (this.onAnimalChange) {
+            this.onAnimalChange(next);
+        }
+    }
+}
+
+// Tab ids; labels are the panel.tabs.<id> messages
+SpeciesInfoPanel.TABS = ['overview', 'diet', 'conservation', 'size', 'range'];
+
+// Food web preference weights in words (panel.preference.<level>), strongest first
+SpeciesInfoPanel.PREFERENCE_LEVELS = [
+    { min: 0.8, level: 'strong' },
+    { min: 0.4, level: 'medium' },
+    { min: 0, level: 'weak' }
+];
+
+// IUCN Red List category colours; names and descriptions are the iucn.<code> messages
+SpeciesInfoPanel.IUCN = {
+    LC: { color: '#60c659', textColor: '#0b2e0b' },
+    NT: { color: '#cce226', textColor: '#2a3000' },
+    VU: { color: '#f9e814', textColor: '#332f00' },
+    EN: { color: '#fc7f3f', textColor: '#3a1400' },
+    CR: { color: '#d81e05', textColor: '#ffffff' },
+    DD: { color: '#d1d1c6', textColor: '#222222' },
+    NE: { color: '#ffffff', textColor: '#222222' }
+};
+SpeciesInfoPanel.IUCN_SCALE = ['LC', 'NT', 'VU', 'EN', 'CR'];
+
+// Size comparison, in SVG pixels
+SpeciesInfoPanel.SIZE_VIEW = { width: 300, height: 150, ground: 125 };
+SpeciesInfoPanel.DIVER_HEIGHT = 1.8;
+
+// Outlines in units of the animal's length with the origin at its snout (lying animals) or
+// feet (upright ones); `bottom` is how far a lying outline reaches below its centre line
+SpeciesInfoPanel.DIVER_PATH =
+    'M-0.07,-0.93a0.07,0.07 0 1,0 0.14,0a0.07,0.07 0 1,0 -0.14,0Z' +
+    'M-0.1,-0.84L0.1,-0.84L0.14,-0.45L0.09,-0.45L0.08,-0.04L0.18,0L0.02,0L0.01,-0.4' +
+    'L-0.01,-0.4L-0.02,0L-0.18,0L-0.08,-0.04L-0.09,-0.45L-0.14,-0.45Z';
+SpeciesInfoPanel.SILHOUETTES = {
+    fish: { bottom: 0.2, path: 'M0,0Q0.35,-0.22 0.8,-0.05L1,-0.18L0.95,0L1,0.18L0.8,0.05Q0.35,0.22 0,0Z' },
+    shark: { bottom: 0.2, path: 'M0,0.02Q0.1,-0.12 0.45,-0.1L0.5,-0.24L0.6,-0.09Q0.85,-0.06 0.92,-0.02L1,-0.2L0.97,0.01L1,0.14L0.9,0.04Q0.6,0.12 0.3,0.1L0.35,0.2L0.25,0.1Q0.08,0.09 0,0.02Z' },
+    seal: { bottom: 0.2, path: 'M0,0Q0.05,-0.1 0.2,-0.1Q0.5,-0.16 0.8,-0.06L1,-0.1L0.95,0.02L1,0.1L0.8,0.06Q0.5,0.14 0.3,0.1L0.25,0.2L0.18,0.1Q0.05,0.08 0,0Z' },
+    octopus: { bottom: 0.16, path: 'M1,0Q1,-0.14 0.82,-0.14Q0.68,-0.14 0.65,-0.04Q0.4,-0.1 0.2,-0.02Q0.1,0.03 0,0Q0.12,0.06 0.25,0.03Q0.45,0.02 0.62,0.05Q0.45,0.12 0.15,0.12Q0.4,0.16 0.66,0.08Q0.72,0.12 0.82,0.12Q1,0.12 1,0Z' },
+    lobster: { bottom: 0.14, path: 'M0,0L0.15,-0.06Q0.5,-0.1 0.75,-0.07L0.85,-0.14L0.9,-0.06L1,-0.1L0.97,0L1,0.1L0.9,0.06L0.85,0.14L0.75,0.07Q0.5,0.1 0.15,0.06Z' },
+    penguin: { upright: true, path: 'M0,-1Q0.12,-1 0.13,-0.88L0.2,-0.86L0.13,-0.82Q0.25,-0.5 0.15,-0.05L0.18,0L-0.15,0Q-0.25,-0.5 -0.12,-0.85Q-0.1,-1 0,-1Z' }
+};
+
+// Range map of South Africa, in degrees
+SpeciesInfoPanel.MAP_VIEW = { width: 300, height: 268 };
+SpeciesInfoPanel.MAP_BOUNDS = { west: 15.8, east: 33.4, north: -21.8, south: -35.4 };
+SpeciesInfoPanel.SCENE_LOCATION = [18.4, -34.1];
+
+// Coastline from the Namibian border to the Mozambican border; catalogue ranges name these places
+SpeciesInfoPanel.COAST = [
+    ['Orange River', 16.45, -28.63],
+    ['Hondeklip Bay', 17.27, -30.32],
+    ['Doring Bay', 18.23, -31.82],
+    ['Cape Columbine', 17.85, -32.83],
+    ['Cape Town', 18.42, -33.92],
+    ['Cape Point', 18.47, -34.36],
+    ['False Bay', 18.65, -34.08],
+    ['Cape Hangklip', 18.83, -34.39],
+    ['Cape Agulhas', 20.0, -34.83],
+    ['Mossel Bay', 22.14, -34.18],
+    ['Knysna', 23.05, -34.08],
+    ['Cape St Francis', 24.84, -34.21],
+    ['Algoa Bay', 25.62, -33.96],
+    ['Port Alfred', 26.9, -33.6],
+    ['East London', 27.9, -33.02],
+    ['Port St Johns', 29.54, -31.63],
+    ['Durban', 31.03, -29.87],
+    ['Richards Bay', 32.05, -28.8],
+    ['Kosi Bay', 32.88, -26.87]
+];
+
+// Simplified land border from Kosi Bay back round to the Orange River mouth
+SpeciesInfoPanel.INLAND_BORDER = [
+    ['', 31.97, -25.95],
+    ['', 31.3, -22.4],
+    ['', 29.4, -22.2],
+    ['', 27.0, -23.6],
+    ['', 25.6, -25.6],
+    ['', 23.0, -25.3],
+    ['', 20.0, -24.8],
+    ['', 20.0, -28.4]
+];
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('SpeciesInfoPanel', SpeciesInfoPanel, {
+        dependencies: ['SpeciesCatalogue', 'I18n', 'PanelElements']
+    });
+}
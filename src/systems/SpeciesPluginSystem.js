@@ -0,0 +1,264 @@
+// 物种插件系统 - 无需修改核心文件即可加入新物种
+// Species Plugin System - Drop-in species registered through the module manager
+//
+// A species plugin is a script that registers a module with a `species` descriptor:
+//
+//   moduleManager.registerModule('CapeRockLobster', CapeRockLobster, {
+//       dependencies: ['SeededRandom'],
+//       species: {
+//           englishName: 'Cape Rock Lobster',  // species key for behaviour, food web and population
+//           icon: '🦞',
+//           counterLabel: 'Lobsters',          // stats.plugin.<module name> in assets/i18n translates it
+//           create: () => new CapeRockLobster().createLobster(),  // factory returning a THREE.Object3D
+//           behavior: 'bottom_dwelling',       // schooling | hunting | territorial | bottom_dwelling
+//           maxSpeed: 0.1,
+//           diel: 'nocturnal',                 // optional: nocturnal | diurnal | sheltering
+//           catalogue: { scientificName, commonNames: { en, zh }, conservationStatus, length,
+//                        diet, habitat, group, endemic, eats, facts: { en: [...], zh: [...] }, media: { photo } },
+//                                              // info panel data, fields as in species-catalogue.json
+//           spawnBounds: { min: [-40, -19, -40], max: [40, -16, 40] },
+//           initialCount: 3,                   // optional, spawned at start-up
+//           lod: false,                        // optional, skip LODSystem wrapping
+//           foodWeb: { length: 0.35, nutrition: 30, links: [{ predator, prey, preference }] },  // optional
+//           population: { lifespan, maturityAge, birthRate, carryingCapacity, starvationTime }  // optional
+//       }
+//   });
+//
+// The system adds a counter with +/- buttons to the marine life panel, spawns and
+// removes animals through the same paths as the built-in species, and hands the
+// speed, food web and life-history data to the simulation systems.
+
+class SpeciesPluginSystem {
+    constructor(oceanForest) {
+        this.oceanForest = oceanForest;
+        this.species = new Map(); // englishName -> { descriptor, animals, counter }
+        this.animalSpecies = new Map(); // animal id -> englishName
+    }
+
+    static validate(descriptor, moduleName) {
+        const problems = [];
+        if (!descriptor.englishName) problems.push('englishName');
+        if (typeof descriptor.create !== 'function') problems.push('create()');
+        if (!descriptor.spawnBounds || !descriptor.spawnBounds.min || !descriptor.spawnBounds.max) {
+            problems.push('spawnBounds');
+        }
+        if (problems.length > 0) {
+            throw new Error(`Species plugin ${moduleName} is missing ${problems.join(', ')}`);
+        }
+
+        return {
+            id: moduleName,
+            name: descriptor.englishName,
+            icon: '🐠',
+            counterLabel: descriptor.englishName,
+            behavior: 'schooling',
+            initialCount: 0,
+            ...descriptor
+        };
+    }
+
+    addSpecies(descriptor, moduleName) {
+        let species;
+        try {
+            species = SpeciesPluginSystem.validate(descriptor, moduleName);
+        } catch (error) {
+            console.warn(`⚠️ ${error.message}`);
+            return false;
+        }
+        if (this.species.has(species.englishName)) {
+            console.warn(`⚠️ Species plugin ${moduleName} ignored: ${species.englishName} is already registered`);
+            return false;
+        }
+
+        const entry = { descriptor: species, animals: [], counter: null };
+        this.species.set(species.englishName, entry);
+
+        // Info panel data lives in the species catalogue; older plugins give name, facts and photo instead
+        speciesCatalogue.addSpecies(species.englishName, species.catalogue || {
+            commonNames: { en: species.englishName, zh: species.name },
+            facts: { en: species.facts || [] },
+            media: { photo: species.photo || null }
+        });
+
+        this.createControls(entry);
+        this.applyToSystems(entry);
+        for (let i = 0; i < species.initialCount; i++) {
+            this.add(species.englishName);
+        }
+
+        console.log(`🧩 Species plugin loaded: ${species.englishName}`);
+        return true;
+    }
+
+    hasSpecies(englishName) {
+        return this.species.has(englishName);
+    }
+
+    getAnimals() {
+        const animals = [];
+        this.species.forEach(entry => animals.push(...entry.animals));
+        return animals;
+    }
+
+    owns(animal) {
+        return this.animalSpecies.has(animal.id);
+    }
+
+    // Create one animal inside the species' spawn bounds
+    add(englishName) {
+        const entry = this.species.get(englishName);
+        if (!entry) return null;
+
+        const species = entry.descriptor;
+        let animal;
+        try {
+            animal = species.create();
+        } catch (error) {
+            console.error(`❌ ${species.englishName} factory failed:`, error);
+            return null;
+        }
+        if (!animal) return null;
+
+        const { min, max } = species.spawnBounds;
+        const toArray = bound => Array.isArray(bound) ? bound : [bound.x, bound.y, bound.z];
+        const [minX, minY, minZ] = toArray(min);
+        const [maxX, maxY, maxZ] = toArray(max);
+        animal.position.set(
+            minX + oceanRandom.random() * (maxX - minX),
+            minY + oceanRandom.random() * (maxY - minY),
+            minZ + oceanRandom.random() * (maxZ - minZ)
+        );
+        animal.rotation.y = oceanRandom.random() * Math.PI * 2;
+
+        // Decimated levels and an impostor for distant animals (opt out with lod: false)
+        const oceanForest = this.oceanForest;
+        if (oceanForest.lodSystem && species.lod !== false) {
+            animal = oceanForest.lodSystem.create(animal);
+        }
+
+        // Education data comes from the species catalogue unless the factory set its own
+        if (!animal.userData.species) {
+            animal.userData.species = speciesCatalogue.describe(species.englishName);
+        }
+
+        oceanForest.scene.add(animal);
+        entry.animals.push(animal);
+        this.animalSpecies.set(animal.id, species.englishName);
+        oceanForest.registerMarineLifeBehavior(animal, species.behavior, species.englishName);
+        if (oceanForest.education) {
+            oceanForest.education.registerClickableObject(animal);
+        }
+        oceanForest.updateAnimalCounts();
+        return animal;
+    }
+
+    // Remove a specific animal, or the most recent one of the species
+    remove(englishName, animal) {
+        const entry = this.species.get(englishName);
+        if (!entry) return false;
+
+        animal = this.oceanForest.takeAnimal(entry.animals, animal);
+        if (!animal) return false;
+
+        const oceanForest = this.oceanForest;
+        this.animalSpecies.delete(animal.id);
+        if (oceanForest.marineLifeBehavior) {
+            oceanForest.marineLifeBehavior.unregisterMarineLife(animal);
+        }
+        if (oceanForest.followTarget === animal) {
+            oceanForest.followTarget = null;
+        }
+        oceanForest.scene.remove(animal);
+        if (oceanForest.lodSystem) {
+            oceanForest.lodSystem.remove(animal);
+        }
+        oceanForest.updateAnimalCounts();
+        return true;
+    }
+
+    removeAnimal(animal) {
+        return this.owns(animal) ? this.remove(this.animalSpecies.get(animal.id), animal) : false;
+    }
+
+    // Counter row with +/- buttons, placed above the population mode toggle
+    createControls(entry) {
+        const panel = document.getElementById('performance');
+        if (!panel) return;
+
+        const species = entry.descriptor;
+        const row = document.createElement('div');
+        row.className = 'animal-control';
+        row.dataset.species = species.englishName;
+
+        // Translated by the page when the catalogues have stats.plugin.<module name>
+        const label = document.createElement('span');
+        const title = document.createElement('span');
+        const key = `stats.plugin.${species.id}`;
+        if (i18n.has(key)) {
+            title.dataset.i18n = key;
+        }
+        title.textContent = i18n.translateOr(key, `${species.icon} ${species.counterLabel}:`);
+        label.append(title, ' ');
+        entry.counter = document.createElement('span');
+        entry.counter.id = `${species.id}-count`;
+        entry.counter.textContent = '0';
+        label.appendChild(entry.counter);
+        row.appendChild(label);
+
+        const createButton = (text, onClick) => {
+            const button = document.createElement('button');
+            button.className = 'control-btn';
+            button.textContent = text;
+            button.addEventListener('click', onClick);
+            row.appendChild(button);
+        };
+        createButton('-', () => this.remove(species.englishName));
+        createButton('+', () => this.add(species.englishName));
+
+        const populationToggle = document.getElementById('population-toggle');
+        const anchor = populationToggle ? populationToggle.closest('.animal-control') : null;
+        panel.insertBefore(row, anchor);
+    }
+
+    updateCounters() {
+        this.species.forEach(entry => {
+            if (entry.counter) {
+                entry.counter.textContent = entry.animals.length;
+            }
+        });
+    }
+
+    // Hand speed, food web and life-history data to whichever systems exist;
+    // called again by OceanForest when a system is created later
+    applyToSystems(entry) {
+        if (!entry) {
+            this.species.forEach(each => this.applyToSystems(each));
+            return;
+        }
+
+        const species = entry.descriptor;
+        const { marineLifeBehavior, foodWeb, populationDynamics } = this.oceanForest;
+
+        if (marineLifeBehavior && species.maxSpeed !== undefined) {
+            marineLifeBehavior.setSpeciesMaxSpeed(species.englishName, species.maxSpeed);
+        }
+        if (marineLifeBehavior && species.diel) {
+            marineLifeBehavior.setSpeciesDielPattern(species.englishName, species.diel);
+        }
+        if (foodWeb && species.foodWeb) {
+            const { links, ...speciesEntry } = species.foodWeb;
+            foodWeb.addSpecies(species.englishName, speciesEntry);
+            foodWeb.addLinks(links || []);
+        }
+        if (populationDynamics && species.population) {
+            populationDynamics.speciesParameters[species.englishName] = { ...species.population };
+        }
+    }
+}
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('SpeciesPluginSystem', SpeciesPluginSystem, {
+        dependencies: ['SeededRandom', 'I18n']
+    });
+}
@@ -0,0 +1,604 @@
+// 水下光照 - 按波长的深度衰减、焦散与体积光
+// Underwater Lighting - Wavelength-dependent attenuation, caustics and god rays
+//
+// Sunlight entering the water is absorbed per wavelength: pure water takes out
+// red within a few metres, while phytoplankton and dissolved matter absorb
+// blue. Clear ocean water therefore looks blue, and the plankton-rich water of
+// a Cape kelp forest looks green-blue by 10 m. The model works on three bands
+// (~650, 550 and 450 nm) and is driven by one parameter, water clarity
+// (0 = murky, 1 = clear ocean), which mixes particle absorption and scattering
+// into the pure-water coefficients.
+//
+// It takes over the post-processing water pass ('absorption'), which rebuilds
+// each pixel's world position from the depth buffer and applies
+//
+//   - downwelling attenuation exp(-K * depth below the surface)
+//   - animated caustics projected from above onto upward-facing surfaces
+//   - beam attenuation exp(-c * distance) towards the in-scattered water colour
+//
+// and adds a 'godrays' pass: open water seen through Snell's window, streaked
+// towards the refracted sun with a radial blur. Without the pipeline the
+// lights and fog are tinted instead.
+
+// World position from the depth buffer (camera matrices are set per frame)
+const UNDERWATER_POSITION_CHUNK = `
+    uniform sampler2D tDepth;
+    uniform mat4 inverseProjection;
+    uniform mat4 cameraWorldMatrix;
+
+    vec3 readViewPosition(vec2 uv) {
+        float depth = texture2D(tDepth, uv).x;
+        vec4 view = inverseProjection * vec4(vec3(uv, depth) * 2.0 - 1.0, 1.0);
+        return view.xyz / view.w;
+    }
+`;
+
+// Two caustic layers drifting apart; their minimum keeps the thin bright network
+const UNDERWATER_CAUSTIC_CHUNK = `
+    uniform sampler2D causticMap;
+    uniform float time;
+
+    float caustic(vec2 position) {
+        float a = texture2D(causticMap, position + vec2(0.013, 0.007) * time).r;
+        float b = texture2D(causticMap, position * 1.3 + vec2(-0.009, 0.011) * time).r;
+        return min(a, b);
+    }
+`;
+
+// Surface pattern through Snell's window, streaked towards the sun
+class GodRaysPass extends PostProcessingPass {
+    constructor(lighting) {
+        super('godrays', {
+            label: 'Rays',
+            minQuality: 'medium',
+            needsDepth: true,
+            uniforms: {
+                tRays: { value: null },
+                rayColor: { value: new THREE.Color() },
+                strength: { value: 1.0 }
+            },
+            fragmentShader: `
+                uniform sampler2D tDiffuse;
+                uniform sampler2D tRays;
+                uniform vec3 rayColor;
+                uniform float strength;
+                varying vec2 vUv;
+                void main() {
+                    vec3 color = texture2D(tDiffuse, vUv).rgb + texture2D(tRays, vUv).r * rayColor * strength;
+                    gl_FragColor = vec4(color, 1.0);
+                    #include <encodings_fragment>
+                }
+            `
+        });
+
+        this.lighting = lighting;
+        this.resolutionScale = 0.5;
+        this.sunView = new THREE.Vector3();
+        this.sunScreen = new THREE.Vector3();
+
+        this.maskMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                tDepth: { value: null },
+                inverseProjection: { value: new THREE.Matrix4() },
+                cameraWorldMatrix: { value: new THREE.Matrix4() },
+                causticMap: { value: lighting.causticMap },
+                time: { value: 0 },
+                openWaterDistance: { value: 200 },
+                snellCos: { value: Math.cos(Math.asin(1 / UnderwaterLighting.REFRACTIVE_INDEX)) }
+            },
+            vertexShader: POST_PROCESSING_VERTEX_SHADER,
+            fragmentShader: `
+                uniform float openWaterDistance;
+                uniform float snellCos;
+                varying vec2 vUv;
+                ${UNDERWATER_POSITION_CHUNK}
+                ${UNDERWATER_CAUSTIC_CHUNK}
+                void main() {
+                    vec3 view = readViewPosition(vUv);
+                    float open = texture2D(tDepth, vUv).x >= 1.0 ? 1.0 : step(openWaterDistance, length(view));
+                    vec3 direction = normalize((cameraWorldMatrix * vec4(view, 0.0)).xyz);
+
+                    // The sky is squeezed into a ~97° cone overhead; beyond it the
+                    // surface reflects the darker water below
+                    float window = smoothstep(snellCos - 0.08, snellCos + 0.02, direction.y);
+                    float glow = 0.4 * smoothstep(-0.2, 1.0, direction.y);
+                    float ripple = 0.5 + caustic(direction.xz / max(direction.y, 0.2) * 0.5);
+                    gl_FragColor = vec4(vec3(open * (window + glow) * ripple), 1.0);
+                }
+            `,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        // Radial blur after Mitchell, "Volumetric Light Scattering as a Post-Process" (GPU Gems 3)
+        this.blurMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                tDiffuse: { value: null },
+                sunPosition: { value: new THREE.Vector2(0.5, 1.5) },
+                density: { value: 0.9 },
+                decay: { value: 0.95 },
+                weight: { value: 0.06 }
+            },
+            defines: { SAMPLES: 40 },
+            vertexShader: POST_PROCESSING_VERTEX_SHADER,
+            fragmentShader: `
+                uniform sampler2D tDiffuse;
+                uniform vec2 sunPosition;
+                uniform float density;
+                uniform float decay;
+                uniform float weight;
+                varying vec2 vUv;
+                void main() {
+                    vec2 offset = (vUv - sunPosition) * density / float(SAMPLES);
+                    vec2 uv = vUv;
+                    float illumination = 1.0;
+                    float rays = 0.0;
+                    for (int i = 0; i < SAMPLES; i++) {
+                        uv -= offset;
+                        rays += texture2D(tDiffuse, uv).r * illumination * weight;
+                        illumination *= decay;
+                    }
+                    gl_FragColor = vec4(vec3(rays), 1.0);
+                }
+            `,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        this.targets = [0, 1].map(() => new THREE.WebGLRenderTarget(1, 1, {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            depthBuffer: false
+        }));
+    }
+
+    setSize(width, height) {
+        super.setSize(width, height);
+        const rayWidth = Math.max(1, Math.round(width * this.resolutionScale));
+        const rayHeight = Math.max(1, Math.round(height * this.resolutionScale));
+        this.targets.forEach(target => target.setSize(rayWidth, rayHeight));
+    }
+
+    update(pipeline) {
+        const lighting = this.lighting;
+        const camera = pipeline.camera;
+        const mask = this.maskMaterial.uniforms;
+        const blur = this.blurMaterial.uniforms;
+
+        mask.tDepth.value = this.uniforms.tDepth.value;
+        mask.inverseProjection.value.copy(camera.projectionMatrixInverse);
+        mask.cameraWorldMatrix.value.copy(camera.matrixWorld);
+        mask.time.value = lighting.time;
+
+        // Streak towards the refracted sun; when it is behind the camera or near the
+        // edge of the view, towards a point off-screen in its direction instead
+        const sun = this.sunView.copy(lighting.sunDirection).transformDirection(camera.matrixWorldInverse);
+        const position = blur.sunPosition.value;
+        if (sun.z < -0.05) {
+            this.sunScreen.copy(sun).applyMatrix4(camera.projectionMatrix);
+            position.set(this.sunScreen.x, this.sunScreen.y);
+        } else {
+            position.set(sun.x, sun.y).normalize().multiplyScalar(GodRaysPass.MAX_SUN_OFFSET);
+        }
+        if (position.length() > GodRaysPass.MAX_SUN_OFFSET) {
+            position.setLength(GodRaysPass.MAX_SUN_OFFSET);
+        }
+        position.multiplyScalar(0.5).addScalar(0.5);
+
+        // Murky water scatters more light into the shafts but lets them die out sooner
+        const turbidity = 1 - lighting.clarity;
+        blur.decay.value = 0.92 + 0.05 * lighting.clarity;
+        this.uniforms.rayColor.value.copy(lighting.rayColor).multiplyScalar(0.4 + 0.6 * turbidity);
+    }
+
+    render(pipeline, readTarget, writeTarget) {
+        const [maskTarget, rayTarget] = this.targets;
+        pipeline.renderQuad(this.maskMaterial, maskTarget);
+
+        this.blurMaterial.uniforms.tDiffuse.value = maskTarget.texture;
+        pipeline.renderQuad(this.blurMaterial, rayTarget);
+
+        this.uniforms.tRays.value = rayTarget.texture;
+        super.render(pipeline, readTarget, writeTarget);
+    }
+
+    dispose() {
+        super.dispose();
+        this.maskMaterial.dispose();
+        this.blurMaterial.dispose();
+        this.targets.forEach(target => target.dispose());
+    }
+}
+
+// Furthest the streak centre may sit from the screen centre (in NDC units)
+GodRaysPass.MAX_SUN_OFFSET = 3;
+
+class UnderwaterLighting {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.sunLight = options.sunLight || null;
+        this.ambientLight = options.ambientLight || null;
+        this.lightRays = options.lightRays || null;
+
+        this.surfaceY = options.surfaceY !== undefined ? options.surfaceY : 10;
+        this.metresPerUnit = options.metresPerUnit || 0.5;
+        this.clarity = 0.7;
+        this.time = 0;
+
+        // Authored colours, tinted when the water pass is not running
+        this.baseColors = new Map();
+        [this.sunLight, this.ambientLight].filter(Boolean).forEach(light => {
+            this.baseColors.set(light, light.color.clone());
+        });
+
+        this.absorption = new THREE.Vector3();
+        this.scattering = new THREE.Vector3();
+        this.attenuation = new THREE.Vector3(); // K, diffuse attenuation per metre
+        this.extinction = new THREE.Vector3(); // c, beam attenuation per metre
+        this.inScatter = new THREE.Color();
+        this.rayColor = new THREE.Color();
+        this.exposure = 1;
+        this.sunDirection = new THREE.Vector3(0, 1, 0);
+        this.tint = new THREE.Color();
+
+        // Surface light relative to midday and a fog multiplier, set by DayNightCycle
+        this.daylight = 1;
+        this.fogScale = 1;
+
+        this.causticMap = UnderwaterLighting.createCausticTexture(oceanRandom.derive('caustics'));
+        this.pipeline = null;
+        this.waterPass = null;
+        this.godRaysPass = null;
+        this.controls = null;
+
+        this.updateSunDirection();
+        this.setClarity(options.clarity !== undefined ? options.clarity : this.clarity);
+    }
+
+    // Tileable Voronoi edge pattern: bright where two cells meet, like focused light
+    static createCausticTexture(random, size = 256, cells = 8) {
+        const points = [];
+        for (let i = 0; i < cells * cells; i++) {
+            points.push([random.random(), random.random()]);
+        }
+
+        const data = new Uint8Array(size * size * 4);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const px = x / size * cells;
+                const py = y / size * cells;
+                const cellX = Math.floor(px);
+                const cellY = Math.floor(py);
+                let nearest = Infinity;
+                let second = Infinity;
+
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = cellX + dx;
+                        const ny = cellY + dy;
+                        const point = points[((ny + cells) % cells) * cells + (nx + cells) % cells];
+                        const distance = Math.hypot(nx + point[0] - px, ny + point[1] - py);
+                        if (distance < nearest) {
+                            second = nearest;
+                            nearest = distance;
+                        } else if (distance < second) {
+                            second = distance;
+                        }
+                    }
+                }
+
+                const edge = 1 - Math.min(1, (second - nearest) / 0.25);
+                const value = Math.round(Math.pow(edge, 3) * 255);
+                const index = (y * size + x) * 4;
+                data[index] = data[index + 1] = data[index + 2] = value;
+                data[index + 3] = 255;
+            }
+        }
+
+        const texture = new THREE.DataTexture(data, size, size, THREE.RGBAFormat);
+        texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+        texture.magFilter = THREE.LinearFilter;
+        texture.minFilter = THREE.LinearMipmapLinearFilter;
+        texture.generateMipmaps = true;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    // 0 = murky, plankton-rich water; 1 = clear ocean water
+    setClarity(clarity) {
+        this.clarity = THREE.MathUtils.clamp(clarity, 0, 1);
+        const turbidity = 1 - this.clarity;
+        const water = UnderwaterLighting.PURE_WATER;
+        const particles = UnderwaterLighting.PARTICLES;
+
+        this.absorption.fromArray(water.absorption).addScaledVector(new THREE.Vector3().fromArray(particles.absorption), turbidity);
+        this.scattering.fromArray(water.scattering).addScaledVector(new THREE.Vector3().fromArray(particles.scattering), turbidity);
+        // Downwelling light is lost to absorption and, a little, to backscattering
+        this.attenuation.copy(this.absorption).addScaledVector(this.scattering, 0.2);
+        this.extinction.copy(this.absorption).add(this.scattering);
+
+        this.updateControls();
+        return this.clarity;
+    }
+
+    // Fraction of surface light left per band (r, g, b) at a depth in metres
+    getTransmittance(depth) {
+        return {
+            r: Math.exp(-this.attenuation.x * depth),
+            g: Math.exp(-this.attenuation.y * depth),
+            b: Math.exp(-this.attenuation.z * depth)
+        };
+    }
+
+    // Depth in metres below the surface for a scene height
+    getDepth(y) {
+        return Math.max(0, (this.surfaceY - y) * this.metresPerUnit);
+    }
+
+    // Dimmer surface light darkens the water's glow and rays; fogScale shortens the view
+    setDaylight(level, fogScale = 1) {
+        this.daylight = THREE.MathUtils.clamp(level, 0, 1);
+        this.fogScale = fogScale;
+    }
+
+    // Authored colour for a light (e.g. a warm dawn sun), before the water tint
+    setBaseColor(light, color) {
+        const base = this.baseColors.get(light);
+        if (base) {
+            base.copy(color);
+        } else {
+            light.color.copy(color);
+        }
+    }
+
+    // The sun bends towards the vertical entering the water (Snell's law)
+    updateSunDirection() {
+        if (this.sunLight) {
+            this.sunDirection.copy(this.sunLight.position).normalize();
+        }
+        const horizontal = Math.hypot(this.sunDirection.x, this.sunDirection.z);
+        if (horizontal > 0) {
+            const sinRefracted = horizontal / UnderwaterLighting.REFRACTIVE_INDEX;
+            const scale = sinRefracted / horizontal;
+            this.sunDirection.set(this.sunDirection.x * scale, Math.sqrt(1 - sinRefracted * sinRefracted), this.sunDirection.z * scale);
+        }
+    }
+
+    // Replace the pipeline's water pass and add god rays behind it
+    attach(pipeline) {
+        this.pipeline = pipeline;
+        const previous = pipeline.getPass('absorption');
+        const index = previous ? pipeline.passes.indexOf(previous) : 0;
+        if (previous) {
+            pipeline.removePass('absorption');
+        }
+
+        this.waterPass = pipeline.addPass(this.createWaterPass(), index);
+        this.godRaysPass = pipeline.addPass(new GodRaysPass(this), index + 1);
+    }
+
+    createWaterPass() {
+        const pass = new PostProcessingPass('absorption', {
+            label: 'Water',
+            needsDepth: true,
+            extensions: { derivatives: true },
+            uniforms: {
+                inverseProjection: { value: new THREE.Matrix4() },
+                cameraWorldMatrix: { value: new THREE.Matrix4() },
+                causticMap: { value: this.causticMap },
+                surfaceY: { value: this.surfaceY },
+                metresPerUnit: { value: this.metresPerUnit },
+                attenuation: { value: new THREE.Vector3() },
+                extinction: { value: new THREE.Vector3() },
+                inScatter: { value: new THREE.Color() },
+                exposure: { value: 1 },
+                fogScale: { value: 1 },
+                causticStrength: { value: 0.8 },
+                causticDepth: { value: 8 },
+                strength: { value: 1.0 }
+            },
+            fragmentShader: `
+                uniform sampler2D tDiffuse;
+                uniform float surfaceY;
+                uniform float metresPerUnit;
+                uniform vec3 attenuation;
+                uniform vec3 extinction;
+                uniform vec3 inScatter;
+                uniform float exposure;
+                uniform float fogScale;
+                uniform float causticStrength;
+                uniform float causticDepth;
+                uniform float strength;
+                varying vec2 vUv;
+                ${UNDERWATER_POSITION_CHUNK}
+                ${UNDERWATER_CAUSTIC_CHUNK}
+                void main() {
+                    vec3 color = texture2D(tDiffuse, vUv).rgb;
+                    vec3 view = readViewPosition(vUv);
+                    vec3 world = (cameraWorldMatrix * vec4(view, 1.0)).xyz;
+                    vec3 eye = cameraWorldMatrix[3].xyz;
+                    vec3 direction = normalize(world - eye);
+                    bool background = texture2D(tDepth, vUv).x >= 1.0;
+
+                    // Light reaching the surface point from above
+                    float depth = max(surfaceY - world.y, 0.0) * metresPerUnit;
+                    vec3 downwelling = exp(-attenuation * depth * strength) * exposure;
+
+                    // Caustics on faces that look up; they blur out with depth
+                    vec3 normal = normalize(cross(dFdx(world), dFdy(world)));
+                    normal *= sign(dot(normal, eye - world));
+                    float focus = exp(-depth / causticDepth);
+                    float light = caustic(world.xz * 0.05) * causticStrength * focus * max(normal.y, 0.0);
+                    vec3 lit = color * downwelling * (1.0 + light);
+
+                    // Water above is brighter than the water below
+                    vec3 scattered = inScatter * (0.6 + 0.8 * smoothstep(-0.3, 1.0, direction.y));
+                    vec3 transmittance = background ? vec3(0.0) :
+                        exp(-extinction * length(view) * metresPerUnit * strength * fogScale);
+                    color = lit * transmittance + scattered * (1.0 - transmittance);
+
+                    gl_FragColor = vec4(color, 1.0);
+                    #include <encodings_fragment>
+                }
+            `
+        });
+
+        pass.update = pipeline => {
+            const uniforms = pass.uniforms;
+            uniforms.inverseProjection.value.copy(pipeline.camera.projectionMatrixInverse);
+            uniforms.cameraWorldMatrix.value.copy(pipeline.camera.matrixWorld);
+            uniforms.time.value = this.time;
+            uniforms.surfaceY.value = this.surfaceY;
+            uniforms.metresPerUnit.value = this.metresPerUnit;
+            uniforms.attenuation.value.copy(this.attenuation);
+            uniforms.extinction.value.copy(this.extinction);
+            uniforms.inScatter.value.copy(this.inScatter);
+            uniforms.exposure.value = this.exposure;
+            uniforms.fogScale.value = this.fogScale;
+            // Turbid water spreads the focused light before it reaches the bottom
+            uniforms.causticDepth.value = 3 + 9 * this.clarity;
+        };
+        return pass;
+    }
+
+    isPassActive(pass) {
+        return !!(this.pipeline && pass && this.pipeline.enabled && this.pipeline.isPassActive(pass));
+    }
+
+    // Called every frame with the camera and the frame time in seconds
+    update(camera, deltaTime) {
+        this.time += deltaTime;
+        this.updateSunDirection();
+
+        // The eye adapts to the dimmer light at depth, but only partly
+        const cameraDepth = this.getDepth(camera.position.y);
+        const light = this.getTransmittance(cameraDepth);
+        const luminance = 0.2126 * light.r + 0.7152 * light.g + 0.0722 * light.b;
+        this.exposure = Math.min(4, Math.pow(1 / Math.max(luminance, 0.001), 0.75));
+
+        // Single scattering into the view: surface light at this depth times b/c
+        this.inScatter.setRGB(
+            light.r * this.scattering.x / this.extinction.x,
+            light.g * this.scattering.y / this.extinction.y,
+            light.b * this.scattering.z / this.extinction.z
+        ).multiplyScalar(UnderwaterLighting.SCATTER_BRIGHTNESS * this.exposure * this.daylight);
+        this.rayColor.setRGB(light.r, light.g, light.b).multiplyScalar(this.exposure * this.daylight);
+
+        const waterActive = this.isPassActive(this.waterPass);
+        this.updateFallback(waterActive, light);
+
+        if (this.lightRays) {
+            this.lightRays.visible = !this.isPassActive(this.godRaysPass) && this.daylight > 0.1;
+        }
+    }
+
+    // Without the water pass the lights carry the colour shift and fog the distance
+    updateFallback(waterActive, light) {
+        this.tint.setRGB(light.r, light.g, light.b).multiplyScalar(this.exposure);
+        this.baseColors.forEach((color, lightSource) => {
+            lightSource.color.copy(color);
+            if (!waterActive) {
+                lightSource.color.multiply(this.tint);
+            }
+        });
+
+        const fog = this.scene.fog;
+        if (fog) {
+            fog.color.copy(this.inScatter);
+            // FogExp2 matches exp(-c * d) where both reach 1/e; the water pass replaces it
+            fog.density = waterActive ? 0 : this.extinction.y * this.metresPerUnit * this.fogScale;
+        }
+    }
+
+    // Clarity slider with the colour of sunlight left at 10 m, appended to a panel
+    createControls(panel) {
+        if (!panel) return;
+
+        const row = document.createElement('div');
+        row.className = 'animal-control water-clarity';
+
+        const label = document.createElement('span');
+        const title = document.createElement('span');
+        title.dataset.i18n = 'stats.clarity';
+        title.textContent = '💧 Clarity: ';
+        label.appendChild(title);
+        const value = document.createElement('span');
+        label.appendChild(value);
+        row.appendChild(label);
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = '1';
+        slider.step = '0.05';
+        slider.addEventListener('input', () => this.setClarity(parseFloat(slider.value)));
+        row.appendChild(slider);
+
+        const readout = document.createElement('div');
+        readout.className = 'light-readout';
+        const swatch = document.createElement('span');
+        swatch.className = 'light-swatch';
+        const text = document.createElement('span');
+        readout.appendChild(swatch);
+        readout.appendChild(text);
+        row.appendChild(readout);
+
+        panel.appendChild(row);
+        this.controls = { slider, value, swatch, text };
+        this.updateControls();
+    }
+
+    updateControls() {
+        if (!this.controls) return;
+
+        const { slider, value, swatch, text } = this.controls;
+        const light = this.getTransmittance(UnderwaterLighting.READOUT_DEPTH);
+        const percent = fraction => `${i18n.formatNumber(Math.round(fraction * 100))}%`;
+
+        slider.value = this.clarity;
+        value.textContent = percent(this.clarity);
+        text.textContent = i18n.t('lighting.readout', {
+            depth: UnderwaterLighting.READOUT_DEPTH,
+            red: percent(light.r),
+            green: percent(light.g),
+            blue: percent(light.b)
+        });
+
+        // White sunlight after the water column, brightened to show the hue
+        const brightest = Math.max(light.r, light.g, light.b);
+        swatch.style.background = new THREE.Color(light.r / brightest, light.g / brightest, light.b / brightest)
+            .convertLinearToSRGB().getStyle();
+    }
+
+    dispose() {
+        if (this.pipeline) {
+            this.pipeline.removePass('godrays');
+        }
+        this.causticMap.dispose();
+    }
+}
+
+UnderwaterLighting.REFRACTIVE_INDEX = 1.333;
+
+// Per metre at ~650, 550 and 450 nm (pure water after Pope & Fry and Morel)
+UnderwaterLighting.PURE_WATER = {
+    absorption: [0.34, 0.057, 0.0092],
+    scattering: [0.0009, 0.0019, 0.0049]
+};
+
+// Added at clarity 0: phytoplankton and dissolved organic matter absorb blue,
+// suspended particles scatter all bands alike
+UnderwaterLighting.PARTICLES = {
+    absorption: [0.04, 0.07, 0.25],
+    scattering: [0.12, 0.12, 0.12]
+};
+
+UnderwaterLighting.SCATTER_BRIGHTNESS = 0.3;
+UnderwaterLighting.READOUT_DEPTH = 10;
+
+// 注册模块
+if (window.moduleManager) {
+    window.moduleManager.registerModule('UnderwaterLighting', UnderwaterLighting, {
+        dependencies: ['SeededRandom', 'PostProcessingPipeline', 'I18n']
+    });
+}
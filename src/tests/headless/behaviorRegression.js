@@ -0,0 +1,456 @@
+#!/usr/bin/env node
+/**
+ * Behaviour Regression Checks
+ * Runs seeded headless simulations and asserts invariants of MarineLifeBehavior.
+ *
+ * Usage: node src/tests/headless/behaviorRegression.js
+ * Exits with status 1 if any check fails.
+ */
+
+const assert = require('assert');
+const { HeadlessSimulation, runSimulation } = require('./simulate');
+const { createHeadlessEnvironment, DEFAULT_SCRIPTS } = require('./headlessEnvironment');
+
+const checks = [];
+function check(name, fn) {
+    checks.push({ name, fn });
+}
+
+check('same seed reproduces the same trajectories', () => {
+    const options = { seed: 7, seconds: 20, counts: { fish: 15, sharks: 1, seals: 1, penguins: 2 } };
+    // Compare the JSON dumps: some arrays come from the modules' vm context
+    assert.strictEqual(JSON.stringify(runSimulation(options)), JSON.stringify(runSimulation(options)));
+});
+
+check('different seeds produce different layouts', () => {
+    const first = runSimulation({ seed: 1, seconds: 0 });
+    const second = runSimulation({ seed: 2, seconds: 0 });
+    assert.notStrictEqual(JSON.stringify(first.agents), JSON.stringify(second.agents));
+});
+
+check('schools stay cohesive', () => {
+    const report = runSimulation({ seed: 42, seconds: 120, sampleInterval: 10, trajectories: false,
+        counts: { fish: 30, sharks: 0, seals: 0, penguins: 4 } });
+    const start = report.samples[0].schooling;
+
+    report.samples.slice(1).forEach(({ time, schooling }) => {
+        assert.ok(schooling.grouped >= start.grouped,
+            `only ${schooling.grouped} of schooling animals have a neighbour at t=${time}s (started at ${start.grouped})`);
+        assert.ok(schooling.medianNearestNeighbor <= 8,
+            `median nearest-neighbour distance ${schooling.medianNearestNeighbor} at t=${time}s`);
+    });
+});
+
+check('sharks never leave their patrol radius', () => {
+    const simulation = new HeadlessSimulation({ seed: 42, seconds: 300, sampleInterval: 1, trajectories: false,
+        counts: { fish: 30, sharks: 2, seals: 2, penguins: 4 } });
+    const report = simulation.run();
+    const limit = simulation.behaviorSystem.patrolRadius * 1.1; // allow for the turn-around overshoot
+
+    report.samples.forEach(({ time, maxHomeDistance }) => {
+        const distance = maxHomeDistance['Great White Shark'];
+        assert.ok(distance <= limit, `shark ${distance} from home at t=${time}s (limit ${limit})`);
+    });
+});
+
+check('energy stays within 0-100', () => {
+    const report = runSimulation({ seed: 3, seconds: 120, sampleInterval: 2, population: true });
+    report.agents.forEach(agent => agent.trajectory.forEach(([time, x, y, z, state, energy]) => {
+        assert.ok(energy >= 0 && energy <= 100, `agent ${agent.index} energy ${energy} at t=${time}s`);
+        assert.ok([x, y, z].every(Number.isFinite), `agent ${agent.index} position is not finite at t=${time}s`);
+        assert.ok(state >= 0, `agent ${agent.index} has unknown state at t=${time}s`);
+    }));
+});
+
+check('turning population mode on after a while does not starve the predators', () => {
+    const simulation = new HeadlessSimulation({ seed: 17, population: true, trajectories: false,
+        counts: { fish: 10, sharks: 0, seals: 3, penguins: 4 } });
+    simulation.populationDynamics.setEnabled(false);
+    for (let i = 0; i < 4000; i++) simulation.step(0.1);
+
+    simulation.populationDynamics.setEnabled(true);
+    simulation.step(0.1);
+    const starved = simulation.events.filter(event => event.type === 'death' && event.cause === 'starvation');
+    assert.strictEqual(starved.length, 0, `${starved.length} animals starved on the first step after enabling`);
+});
+
+check('at night seals and penguins rest and reef fish gather in the kelp', () => {
+    const options = { seed: 5, seconds: 60, sampleInterval: 60, trajectories: false,
+        counts: { fish: 30, sharks: 0, seals: 2, penguins: 4 } };
+    const kelpDistance = simulation => {
+        const shelters = simulation.behaviorSystem.shelters;
+        const fish = simulation.animals.filter(animal => simulation.agentOf(animal).kind === 'fish');
+        return fish.reduce((sum, animal) => sum + Math.min(...shelters.map(shelter =>
+            Math.hypot(shelter.x - animal.position.x, shelter.z - animal.position.z)
+        )), 0) / fish.length;
+    };
+
+    const day = new HeadlessSimulation(options);
+    day.run();
+    const night = new HeadlessSimulation({ ...options, lightLevel: 0 });
+    night.run();
+
+    const last = night.samples[night.samples.length - 1];
+    ['Cape Fur Seal', 'African Penguin'].forEach(species => {
+        const states = last.states[species];
+        const total = Object.values(states).reduce((sum, count) => sum + count, 0);
+        assert.strictEqual(states.resting, total, `${species} states at night: ${JSON.stringify(states)}`);
+    });
+    assert.ok(kelpDistance(night) < kelpDistance(day) * 0.5,
+        `reef fish ${kelpDistance(night).toFixed(1)} from kelp at night, ${kelpDistance(day).toFixed(1)} by day`);
+});
+
+check('the tidal current carries animals with it and reverses on the ebb', () => {
+    const drift = tidePhase => {
+        const simulation = new HeadlessSimulation({ seed: 9, seconds: 30, sampleInterval: 30, trajectories: false,
+            counts: { fish: 20, sharks: 0, seals: 2, penguins: 4 },
+            currents: { tideStrength: 1, surgeStrength: 0, turbulenceStrength: 0, tidePhase } });
+        const direction = simulation.currentField.tideDirection;
+        const along = () => simulation.animals.reduce((sum, animal) => sum + animal.position.dot(direction), 0) /
+            simulation.animals.length;
+        const start = along();
+        simulation.run();
+        return along() - start;
+    };
+
+    const flood = drift(0);
+    const ebb = drift(Math.PI);
+    assert.ok(flood > 2 && ebb < -2, `drift along the tide: ${flood.toFixed(1)} on the flood, ${ebb.toFixed(1)} on the ebb`);
+});
+
+check('on the seabed terrain Steentjie keep to the bottom and nothing passes through the floor', () => {
+    const simulation = new HeadlessSimulation({ seed: 11, terrain: true, trajectories: false,
+        counts: { fish: 30, sharks: 0, seals: 2, penguins: 4 } });
+    const { terrain, behaviorSystem } = simulation;
+    const gap = animal => animal.position.y - terrain.getHeight(animal.position.x, animal.position.z);
+
+    for (let second = 1; second <= 60; second++) {
+        for (let i = 0; i < 60; i++) simulation.step(1 / 60);
+        simulation.animals.forEach(animal => {
+            assert.ok(gap(animal) >= simulation.env.getModule('MarineLifeBehavior').MIN_FLOOR_GAP - 1e-6,
+                `${simulation.agentOf(animal).species} ${gap(animal).toFixed(2)} above the floor at t=${second}s`);
+        });
+    }
+
+    const steentjie = simulation.animals.filter(animal => simulation.agentOf(animal).species === 'Steentjie');
+    const meanGap = steentjie.reduce((sum, animal) => sum + gap(animal), 0) / steentjie.length;
+    assert.ok(meanGap < 5, `Steentjie average ${meanGap.toFixed(1)} above the floor`);
+});
+
+check('species plugin animals are stepped with the built-in species', () => {
+    const env = createHeadlessEnvironment({ seed: 13, scripts: [...DEFAULT_SCRIPTS,
+        'src/systems/SpeciesPluginSystem.js', 'src/species/CapeRockLobster.js',
+        'src/systems/RenderEngine.js', 'src/core/OceanForest.js'] });
+    const { THREE, getModule } = env;
+    // The plugin system looks for its counter row; there is no page here
+    env.window.document = { getElementById: () => null };
+
+    // The frame loop's simulation step, on an OceanForest with only the state it reads
+    const MarineLifeBehavior = getModule('MarineLifeBehavior');
+    const oceanForest = Object.assign(Object.create(getModule('OceanForest').prototype), {
+        scene: new THREE.Scene(),
+        marineLifeBehavior: new MarineLifeBehavior(),
+        capeReefFish: [], capeFurSeals: [], africanPenguins: [], greatWhiteSharks: [],
+        updateAnimalCounts: () => {}
+    });
+    oceanForest.speciesPlugins = new (getModule('SpeciesPluginSystem'))(oceanForest);
+    env.moduleManager.onSpeciesReady((species, moduleName) => oceanForest.speciesPlugins.addSpecies(species, moduleName));
+
+    const lobsters = oceanForest.speciesPlugins.getAnimals();
+    assert.ok(lobsters.length > 0, 'the Cape Rock Lobster plugin spawned no animals');
+    const start = lobsters.map(lobster => lobster.position.clone());
+
+    const renderEngine = Object.create(getModule('RenderEngine').prototype);
+    for (let i = 0; i < 600; i++) renderEngine.updateMarineLifeSimulation(oceanForest, 1 / 60);
+
+    lobsters.forEach((lobster, i) => {
+        const moved = lobster.position.distanceTo(start[i]);
+        assert.ok(moved > 0.1, `Cape Rock Lobster ${i} moved ${moved.toFixed(3)} in 10 s`);
+    });
+});
+
+// Float32Array values with their gaps as null, for deepStrictEqual
+const gridValues = values => Array.from(values, value => Number.isNaN(value) ? null : value);
+
+check('ESRI ASCII grids read NODATA cells as gaps and keep their cell size', () => {
+    const { getModule } = createHeadlessEnvironment({ scripts: [...DEFAULT_SCRIPTS, 'src/systems/BathymetryLoader.js'] });
+    const BathymetryLoader = getModule('BathymetryLoader');
+
+    const grid = BathymetryLoader.parse([
+        'ncols 3', 'nrows 2', 'xllcorner 260000', 'yllcorner 6230000', 'cellsize 25', 'NODATA_value -9999',
+        '-5 -9999 -7',
+        '-8 -9 -9999'
+    ].join('\n'));
+    assert.deepStrictEqual([grid.format, grid.columns, grid.rows, grid.cellWidth, grid.cellHeight], ['asc', 3, 2, 25, 25]);
+    assert.deepStrictEqual(gridValues(grid.values), [-5, null, -7, -8, -9, null]);
+
+    assert.throws(() => BathymetryLoader.parse('ncols 4\nnrows 4\ncellsize 10\nNODATA_value -9999\n'),
+        /has 0 values, expected 16/);
+    assert.throws(() => BathymetryLoader.parseAsciiGrid('cellsize 10\n1 2 3 4'), /missing ncols or nrows/);
+});
+
+check('XYZ points bin onto a grid with the north edge first', () => {
+    const { getModule } = createHeadlessEnvironment({ scripts: [...DEFAULT_SCRIPTS, 'src/systems/BathymetryLoader.js'] });
+    const BathymetryLoader = getModule('BathymetryLoader');
+
+    // A regular survey in any order, with a header, a comment and mixed separators: one point per cell
+    const regular = BathymetryLoader.parse([
+        'easting,northing,elevation', '# Sea Point test lines',
+        '20 0 -20', '0,5,-5', '10;0;-10', '20 5 -25', '0 0 0', '10 5 -15'
+    ].join('\n'), 'xyz');
+    assert.deepStrictEqual([regular.columns, regular.rows, regular.cellWidth, regular.cellHeight], [3, 2, 10, 5]);
+    assert.deepStrictEqual(gridValues(regular.values), [-5, -15, -25, 0, -10, -20]);
+
+    // Scattered soundings share cells (about two to a cell) and empty cells stay gaps
+    const scattered = BathymetryLoader.parse([
+        '0 10 -2', '1 9 -4', '10 10 -6', '9 9 -8', '0 0 -10', '2 1 -12'
+    ].join('\n'), 'xyz');
+    assert.deepStrictEqual([scattered.columns, scattered.rows, scattered.cellWidth, scattered.cellHeight], [2, 2, 10, 10]);
+    assert.deepStrictEqual(gridValues(scattered.values), [-3, -7, -11, null]);
+
+    assert.throws(() => BathymetryLoader.parse('5 0 -1\n5 1 -2\n5 2 -3\n5 3 -4', 'xyz'), /lie on a line/);
+});
+
+check('bathymetry gaps fill outwards from the data and the survey keeps its scale', () => {
+    const { getModule } = createHeadlessEnvironment();
+    const SeabedTerrain = getModule('SeabedTerrain');
+
+    assert.deepStrictEqual(gridValues(SeabedTerrain.fillGaps([NaN, NaN, 4, NaN, 8], 5, 1)), [4, 4, 4, 6, 8]);
+    assert.deepStrictEqual(gridValues(SeabedTerrain.fillGaps([NaN, NaN, NaN, NaN, 5, NaN, NaN, NaN, NaN], 3, 3)),
+        [5, 5, 5, 5, 5, 5, 5, 5, 5]);
+    assert.throws(() => SeabedTerrain.fillGaps([NaN, NaN, NaN, NaN], 2, 2), /no data/);
+
+    // 100 m survey at 10 m cells, sloping down to the east by a metre per metre
+    const columns = 11;
+    const values = Float32Array.from({ length: columns * columns }, (value, index) => -(index % columns) * 10);
+    const survey = { columns, rows: columns, values, cellWidth: 10, cellHeight: 10 };
+    assert.deepStrictEqual(gridValues(SeabedTerrain.resampleGrid(survey, 3, 50).slice(0, 3)), [-25, -50, -75]);
+    assert.deepStrictEqual(gridValues(SeabedTerrain.resampleGrid({ ...survey, cellWidth: null }, 3, 50).slice(0, 3)),
+        [0, -50, -100]);
+
+    // 100 units at 0.5 m per unit show 50 m of it, as steep as in the survey
+    const terrain = new SeabedTerrain({ bathymetry: survey, size: 100, segments: 2, baseY: -60, metresPerUnit: 0.5 });
+    assert.deepStrictEqual(Array.from(terrain.heights.slice(0, 3)), [-10, -60, -110]);
+    assert.strictEqual(terrain.getDepth(-50, 0), 25);
+
+    // A coastal grid that is mostly land (no data) imports without sweeping the whole grid
+    const side = 600;
+    const coast = Float32Array.from({ length: side * side }, (value, index) => index % side < side * 0.6 ? NaN : -12);
+    const start = Date.now();
+    SeabedTerrain.resampleGrid({ columns: side, rows: side, values: coast, cellWidth: 2, cellHeight: 2 }, 129, 1000);
+    assert.ok(Date.now() - start < 2000, `a ${side} x ${side} coastal grid took ${Date.now() - start} ms`);
+});
+
+check('shared links survive stringify and parse', () => {
+    const { getModule } = createHeadlessEnvironment({ scripts: [...DEFAULT_SCRIPTS, 'src/systems/ShareableView.js'] });
+    const ShareableView = getModule('ShareableView');
+    // Objects from the module context have that context's prototypes
+    const plain = value => JSON.parse(JSON.stringify(value));
+    const view = {
+        seed: 'kelp lesson',
+        counts: { 'Great White Shark': 1, Yellowtail: 6 },
+        step: 5400,
+        cam: 'orbit',
+        pos: [12.345, -3, 20],
+        look: [4, -8.006, 2],
+        oct: [0, -5, 0],
+        info: { species: 'Great White Shark', index: 0 },
+        follow: { species: 'Yellowtail', index: 3 }
+    };
+
+    const hash = ShareableView.stringify(view);
+    assert.ok(!/[ ]/.test(hash), `unescaped characters in ${hash}`);
+    assert.deepStrictEqual(plain(ShareableView.parse(hash)), { ...view, pos: [12.35, -3, 20], look: [4, -8.01, 2] });
+
+    // Links from before animals had an index open the first of the species
+    assert.deepStrictEqual(plain(ShareableView.parse('#info=Hottentot').info), { species: 'Hottentot', index: 0 });
+    assert.strictEqual(ShareableView.parse(''), null);
+    assert.strictEqual(ShareableView.parse('#step=-4&pos=1,2'), null);
+});
+
+check('a shared link replays a seeded scene to the same step and the same animal', () => {
+    const { getModule } = createHeadlessEnvironment({ scripts: [...DEFAULT_SCRIPTS,
+        'src/systems/RenderEngine.js', 'src/systems/ShareableView.js'] });
+    const ShareableView = getModule('ShareableView');
+    const RenderEngine = getModule('RenderEngine');
+    const timestep = 1 / 60;
+
+    // A seeded scene seen through the parts of OceanForest the link uses
+    const openScene = () => {
+        const simulation = new HeadlessSimulation({ seed: 21, currents: true, trajectories: false,
+            counts: { fish: 12, sharks: 1, seals: 2, penguins: 2 } });
+        const oceanForest = {
+            simulationConfig: { fixedTimestep: timestep },
+            renderEngine: Object.assign(Object.create(RenderEngine.prototype), { simulationStep: 0 }),
+            marineLifeBehavior: simulation.behaviorSystem,
+            currentField: simulation.currentField,
+            getAllAnimals: () => simulation.animals.slice()
+        };
+        return { simulation, shareableView: new ShareableView(oceanForest) };
+    };
+
+    const shared = openScene();
+    for (let i = 0; i < 900; i++) shared.simulation.step(timestep);
+    const shark = shared.simulation.animals.find(animal => animal.userData.species.englishName === 'Great White Shark');
+    const fish = shared.simulation.animals.filter(animal => animal.userData.species.englishName === 'Hottentot')[2];
+    const link = ShareableView.stringify({ seed: 21, step: 900,
+        info: shared.shareableView.describeAnimal(shark), follow: shared.shareableView.describeAnimal(fish) });
+
+    const opened = openScene();
+    const view = ShareableView.parse(link);
+    opened.shareableView.applyStep(view);
+
+    assert.strictEqual(opened.simulation.animals.length, shared.simulation.animals.length);
+    opened.simulation.animals.forEach((animal, i) => {
+        const distance = animal.position.distanceTo(shared.simulation.animals[i].position);
+        assert.ok(distance < 1e-9, `${animal.userData.species.englishName} ${i} is ${distance} from where it was`);
+    });
+    assert.ok(opened.shareableView.findAnimal(view.info).position.equals(shark.position), 'the shown shark is not the linked one');
+    assert.ok(opened.shareableView.findAnimal(view.follow).position.equals(fish.position), 'the followed Hottentot is not the linked one');
+});
+
+// A quiz over a scene holding one animal of each named species
+function createQuiz(englishNames, settings = {}) {
+    const { window, getModule, readJSON } = createHeadlessEnvironment({ seed: 11,
+        scripts: [...DEFAULT_SCRIPTS, 'src/systems/QuizSystem.js'] });
+    window.speciesCatalogue.setTable(readJSON('assets/data/species-catalogue.json'));
+    const QuizSystem = getModule('QuizSystem');
+    const animals = englishNames.map(englishName => ({ userData: { species: { englishName } } }));
+    const quiz = new QuizSystem({ getAllAnimals: () => animals }, { panel: null }, settings);
+    return { quiz, species: quiz.getSceneSpecies() };
+}
+
+check('quiz questions have some but not all of the scene as answers', () => {
+    const { quiz, species } = createQuiz(['Great White Shark', 'African Penguin', 'Yellowtail', 'Hottentot', 'Hottentot']);
+    const answers = type => Object.fromEntries(quiz.generateQuestions(type, species)
+        .map(question => [question.species || question.food || question.group || type, [...question.answers].sort()]));
+    // Arrays from the module context have that context's prototypes
+    const plain = value => JSON.parse(JSON.stringify(value));
+
+    assert.deepStrictEqual(answers('identify'), {
+        'Great White Shark': ['Great White Shark'],
+        'African Penguin': ['African Penguin'],
+        Yellowtail: ['Yellowtail'],
+        Hottentot: ['Hottentot']
+    });
+    // Every species but the Hottentot eats fish, so that question is asked; nothing is eaten by all four
+    const eats = answers('eats');
+    assert.deepStrictEqual(eats.fish, ['African Penguin', 'Great White Shark', 'Yellowtail']);
+    assert.deepStrictEqual(eats.seaweed, ['Hottentot']);
+    assert.deepStrictEqual(eats.squid, ['African Penguin', 'Yellowtail']);
+    // The shark and the Yellowtail are fish too, but not endemic
+    assert.deepStrictEqual(answers('endemic'), { bird: ['African Penguin'], fish: ['Hottentot'] });
+    assert.deepStrictEqual(answers('threatened'), { threatened: ['African Penguin', 'Great White Shark'] });
+
+    // A question everyone or no one answers is dropped
+    const reef = createQuiz(['Hottentot', 'Steentjie']);
+    assert.deepStrictEqual(plain(reef.quiz.generateQuestions('threatened', reef.species)), []);
+    assert.deepStrictEqual(plain(reef.quiz.generateQuestions('endemic', reef.species)), []);
+    assert.deepStrictEqual(plain(reef.quiz.generateQuestions('eats', reef.species).map(question => question.food)), ['worms']);
+});
+
+check('a quiz round mixes the question types and repeats with the seed', () => {
+    const scene = ['Great White Shark', 'Cape Fur Seal', 'African Penguin', 'Yellowtail', 'Hottentot', 'Steentjie'];
+    // Mapped with Array.from so the names land in an array of this context
+    const describe = questions => Array.from(questions, question =>
+        [question.type, question.species || question.food || question.group || ''].join(':'));
+    const round = createQuiz(scene, { questions: 8 }).quiz.buildQuestions();
+
+    assert.strictEqual(round.length, 8);
+    assert.strictEqual(new Set(describe(round)).size, 8, 'a question is asked twice');
+    const perType = type => round.filter(question => question.type === type).length;
+    // threatened has a single question; the other three types share the rest evenly
+    assert.strictEqual(perType('threatened'), 1);
+    ['identify', 'eats', 'endemic'].forEach(type => assert.ok(perType(type) >= 2, `only ${perType(type)} ${type} questions`));
+    assert.deepStrictEqual(describe(createQuiz(scene, { questions: 8 }).quiz.buildQuestions()), describe(round));
+
+    assert.deepStrictEqual(describe(createQuiz(scene, { questions: 3, types: ['identify'] }).quiz.buildQuestions())
+        .map(question => question.split(':')[0]), ['identify', 'identify', 'identify']);
+    assert.strictEqual(createQuiz(['Yellowtail', 'Yellowtail']).quiz.buildQuestions().length, 0);
+});
+
+check('a lesson runs its steps in order and waits only on timed and click steps', () => {
+    const { THREE, window, getModule, readJSON } = createHeadlessEnvironment({
+        scripts: [...DEFAULT_SCRIPTS, 'src/systems/I18n.js', 'src/systems/LessonPlayer.js'] });
+    window.speciesCatalogue.setTable(readJSON('assets/data/species-catalogue.json'));
+    window.i18n.catalogues.en = readJSON('assets/i18n/en.json');
+    const LessonPlayer = getModule('LessonPlayer');
+
+    const createAnimal = englishName => Object.assign(new THREE.Object3D(), { userData: { species: { englishName } } });
+    const animals = [createAnimal('Great White Shark'), createAnimal('Hottentot')];
+    const times = [];
+    const oceanForest = {
+        scene: new THREE.Scene(),
+        camera: new THREE.PerspectiveCamera(),
+        education: { clickHandler: null },
+        dayNight: { setTime: time => times.push(time) },
+        getAllAnimals: () => animals.slice(),
+        addSpeciesByName: englishName => animals.push(createAnimal(englishName))
+    };
+    const player = new LessonPlayer(oceanForest, { panel: { classList: { add() {}, remove() {} } } });
+    player.render = () => {}; // the panel needs a DOM
+    player.setLesson({ version: 1, chapters: [
+        { steps: [
+            { action: 'caption', text: 'Welcome', duration: 2 },
+            { action: 'spawn', species: 'Yellowtail', count: 2 },
+            { action: 'highlight', species: 'Hottentot', duration: 5 },
+            { action: 'click', species: 'Hottentot', highlight: true }
+        ] },
+        { steps: [
+            { action: 'wait', duration: 1 },
+            { action: 'dance' },
+            { action: 'time', time: 'dusk' }
+        ] }
+    ] });
+    const at = () => `${player.chapterIndex}.${player.stepIndex} ${player.step ? player.step.action : player.state}`;
+
+    player.start();
+    assert.strictEqual(at(), '0.0 caption');
+    player.update(1.5);
+    assert.strictEqual(at(), '0.0 caption');
+    // spawn and highlight run at once
+    player.update(1);
+    assert.strictEqual(at(), '0.3 click');
+    assert.strictEqual(animals.filter(animal => animal.userData.species.englishName === 'Yellowtail').length, 2);
+    assert.strictEqual(player.highlights.length, 2, 'the highlight step and the click step each ring the Hottentot');
+    // the click step holds however long it takes; only its own ring outlasts the 5 s one
+    player.update(100);
+    assert.strictEqual(at(), '0.3 click');
+    assert.strictEqual(player.highlights.length, 1);
+
+    oceanForest.education.clickHandler(animals[0]);
+    player.update(0);
+    assert.strictEqual(at(), '0.3 click', 'a click on the shark answered the Hottentot step');
+    oceanForest.education.clickHandler(animals[1]);
+    player.update(0);
+    assert.strictEqual(at(), '1.0 wait');
+    assert.strictEqual(oceanForest.education.clickHandler, null);
+    assert.strictEqual(player.highlights.length, 0, 'highlights outlived their chapter');
+
+    player.pause();
+    player.update(5);
+    assert.strictEqual(at(), '1.0 wait');
+    player.resume();
+    // the unknown step is skipped and the lesson ends after the last one
+    player.update(1);
+    assert.strictEqual(at(), '1.3 finished');
+    assert.deepStrictEqual(times, ['dusk']);
+
+    player.goToChapter(0);
+    player.skip();
+    assert.strictEqual(at(), '0.3 click');
+});
+
+let failures = 0;
+checks.forEach(({ name, fn }) => {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}\n   ${error.message}`);
+    }
+});
+
+console.log(`\n${checks.length - failures}/${checks.length} checks passed`);
+process.exitCode = failures > 0 ? 1 : 0;
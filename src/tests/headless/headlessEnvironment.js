@@ -0,0 +1,87 @@
+/**
+ * Headless Environment
+ * Loads the browser modules (ModuleManager, MarineLifeBehavior, species factories)
+ * into a Node vm context without a DOM or WebGL.
+ *
+ * Requires Three.js r128, the dev dependency in package.json: `npm install`
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '../../..');
+
+// Same order as index.html; only modules that do not need a canvas or WebGL
+const DEFAULT_SCRIPTS = [
+    'src/core/ModuleManager.js',
+    'src/core/SeededRandom.js',
+    'src/systems/SpeciesCatalogue.js',
+    'src/models/OceanEnvironment.js',
+    'src/models/MarineAnimals.js',
+    'src/models/SharkModel.js',
+    'src/models/ReefFishModel.js',
+    'src/models/SharksAndFish.js',
+    'src/systems/SpatialHashGrid.js',
+    'src/systems/FoodWeb.js',
+    'src/systems/OceanCurrentField.js',
+    'src/systems/SeabedTerrain.js',
+    'src/systems/MarineLifeBehavior.js',
+    'src/systems/PopulationDynamics.js'
+];
+
+function loadThree() {
+    try {
+        return require('three');
+    } catch (error) {
+        throw new Error('Three.js not found. Run `npm install` first');
+    }
+}
+
+// Console that keeps warnings and errors but drops the per-module registration chatter
+function createConsole(verbose) {
+    if (verbose) return console;
+    return {
+        ...console,
+        log: () => {},
+        info: () => {},
+        table: () => {}
+    };
+}
+
+function createHeadlessEnvironment(options = {}) {
+    const scripts = options.scripts || DEFAULT_SCRIPTS;
+    const THREE = loadThree();
+
+    const context = vm.createContext({
+        THREE,
+        console: createConsole(options.verbose),
+        performance: require('perf_hooks').performance,
+        setTimeout,
+        clearTimeout
+    });
+    // Modules reference both bare globals and window.*
+    context.window = context;
+    context.self = context;
+
+    scripts.forEach(script => {
+        const file = path.join(ROOT, script);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+
+    const moduleManager = context.moduleManager;
+    if (options.seed !== undefined) {
+        context.oceanRandom.setSeed(options.seed);
+    }
+
+    return {
+        THREE,
+        window: context,
+        moduleManager,
+        random: context.oceanRandom,
+        getModule: name => moduleManager.getModule(name),
+        readJSON: relativePath => JSON.parse(fs.readFileSync(path.join(ROOT, relativePath), 'utf8'))
+    };
+}
+
+module.exports = { createHeadlessEnvironment, DEFAULT_SCRIPTS, ROOT };
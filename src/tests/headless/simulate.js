@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+/**
+ * Headless Behaviour Simulation
+ * Spawns animals with the species factories, steps MarineLifeBehavior at a fixed
+ * timestep and reports trajectories and state statistics as JSON.
+ *
+ * Usage:
+ *   node src/tests/headless/simulate.js --seconds 60 --seed 42 --fish 30 --sharks 1 --out run.json
+ *
+ * Options:
+ *   --seconds N        simulated time (default 60)
+ *   --seed S           random seed (default 1)
+ *   --timestep DT      fixed step in seconds (default 1/60)
+ *   --sample DT        trajectory/statistics sample interval in seconds (default 1)
+ *   --fish/--sharks/--seals/--penguins N   initial counts
+ *   --population       enable births, ageing and natural death
+ *   --light L          light level, 0 = night to 1 = midday (default 1)
+ *   --currents         surge, tide and eddies from OceanCurrentField (default still water)
+ *   --terrain          procedural seabed from SeabedTerrain (default a flat floor)
+ *   --foodweb PATH     food web JSON relative to the repo root
+ *   --no-trajectories  statistics only
+ *   --out FILE         write JSON to FILE instead of stdout
+ *   --pretty           indent the JSON
+ *   --verbose          keep module console output
+ */
+
+const fs = require('fs');
+const { createHeadlessEnvironment } = require('./headlessEnvironment');
+
+const DEFAULT_OPTIONS = {
+    seed: 1,
+    seconds: 60,
+    timestep: 1 / 60,
+    sampleInterval: 1,
+    counts: { fish: 30, sharks: 1, seals: 2, penguins: 4 },
+    fishSpecies: ['Yellowtail', 'Hottentot', 'Steentjie'],
+    population: false,
+    lightLevel: 1,
+    currents: false, // true, or OceanCurrentField options
+    terrain: false,
+    foodWeb: 'assets/data/food-web.json',
+    trajectories: true,
+    verbose: false
+};
+
+class HeadlessSimulation {
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...options,
+            counts: { ...DEFAULT_OPTIONS.counts, ...(options.counts || {}) }
+        };
+
+        this.env = createHeadlessEnvironment({ seed: this.options.seed, verbose: this.options.verbose });
+        const { THREE, getModule, random } = this.env;
+        this.random = random;
+        this.scene = new THREE.Scene();
+
+        const MarineLifeBehavior = getModule('MarineLifeBehavior');
+        this.states = MarineLifeBehavior.STATES;
+        this.behaviorSystem = new MarineLifeBehavior();
+        if (this.options.foodWeb) {
+            const FoodWeb = getModule('FoodWeb');
+            this.behaviorSystem.setFoodWeb(new FoodWeb(this.env.readJSON(this.options.foodWeb)));
+        }
+        // Time of day, with the kelp as night-time shelter (see DayNightCycle)
+        this.behaviorSystem.setShelters(getModule('OceanEnvironment').KELP_POSITIONS);
+        this.behaviorSystem.setLightLevel(this.options.lightLevel);
+        // Surge, tide and eddies as in the browser scene (see OceanCurrentField); off by default
+        // so runs stay comparable with those recorded before the field existed
+        if (this.options.currents) {
+            const options = this.options.currents === true ? {} : this.options.currents;
+            this.currentField = new (getModule('OceanCurrentField'))(options);
+            this.behaviorSystem.setCurrentField(this.currentField);
+        }
+        // Reefs, boulders and sand channels under the animals (see SeabedTerrain)
+        if (this.options.terrain) {
+            this.terrain = new (getModule('SeabedTerrain'))({ holdfasts: getModule('OceanEnvironment').KELP_POSITIONS });
+            this.behaviorSystem.setTerrain(this.terrain);
+        }
+
+        // Species factories, as used by OceanForest's add* methods
+        this.marineAnimals = new (getModule('MarineAnimals'))(this.scene);
+        this.sharksAndFish = new (getModule('SharksAndFish'))(this.scene);
+        this.reefFishModel = this.sharksAndFish.reefFishModel;
+
+        this.agents = [];       // report entries, in spawn order
+        this.animals = [];      // live animals
+        this.events = [];
+        this.samples = [];
+
+        this.behaviorSystem.onPredation = (predator, prey) => {
+            this.recordEvent('predation', {
+                predator: this.agentOf(predator).index,
+                prey: this.agentOf(prey).index
+            });
+            this.removeAnimal(prey);
+        };
+
+        if (this.options.population) {
+            const PopulationDynamics = getModule('PopulationDynamics');
+            this.populationDynamics = new PopulationDynamics(this.behaviorSystem);
+            this.populationDynamics.onBirth = (parent, species) => {
+                const child = this.spawn(this.agentOf(parent).kind, species);
+                this.recordEvent('birth', { parent: this.agentOf(parent).index, child: this.agentOf(child).index });
+                return child;
+            };
+            this.populationDynamics.onDeath = (animal, cause) => {
+                this.recordEvent('death', { agent: this.agentOf(animal).index, cause });
+                this.removeAnimal(animal);
+            };
+            this.populationDynamics.setEnabled(true);
+        }
+
+        this.spawnInitialAnimals();
+    }
+
+    spawnInitialAnimals() {
+        const { counts, fishSpecies } = this.options;
+        for (let i = 0; i < counts.fish; i++) {
+            this.spawn('fish', fishSpecies[i % fishSpecies.length]);
+        }
+        for (let i = 0; i < counts.sharks; i++) this.spawn('shark');
+        for (let i = 0; i < counts.seals; i++) this.spawn('seal');
+        for (let i = 0; i < counts.penguins; i++) this.spawn('penguin');
+    }
+
+    // Same factories, spawn volumes and behaviour types as the browser scene
+    spawn(kind, species) {
+        let animal;
+        let type;
+
+        switch (kind) {
+            case 'fish':
+                animal = this.reefFishModel.createSingleReefFish(this.reefFishModel.getFishType(species));
+                animal.position.set(this.random.range(-35, 35), this.random.range(-20, -5), this.random.range(-35, 35));
+                type = 'schooling';
+                break;
+            case 'shark':
+                animal = this.sharksAndFish.createSingleGreatWhiteShark();
+                species = 'Great White Shark';
+                type = 'hunting';
+                break;
+            case 'seal':
+                animal = this.marineAnimals.createSingleCapeFurSeal();
+                animal.position.set(this.random.range(-40, 40), this.random.range(-15, -7), this.random.range(-40, 40));
+                species = 'Cape Fur Seal';
+                type = 'territorial';
+                break;
+            case 'penguin':
+                animal = this.marineAnimals.createSingleAfricanPenguin();
+                animal.position.set(this.random.range(-30, 30), this.random.range(-12, -6), this.random.range(-30, 30));
+                species = 'African Penguin';
+                type = 'schooling';
+                break;
+            default:
+                throw new Error(`Unknown animal kind: ${kind}`);
+        }
+
+        const agent = { index: this.agents.length, kind, species, type, spawnedAt: this.time(), removedAt: null, trajectory: [] };
+        animal.userData.headlessAgent = agent;
+        this.agents.push(agent);
+        this.animals.push(animal);
+        this.behaviorSystem.registerMarineLife(animal, type, species);
+        return animal;
+    }
+
+    removeAnimal(animal) {
+        const index = this.animals.indexOf(animal);
+        if (index === -1) return;
+
+        this.animals.splice(index, 1);
+        this.behaviorSystem.unregisterMarineLife(animal);
+        this.agentOf(animal).removedAt = this.time();
+    }
+
+    agentOf(animal) {
+        return animal.userData.headlessAgent;
+    }
+
+    time() {
+        return this.behaviorSystem.time;
+    }
+
+    recordEvent(type, data) {
+        this.events.push({ time: round(this.time()), type, ...data });
+    }
+
+    step(deltaTime) {
+        if (this.currentField) {
+            this.currentField.update(deltaTime);
+        }
+        this.behaviorSystem.update(this.animals.slice(), deltaTime);
+        if (this.populationDynamics) {
+            this.populationDynamics.update(this.animals.slice(), deltaTime);
+        }
+    }
+
+    run() {
+        const { seconds, timestep, sampleInterval } = this.options;
+        const steps = Math.round(seconds / timestep);
+        const stepsPerSample = Math.max(1, Math.round(sampleInterval / timestep));
+
+        this.sample();
+        for (let i = 1; i <= steps; i++) {
+            this.step(timestep);
+            if (i % stepsPerSample === 0) {
+                this.sample();
+            }
+        }
+
+        return this.getReport();
+    }
+
+    sample() {
+        const bySpecies = {};
+
+        this.animals.forEach(animal => {
+            const behavior = this.behaviorSystem.behaviors.get(animal.id);
+            const agent = this.agentOf(animal);
+            if (!behavior) return;
+
+            if (this.options.trajectories) {
+                agent.trajectory.push([
+                    round(this.time()),
+                    round(animal.position.x), round(animal.position.y), round(animal.position.z),
+                    this.states.indexOf(behavior.state),
+                    round(behavior.energy)
+                ]);
+            }
+
+            const group = bySpecies[agent.species] || (bySpecies[agent.species] = { animals: [], behaviors: [] });
+            group.animals.push(animal);
+            group.behaviors.push(behavior);
+        });
+
+        const sample = { time: round(this.time()), population: {}, states: {}, maxHomeDistance: {}, schooling: this.measureSchooling() };
+        Object.entries(bySpecies).forEach(([species, { animals, behaviors }]) => {
+            sample.population[species] = animals.length;
+
+            sample.states[species] = {};
+            this.states.forEach(state => sample.states[species][state] = 0);
+            behaviors.forEach(behavior => sample.states[species][behavior.state]++);
+
+            sample.maxHomeDistance[species] = round(Math.max(...animals.map((animal, i) =>
+                animal.position.distanceTo(behaviors[i].homePosition)
+            )));
+        });
+
+        this.samples.push(sample);
+    }
+
+    // Schools mix species (neighbours are any nearby animal), so cohesion is measured
+    // over all schooling animals: nearest-neighbour spacing and the share that has company
+    measureSchooling() {
+        const schooling = this.animals.filter(animal => this.agentOf(animal).type === 'schooling');
+        if (schooling.length < 2) {
+            return { count: schooling.length, medianNearestNeighbor: null, grouped: null };
+        }
+
+        const nearest = schooling.map(animal => Math.min(...schooling
+            .filter(other => other !== animal)
+            .map(other => animal.position.distanceTo(other.position))
+        )).sort((a, b) => a - b);
+
+        const radius = this.behaviorSystem.neighborRadius;
+        return {
+            count: schooling.length,
+            medianNearestNeighbor: round(nearest[Math.floor(nearest.length / 2)]),
+            grouped: round(nearest.filter(distance => distance <= radius).length / nearest.length)
+        };
+    }
+
+    getReport() {
+        const { seed, seconds, timestep, sampleInterval, counts, population, lightLevel, currents, terrain, foodWeb } = this.options;
+        const maxOver = key => {
+            const result = {};
+            this.samples.forEach(sample => Object.entries(sample[key]).forEach(([species, value]) => {
+                result[species] = Math.max(result[species] || 0, value);
+            }));
+            return result;
+        };
+
+        return {
+            version: 1,
+            config: { seed, seconds, timestep, sampleInterval, counts, population, lightLevel, currents, terrain, foodWeb },
+            states: this.states,
+            trajectoryFields: ['time', 'x', 'y', 'z', 'state', 'energy'],
+            agents: this.agents.map(({ index, kind, species, type, spawnedAt, removedAt, trajectory }) => ({
+                index, kind, species, type,
+                spawnedAt: round(spawnedAt),
+                removedAt: removedAt === null ? null : round(removedAt),
+                ...(this.options.trajectories ? { trajectory } : {})
+            })),
+            samples: this.samples,
+            events: this.events,
+            summary: {
+                population: this.samples[this.samples.length - 1].population,
+                predation: this.events.filter(event => event.type === 'predation').length,
+                births: this.events.filter(event => event.type === 'birth').length,
+                deaths: this.events.filter(event => event.type === 'death').length,
+                maxHomeDistance: maxOver('maxHomeDistance')
+            }
+        };
+    }
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function runSimulation(options) {
+    return new HeadlessSimulation(options).run();
+}
+
+function parseArguments(argv) {
+    const options = { counts: {} };
+    const numberValue = (flag, value) => {
+        const number = Number(value);
+        if (!Number.isFinite(number)) {
+            throw new Error(`${flag} expects a number, got "${value}"`);
+        }
+        return number;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const value = argv[i + 1];
+        switch (flag) {
+            case '--seconds': options.seconds = numberValue(flag, value); i++; break;
+            case '--seed': options.seed = value; i++; break;
+            case '--timestep': options.timestep = numberValue(flag, value); i++; break;
+            case '--sample': options.sampleInterval = numberValue(flag, value); i++; break;
+            case '--fish': options.counts.fish = numberValue(flag, value); i++; break;
+            case '--sharks': options.counts.sharks = numberValue(flag, value); i++; break;
+            case '--seals': options.counts.seals = numberValue(flag, value); i++; break;
+            case '--penguins': options.counts.penguins = numberValue(flag, value); i++; break;
+            case '--foodweb': options.foodWeb = value; i++; break;
+            case '--out': options.out = value; i++; break;
+            case '--population': options.population = true; break;
+            case '--light': options.lightLevel = numberValue(flag, value); i++; break;
+            case '--currents': options.currents = true; break;
+            case '--terrain': options.terrain = true; break;
+            case '--no-trajectories': options.trajectories = false; break;
+            case '--pretty': options.pretty = true; break;
+            case '--verbose': options.verbose = true; break;
+            default:
+                throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+    return options;
+}
+
+if (require.main === module) {
+    try {
+        const options = parseArguments(process.argv.slice(2));
+        const json = JSON.stringify(runSimulation(options), null, options.pretty ? 2 : 0);
+
+        if (options.out) {
+            fs.writeFileSync(options.out, json);
+            console.error(`Simulation written to ${options.out}`);
+        } else {
+            process.stdout.write(json + '\n');
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { HeadlessSimulation, runSimulation, parseArguments };
@@ -0,0 +1,175 @@
+// 行为模拟 Worker - 在独立线程中运行 MarineLifeBehavior
+// Behavior Simulation Worker - Runs MarineLifeBehavior off the main thread
+//
+// Each agent is mirrored by a plain THREE.Object3D proxy. The main thread sends
+// positions and energy every step; the worker replies with velocities and state.
+
+// The shared modules check window.moduleManager when they load
+self.window = self;
+
+const FLOATS_IN = 4;   // x, y, z, energy
+const FLOATS_OUT = 7;  // vx, vy, vz, energy, state, lastMealTime, targetId
+
+let system = null;
+const proxies = new Map();   // main-thread animal id -> proxy
+const mainIds = new Map();   // proxy id -> main-thread animal id
+let predationEvents = [];
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'init':
+            init(message);
+            break;
+        case 'settings':
+            applySettings(message.settings);
+            break;
+        case 'foodWeb':
+            system.setFoodWeb(message.table ? new FoodWeb(message.table) : null);
+            break;
+        case 'step':
+            step(message);
+            break;
+    }
+};
+
+function init({ threeUrl, seed, time, settings }) {
+    importScripts(
+        threeUrl,
+        '../core/SeededRandom.js',
+        '../systems/SpatialHashGrid.js',
+        '../systems/FoodWeb.js',
+        '../systems/OceanCurrentField.js',
+        '../systems/SeabedTerrain.js',
+        '../systems/MarineLifeBehavior.js'
+    );
+
+    if (seed !== undefined) {
+        oceanRandom.setSeed(seed);
+    }
+    system = new MarineLifeBehavior();
+    system.time = time;
+    system.onPredation = (predator, prey) => {
+        predationEvents.push({
+            predatorId: mainIds.get(predator.id),
+            preyId: mainIds.get(prey.id)
+        });
+    };
+    applySettings(settings);
+
+    self.postMessage({ type: 'ready' });
+}
+
+function applySettings(settings) {
+    Object.assign(system.flockingRules, settings.flockingRules);
+    Object.assign(system.metabolism, settings.metabolism);
+    system.huntingRadius = settings.huntingRadius;
+    system.patrolRadius = settings.patrolRadius;
+    system.neighborRadius = settings.neighborRadius;
+    system.setSpatialGridEnabled(settings.useSpatialGrid);
+    system.setShelters(settings.shelters);
+    Object.assign(system.speciesDielPatterns, settings.speciesDielPatterns);
+
+    // The same seed and settings rebuild the same seabed
+    if (settings.terrain && !system.terrain) {
+        system.setTerrain(new SeabedTerrain(settings.terrain));
+    }
+
+    // The same seed gives the same eddies; each step carries the field's clock
+    if (settings.currentField && !system.currentField) {
+        system.setCurrentField(new OceanCurrentField(settings.currentField));
+    } else if (settings.currentField) {
+        system.currentField.setStrengths(settings.currentField);
+    } else {
+        system.setCurrentField(null);
+    }
+
+    const { currentFlow, ...environment } = settings.environmentFactors;
+    Object.assign(system.environmentFactors, environment);
+    system.environmentFactors.currentFlow.set(currentFlow.x, currentFlow.y, currentFlow.z);
+}
+
+function addAgent(agent) {
+    const proxy = new THREE.Object3D();
+    proxy.position.set(agent.position.x, agent.position.y, agent.position.z);
+    proxy.rotation.y = agent.rotationY;
+
+    const behavior = system.registerMarineLife(proxy, agent.type, agent.species);
+    behavior.velocity.set(agent.velocity.x, agent.velocity.y, agent.velocity.z);
+    behavior.homePosition.set(agent.homePosition.x, agent.homePosition.y, agent.homePosition.z);
+    behavior.personalityFactor = agent.personalityFactor;
+    behavior.age = agent.age;
+    behavior.maxSpeed = agent.maxSpeed;
+    behavior.state = agent.state;
+    behavior.lastStateChange = agent.lastStateChange;
+    behavior.lastMealTime = agent.lastMealTime;
+
+    proxies.set(agent.id, proxy);
+    mainIds.set(proxy.id, agent.id);
+}
+
+function removeAgent(id) {
+    const proxy = proxies.get(id);
+    if (!proxy) return;
+
+    system.unregisterMarineLife(proxy);
+    proxies.delete(id);
+    mainIds.delete(proxy.id);
+}
+
+function step({ deltaTime, ids, buffer, added, removed, current }) {
+    removed.forEach(removeAgent);
+    added.forEach(addAgent);
+    if (current && system.currentField) {
+        system.currentField.setState(current);
+    }
+
+    const agents = [];
+    for (let i = 0; i < ids.length; i++) {
+        const proxy = proxies.get(ids[i]);
+        if (!proxy) continue;
+
+        const offset = i * FLOATS_IN;
+        proxy.position.set(buffer[offset], buffer[offset + 1], buffer[offset + 2]);
+
+        const behavior = system.behaviors.get(proxy.id);
+        if (behavior) {
+            behavior.position.copy(proxy.position);
+            behavior.energy = buffer[offset + 3];
+        }
+        agents.push(proxy);
+    }
+
+    predationEvents = [];
+    system.update(agents, deltaTime);
+
+    const result = new Float32Array(ids.length * FLOATS_OUT);
+    for (let i = 0; i < ids.length; i++) {
+        const offset = i * FLOATS_OUT;
+        const proxy = proxies.get(ids[i]);
+        const behavior = proxy && system.behaviors.get(proxy.id);
+
+        if (!behavior) {
+            // Eaten this step (or never registered)
+            result[offset + 4] = -1;
+            continue;
+        }
+
+        result[offset] = behavior.velocity.x;
+        result[offset + 1] = behavior.velocity.y;
+        result[offset + 2] = behavior.velocity.z;
+        result[offset + 3] = behavior.energy;
+        result[offset + 4] = MarineLifeBehavior.STATES.indexOf(behavior.state);
+        result[offset + 5] = behavior.lastMealTime;
+        result[offset + 6] = behavior.targetFood ? mainIds.get(behavior.targetFood.id) : -1;
+    }
+
+    self.postMessage({
+        type: 'result',
+        time: system.time,
+        ids,
+        buffer: result,
+        events: predationEvents
+    }, [ids.buffer, result.buffer]);
+}
@@ -1810,31 +1810,18 @@ class OceanForest {
     }
     
     getFishFacts(englishName) {
+        // Cape species come from the shared catalogue (src/systems/SpeciesCatalogue.js)
+        if (window.speciesCatalogue && speciesCatalogue.has(englishName)) {
+            return speciesCatalogue.getFacts(englishName);
+        }
+        
         const facts = {
-            'Yellowtail': [
-                "Fast swimmers",
-                "Group feeding behavior",
-                "Carnivorous fish",
-                "Can grow up to 1 meter"
-            ],
             'Roman': [
                 "Brightly colored",
                 "Coral reef inhabitants",
                 "Omnivorous diet",
                 "Peaceful temperament"
             ],
-            'Hottentot': [
-                "Beautiful blue stripes",
-                "Common in rocky reefs",
-                "Feeds on small crustaceans",
-                "Endemic to South Africa"
-            ],
-            'Steentjie': [
-                "Green camouflage coloring",
-                "Hides among rocks",
-                "Feeds on algae",
-                "Small bottom-dwelling fish"
-            ],
             'Angelfish': [
                 "Flat body like an angel",
                 "Brilliant colors",
@@ -1853,11 +1840,12 @@ class OceanForest {
     }
     
     getFishPhoto(englishName) {
+        if (window.speciesCatalogue && speciesCatalogue.getPhoto(englishName)) {
+            return speciesCatalogue.getPhoto(englishName);
+        }
+        
         const photos = {
-            'Yellowtail': "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjIwMCIgdmlld0JveD0iMCAwIDMwMCAyMDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIzMDAiIGhlaWdodD0iMjAwIiBmaWxsPSIjMDA0NDY2Ii8+Cjx0ZXh0IHg9IjE1MCIgeT0iMzAiIGZpbGw9IiM4N0NFRUIiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxMiI+WWVsbG93dGFpbCBGaXNoPC90ZXh0Pgo8ZWxsaXBzZSBjeD0iMTUwIiBjeT0iMTAwIiByeD0iNjAiIHJ5PSIyNSIgZmlsbD0iI0ZGRDcwMCIvPgo8cGF0aCBkPSJNMjEwIDEwMCBMMjQwIDgwIEwyNDAgMTIwIFoiIGZpbGw9IiNGRkQ3MDAiLz4KPGJ1cmNsZSBjeD0iMTMwIiBjeT0iOTAiIHI9IjMiIGZpbGw9IiMwMDAwMDAiLz4KPC9zdmc+",
             'Roman': "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjIwMCIgdmlld0JveD0iMCAwIDMwMCAyMDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIzMDAiIGhlaWdodD0iMjAwIiBmaWxsPSIjMDA0NDY2Ii8+Cjx0ZXh0IHg9IjE1MCIgeT0iMzAiIGZpbGw9IiM4N0NFRUIiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxMiI+Um9tYW4gRmlzaDwvdGV4dD4KPGVsbGlwc2UgY3g9IjE1MCIgY3k9IjEwMCIgcng9IjUwIiByeT0iMzAiIGZpbGw9IiNGRjY5QjQiLz4KPHA+YXRoIGQ9Ik0yMDAgMTAwIEwyMzAgODUgTDIzMCAxMTUgWiIgZmlsbD0iI0ZGNjlCNCIvPgo8Y2lyY2xlIGN4PSIxMzUiIGN5PSI5MCIgcj0iMyIgZmlsbD0iIzAwMDAwMCIvPgo8L3N2Zz4=",
-            'Hottentot': "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjIwMCIgdmlld0JveD0iMCAwIDMwMCAyMDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIzMDAiIGhlaWdodD0iMjAwIiBmaWxsPSIjMDA0NDY2Ii8+Cjx0ZXh0IHg9IjE1MCIgeT0iMzAiIGZpbGw9IiM4N0NFRUIiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxMiI+SG90dGVudG90IEZpc2g8L3RleHQ+CjxlbGxpcHNlIGN4PSIxNTAiIGN5PSIxMDAiIHJ4PSI1NSIgcnk9IjI4IiBmaWxsPSIjNEZDM0Y3Ii8+CjxyZWN0IHg9IjEyMCIgeT0iODUiIHdpZHRoPSI0IiBoZWlnaHQ9IjMwIiBmaWxsPSIjMDAzMzY2Ii8+CjxyZWN0IHg9IjE0MCIgeT0iODUiIHdpZHRoPSI0IiBoZWlnaHQ9IjMwIiBmaWxsPSIjMDAzMzY2Ii8+CjxyZWN0IHg9IjE2MCIgeT0iODUiIHdpZHRoPSI0IiBoZWlnaHQ9IjMwIiBmaWxsPSIjMDAzMzY2Ii8+CjxwYXRoIGQ9Ik0yMDUgMTAwIEwyMzUgODUgTDIzNSAxMTUgWiIgZmlsbD0iIzRGQzNGNyIvPgo8Y2lyY2xlIGN4PSIxMzUiIGN5PSI5MCIgcj0iMyIgZmlsbD0iIzAwMDAwMCIvPgo8L3N2Zz4=",
-            'Steentjie': "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjIwMCIgdmlld0JveD0iMCAwIDMwMCAyMDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIzMDAiIGhlaWdodD0iMjAwIiBmaWxsPSIjMDA0NDY2Ii8+Cjx0ZXh0IHg9IjE1MCIgeT0iMzAiIGZpbGw9IiM4N0NFRUIiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxMiI+U3RlZW50amllIEZpc2g8L3RleHQ+CjxlbGxpcHNlIGN4PSIxNTAiIGN5PSIxMDAiIHJ4PSI0NSIgcnk9IjI1IiBmaWxsPSIjNjY5OTAwIi8+CjxwYXRoIGQ9Ik0xOTUgMTAwIEwyMjAgODggTDIyMCAxMTIgWiIgZmlsbD0iIzY2OTkwMCIvPgo8Y2lyY2xlIGN4PSIxMzUiIGN5PSI5MCIgcj0iMyIgZmlsbD0iIzAwMDAwMCIvPgo8L3N2Zz4=",
             'Angelfish': "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjIwMCIgdmlld0JveD0iMCAwIDMwMCAyMDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIzMDAiIGhlaWdodD0iMjAwIiBmaWxsPSIjMDA0NDY2Ii8+Cjx0ZXh0IHg9IjE1MCIgeT0iMzAiIGZpbGw9IiM4N0NFRUIiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxMiI+QW5nZWxmaXNoPC90ZXh0Pgo8ZWxsaXBzZSBjeD0iMTUwIiBjeT0iMTAwIiByeD0iMzAiIHJ5PSI0NSIgZmlsbD0iI0ZGRkZGRiIvPgo8ZWxsaXBzZSBjeD0iMTM1IiBjeT0iNzAiIHJ4PSIxNSIgcnk9IjIwIiBmaWxsPSIjRkY5OTAwIi8+CjxlbGxpcHNlIGN4PSIxMzUiIGN5PSIxMzAiIHJ4PSIxNSIgcnk9IjIwIiBmaWxsPSIjRkY5OTAwIi8+CjxjaXJjbGUgY3g9IjE0MCIgY3k9IjkwIiByPSIzIiBmaWxsPSIjMDAwMDAwIi8+Cjwvc3ZnPg==",
             'Butterflyfish': "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjIwMCIgdmlld0JveD0iMCAwIDMwMCAyMDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIzMDAiIGhlaWdodD0iMjAwIiBmaWxsPSIjMDA0NDY2Ii8+Cjx0ZXh0IHg9IjE1MCIgeT0iMzAiIGZpbGw9IiM4N0NFRUIiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxMiI+QnV0dGVyZmx5ZmlzaDwvdGV4dD4KPGVsbGlwc2UgY3g9IjE1MCIgY3k9IjEwMCIgcng9IjQwIiByeT0iMzAiIGZpbGw9IiNGRkQ3MDAiLz4KPGJ1cmNsZSBjeD0iMTc1IiBjeT0iODAiIHI9IjgiIGZpbGw9IiMwMDMzNjYiLz4KPGJ1cmNsZSBjeD0iMTc1IiBjeT0iMTIwIiByPSI4IiBmaWxsPSIjMDAzMzY2Ii8+CjxjaXJjbGUgY3g9IjE0MCIgY3k9IjkwIiByPSIzIiBmaWxsPSIjMDAwMDAwIi8+CjwvdGc+"
         };